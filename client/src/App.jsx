@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from './context/AuthContext';
 import AuthModal from './components/AuthModal';
 import PricingModal from './components/PricingModal';
@@ -6,18 +6,94 @@ import Dashboard from './components/Dashboard';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// Effectiveness report goal states (services/effectiveness.js)
+const GOAL_STATUS_LABELS = {
+  met: 'Met',
+  unmet: 'Not yet',
+  no_data: 'No data',
+  not_tracked: 'Practice'
+};
+
+// "2026-10-19" -> "Oct 19"
+const formatShortDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Sections of a finished analysis (server/services/analysisSchema.js)
+const ANALYSIS_SECTION_COUNT = 12;
+
+// Sums a reviewed scorecard round and compares it with the totals printed on the card
+const scorecardTotals = (round) => {
+  const sum = (holes) => holes.reduce((total, h) => total + (h.score || 0), 0);
+  const totals = {
+    out: sum(round.holes.filter(h => h.hole <= 9)),
+    in: sum(round.holes.filter(h => h.hole >= 10)),
+    total: sum(round.holes)
+  };
+  const printed = { out: round.outScore, in: round.inScore, total: round.totalScore };
+  const mismatches = Object.keys(printed).filter(key => printed[key] != null && printed[key] !== totals[key]);
+  return { totals, printed, mismatches };
+};
+
+// Rows of the scorecard review grid
+const REVIEW_FIELDS = [
+  ['par', 'Par'],
+  ['yards', 'Yds'],
+  ['score', 'Score']
+];
+
+// Times the analysis progress stream is reopened after a dropped connection
+const MAX_ANALYSIS_RECONNECTS = 5;
+
+// Reads a server-sent event stream, calling onEvent({ id, event, data }) for each
+// event until the server closes it. Comment lines (heartbeats) are skipped.
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      if (!event) continue;
+      const id = block.match(/^id: (.*)$/m)?.[1];
+      const data = JSON.parse(block.match(/^data: (.*)$/m)?.[1] || '{}');
+      onEvent({ id: id ? parseInt(id) : null, event, data });
+    }
+  }
+};
+
 export default function App() {
-  const { user, token, isAuthenticated, loading: authLoading, logout, canAnalyze, updateCredits, refreshUser } = useAuth();
+  const { user, token, isAuthenticated, loading: authLoading, logout, canAnalyze, updateCredits, refreshUser, getFreshToken } = useAuth();
   const [showAuthModal, setShowAuthModal] = useState(false);
   const [showPricingModal, setShowPricingModal] = useState(false);
   const [authMode, setAuthMode] = useState('login');
   const [showPricingFlow, setShowPricingFlow] = useState(false); // Combined signup + pricing
   const [currentAnalysisId, setCurrentAnalysisId] = useState(null);
+  const [effectiveness, setEffectiveness] = useState(null);
+  const [chatThreads, setChatThreads] = useState([]);
+  const [chatQuota, setChatQuota] = useState(null);
+  const [chatThreadId, setChatThreadId] = useState(null);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [chatInput, setChatInput] = useState('');
+  const [chatReply, setChatReply] = useState(null); // Reply text while it streams in
+  const [chatError, setChatError] = useState(null);
   const [view, setView] = useState('landing'); // 'landing', 'dashboard', 'analysis', 'results', 'courseStrategy'
   
   // Course Strategy state
   const [showCourseModal, setShowCourseModal] = useState(false);
   const [courseStrategyData, setCourseStrategyData] = useState(null);
+  const [courseStrategyId, setCourseStrategyId] = useState(null);
+  const [pdfOptions, setPdfOptions] = useState(null); // PDF themes, paper sizes and the account's logo
+  const [pdfStyle, setPdfStyle] = useState({ theme: 'classic', paper: '' }); // '' = each PDF's own size
+  const [isUploadingLogo, setIsUploadingLogo] = useState(false);
+  const [shares, setShares] = useState([]); // Public links to the analysis or course strategy being viewed
+  const [shareForm, setShareForm] = useState({ hideIdentity: false, expiresInDays: '' }); // '' = never expires
+  const [isCreatingShare, setIsCreatingShare] = useState(false);
   const [courseForm, setCourseForm] = useState({
     courseName: '',
     tees: '',
@@ -39,12 +115,15 @@ export default function App() {
   });
   const [analysis, setAnalysis] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
-  const [analyzeStep, setAnalyzeStep] = useState(0);
+  const [analyzeStages, setAnalyzeStages] = useState([]); // Progress reported by the analysis job
+  const [analyzeSections, setAnalyzeSections] = useState({}); // Strategy sections streamed so far
+  const [scorecardReview, setScorecardReview] = useState(null); // Rounds read from the uploaded cards, being checked
+  const [isReadingScorecards, setIsReadingScorecards] = useState(false);
+  const [saveReviewedRounds, setSaveReviewedRounds] = useState(true);
   const [error, setError] = useState(null);
   
   // GHIN connection state
   const [ghinConnected, setGhinConnected] = useState(false);
-  const [ghinToken, setGhinToken] = useState(null);
   const [ghinScores, setGhinScores] = useState(null);
   const [isConnectingGhin, setIsConnectingGhin] = useState(false);
   const [showGhinModal, setShowGhinModal] = useState(false);
@@ -72,6 +151,27 @@ export default function App() {
     { id: 'straight_short', label: 'Straight but short', description: 'Contact issues, not curve' }
   ];
 
+  // Password reset / email verification links open the auth modal
+  const [emailLinkTokens, setEmailLinkTokens] = useState({ resetToken: null, verifyToken: null });
+
+  useEffect(() => {
+    const urlParams = new URLSearchParams(window.location.search);
+    const resetToken = urlParams.get('resetPassword');
+    const verifyToken = urlParams.get('verifyEmail');
+
+    if (resetToken || verifyToken) {
+      window.history.replaceState({}, '', window.location.pathname);
+      setEmailLinkTokens({ resetToken, verifyToken });
+    }
+  }, []);
+
+  // Wait for the stored session to load so the modal knows whether the user is signed in
+  useEffect(() => {
+    if (!authLoading && (emailLinkTokens.resetToken || emailLinkTokens.verifyToken)) {
+      setShowAuthModal(true);
+    }
+  }, [authLoading, emailLinkTokens]);
+
   // Handle Stripe payment success redirect
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
@@ -177,6 +277,7 @@ export default function App() {
         ...prev,
         uploadedCards: [...prev.uploadedCards, ...validFiles].slice(0, 10)
       }));
+      setScorecardReview(null);
     }
   };
 
@@ -185,6 +286,67 @@ export default function App() {
       ...prev,
       uploadedCards: prev.uploadedCards.filter((_, i) => i !== index)
     }));
+    setScorecardReview(null);
+  };
+
+  // Reads the uploaded scorecards so the golfer can check them before the analysis
+  const readScorecards = async () => {
+    setIsReadingScorecards(true);
+    setError(null);
+
+    try {
+      const submitData = new FormData();
+      submitData.append('homeCourse', formData.homeCourse);
+      formData.uploadedCards.forEach(card => {
+        submitData.append('scorecards', card.file);
+      });
+
+      const headers = {};
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+
+      const response = await fetch(`${API_URL}/api/scorecards/extract`, {
+        method: 'POST',
+        headers,
+        body: submitData
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to read scorecards');
+
+      if (data.rounds.length === 0) {
+        throw new Error("We couldn't find any scores on those photos. Try clearer, straight-on shots.");
+      }
+      setScorecardReview(data.rounds);
+    } catch (err) {
+      console.error('Scorecard reading error:', err);
+      setError(err.message);
+    } finally {
+      setIsReadingScorecards(false);
+    }
+  };
+
+  const updateReviewRound = (roundIndex, updates) => {
+    setScorecardReview(prev => prev.map((round, i) => (i === roundIndex ? { ...round, ...updates } : round)));
+  };
+
+  // Editing a cell counts as checking it, so its highlight goes
+  const updateReviewHole = (roundIndex, holeIndex, field, value) => {
+    setScorecardReview(prev => prev.map((round, i) => (i !== roundIndex ? round : {
+      ...round,
+      holes: round.holes.map((hole, j) => (j !== holeIndex ? hole : {
+        ...hole,
+        [field]: value === '' ? null : parseInt(value, 10),
+        flags: hole.flags.filter(flag => flag !== field)
+      }))
+    })));
+  };
+
+  const removeReviewRound = (roundIndex) => {
+    setScorecardReview(prev => {
+      const rounds = prev.filter((_, i) => i !== roundIndex);
+      return rounds.length > 0 ? rounds : null;
+    });
   };
 
   const toggleStrength = (id) => {
@@ -227,9 +389,6 @@ export default function App() {
         throw new Error(connectData.error || 'Failed to connect to GHIN');
       }
 
-      // Store token
-      setGhinToken(connectData.ghinToken);
-      
       // Update form with golfer info
       const golferName = connectData.golfer.playerName || 
                          `${connectData.golfer.firstName} ${connectData.golfer.lastName}`;
@@ -401,16 +560,130 @@ export default function App() {
   const [previewMode, setPreviewMode] = useState(false);
   const [pendingAnalysis, setPendingAnalysis] = useState(null);
 
+  // Follows an analysis job's progress stream until it finishes. If the connection
+  // drops, reopens it from the last event seen so nothing is missed or repeated.
+  // Each attempt gets a fresh access token, since an analysis can outlive the one
+  // it started with.
+  const followAnalysisJob = async (jobId) => {
+    let lastEventId = 0;
+    let reconnects = 0;
+
+    while (true) {
+      let result = null;
+      try {
+        const headers = {};
+        const currentToken = await getFreshToken();
+        if (currentToken) {
+          headers['Authorization'] = `Bearer ${currentToken}`;
+        }
+
+        const response = await fetch(`${API_URL}/api/analyze/jobs/${jobId}/events?lastEventId=${lastEventId}`, { headers });
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw Object.assign(new Error(errorData.error || 'Analysis failed'), { final: true });
+        }
+
+        await readEventStream(response, ({ id, event, data }) => {
+          lastEventId = id;
+          if (event === 'stage') {
+            setAnalyzeStages(prev => [...prev, data]);
+          } else if (event === 'section') {
+            setAnalyzeSections(prev => ({ ...prev, [data.section]: data.data }));
+          } else if (event === 'done') {
+            result = data;
+          } else if (event === 'error') {
+            throw Object.assign(new Error(data.error || 'Analysis failed'), { final: true });
+          }
+        });
+        if (result) return result;
+      } catch (err) {
+        if (err.final) throw err;
+        console.error('Analysis progress stream dropped:', err.message);
+      }
+
+      if (++reconnects > MAX_ANALYSIS_RECONNECTS) {
+        throw new Error('Lost connection to the analysis. Please try again.');
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000 * reconnects));
+    }
+  };
+
+  // Waits for a started analysis job, then shows the result. The job is kept in
+  // sessionStorage until it finishes so a reload can pick it back up.
+  const runAnalysisJob = async (jobId, isPreview, jobFormData) => {
+    setIsAnalyzing(true);
+    setError(null);
+    setAnalyzeStages([]);
+    setAnalyzeSections({});
+
+    try {
+      const data = await followAnalysisJob(jobId);
+      setAnalysis(data.analysis);
+
+      if (isPreview) {
+        // Store for later and show teaser
+        setPreviewMode(true);
+        const pending = {
+          analysis: data.analysis,
+          formData: { ...jobFormData }
+        };
+        setPendingAnalysis(pending);
+        // Also save to localStorage in case of Stripe redirect
+        localStorage.setItem('pendingAnalysis', JSON.stringify(pending));
+        setStep(5);
+        setView('results');
+      } else {
+        // Full analysis - save and show
+        setCurrentAnalysisId(data.analysisId);
+        if (data.creditsRemaining !== 'unlimited') {
+          updateCredits(data.creditsRemaining);
+        }
+        setPreviewMode(false);
+        setStep(5);
+        setView('results');
+      }
+    } catch (err) {
+      console.error('Analysis error:', err);
+      setError(err.message);
+    } finally {
+      sessionStorage.removeItem('analysisJob');
+      setIsAnalyzing(false);
+    }
+  };
+
+  // Resume an analysis that was still running when the page reloaded
+  const resumedJobId = useRef(null);
+  useEffect(() => {
+    if (authLoading) return;
+    const savedJob = sessionStorage.getItem('analysisJob');
+    if (!savedJob) return;
+
+    try {
+      const { jobId, isPreview, formData: jobFormData } = JSON.parse(savedJob);
+      if (resumedJobId.current === jobId) return;
+      resumedJobId.current = jobId;
+      setFormData(jobFormData);
+      setStep(4);
+      setView('analysis');
+      runAnalysisJob(jobId, isPreview, jobFormData);
+    } catch (e) {
+      console.error('Failed to resume analysis:', e);
+      sessionStorage.removeItem('analysisJob');
+    }
+  }, [authLoading]);
+
   const analyzeGame = async () => {
     setIsAnalyzing(true);
     setError(null);
-    setAnalyzeStep(0);
+    setAnalyzeStages([]);
+    setAnalyzeSections({});
     
     // Determine if this is a preview or full analysis
     // Preview if: not logged in OR logged in but no credits/subscription
     const hasAccess = isAuthenticated && (user?.subscriptionStatus === 'pro' || (user?.credits && user.credits > 0));
     const isPreview = !hasAccess;
     
+    let jobId;
     try {
       // Create FormData for file upload
       const submitData = new FormData();
@@ -438,29 +711,27 @@ export default function App() {
         submitData.append('aggregateStats', JSON.stringify(ghinScores.aggregateStats));
       }
       
-      // Append scorecard files
-      formData.uploadedCards.forEach((card, index) => {
-        submitData.append('scorecards', card.file);
-      });
-
-      // Animate through steps
-      const stepInterval = setInterval(() => {
-        setAnalyzeStep(prev => Math.min(prev + 1, 3));
-      }, 800);
+      // Scorecards are sent as the rounds checked in the review step, never as photos
+      if (scorecardReview) {
+        submitData.append('confirmedRounds', JSON.stringify(scorecardReview.map(round => ({
+          date: round.date || null,
+          course: round.course,
+          holes: round.holes.map(({ hole, par, yards, score }) => ({ hole, par, yards, score }))
+        }))));
+        submitData.append('saveRounds', String(isAuthenticated && saveReviewedRounds));
+      }
 
       const headers = {};
       if (token) {
         headers['Authorization'] = `Bearer ${token}`;
       }
 
-      const response = await fetch(`${API_URL}/api/analyze`, {
+      const response = await fetch(`${API_URL}/api/analyze/jobs`, {
         method: 'POST',
         headers,
         body: submitData
       });
 
-      clearInterval(stepInterval);
-
       if (!response.ok) {
         const errorData = await response.json();
         if (errorData.needsUpgrade) {
@@ -470,47 +741,24 @@ export default function App() {
         throw new Error(errorData.error || 'Analysis failed');
       }
 
-      const data = await response.json();
-      
-      if (data.success) {
-        setAnalysis(data.analysis);
-        
-        if (isPreview) {
-          // Store for later and show teaser
-          setPreviewMode(true);
-          const pending = {
-            analysis: data.analysis,
-            formData: { ...formData }
-          };
-          setPendingAnalysis(pending);
-          // Also save to localStorage in case of Stripe redirect
-          localStorage.setItem('pendingAnalysis', JSON.stringify(pending));
-          setStep(5);
-          setView('results');
-        } else {
-          // Full analysis - save and show
-          setCurrentAnalysisId(data.analysisId);
-          if (data.creditsRemaining !== 'unlimited') {
-            updateCredits(data.creditsRemaining);
-          }
-          setPreviewMode(false);
-          setStep(5);
-          setView('results');
-        }
-      } else {
-        throw new Error(data.error || 'Analysis failed');
-      }
+      ({ jobId } = await response.json());
     } catch (err) {
       console.error('Analysis error:', err);
       setError(err.message);
-    } finally {
       setIsAnalyzing(false);
+      return;
     }
+
+    // Uploaded files can't be stored - they've already been sent
+    const jobFormData = { ...formData, uploadedCards: [] };
+    sessionStorage.setItem('analysisJob', JSON.stringify({ jobId, isPreview, formData: jobFormData }));
+    await runAnalysisJob(jobId, isPreview, jobFormData);
   };
 
   const resetForm = () => {
     setStep(1);
     setAnalysis(null);
+    setScorecardReview(null);
     setCurrentAnalysisId(null);
     setPreviewMode(false);
     setPendingAnalysis(null);
@@ -627,6 +875,7 @@ export default function App() {
       if (response.ok) {
         const data = await response.json();
         setCourseStrategyData(data.strategy);
+        setCourseStrategyId(data.strategyId);
         setShowCourseModal(false);
         setView('courseStrategy');
       } else {
@@ -675,6 +924,7 @@ export default function App() {
       if (response.ok) {
         const data = await response.json();
         setCourseStrategyData(data.strategy.strategy_json);
+        setCourseStrategyId(strategyId);
         setView('courseStrategy');
       }
     } catch (error) {
@@ -689,13 +939,208 @@ export default function App() {
     }
   }, [isAuthenticated]);
 
+  // Back to the landing page if the session ends (signed out elsewhere or revoked)
+  useEffect(() => {
+    if (!authLoading && !isAuthenticated && view === 'dashboard') {
+      setView('landing');
+    }
+  }, [authLoading, isAuthenticated, view]);
+
+  // PDF themes, paper sizes and logo, loaded once the first PDF buttons are shown
+  useEffect(() => {
+    if (!['results', 'courseStrategy'].includes(view) || !token || pdfOptions) return;
+
+    fetch(`${API_URL}/api/pdf/options`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => data && setPdfOptions(data))
+      .catch(error => console.error('PDF options error:', error));
+  }, [view, token]);
+
+  // Share links for the saved analysis or course strategy being viewed
+  const shareTarget = view === 'results' && currentAnalysisId
+    ? { type: 'analysis', id: currentAnalysisId, path: `analyses/${currentAnalysisId}` }
+    : view === 'courseStrategy' && courseStrategyId
+      ? { type: 'course_strategy', id: courseStrategyId, path: `course-strategies/${courseStrategyId}` }
+      : null;
+
+  useEffect(() => {
+    setShares([]);
+    if (!shareTarget || !token) return;
+
+    fetch(`${API_URL}/api/shares?type=${shareTarget.type}&id=${shareTarget.id}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => data && setShares(data.shares))
+      .catch(error => console.error('Share links error:', error));
+  }, [shareTarget?.type, shareTarget?.id, token]);
+
+  // "How's it working?" report for the analysis being viewed
+  useEffect(() => {
+    setEffectiveness(null);
+    if (view !== 'results' || !currentAnalysisId || !token) return;
+
+    fetch(`${API_URL}/api/analyses/${currentAnalysisId}/effectiveness`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setEffectiveness(data?.report || null))
+      .catch(error => console.error('Effectiveness report error:', error));
+  }, [view, currentAnalysisId, token]);
+
+  // Follow-up chat threads for the analysis being viewed
+  useEffect(() => {
+    setChatThreads([]);
+    setChatQuota(null);
+    setChatThreadId(null);
+    setChatMessages([]);
+    setChatError(null);
+    if (view !== 'results' || !currentAnalysisId || !token) return;
+
+    fetch(`${API_URL}/api/analyses/${currentAnalysisId}/chat`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!data) return;
+        setChatThreads(data.threads);
+        setChatQuota(data.quota);
+      })
+      .catch(error => console.error('Chat threads error:', error));
+  }, [view, currentAnalysisId, token]);
+
+  const openChatThread = async (threadId) => {
+    setChatError(null);
+    setChatThreadId(threadId);
+    if (!threadId) {
+      setChatMessages([]);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_URL}/api/analyses/${currentAnalysisId}/chat/${threadId}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load conversation');
+      setChatMessages(data.messages);
+    } catch (error) {
+      console.error('Chat thread error:', error);
+      setChatError(error.message);
+    }
+  };
+
+  // Sends a question and reads the reply as server-sent events (delta, done, error)
+  const sendChatMessage = async (e) => {
+    e.preventDefault();
+    const message = chatInput.trim();
+    if (!message || chatReply !== null) return;
+
+    setChatError(null);
+    setChatInput('');
+    setChatMessages(prev => [...prev, { id: `pending-${Date.now()}`, role: 'user', content: message }]);
+    setChatReply('');
+
+    let reply = '';
+    try {
+      const response = await fetch(`${API_URL}/api/analyses/${currentAnalysisId}/chat`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ message, threadId: chatThreadId })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        if (data.quota) setChatQuota(data.quota);
+        if (data.needsUpgrade) setShowPricingModal(true);
+        throw new Error(data.error || 'Failed to send message');
+      }
+
+      await readEventStream(response, ({ event, data }) => {
+        if (event === 'delta') {
+          reply += data.text;
+          setChatReply(reply);
+        } else if (event === 'done') {
+          setChatMessages(prev => [...prev, { id: data.messageId, role: 'assistant', content: reply.trim() }]);
+          setChatQuota(data.quota);
+          if (!chatThreadId) {
+            setChatThreadId(data.threadId);
+            setChatThreads(prev => [{ id: data.threadId, title: message.slice(0, 80), message_count: 2 }, ...prev]);
+          }
+        } else if (event === 'error') {
+          throw new Error(data.error || 'Failed to answer');
+        }
+      });
+    } catch (error) {
+      console.error('Chat error:', error);
+      setChatError(error.message);
+    } finally {
+      setChatReply(null);
+    }
+  };
+
+  // ?theme= and ?paper= for a PDF download. A paper size the PDF doesn't print on
+  // is left out so it gets its own default.
+  const pdfStyleQuery = (papers = ['letter', 'a4', 'pocket']) => {
+    const params = new URLSearchParams({ theme: pdfStyle.theme });
+    if (papers.includes(pdfStyle.paper)) {
+      params.set('paper', pdfStyle.paper);
+    }
+    return params.toString();
+  };
+
+  // Club or coach logo shown on the PDFs
+  const uploadLogo = async (file) => {
+    if (!file) return;
+    setIsUploadingLogo(true);
+
+    try {
+      const body = new FormData();
+      body.append('logo', file);
+      const response = await fetch(`${API_URL}/api/pdf/logo`, {
+        method: 'PUT',
+        headers: { 'Authorization': `Bearer ${token}` },
+        body
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to upload logo');
+      setPdfOptions(prev => ({ ...prev, logo: data.logo }));
+    } catch (error) {
+      console.error('Logo upload error:', error);
+      alert(error.message);
+    } finally {
+      setIsUploadingLogo(false);
+    }
+  };
+
+  const removeLogo = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/pdf/logo`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok && response.status !== 404) throw new Error('Failed to remove logo');
+      setPdfOptions(prev => ({ ...prev, logo: null }));
+    } catch (error) {
+      console.error('Logo remove error:', error);
+      alert(error.message);
+    }
+  };
+
   // PDF download function
   const downloadPDF = async (type = 'strategy') => {
     if (!currentAnalysisId) return;
     
     try {
+      // Analysis PDFs print on a Letter or A4 sheet; pocket is for the course game plan
+      const styleQuery = pdfStyleQuery(['letter', 'a4']);
       const response = await fetch(
-        `${API_URL}/api/analyses/${currentAnalysisId}/pdf?type=${type}`,
+        `${API_URL}/api/analyses/${currentAnalysisId}/pdf?type=${type}&${styleQuery}`,
         {
           headers: {
             'Authorization': `Bearer ${token}`
@@ -709,9 +1154,7 @@ export default function App() {
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = type === 'strategy' 
-        ? `${formData.name}_Strategy_Card.pdf`
-        : `${formData.name}_Practice_Plan.pdf`;
+      a.download = `${formData.name}_${{ strategy: 'Strategy_Card', practice: 'Practice_Plan', yardage: 'Yardage_Book' }[type]}.pdf`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
@@ -722,6 +1165,221 @@ export default function App() {
     }
   };
 
+  // Pocket-sized game plan PDF for the course strategy being viewed
+  const downloadCourseStrategyPDF = async () => {
+    if (!courseStrategyId) return;
+
+    try {
+      const response = await fetch(`${API_URL}/api/course-strategies/${courseStrategyId}/pdf?${pdfStyleQuery()}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to generate PDF');
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${courseStrategyData.courseName.replace(/\s+/g, '_')}_Game_Plan.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('PDF download error:', error);
+      alert('Failed to download PDF');
+    }
+  };
+
+  // Public read-only link to the item being viewed; returns the new share
+  const createShare = async () => {
+    if (!shareTarget) return null;
+    setIsCreatingShare(true);
+
+    try {
+      const response = await fetch(`${API_URL}/api/${shareTarget.path}/share`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          hideIdentity: shareForm.hideIdentity,
+          expiresInDays: shareForm.expiresInDays ? parseInt(shareForm.expiresInDays) : null
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to create share link');
+      setShares(prev => [data.share, ...prev]);
+      return data.share;
+    } catch (error) {
+      console.error('Create share error:', error);
+      alert(error.message);
+      return null;
+    } finally {
+      setIsCreatingShare(false);
+    }
+  };
+
+  const updateShare = async (shareId, changes) => {
+    try {
+      const response = await fetch(`${API_URL}/api/shares/${shareId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to update share link');
+      setShares(prev => prev.map(share => (share.id === shareId ? data.share : share)));
+    } catch (error) {
+      console.error('Update share error:', error);
+      alert(error.message);
+    }
+  };
+
+  const revokeShare = async (shareId) => {
+    if (!confirm('Revoke this link? Anyone who has it will no longer be able to open it.')) return;
+
+    try {
+      const response = await fetch(`${API_URL}/api/shares/${shareId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error('Failed to revoke share link');
+      setShares(prev => prev.map(share => (share.id === shareId ? { ...share, status: 'revoked' } : share)));
+    } catch (error) {
+      console.error('Revoke share error:', error);
+      alert(error.message);
+    }
+  };
+
+  const copyShareLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      alert('Link copied to clipboard!');
+    } catch {
+      prompt('Copy this link:', url);
+    }
+  };
+
+  // Sends an active link (making one if needed) through the device's share sheet
+  const sendShareLink = async (title, text) => {
+    const share = shares.find(s => s.status === 'active') || await createShare();
+    if (!share) return;
+
+    if (navigator.share) {
+      navigator.share({ title, text, url: share.url }).catch(() => {});
+    } else {
+      copyShareLink(share.url);
+    }
+  };
+
+  const renderSharePanel = () => shareTarget && (
+    <div className="share-panel">
+      <h3>Share a read-only link</h3>
+      <p className="share-panel-hint">Send your game plan to a playing partner or coach. They don't need an account.</p>
+      <div className="share-create">
+        <label className="share-toggle">
+          <input
+            type="checkbox"
+            checked={shareForm.hideIdentity}
+            onChange={(e) => setShareForm(prev => ({ ...prev, hideIdentity: e.target.checked }))}
+          />
+          Hide my name and handicap
+        </label>
+        <select
+          value={shareForm.expiresInDays}
+          onChange={(e) => setShareForm(prev => ({ ...prev, expiresInDays: e.target.value }))}
+        >
+          <option value="">Never expires</option>
+          <option value="1">Expires in 1 day</option>
+          <option value="7">Expires in 7 days</option>
+          <option value="30">Expires in 30 days</option>
+          <option value="90">Expires in 90 days</option>
+        </select>
+        <button type="button" className="share-create-btn" onClick={createShare} disabled={isCreatingShare}>
+          {isCreatingShare ? 'Creating…' : '🔗 Create link'}
+        </button>
+      </div>
+
+      {shares.length > 0 && (
+        <ul className="share-list">
+          {shares.map(share => (
+            <li key={share.id} className={`share-item ${share.status}`}>
+              <input type="text" readOnly value={share.url} onFocus={(e) => e.target.select()} />
+              <div className="share-meta">
+                <span>{share.viewCount} view{share.viewCount === 1 ? '' : 's'}</span>
+                {share.status === 'active' ? (
+                  <>
+                    <span>{share.expiresAt ? `Expires ${new Date(`${share.expiresAt.replace(' ', 'T')}Z`).toLocaleDateString()}` : 'No expiry'}</span>
+                    <label className="share-toggle">
+                      <input
+                        type="checkbox"
+                        checked={share.hideIdentity}
+                        onChange={(e) => updateShare(share.id, { hideIdentity: e.target.checked })}
+                      />
+                      Hide name and handicap
+                    </label>
+                    <button type="button" onClick={() => copyShareLink(share.url)}>Copy</button>
+                    <button type="button" className="share-revoke-btn" onClick={() => revokeShare(share.id)}>Revoke</button>
+                  </>
+                ) : (
+                  <span className="share-status">{share.status === 'revoked' ? 'Revoked' : 'Expired'}</span>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  // Theme, paper size and logo for the PDF buttons next to it
+  const renderPdfStyle = () => pdfOptions && (
+    <div className="pdf-style">
+      <label>
+        PDF theme
+        <select value={pdfStyle.theme} onChange={(e) => setPdfStyle(prev => ({ ...prev, theme: e.target.value }))}>
+          {pdfOptions.themes.map(theme => (
+            <option key={theme.id} value={theme.id}>{theme.label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Paper
+        <select value={pdfStyle.paper} onChange={(e) => setPdfStyle(prev => ({ ...prev, paper: e.target.value }))}>
+          <option value="">Default</option>
+          {pdfOptions.papers.map(paper => (
+            <option key={paper.id} value={paper.id}>{paper.label}</option>
+          ))}
+        </select>
+      </label>
+      <div className="pdf-logo">
+        {pdfOptions.logo ? (
+          <>
+            <span>✓ Logo on your PDFs</span>
+            <button type="button" onClick={removeLogo}>Remove</button>
+          </>
+        ) : (
+          <label className="pdf-logo-upload">
+            {isUploadingLogo ? 'Uploading…' : '+ Club or coach logo'}
+            <input
+              type="file"
+              accept="image/png,image/jpeg"
+              disabled={isUploadingLogo}
+              onChange={(e) => { uploadLogo(e.target.files[0]); e.target.value = ''; }}
+            />
+          </label>
+        )}
+      </div>
+    </div>
+  );
+
   // Render functions for each step
   const renderStep1 = () => (
     <div className="step-content">
@@ -1000,7 +1658,10 @@ export default function App() {
     </div>
   );
 
-  const renderStep4 = () => (
+  const renderStep4 = () => {
+    const reviewReady = scorecardReview?.every(round => round.holes.every(h => Number.isInteger(h.score) && h.score > 0));
+
+    return (
     <div className="step-content">
       <div className="step-header">
         <span className="step-number">04</span>
@@ -1088,6 +1749,90 @@ export default function App() {
         </div>
       )}
 
+      {/* Check what was read before it goes into the analysis */}
+      {scorecardReview && (
+        <div className="scorecard-review">
+          <div className="cards-header">
+            <span>Check your scores</span>
+          </div>
+          <p className="review-hint">
+            Highlighted cells were hard to read or don't add up to the totals on the card. Fix anything that's wrong - only these numbers go into your analysis.
+          </p>
+
+          {scorecardReview.map((round, roundIndex) => {
+            const { totals, printed, mismatches } = scorecardTotals(round);
+            const totalKeys = round.holes.some(h => h.hole >= 10) ? [['out', 'Out'], ['in', 'In'], ['total', 'Total']] : [['out', 'Out'], ['total', 'Total']];
+
+            return (
+              <div key={roundIndex} className="review-round">
+                <div className="review-round-header">
+                  <input
+                    type="date"
+                    value={round.date || ''}
+                    onChange={(e) => updateReviewRound(roundIndex, { date: e.target.value || null })}
+                  />
+                  <input
+                    type="text"
+                    value={round.course || ''}
+                    placeholder="Course"
+                    onChange={(e) => updateReviewRound(roundIndex, { course: e.target.value })}
+                  />
+                  <button className="review-remove" onClick={() => removeReviewRound(roundIndex)}>Remove</button>
+                </div>
+
+                <div className="review-grid-wrap">
+                  <table className="review-grid">
+                    <thead>
+                      <tr>
+                        <th>Hole</th>
+                        {round.holes.map(hole => <th key={hole.hole}>{hole.hole}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {REVIEW_FIELDS.map(([field, label]) => (
+                        <tr key={field}>
+                          <th>{label}</th>
+                          {round.holes.map((hole, holeIndex) => (
+                            <td key={hole.hole} className={hole.flags.includes(field) ? 'low-confidence' : ''}>
+                              <input
+                                type="number"
+                                inputMode="numeric"
+                                value={hole[field] ?? ''}
+                                onChange={(e) => updateReviewHole(roundIndex, holeIndex, field, e.target.value)}
+                              />
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="review-totals">
+                  {totalKeys.map(([key, label]) => (
+                    <span key={key} className={mismatches.includes(key) ? 'mismatch' : ''}>
+                      {label} {totals[key]}{mismatches.includes(key) && ` (card says ${printed[key]})`}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+
+          {isAuthenticated && (
+            <label className="review-save">
+              <input
+                type="checkbox"
+                checked={saveReviewedRounds}
+                onChange={(e) => setSaveReviewedRounds(e.target.checked)}
+              />
+              Also save these rounds to my round history
+              {saveReviewedRounds && scorecardReview.some(round => !round.date) && ' (rounds without a date are skipped)'}
+            </label>
+          )}
+        </div>
+      )}
+
       {error && (
         <div className="error-message">
           {error}
@@ -1096,13 +1841,23 @@ export default function App() {
       
       <div className="btn-group">
         <button className="back-btn" onClick={() => setStep(3)}>← Back</button>
-        <button 
-          className="next-btn analyze-btn"
-          onClick={analyzeGame}
-          disabled={isAnalyzing || (!ghinConnected && formData.uploadedCards.length === 0)}
-        >
-          {isAnalyzing ? 'Analyzing...' : 'Analyze My Game →'}
-        </button>
+        {formData.uploadedCards.length > 0 && !scorecardReview ? (
+          <button 
+            className="next-btn analyze-btn"
+            onClick={readScorecards}
+            disabled={isReadingScorecards}
+          >
+            {isReadingScorecards ? 'Reading scorecards...' : 'Read My Scorecards →'}
+          </button>
+        ) : (
+          <button 
+            className="next-btn analyze-btn"
+            onClick={analyzeGame}
+            disabled={isAnalyzing || (!ghinConnected && !scorecardReview) || (scorecardReview && !reviewReady)}
+          >
+            {isAnalyzing ? 'Analyzing...' : 'Analyze My Game →'}
+          </button>
+        )}
       </div>
       
       {!ghinConnected && formData.uploadedCards.length === 0 && (
@@ -1110,37 +1865,55 @@ export default function App() {
           Upload at least one scorecard to continue, or <button className="link-btn" onClick={() => setStep(1)}>connect GHIN</button>
         </p>
       )}
+
+      {scorecardReview && !reviewReady && (
+        <p className="upload-hint">Every hole needs a score before the analysis can run.</p>
+      )}
       
-      {!ghinConnected && formData.uploadedCards.length > 0 && formData.uploadedCards.length < 3 && (
+      {!ghinConnected && !scorecardReview && formData.uploadedCards.length > 0 && formData.uploadedCards.length < 3 && (
         <p className="skip-note">
-          More scorecards = better analysis. <button className="skip-link" onClick={analyzeGame}>Continue with {formData.uploadedCards.length}</button>
+          More scorecards = better analysis. <button className="skip-link" onClick={readScorecards} disabled={isReadingScorecards}>Continue with {formData.uploadedCards.length}</button>
         </p>
       )}
     </div>
-  );
+    );
+  };
 
-  const renderAnalyzing = () => (
-    <div className="analyzing-screen">
-      <div className="analyzing-content">
-        <div className="analyzing-spinner"></div>
-        <h2>Analyzing your game...</h2>
-        <div className="analyzing-steps">
-          <div className={`analyzing-step ${analyzeStep >= 0 ? 'active' : ''}`}>
-            {analyzeStep > 0 ? '✓' : '○'} Reading scorecards
-          </div>
-          <div className={`analyzing-step ${analyzeStep >= 1 ? 'active' : ''}`}>
-            {analyzeStep > 1 ? '✓' : '○'} Identifying patterns
-          </div>
-          <div className={`analyzing-step ${analyzeStep >= 2 ? 'active' : ''}`}>
-            {analyzeStep > 2 ? '✓' : '○'} Building strategy
-          </div>
-          <div className={`analyzing-step ${analyzeStep >= 3 ? 'active' : ''}`}>
-            {analyzeStep > 3 ? '✓' : '○'} Creating practice plan
+  const renderAnalyzing = () => {
+    const sectionsReady = Object.keys(analyzeSections).length;
+    const keyInsight = analyzeSections.summary?.keyInsight;
+
+    return (
+      <div className="analyzing-screen">
+        <div className="analyzing-content">
+          <div className="analyzing-spinner"></div>
+          <h2>Analyzing your game...</h2>
+          <div className="analyzing-steps">
+            {analyzeStages.length === 0 && (
+              <div className="analyzing-step active">○ Starting analysis</div>
+            )}
+            {analyzeStages.map((stage, i) => {
+              const current = i === analyzeStages.length - 1;
+              return (
+                <div key={i} className={`analyzing-step ${current ? 'active' : 'complete'}`}>
+                  {current ? '○' : '✓'} {stage.message}
+                  {current && stage.stage === 'generating' && sectionsReady > 0 && (
+                    <span className="analyzing-sections"> ({sectionsReady} of {ANALYSIS_SECTION_COUNT} sections)</span>
+                  )}
+                </div>
+              );
+            })}
           </div>
+          {keyInsight && (
+            <div className="analyzing-preview">
+              <span className="insight-label">Key Insight</span>
+              <p>{keyInsight}</p>
+            </div>
+          )}
         </div>
       </div>
-    </div>
-  );
+    );
+  };
 
   const renderResults = () => {
     if (!analysis) return null;
@@ -1742,6 +2515,144 @@ export default function App() {
           </section>
         )}
         
+        {/* How's it working? */}
+        {effectiveness && (
+          <section className="results-section effectiveness-section">
+            <div className="section-header">
+              <span className="section-icon">📈</span>
+              <h2>How's it working?</h2>
+            </div>
+            {effectiveness.roundsAfter === 0 ? (
+              <p className="effectiveness-empty">
+                Log rounds (or sync GHIN) after this analysis to see how your game has changed since {formatShortDate(effectiveness.analysisDate)}.
+              </p>
+            ) : (
+              <>
+                <p className="effectiveness-summary">
+                  {effectiveness.roundsAfter} round{effectiveness.roundsAfter === 1 ? '' : 's'} since {formatShortDate(effectiveness.analysisDate)} vs {effectiveness.roundsBefore} before
+                  {effectiveness.goalsChecked > 0 && ` • ${effectiveness.goalsMet} of ${effectiveness.goalsChecked} goals met`}
+                </p>
+                <table className="effectiveness-table">
+                  <thead>
+                    <tr>
+                      <th>Stat</th>
+                      <th>Before</th>
+                      <th>After</th>
+                      <th>Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {effectiveness.comparison
+                      .filter(row => row.before != null || row.after != null)
+                      .map(row => (
+                        <tr key={row.key}>
+                          <td>{row.label}</td>
+                          <td>{row.before != null ? `${row.before}${row.unit || ''}` : '—'}</td>
+                          <td>{row.after != null ? `${row.after}${row.unit || ''}` : '—'}</td>
+                          <td className={row.improved === true ? 'improved' : row.improved === false ? 'worse' : ''}>
+                            {row.change != null ? `${row.change > 0 ? '+' : ''}${row.change}${row.unit || ''}` : '—'}
+                          </td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+
+                {effectiveness.targetStats.length > 0 && (
+                  <div className="goal-list">
+                    <strong>Target stats</strong>
+                    {effectiveness.targetStats.map(stat => (
+                      <div key={stat.key} className={`goal-row ${stat.status}`}>
+                        <span className="goal-status">{GOAL_STATUS_LABELS[stat.status]}</span>
+                        <span className="goal-text">{stat.label}: target {stat.target}</span>
+                        <span className="goal-detail">{stat.after != null ? `now ${stat.after}${stat.unit || ''}` : ''}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {effectiveness.thirtyDayPlan.length > 0 && (
+                  <div className="goal-list">
+                    <strong>30-day plan</strong>
+                    {effectiveness.thirtyDayPlan.flatMap(week => week.goals.map((goal, j) => (
+                      <div key={`${week.week}-${j}`} className={`goal-row ${goal.status}`}>
+                        <span className="goal-status">{GOAL_STATUS_LABELS[goal.status]}</span>
+                        <span className="goal-text">Week {week.week}: {goal.goal}</span>
+                        <span className="goal-detail">{goal.detail || ''}</span>
+                      </div>
+                    )))}
+                  </div>
+                )}
+              </>
+            )}
+          </section>
+        )}
+        
+        {/* Ask a follow-up */}
+        {chatQuota && (
+          <section className="results-section chat-section">
+            <div className="section-header">
+              <span className="section-icon">💬</span>
+              <h2>Ask your coach</h2>
+            </div>
+            <div className="chat-toolbar">
+              <select
+                value={chatThreadId || ''}
+                onChange={(e) => openChatThread(e.target.value ? parseInt(e.target.value) : null)}
+                disabled={chatReply !== null}
+              >
+                <option value="">New conversation</option>
+                {chatThreads.map(thread => (
+                  <option key={thread.id} value={thread.id}>{thread.title}</option>
+                ))}
+              </select>
+              <span className="chat-quota">
+                {chatQuota.remaining} of {chatQuota.limit} questions left this month
+              </span>
+            </div>
+
+            <div className="chat-messages">
+              {chatMessages.length === 0 && chatReply === null && (
+                <p className="chat-empty">
+                  Ask anything about this strategy — "How should I play 14 into the wind?" or "What do I hit off the tee on the short par 4s?"
+                </p>
+              )}
+              {chatMessages.map(msg => (
+                <div key={msg.id} className={`chat-message ${msg.role}`}>{msg.content}</div>
+              ))}
+              {chatReply !== null && (
+                <div className="chat-message assistant streaming">{chatReply || '…'}</div>
+              )}
+            </div>
+
+            {chatError && <p className="chat-error">{chatError}</p>}
+
+            <form className="chat-form" onSubmit={sendChatMessage}>
+              <textarea
+                value={chatInput}
+                onChange={(e) => setChatInput(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) sendChatMessage(e);
+                }}
+                placeholder={chatQuota.remaining > 0 ? 'Ask a follow-up question…' : 'Monthly question limit reached'}
+                maxLength={2000}
+                rows={2}
+                disabled={chatReply !== null || chatQuota.remaining === 0}
+              />
+              <button
+                type="submit"
+                className="chat-send-btn"
+                disabled={!chatInput.trim() || chatReply !== null || chatQuota.remaining === 0}
+              >
+                {chatReply !== null ? 'Thinking…' : 'Ask'}
+              </button>
+            </form>
+          </section>
+        )}
+        
+        {renderSharePanel()}
+
+        {renderPdfStyle()}
+
         <div className="results-footer">
           <button className="restart-btn" onClick={resetForm}>
             Back to Dashboard
@@ -1752,6 +2663,11 @@ export default function App() {
           <button className="print-btn secondary" onClick={() => downloadPDF('practice')}>
             📋 View Drills
           </button>
+          {analysis.holeByHoleStrategy?.length > 0 && (
+            <button className="print-btn secondary" onClick={() => downloadPDF('yardage')}>
+              📖 Yardage Book
+            </button>
+          )}
         </div>
       </div>
     );
@@ -1774,15 +2690,16 @@ export default function App() {
       {/* Auth Modal */}
       <AuthModal 
         isOpen={showAuthModal} 
-        onClose={() => { setShowAuthModal(false); setShowPricingFlow(false); }}
+        onClose={() => { setShowAuthModal(false); setShowPricingFlow(false); setEmailLinkTokens({ resetToken: null, verifyToken: null }); }}
         initialMode={authMode}
+        resetToken={emailLinkTokens.resetToken}
+        verifyToken={emailLinkTokens.verifyToken}
         defaultName={formData.name}
         showPricing={showPricingFlow}
         requirePayment={previewMode && pendingAnalysis !== null}
         onUnlock={unlockAnalysis}
-        onGhinConnected={async ({ ghinToken: newGhinToken, golfer }) => {
-          // User signed up with GHIN - fetch their scores
-          setGhinToken(newGhinToken);
+        onGhinConnected={async ({ accessToken, golfer }) => {
+          // User signed up with GHIN - fetch their scores (the server holds the GHIN token)
           setFormData(prev => ({
             ...prev,
             name: `${golfer.firstName} ${golfer.lastName}`,
@@ -1795,11 +2712,10 @@ export default function App() {
               method: 'POST',
               headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
+                'Authorization': `Bearer ${accessToken}`
               },
               body: JSON.stringify({
                 ghinNumber: golfer.ghinNumber,
-                ghinToken: newGhinToken,
                 limit: 20
               })
             });
@@ -2639,6 +3555,125 @@ export default function App() {
           margin-top: 16px;
         }
 
+        .scorecard-review {
+          margin-top: 24px;
+        }
+
+        .review-hint {
+          font-size: 13px;
+          color: rgba(240, 244, 232, 0.6);
+          margin-bottom: 16px;
+        }
+
+        .review-round {
+          background: rgba(0, 0, 0, 0.2);
+          border: 1px solid rgba(255, 255, 255, 0.08);
+          border-radius: 12px;
+          padding: 16px;
+          margin-bottom: 16px;
+        }
+
+        .review-round-header {
+          display: flex;
+          gap: 8px;
+          margin-bottom: 12px;
+        }
+
+        .review-round-header input {
+          flex: 1;
+          min-width: 0;
+          padding: 8px 12px;
+          background: rgba(0, 0, 0, 0.3);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 8px;
+          color: #f0f4e8;
+          font-family: inherit;
+          font-size: 14px;
+        }
+
+        .review-remove {
+          background: none;
+          border: none;
+          color: rgba(240, 244, 232, 0.5);
+          font-size: 13px;
+          cursor: pointer;
+        }
+
+        .review-remove:hover {
+          color: #ff6b6b;
+        }
+
+        .review-grid-wrap {
+          overflow-x: auto;
+        }
+
+        .review-grid {
+          border-collapse: collapse;
+          font-size: 13px;
+        }
+
+        .review-grid th {
+          padding: 4px;
+          font-weight: 500;
+          color: rgba(240, 244, 232, 0.5);
+          text-align: center;
+        }
+
+        .review-grid tbody th {
+          text-align: left;
+          padding-right: 8px;
+        }
+
+        .review-grid td {
+          padding: 2px;
+        }
+
+        .review-grid input {
+          width: 40px;
+          padding: 6px 2px;
+          background: rgba(0, 0, 0, 0.3);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 6px;
+          color: #f0f4e8;
+          font-family: inherit;
+          font-size: 13px;
+          text-align: center;
+          -moz-appearance: textfield;
+        }
+
+        .review-grid input::-webkit-outer-spin-button,
+        .review-grid input::-webkit-inner-spin-button {
+          -webkit-appearance: none;
+          margin: 0;
+        }
+
+        .review-grid td.low-confidence input {
+          border-color: #e8a87c;
+          background: rgba(232, 168, 124, 0.15);
+        }
+
+        .review-totals {
+          display: flex;
+          gap: 16px;
+          margin-top: 12px;
+          font-size: 13px;
+          color: rgba(240, 244, 232, 0.7);
+        }
+
+        .review-totals .mismatch {
+          color: #ff6b6b;
+          font-weight: 600;
+        }
+
+        .review-save {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 14px;
+          color: rgba(240, 244, 232, 0.7);
+          cursor: pointer;
+        }
+
         .upload-hint .link-btn {
           background: none;
           border: none;
@@ -3414,7 +4449,7 @@ export default function App() {
           flex-direction: column;
           gap: 12px;
           text-align: left;
-          max-width: 200px;
+          max-width: 320px;
           margin: 0 auto;
         }
         
@@ -3427,6 +4462,26 @@ export default function App() {
         .analyzing-step.active {
           color: #7cb97c;
         }
+
+        .analyzing-step.complete {
+          color: rgba(240, 244, 232, 0.7);
+        }
+
+        .analyzing-sections {
+          color: rgba(240, 244, 232, 0.5);
+        }
+
+        .analyzing-preview {
+          max-width: 420px;
+          margin: 32px auto 0;
+          padding: 16px 20px;
+          text-align: left;
+          background: rgba(124, 185, 124, 0.1);
+          border: 1px solid rgba(124, 185, 124, 0.2);
+          border-radius: 12px;
+          font-size: 14px;
+          line-height: 1.5;
+        }
         
         /* Results */
         .results-container {
@@ -4004,96 +5059,280 @@ export default function App() {
         .mantras {
           margin-top: 16px;
         }
-        
-        .mantras > strong {
-          display: block;
-          font-size: 13px;
+        
+        .mantras > strong {
+          display: block;
+          font-size: 13px;
+          color: rgba(240, 244, 232, 0.5);
+          margin-bottom: 12px;
+        }
+        
+        .mantra-item {
+          padding: 12px 16px;
+          background: rgba(0, 0, 0, 0.2);
+          border-radius: 8px;
+          font-style: italic;
+          font-size: 15px;
+          border-left: 3px solid #7cb97c;
+          margin-bottom: 8px;
+        }
+        
+        .stats-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(100px, 1fr));
+          gap: 16px;
+        }
+        
+        .stat-item {
+          text-align: center;
+          padding: 20px 12px;
+          background: rgba(0, 0, 0, 0.2);
+          border-radius: 12px;
+        }
+        
+        .stat-value {
+          font-family: 'Fraunces', Georgia, serif;
+          font-size: 24px;
+          font-weight: 700;
+          color: #7cb97c;
+          margin-bottom: 4px;
+        }
+        
+        .stat-label {
+          font-size: 12px;
+          text-transform: uppercase;
+          letter-spacing: 1px;
+          color: rgba(240, 244, 232, 0.5);
+        }
+        
+        .week-cards {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: 16px;
+        }
+        
+        .week-card {
+          background: rgba(0, 0, 0, 0.2);
+          border-radius: 12px;
+          padding: 20px;
+        }
+        
+        .week-number {
+          font-size: 12px;
+          text-transform: uppercase;
+          letter-spacing: 1px;
+          color: #7cb97c;
+          margin-bottom: 8px;
+        }
+        
+        .week-focus {
+          font-weight: 600;
+          margin-bottom: 12px;
+        }
+        
+        .week-goals {
+          list-style: none;
+          font-size: 14px;
+          color: rgba(240, 244, 232, 0.7);
+        }
+        
+        .week-goals li {
+          padding: 4px 0;
+          padding-left: 16px;
+          position: relative;
+        }
+        
+        .week-goals li::before {
+          content: '•';
+          position: absolute;
+          left: 0;
+          color: #7cb97c;
+        }
+        
+        .effectiveness-summary,
+        .effectiveness-empty {
+          font-size: 14px;
+          color: rgba(240, 244, 232, 0.7);
+          margin-bottom: 16px;
+        }
+
+        .effectiveness-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+          margin-bottom: 20px;
+        }
+
+        .effectiveness-table th {
+          text-align: left;
+          font-size: 11px;
+          font-weight: 500;
+          text-transform: uppercase;
+          letter-spacing: 1px;
+          color: rgba(240, 244, 232, 0.5);
+          padding: 8px;
+          border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        }
+
+        .effectiveness-table td {
+          padding: 8px;
+          border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+        }
+
+        .effectiveness-table td.improved {
+          color: #7cb97c;
+          font-weight: 600;
+        }
+
+        .effectiveness-table td.worse {
+          color: #ff6b6b;
+          font-weight: 600;
+        }
+
+        .goal-list {
+          margin-bottom: 16px;
+        }
+
+        .goal-list > strong {
+          display: block;
+          font-size: 13px;
+          color: rgba(240, 244, 232, 0.5);
+          margin-bottom: 8px;
+        }
+
+        .goal-row {
+          display: grid;
+          grid-template-columns: 80px 1fr auto;
+          gap: 12px;
+          align-items: center;
+          padding: 8px 12px;
+          background: rgba(0, 0, 0, 0.2);
+          border-radius: 8px;
+          font-size: 14px;
+          margin-bottom: 6px;
+        }
+
+        .goal-status {
+          font-size: 11px;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 1px;
+          color: rgba(240, 244, 232, 0.4);
+        }
+
+        .goal-row.met .goal-status {
+          color: #7cb97c;
+        }
+
+        .goal-row.unmet .goal-status {
+          color: #ff6b6b;
+        }
+
+        .goal-detail {
+          font-size: 12px;
           color: rgba(240, 244, 232, 0.5);
-          margin-bottom: 12px;
         }
-        
-        .mantra-item {
-          padding: 12px 16px;
-          background: rgba(0, 0, 0, 0.2);
-          border-radius: 8px;
-          font-style: italic;
-          font-size: 15px;
-          border-left: 3px solid #7cb97c;
-          margin-bottom: 8px;
+
+        .chat-toolbar {
+          display: flex;
+          gap: 12px;
+          align-items: center;
+          justify-content: space-between;
+          margin-bottom: 16px;
         }
-        
-        .stats-grid {
-          display: grid;
-          grid-template-columns: repeat(auto-fit, minmax(100px, 1fr));
-          gap: 16px;
+
+        .chat-toolbar select {
+          max-width: 60%;
+          padding: 8px 12px;
+          background: rgba(0, 0, 0, 0.3);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 8px;
+          color: #f0f4e8;
+          font-size: 14px;
         }
-        
-        .stat-item {
-          text-align: center;
-          padding: 20px 12px;
-          background: rgba(0, 0, 0, 0.2);
-          border-radius: 12px;
+
+        .chat-quota {
+          font-size: 12px;
+          color: rgba(240, 244, 232, 0.5);
         }
-        
-        .stat-value {
-          font-family: 'Fraunces', Georgia, serif;
-          font-size: 24px;
-          font-weight: 700;
-          color: #7cb97c;
-          margin-bottom: 4px;
+
+        .chat-messages {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+          max-height: 420px;
+          overflow-y: auto;
+          margin-bottom: 16px;
         }
-        
-        .stat-label {
-          font-size: 12px;
-          text-transform: uppercase;
-          letter-spacing: 1px;
+
+        .chat-empty {
+          font-size: 14px;
           color: rgba(240, 244, 232, 0.5);
         }
-        
-        .week-cards {
-          display: grid;
-          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-          gap: 16px;
+
+        .chat-message {
+          max-width: 85%;
+          padding: 10px 14px;
+          border-radius: 12px;
+          font-size: 14px;
+          line-height: 1.5;
+          white-space: pre-wrap;
         }
-        
-        .week-card {
+
+        .chat-message.user {
+          align-self: flex-end;
+          background: rgba(124, 185, 124, 0.2);
+          color: #f0f4e8;
+        }
+
+        .chat-message.assistant {
+          align-self: flex-start;
           background: rgba(0, 0, 0, 0.2);
-          border-radius: 12px;
-          padding: 20px;
+          color: rgba(240, 244, 232, 0.85);
         }
-        
-        .week-number {
-          font-size: 12px;
-          text-transform: uppercase;
-          letter-spacing: 1px;
-          color: #7cb97c;
-          margin-bottom: 8px;
+
+        .chat-message.streaming {
+          border: 1px solid rgba(124, 185, 124, 0.3);
         }
-        
-        .week-focus {
-          font-weight: 600;
+
+        .chat-error {
+          font-size: 13px;
+          color: #ff6b6b;
           margin-bottom: 12px;
         }
-        
-        .week-goals {
-          list-style: none;
+
+        .chat-form {
+          display: flex;
+          gap: 12px;
+        }
+
+        .chat-form textarea {
+          flex: 1;
+          padding: 10px 14px;
+          background: rgba(0, 0, 0, 0.3);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 8px;
+          color: #f0f4e8;
+          font-family: inherit;
           font-size: 14px;
-          color: rgba(240, 244, 232, 0.7);
+          resize: vertical;
         }
-        
-        .week-goals li {
-          padding: 4px 0;
-          padding-left: 16px;
-          position: relative;
+
+        .chat-send-btn {
+          padding: 0 24px;
+          background: #7cb97c;
+          border: none;
+          border-radius: 8px;
+          color: #1a3a1a;
+          font-weight: 600;
+          cursor: pointer;
         }
-        
-        .week-goals li::before {
-          content: '•';
-          position: absolute;
-          left: 0;
-          color: #7cb97c;
+
+        .chat-send-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
         }
-        
+
         .results-footer {
           max-width: 900px;
           margin: 40px auto 0;
@@ -4127,6 +5366,162 @@ export default function App() {
           background: rgba(255, 255, 255, 0.1);
           color: #fff;
         }
+
+        .pdf-style {
+          max-width: 900px;
+          margin: 32px auto 0;
+          display: flex;
+          flex-wrap: wrap;
+          gap: 16px;
+          justify-content: center;
+          align-items: flex-end;
+          font-size: 13px;
+          color: rgba(240, 244, 232, 0.7);
+        }
+
+        .pdf-style label {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+
+        .pdf-style select {
+          padding: 8px 10px;
+          font-family: inherit;
+          font-size: 14px;
+          color: #f0f4e8;
+          background: rgba(255, 255, 255, 0.08);
+          border: 1px solid rgba(255, 255, 255, 0.15);
+          border-radius: 8px;
+        }
+
+        .pdf-style option {
+          color: #0d1f0d;
+        }
+
+        .pdf-logo {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          min-height: 36px;
+        }
+
+        .pdf-logo span {
+          color: #7cb97c;
+        }
+
+        .pdf-logo button,
+        .pdf-style .pdf-logo-upload {
+          flex-direction: row;
+          padding: 8px 12px;
+          font-family: inherit;
+          font-size: 13px;
+          color: #f0f4e8;
+          background: rgba(255, 255, 255, 0.08);
+          border: 1px dashed rgba(255, 255, 255, 0.25);
+          border-radius: 8px;
+          cursor: pointer;
+        }
+
+        .pdf-logo-upload input {
+          display: none;
+        }
+
+        .share-panel {
+          max-width: 900px;
+          margin: 32px auto 0;
+          padding: 20px 24px;
+          background: rgba(255, 255, 255, 0.04);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 12px;
+          font-size: 13px;
+          color: rgba(240, 244, 232, 0.7);
+        }
+
+        .share-panel h3 {
+          margin: 0 0 4px;
+          font-size: 16px;
+          color: #f0f4e8;
+        }
+
+        .share-panel-hint {
+          margin: 0 0 16px;
+        }
+
+        .share-create,
+        .share-meta {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          align-items: center;
+        }
+
+        .share-toggle {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          cursor: pointer;
+        }
+
+        .share-panel select,
+        .share-item input[type="text"] {
+          padding: 8px 10px;
+          font-family: inherit;
+          font-size: 14px;
+          color: #f0f4e8;
+          background: rgba(255, 255, 255, 0.08);
+          border: 1px solid rgba(255, 255, 255, 0.15);
+          border-radius: 8px;
+        }
+
+        .share-panel option {
+          color: #0d1f0d;
+        }
+
+        .share-panel button {
+          padding: 8px 12px;
+          font-family: inherit;
+          font-size: 13px;
+          color: #f0f4e8;
+          background: rgba(255, 255, 255, 0.08);
+          border: 1px solid rgba(255, 255, 255, 0.15);
+          border-radius: 8px;
+          cursor: pointer;
+        }
+
+        .share-panel .share-create-btn {
+          background: #7cb97c;
+          border-color: #7cb97c;
+          color: #0d1f0d;
+          font-weight: 600;
+        }
+
+        .share-panel .share-revoke-btn {
+          color: #e07a6b;
+        }
+
+        .share-list {
+          list-style: none;
+          margin: 16px 0 0;
+          padding: 0;
+        }
+
+        .share-item {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          padding: 12px 0;
+          border-top: 1px solid rgba(255, 255, 255, 0.08);
+        }
+
+        .share-item input[type="text"] {
+          width: 100%;
+        }
+
+        .share-item.revoked,
+        .share-item.expired {
+          opacity: 0.5;
+        }
         
         .loading-screen {
           min-height: 100vh;
@@ -4370,6 +5765,9 @@ export default function App() {
           /* Hide navigation elements */
           .user-header,
           .results-footer,
+          .pdf-style,
+          .share-panel,
+          .chat-section,
           .results-nav,
           .back-btn,
           .download-btn,
@@ -4915,6 +6313,8 @@ export default function App() {
           /* Hide ALL navigation and non-content elements */
           .user-header,
           .course-footer,
+          .pdf-style,
+          .share-panel,
           .course-strategy-view .results-nav,
           .back-btn,
           .save-btn,
@@ -5665,28 +7065,31 @@ export default function App() {
             )}
           </div>
 
+          {renderSharePanel()}
+
+          {courseStrategyId && renderPdfStyle()}
+
           <div className="course-footer">
             <button className="back-btn" onClick={() => { setView('dashboard'); setCourseStrategyData(null); }}>
               ← Back to Dashboard
             </button>
             <div className="course-footer-actions">
+              {courseStrategyId && (
+                <button className="save-btn" onClick={downloadCourseStrategyPDF}>
+                  📄 Pocket Game Plan
+                </button>
+              )}
               <button className="save-btn" onClick={() => window.print()}>
                 🖨️ Print / Save PDF
               </button>
-              <button className="share-btn" onClick={() => {
-                if (navigator.share) {
-                  navigator.share({
-                    title: `${courseStrategyData.courseName} - Course Strategy`,
-                    text: `My strategy for playing ${courseStrategyData.courseName}`,
-                    url: window.location.href
-                  });
-                } else {
-                  navigator.clipboard.writeText(window.location.href);
-                  alert('Link copied to clipboard!');
-                }
-              }}>
-                📤 Share
-              </button>
+              {courseStrategyId && (
+                <button className="share-btn" onClick={() => sendShareLink(
+                  `${courseStrategyData.courseName} - Course Strategy`,
+                  `My strategy for playing ${courseStrategyData.courseName}`
+                )}>
+                  📤 Share
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -1,11 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
-export default function AuthModal({ isOpen, onClose, initialMode = 'login', defaultName = '', showPricing = false, requirePayment = false, onUnlock = null, onGhinConnected = null }) {
+export default function AuthModal({ isOpen, onClose, initialMode = 'login', defaultName = '', showPricing = false, requirePayment = false, onUnlock = null, onGhinConnected = null, resetToken = null, verifyToken = null }) {
   const [mode, setMode] = useState(initialMode);
-  const [step, setStep] = useState('auth'); // 'auth', 'ghin', or 'pricing'
+  const [step, setStep] = useState('auth'); // 'auth', 'ghin', 'forgot', 'reset', 'verify', or 'pricing'
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [name, setName] = useState(defaultName);
@@ -20,6 +20,11 @@ export default function AuthModal({ isOpen, onClose, initialMode = 'login', defa
   const [ghinEmail, setGhinEmail] = useState('');
   const [ghinPassword, setGhinPassword] = useState('');
 
+  // Password reset / email verification state
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [notice, setNotice] = useState('');
+  const handledLinkRef = useRef(null); // last reset / verification token acted on
+
   const { login, register, registerWithGhin, token, isAuthenticated, user, refreshUser } = useAuth();
 
   // Handle close - PREVENT closing if payment is required
@@ -49,7 +54,7 @@ export default function AuthModal({ isOpen, onClose, initialMode = 'login', defa
       // Notify parent about GHIN connection (for fetching scores)
       if (onGhinConnected) {
         onGhinConnected({
-          ghinToken: result.ghinToken,
+          accessToken: result.token,
           golfer: result.golfer
         });
       }
@@ -102,6 +107,91 @@ export default function AuthModal({ isOpen, onClose, initialMode = 'login', defa
     }
   };
 
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/forgot-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send reset email');
+      }
+      setNotice(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/auth/reset-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: resetToken, password })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to reset password');
+      }
+
+      // Back to sign in with the new password
+      handledLinkRef.current = resetToken;
+      setNotice(data.message);
+      setPassword('');
+      setConfirmPassword('');
+      setMode('login');
+      setStep('auth');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const verifyEmail = async (tokenToVerify) => {
+    setError('');
+    setNotice('');
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/verify-email`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: tokenToVerify })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to verify email');
+      }
+      setNotice(data.message);
+      if (isAuthenticated && refreshUser) refreshUser();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Update name when defaultName changes
   useEffect(() => {
     if (defaultName && !name) {
@@ -113,8 +203,13 @@ export default function AuthModal({ isOpen, onClose, initialMode = 'login', defa
   useEffect(() => {
     if (isOpen) {
       setMode(initialMode);
-      // If already authenticated and showing pricing, go straight to pricing
-      if (isAuthenticated && showPricing) {
+      // Links from reset / verification emails take priority until they've been used
+      if (resetToken && handledLinkRef.current !== resetToken) {
+        setStep('reset');
+      } else if (verifyToken && handledLinkRef.current !== verifyToken) {
+        setStep('verify');
+      } else if (isAuthenticated && showPricing) {
+        // If already authenticated and showing pricing, go straight to pricing
         setStep('pricing');
       } else {
         setStep('auth');
@@ -123,9 +218,18 @@ export default function AuthModal({ isOpen, onClose, initialMode = 'login', defa
         setName(defaultName);
       }
       setError('');
+      setNotice('');
       setSelectedPlan(null);
     }
-  }, [isOpen, initialMode, defaultName, showPricing, isAuthenticated]);
+  }, [isOpen, initialMode, defaultName, showPricing, isAuthenticated, resetToken, verifyToken]);
+
+  // Tokens are single-use, so only ever submit each one once
+  useEffect(() => {
+    if (isOpen && verifyToken && handledLinkRef.current !== verifyToken) {
+      handledLinkRef.current = verifyToken;
+      verifyEmail(verifyToken);
+    }
+  }, [isOpen, verifyToken]);
 
   if (!isOpen) return null;
 
@@ -240,6 +344,142 @@ export default function AuthModal({ isOpen, onClose, initialMode = 'login', defa
     );
   }
 
+  // Forgot password step
+  if (step === 'forgot') {
+    return (
+      <div className="modal-overlay" onClick={requirePayment ? undefined : handleClose}>
+        <div className="modal-content auth-modal" onClick={e => e.stopPropagation()}>
+          {!requirePayment && (
+            <button className="modal-close" onClick={handleClose}>×</button>
+          )}
+
+          <h2>Reset Password</h2>
+          <p className="modal-subtitle">
+            Enter the email you signed up with and we'll send you a link to choose a new password.
+          </p>
+
+          {error && <div className="auth-error">{error}</div>}
+
+          {notice ? (
+            <div className="auth-notice">{notice}</div>
+          ) : (
+            <form onSubmit={handleForgotPassword}>
+              <div className="form-group">
+                <label>Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={e => setEmail(e.target.value)}
+                  placeholder="you@email.com"
+                  required
+                />
+              </div>
+
+              <button type="submit" className="auth-submit" disabled={loading}>
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          )}
+
+          <div className="auth-switch">
+            <button onClick={() => { setNotice(''); setError(''); setStep('auth'); }}>← Back to sign in</button>
+          </div>
+
+          <style>{authStyles}</style>
+        </div>
+      </div>
+    );
+  }
+
+  // New password step (from the reset email link)
+  if (step === 'reset') {
+    return (
+      <div className="modal-overlay" onClick={handleClose}>
+        <div className="modal-content auth-modal" onClick={e => e.stopPropagation()}>
+          <button className="modal-close" onClick={handleClose}>×</button>
+
+          <h2>Choose a New Password</h2>
+          <p className="modal-subtitle">Pick a password you'll use to sign in with your email.</p>
+
+          {error && <div className="auth-error">{error}</div>}
+
+          <form onSubmit={handleResetPassword}>
+            <div className="form-group">
+              <label>New Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+                placeholder="••••••••"
+                required
+                minLength={6}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Confirm Password</label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={e => setConfirmPassword(e.target.value)}
+                placeholder="••••••••"
+                required
+                minLength={6}
+              />
+            </div>
+
+            <button type="submit" className="auth-submit" disabled={loading}>
+              {loading ? 'Saving...' : 'Set Password'}
+            </button>
+          </form>
+
+          <div className="auth-switch">
+            <button onClick={() => { setError(''); setStep('forgot'); }}>Link expired? Send a new one</button>
+          </div>
+
+          <style>{authStyles}</style>
+        </div>
+      </div>
+    );
+  }
+
+  // Email verification result (from the verification email link)
+  if (step === 'verify') {
+    return (
+      <div className="modal-overlay" onClick={handleClose}>
+        <div className="modal-content auth-modal" onClick={e => e.stopPropagation()}>
+          <button className="modal-close" onClick={handleClose}>×</button>
+
+          <h2>Confirm Email</h2>
+
+          {loading && <p className="modal-subtitle">Confirming your email...</p>}
+          {error && <div className="auth-error">{error}</div>}
+          {notice && <div className="auth-notice">✓ {notice}</div>}
+
+          {!loading && (
+            <button
+              className="auth-submit"
+              onClick={() => {
+                if (isAuthenticated) {
+                  onClose();
+                } else {
+                  setError('');
+                  setNotice('');
+                  setMode('login');
+                  setStep('auth');
+                }
+              }}
+            >
+              {isAuthenticated ? 'Continue' : 'Sign In'}
+            </button>
+          )}
+
+          <style>{authStyles}</style>
+        </div>
+      </div>
+    );
+  }
+
   // Auth step (signup/login)
   if (step === 'auth') {
     return (
@@ -257,6 +497,7 @@ export default function AuthModal({ isOpen, onClose, initialMode = 'login', defa
           </p>
 
           {error && <div className="auth-error">{error}</div>}
+          {notice && <div className="auth-notice">{notice}</div>}
 
           <form onSubmit={handleSubmit}>
             {mode === 'register' && (
@@ -293,6 +534,11 @@ export default function AuthModal({ isOpen, onClose, initialMode = 'login', defa
                 required
                 minLength={6}
               />
+              {mode === 'login' && (
+                <button type="button" className="forgot-link" onClick={() => { setError(''); setNotice(''); setStep('forgot'); }}>
+                  Forgot password?
+                </button>
+              )}
             </div>
 
             <button type="submit" className="auth-submit" disabled={loading}>
@@ -567,6 +813,31 @@ const authStyles = `
     cursor: not-allowed;
   }
 
+  .auth-notice {
+    background: rgba(124, 185, 124, 0.15);
+    border: 1px solid rgba(124, 185, 124, 0.4);
+    color: #a8d8a8;
+    padding: 12px 16px;
+    border-radius: 8px;
+    margin-bottom: 16px;
+    font-size: 14px;
+  }
+
+  .forgot-link {
+    display: block;
+    margin: 8px 0 0 auto;
+    background: none;
+    border: none;
+    color: rgba(240, 244, 232, 0.6);
+    font-size: 13px;
+    cursor: pointer;
+    font-family: inherit;
+  }
+
+  .forgot-link:hover {
+    color: #7cb97c;
+  }
+
   .auth-switch {
     text-align: center;
     margin-top: 20px;
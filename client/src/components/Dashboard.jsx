@@ -3,8 +3,31 @@ import { useAuth } from '../context/AuthContext';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+const FAIRWAY_OPTIONS = ['hit', 'left', 'right', 'short'];
+const GREEN_OPTIONS = ['hit', 'short', 'long', 'left', 'right'];
+
+// API path for each editable item type
+const ITEM_ENDPOINTS = {
+  round: 'rounds',
+  analysis: 'analyses',
+  course: 'course-strategies'
+};
+
+const emptyHoles = () => Array.from({ length: 18 }, (_, i) => ({
+  holeNumber: i + 1,
+  par: '',
+  strokeIndex: '',
+  yardage: '',
+  score: '',
+  putts: '',
+  fairwayResult: '',
+  greenResult: '',
+  penalties: '',
+  sandShots: ''
+}));
+
 export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseStrategy, onViewCourseStrategy }) {
-  const { user, token, refreshUser } = useAuth();
+  const { user, token, refreshUser, logoutAllDevices } = useAuth();
   const [analyses, setAnalyses] = useState([]);
   const [courseStrategies, setCourseStrategies] = useState([]);
   const [rounds, setRounds] = useState([]);
@@ -27,8 +50,28 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
     gir: '',
     putts: '',
     penalties: '',
-    notes: ''
+    notes: '',
+    tees: '',
+    courseRating: '',
+    slopeRating: '',
+    holesPlayed: '18'
   });
+  const [editingRoundId, setEditingRoundId] = useState(null);
+  const [editTarget, setEditTarget] = useState(null); // { type: 'analysis' | 'course', id, fields }
+  const [deletedItems, setDeletedItems] = useState({ rounds: [], analyses: [], courseStrategies: [] });
+  const [undoItem, setUndoItem] = useState(null);
+  const [roundEntryMode, setRoundEntryMode] = useState('totals');
+  const [holeRows, setHoleRows] = useState(emptyHoles);
+  const [roundError, setRoundError] = useState('');
+  const [ledger, setLedger] = useState(null);
+  const [verificationNotice, setVerificationNotice] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [ghinSync, setGhinSync] = useState(null);
+  const [handicap, setHandicap] = useState(null);
+  const [handicapHistory, setHandicapHistory] = useState(null);
+  const [teeCalc, setTeeCalc] = useState({ courseRating: '', slopeRating: '', par: '72', holes: '18', allowance: '95' });
+  const [playingHandicap, setPlayingHandicap] = useState(null);
+  const [teeCalcError, setTeeCalcError] = useState('');
 
   useEffect(() => {
     fetchData();
@@ -37,7 +80,7 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
   const fetchData = async () => {
     setLoading(true);
     try {
-      const [analysesRes, roundsRes, statsRes, courseRes] = await Promise.all([
+      const [analysesRes, roundsRes, statsRes, courseRes, deletedRes, ledgerRes, sessionsRes, ghinSyncRes, handicapRes, handicapHistoryRes] = await Promise.all([
         fetch(`${API_URL}/api/analyses`, {
           headers: { 'Authorization': `Bearer ${token}` }
         }),
@@ -49,7 +92,25 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
         }),
         fetch(`${API_URL}/api/course-strategies`, {
           headers: { 'Authorization': `Bearer ${token}` }
-        }).catch(() => ({ ok: false })) // Handle if endpoint doesn't exist yet
+        }).catch(() => ({ ok: false })), // Handle if endpoint doesn't exist yet
+        fetch(`${API_URL}/api/deleted`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        }),
+        fetch(`${API_URL}/api/payments/ledger`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        }),
+        fetch(`${API_URL}/api/auth/sessions`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        }),
+        fetch(`${API_URL}/api/ghin/sync-status`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        }),
+        fetch(`${API_URL}/api/handicap`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        }),
+        fetch(`${API_URL}/api/handicap/history`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        })
       ]);
 
       if (analysesRes.ok) {
@@ -68,6 +129,27 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
         const data = await courseRes.json();
         setCourseStrategies(data.strategies || []);
       }
+      if (deletedRes.ok) {
+        const data = await deletedRes.json();
+        setDeletedItems(data);
+      }
+      if (ledgerRes.ok) {
+        const data = await ledgerRes.json();
+        setLedger(data);
+      }
+      if (sessionsRes.ok) {
+        const data = await sessionsRes.json();
+        setSessions(data.sessions || []);
+      }
+      if (ghinSyncRes.ok) {
+        setGhinSync(await ghinSyncRes.json());
+      }
+      if (handicapRes.ok) {
+        setHandicap(await handicapRes.json());
+      }
+      if (handicapHistoryRes.ok) {
+        setHandicapHistory(await handicapHistoryRes.json());
+      }
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     } finally {
@@ -75,44 +157,249 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
     }
   };
 
+  const updateHole = (index, field, value) => {
+    setHoleRows(prev => prev.map((hole, i) => i === index ? { ...hole, [field]: value } : hole));
+  };
+
+  const toIntOrNull = (value) => value === '' || value == null ? null : parseInt(value);
+
+  // Holes with a score entered, converted for the API
+  const getLoggedHoles = () => holeRows
+    .filter(hole => hole.score !== '')
+    .map(hole => ({
+      holeNumber: hole.holeNumber,
+      par: toIntOrNull(hole.par),
+      strokeIndex: toIntOrNull(hole.strokeIndex),
+      yardage: toIntOrNull(hole.yardage),
+      score: parseInt(hole.score),
+      putts: toIntOrNull(hole.putts),
+      fairwayResult: hole.par !== '3' && hole.fairwayResult ? hole.fairwayResult : null,
+      greenResult: hole.greenResult || null,
+      penalties: toIntOrNull(hole.penalties),
+      sandShots: toIntOrNull(hole.sandShots)
+    }));
+
+  const holeTotals = (() => {
+    const logged = getLoggedHoles();
+    const sum = (key) => logged.reduce((total, hole) => total + (hole[key] || 0), 0);
+    return {
+      holes: logged.length,
+      score: sum('score'),
+      putts: sum('putts'),
+      fairways: logged.filter(h => h.fairwayResult === 'hit').length,
+      gir: logged.filter(h => h.greenResult === 'hit').length
+    };
+  })();
+
+  const resetRoundForm = () => {
+    setRoundForm({
+      date: new Date().toISOString().split('T')[0],
+      course: '',
+      totalScore: '',
+      fairwaysHit: '',
+      gir: '',
+      putts: '',
+      penalties: '',
+      notes: '',
+      tees: '',
+      courseRating: '',
+      slopeRating: '',
+      holesPlayed: '18'
+    });
+    setHoleRows(emptyHoles());
+    setRoundError('');
+    setEditingRoundId(null);
+  };
+
+  const openLogRound = () => {
+    resetRoundForm();
+    setRoundEntryMode('totals');
+    setShowRoundModal(true);
+  };
+
+  const openEditRound = (round) => {
+    setRoundForm({
+      date: round.date || new Date().toISOString().split('T')[0],
+      course: round.course || '',
+      totalScore: round.total_score ?? '',
+      fairwaysHit: round.fairways_hit ?? '',
+      gir: round.gir ?? '',
+      putts: round.putts ?? '',
+      penalties: round.penalties ?? '',
+      notes: round.notes || '',
+      tees: round.tees || '',
+      courseRating: round.course_rating ?? '',
+      slopeRating: round.slope_rating ?? '',
+      holesPlayed: String(round.holes_played || 18)
+    });
+
+    const holes = emptyHoles();
+    (round.holes || []).forEach(hole => {
+      holes[hole.hole_number - 1] = {
+        holeNumber: hole.hole_number,
+        par: hole.par != null ? String(hole.par) : '',
+        strokeIndex: hole.stroke_index ?? '',
+        yardage: hole.yardage ?? '',
+        score: hole.score ?? '',
+        putts: hole.putts ?? '',
+        fairwayResult: hole.fairway_result || '',
+        greenResult: hole.green_result || '',
+        penalties: hole.penalties ?? '',
+        sandShots: hole.sand_shots ?? ''
+      };
+    });
+    setHoleRows(holes);
+    setRoundEntryMode(round.holes?.length > 0 ? 'holes' : 'totals');
+    setRoundError('');
+    setEditingRoundId(round.id);
+    setShowRoundModal(true);
+  };
+
   const submitRound = async (e) => {
     e.preventDefault();
-    try {
-      const response = await fetch(`${API_URL}/api/rounds`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
+    setRoundError('');
+
+    // Tee details feed the handicap calculation in either entry mode
+    const ratings = {
+      tees: roundForm.tees || null,
+      courseRating: roundForm.courseRating !== '' ? parseFloat(roundForm.courseRating) : null,
+      slopeRating: toIntOrNull(roundForm.slopeRating)
+    };
+
+    const body = roundEntryMode === 'holes'
+      ? {
+          date: roundForm.date,
+          course: roundForm.course,
+          notes: roundForm.notes,
+          ...ratings,
+          holes: getLoggedHoles()
+        }
+      : {
           ...roundForm,
+          ...ratings,
+          holesPlayed: parseInt(roundForm.holesPlayed),
           totalScore: parseInt(roundForm.totalScore),
           fairwaysHit: roundForm.fairwaysHit ? parseInt(roundForm.fairwaysHit) : null,
           gir: roundForm.gir ? parseInt(roundForm.gir) : null,
           putts: roundForm.putts ? parseInt(roundForm.putts) : null,
           penalties: roundForm.penalties ? parseInt(roundForm.penalties) : null
-        })
+        };
+
+    if (roundEntryMode === 'holes' && body.holes.length === 0) {
+      setRoundError('Enter a score for at least one hole');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_URL}/api/rounds${editingRoundId ? `/${editingRoundId}` : ''}`, {
+        method: editingRoundId ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(body)
       });
 
       if (response.ok) {
         setShowRoundModal(false);
-        setRoundForm({
-          date: new Date().toISOString().split('T')[0],
-          course: '',
-          totalScore: '',
-          fairwaysHit: '',
-          gir: '',
-          putts: '',
-          penalties: '',
-          notes: ''
-        });
+        resetRoundForm();
         fetchData();
+      } else {
+        const data = await response.json();
+        setRoundError(data.error || 'Failed to save round');
       }
     } catch (error) {
       console.error('Error saving round:', error);
+      setRoundError('Failed to save round');
+    }
+  };
+
+  // Edit / delete / restore
+  const deleteItem = async (type, id, label) => {
+    try {
+      const response = await fetch(`${API_URL}/api/${ITEM_ENDPOINTS[type]}/${id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        setUndoItem({ type, id, label });
+        fetchData();
+      }
+    } catch (error) {
+      console.error('Error deleting item:', error);
+    }
+  };
+
+  const restoreItem = async (type, id) => {
+    try {
+      const response = await fetch(`${API_URL}/api/${ITEM_ENDPOINTS[type]}/${id}/restore`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        setUndoItem(prev => (prev?.type === type && prev?.id === id ? null : prev));
+        fetchData();
+      }
+    } catch (error) {
+      console.error('Error restoring item:', error);
     }
   };
 
+  // Hide the undo toast after a few seconds (the item stays in Recently Deleted)
+  useEffect(() => {
+    if (!undoItem) return;
+    const timer = setTimeout(() => setUndoItem(null), 8000);
+    return () => clearTimeout(timer);
+  }, [undoItem]);
+
+  const saveEdit = async (e) => {
+    e.preventDefault();
+    const { type, id, fields } = editTarget;
+    try {
+      const response = await fetch(`${API_URL}/api/${ITEM_ENDPOINTS[type]}/${id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(fields)
+      });
+
+      if (response.ok) {
+        setEditTarget(null);
+        fetchData();
+      } else {
+        const data = await response.json();
+        setEditTarget(prev => ({ ...prev, error: data.error || 'Failed to save changes' }));
+      }
+    } catch (error) {
+      console.error('Error saving changes:', error);
+      setEditTarget(prev => ({ ...prev, error: 'Failed to save changes' }));
+    }
+  };
+
+  const updateEditField = (field, value) => {
+    setEditTarget(prev => ({ ...prev, fields: { ...prev.fields, [field]: value } }));
+  };
+
+  const renderRecentlyDeleted = (items, type, getLabel) => {
+    if (!items || items.length === 0) return null;
+    return (
+      <div className="recently-deleted">
+        <h4>Recently Deleted</h4>
+        <p className="recently-deleted-hint">Deleted items can be restored for 30 days.</p>
+        {items.map(item => (
+          <div key={item.id} className="deleted-row">
+            <span>{getLabel(item)}</span>
+            <button className="restore-btn" onClick={() => restoreItem(type, item.id)}>Restore</button>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   // GHIN Functions
   const lookupGHIN = async () => {
     if (!ghinNumber.trim()) return;
@@ -170,29 +457,31 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
     }
   };
 
-  const refreshHandicap = async () => {
-    if (!user?.ghin_number) return;
-    
+  // Pulls new scores and the current handicap from GHIN using the server's stored token
+  // Resolves to 'synced', 'failed', or 'reconnect' (the stored GHIN token expired)
+  const syncGhin = async () => {
     setRefreshingHandicap(true);
-    
+    setGhinError('');
+
     try {
-      const response = await fetch(`${API_URL}/api/ghin/refresh`, {
+      const response = await fetch(`${API_URL}/api/ghin/sync`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ ghinNumber: user.ghin_number })
+        headers: { 'Authorization': `Bearer ${token}` }
       });
-      
       const data = await response.json();
-      
-      if (data.success) {
-        // Refresh user data
+
+      if (data.status) setGhinSync(data.status);
+
+      if (response.ok) {
         if (refreshUser) refreshUser();
+        return 'synced';
       }
+      setGhinError(data.error || 'Failed to sync with GHIN');
+      return data.reconnectRequired ? 'reconnect' : 'failed';
     } catch (error) {
-      console.error('Failed to refresh handicap:', error);
+      console.error('Failed to sync GHIN:', error);
+      setGhinError('Failed to sync with GHIN');
+      return 'failed';
     } finally {
       setRefreshingHandicap(false);
     }
@@ -207,12 +496,142 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
     ((startingHandicap - currentHandicap) / (startingHandicap - targetHandicap)) * 100
   ));
 
+  const resendVerification = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/auth/resend-verification`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      setVerificationNotice(response.ok ? data.message : (data.error || 'Failed to send verification email'));
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      setVerificationNotice('Failed to send verification email');
+    }
+  };
+
+  const revokeSession = async (sessionId) => {
+    try {
+      const response = await fetch(`${API_URL}/api/auth/sessions/${sessionId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (response.ok) {
+        setSessions(prev => prev.filter(session => session.id !== sessionId));
+      }
+    } catch (error) {
+      console.error('Revoke session error:', error);
+    }
+  };
+
+  const signOutAllDevices = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    try {
+      await logoutAllDevices();
+    } catch (error) {
+      console.error('Sign out all devices error:', error);
+    }
+  };
+
+  // Course / playing handicap for the tee entered in the calculator
+  const calculatePlayingHandicap = async (e) => {
+    e.preventDefault();
+    setTeeCalcError('');
+    try {
+      const params = new URLSearchParams(teeCalc);
+      const response = await fetch(`${API_URL}/api/handicap?${params}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setTeeCalcError(data.error || 'Failed to calculate playing handicap');
+        return;
+      }
+      setPlayingHandicap(data.playing);
+      if (!data.playing) {
+        setTeeCalcError('Log at least 3 rounds with rating and slope, or add your handicap to your profile');
+      }
+    } catch (error) {
+      console.error('Playing handicap error:', error);
+      setTeeCalcError('Failed to calculate playing handicap');
+    }
+  };
+
+  // Index over time: official (GHIN / profile) and computed lines, with a marker
+  // at each analysis so you can see whether following a strategy moved the index
+  const renderHandicapChart = ({ history, analyses }) => {
+    if (history.length < 2) return null;
+
+    const time = (dateStr) => parseDbTime(dateStr).getTime();
+    const official = history.filter(h => h.source !== 'computed');
+    const computed = history.filter(h => h.source === 'computed');
+
+    const width = 600, height = 200, pad = 28;
+    const values = history.map(h => h.handicapIndex);
+    const min = Math.floor(Math.min(...values)) - 1;
+    const max = Math.ceil(Math.max(...values)) + 1;
+    const times = [...history.map(h => time(h.recordedAt)), ...analyses.map(a => time(a.createdAt))];
+    const start = Math.min(...times);
+    const span = Math.max(Math.max(...times) - start, 1);
+    const x = (dateStr) => pad + ((time(dateStr) - start) / span) * (width - pad * 2);
+    const y = (value) => pad + ((max - value) / (max - min)) * (height - pad * 2);
+
+    const line = (entries, className) => entries.length > 0 && (
+      <g className={className}>
+        <polyline points={entries.map(h => `${x(h.recordedAt)},${y(h.handicapIndex)}`).join(' ')} />
+        {entries.map((h, i) => (
+          <circle key={i} cx={x(h.recordedAt)} cy={y(h.handicapIndex)} r={3}>
+            <title>{`${formatDate(parseDbTime(h.recordedAt))}: ${h.handicapIndex.toFixed(1)} (${h.source})`}</title>
+          </circle>
+        ))}
+      </g>
+    );
+
+    return (
+      <>
+        <svg className="handicap-chart" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+          <text x={4} y={y(max) + 4}>{max}</text>
+          <text x={4} y={y(min) + 4}>{min}</text>
+          {analyses.map(a => (
+            <line key={a.id} className="analysis-marker" x1={x(a.createdAt)} x2={x(a.createdAt)} y1={pad / 2} y2={height - pad / 2}>
+              <title>{`${a.name || 'Analysis'} • ${formatDate(parseDbTime(a.createdAt))}`}</title>
+            </line>
+          ))}
+          {line(official, 'official')}
+          {line(computed, 'computed')}
+        </svg>
+        <div className="chart-legend">
+          <span className="legend-official">GHIN / profile</span>
+          {computed.length > 0 && <span className="legend-computed">Calculated</span>}
+          {analyses.length > 0 && <span className="legend-analysis">Analysis</span>}
+        </div>
+      </>
+    );
+  };
+
+  // Short "Chrome on macOS"-style label from a user agent string
+  const describeDevice = (userAgent) => {
+    if (!userAgent) return 'Unknown device';
+    const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name));
+    const os = ['iPhone', 'iPad', 'Android', 'Mac OS', 'Windows', 'Linux'].find(name => userAgent.includes(name));
+    if (!browser && !os) return userAgent.slice(0, 40);
+    return `${browser === 'Edg' ? 'Edge' : (browser || 'Browser')}${os ? ` on ${os === 'Mac OS' ? 'macOS' : os}` : ''}`;
+  };
+
   const formatDate = (dateStr) => {
     if (!dateStr) return '';
     const date = new Date(dateStr);
     return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
   };
 
+  // SQLite timestamps are UTC without a zone marker
+  const parseDbTime = (dateStr) => new Date(dateStr.replace(' ', 'T') + 'Z');
+
+  const formatSyncTime = (dateStr) => {
+    const date = parseDbTime(dateStr);
+    return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  };
+
   if (loading) {
     return (
       <div className="dashboard loading">
@@ -269,7 +688,26 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
           >
             ✏️ Update
           </button>
+          {ghinSync?.connected && (
+            <button
+              className="refresh-handicap-btn"
+              onClick={syncGhin}
+              disabled={refreshingHandicap}
+            >
+              {refreshingHandicap ? 'Syncing...' : '↻ Sync now'}
+            </button>
+          )}
+          {(ghinSync?.connected || ghinSync?.reconnectRequired) && (
+            <span className="ghin-sync-status">
+              {ghinSync.reconnectRequired
+                ? 'GHIN connection expired — reconnect to keep syncing'
+                : ghinSync.lastSyncedAt
+                  ? `Last synced ${formatSyncTime(ghinSync.lastSyncedAt)} • ${ghinSync.scoreCount} scores`
+                  : 'Waiting for first sync'}
+            </span>
+          )}
         </div>
+        {ghinError && !showGHINModal && <div className="ghin-error">{ghinError}</div>}
 
         <div className="progress-bar-container">
           <div className="progress-bar-bg">
@@ -341,6 +779,18 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
         >
           Rounds ({rounds.length})
         </button>
+        <button 
+          className={`tab ${activeTab === 'handicap' ? 'active' : ''}`}
+          onClick={() => setActiveTab('handicap')}
+        >
+          Handicap
+        </button>
+        <button 
+          className={`tab ${activeTab === 'account' ? 'active' : ''}`}
+          onClick={() => setActiveTab('account')}
+        >
+          Account
+        </button>
       </div>
 
       {/* Tab Content */}
@@ -377,7 +827,7 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
             <div className="section">
               <h3>Quick Actions</h3>
               <div className="quick-actions">
-                <button className="action-card" onClick={() => setShowRoundModal(true)}>
+                <button className="action-card" onClick={openLogRound}>
                   <span className="action-icon">📝</span>
                   <span className="action-label">Log Round</span>
                 </button>
@@ -430,8 +880,32 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                         <span className="miss-pattern">{analysis.miss_pattern}</span>
                       </div>
                     </div>
-                    <div className="analysis-action">
-                      View →
+                    <div className="card-actions">
+                      <button
+                        className="card-action-btn"
+                        onClick={e => {
+                          e.stopPropagation();
+                          setEditTarget({
+                            type: 'analysis',
+                            id: analysis.id,
+                            fields: { name: analysis.name || '', homeCourse: analysis.home_course || '' }
+                          });
+                        }}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="card-action-btn danger"
+                        onClick={e => {
+                          e.stopPropagation();
+                          deleteItem('analysis', analysis.id, `${analysis.home_course} analysis`);
+                        }}
+                      >
+                        Delete
+                      </button>
+                      <div className="analysis-action">
+                        View →
+                      </div>
                     </div>
                   </div>
                 ))}
@@ -446,6 +920,7 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                 </button>
               </div>
             )}
+            {renderRecentlyDeleted(deletedItems.analyses, 'analysis', item => `${item.home_course} • ${formatDate(item.created_at)}`)}
           </div>
         )}
 
@@ -466,8 +941,32 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                         {course.tees && <><span>•</span><span>{course.tees}</span></>}
                       </div>
                     </div>
-                    <div className="course-action">
-                      View →
+                    <div className="card-actions">
+                      <button
+                        className="card-action-btn"
+                        onClick={e => {
+                          e.stopPropagation();
+                          setEditTarget({
+                            type: 'course',
+                            id: course.id,
+                            fields: { courseName: course.course_name || '', tees: course.tees || '' }
+                          });
+                        }}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="card-action-btn danger"
+                        onClick={e => {
+                          e.stopPropagation();
+                          deleteItem('course', course.id, `${course.course_name} strategy`);
+                        }}
+                      >
+                        Delete
+                      </button>
+                      <div className="course-action">
+                        View →
+                      </div>
                     </div>
                   </div>
                 ))}
@@ -482,6 +981,7 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                 </button>
               </div>
             )}
+            {renderRecentlyDeleted(deletedItems.courseStrategies, 'course', item => `${item.course_name}${item.tees ? ` (${item.tees})` : ''}`)}
           </div>
         )}
 
@@ -489,7 +989,7 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
           <div className="rounds-tab">
             <div className="rounds-header">
               <h3>Round History</h3>
-              <button className="add-round-btn" onClick={() => setShowRoundModal(true)}>
+              <button className="add-round-btn" onClick={openLogRound}>
                 + Log Round
               </button>
             </div>
@@ -500,13 +1000,25 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                     <div className="round-score">{round.total_score}</div>
                     <div className="round-info">
                       <div className="round-course">{round.course}</div>
-                      <div className="round-date">{formatDate(round.date)}</div>
+                      <div className="round-date">
+                        {formatDate(round.date)}
+                        {round.holes?.length > 0 && <span className="hole-by-hole-badge">{round.holes.length} holes logged</span>}
+                      </div>
                     </div>
                     <div className="round-stats">
                       {round.fairways_hit && <span>FW: {round.fairways_hit}</span>}
                       {round.gir && <span>GIR: {round.gir}</span>}
                       {round.putts && <span>Putts: {round.putts}</span>}
                     </div>
+                    <div className="card-actions">
+                      <button className="card-action-btn" onClick={() => openEditRound(round)}>Edit</button>
+                      <button
+                        className="card-action-btn danger"
+                        onClick={() => deleteItem('round', round.id, `${round.total_score} at ${round.course || 'round'}`)}
+                      >
+                        Delete
+                      </button>
+                    </div>
                   </div>
                 ))}
               </div>
@@ -515,11 +1027,235 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                 <div className="empty-icon">🏌️</div>
                 <h3>No rounds logged</h3>
                 <p>Start tracking your progress by logging your rounds</p>
-                <button className="primary-btn" onClick={() => setShowRoundModal(true)}>
+                <button className="primary-btn" onClick={openLogRound}>
                   Log Your First Round
                 </button>
               </div>
             )}
+            {renderRecentlyDeleted(deletedItems.rounds, 'round', item => `${item.total_score} • ${item.course || 'Unknown course'} • ${formatDate(item.date)}`)}
+          </div>
+        )}
+
+        {activeTab === 'handicap' && handicap && (
+          <div className="handicap-tab">
+            <div className="section">
+              <h3>Handicap Index</h3>
+              <div className="account-summary">
+                <div className="stat-card">
+                  <div className="stat-value">{handicap.handicapIndex != null ? handicap.handicapIndex.toFixed(1) : '—'}</div>
+                  <div className="stat-label">{handicap.handicapIndex != null ? 'Calculated Index' : 'Need 3 scores'}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-value">{handicap.lowHandicapIndex != null ? handicap.lowHandicapIndex.toFixed(1) : '—'}</div>
+                  <div className="stat-label">Low Index</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-value">{handicap.differentialsUsed} of {handicap.scoresAvailable}</div>
+                  <div className="stat-label">Best Scores Used</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-value">{handicap.profileHandicap ?? '—'}</div>
+                  <div className="stat-label">Profile / GHIN</div>
+                </div>
+              </div>
+              {handicap.adjustment !== 0 && (
+                <p className="recently-deleted-hint">Includes a {handicap.adjustment} adjustment for having fewer than 6 scores.</p>
+              )}
+              {handicap.capApplied && (
+                <p className="recently-deleted-hint">
+                  {handicap.capApplied === 'hard' ? 'Hard' : 'Soft'} cap applied — your index can't rise far above your low index in the last 12 months.
+                </p>
+              )}
+              {handicap.pendingNineHole && (
+                <p className="recently-deleted-hint">
+                  9-hole score from {formatDate(handicap.pendingNineHole.date)} is waiting for another nine to combine with.
+                </p>
+              )}
+              {handicap.excluded.length > 0 && (
+                <p className="recently-deleted-hint">
+                  {handicap.excluded.length} round{handicap.excluded.length === 1 ? '' : 's'} not counted (add course rating and slope to include them).
+                </p>
+              )}
+            </div>
+
+            {handicapHistory && renderHandicapChart(handicapHistory) && (
+              <div className="section">
+                <h3>Index History</h3>
+                {renderHandicapChart(handicapHistory)}
+              </div>
+            )}
+
+            <div className="section">
+              <h3>Playing Handicap</h3>
+              <form className="tee-calc" onSubmit={calculatePlayingHandicap}>
+                {[
+                  ['courseRating', 'Rating', '70.4', '0.1'],
+                  ['slopeRating', 'Slope', '124', '1'],
+                  ['par', 'Par', '72', '1'],
+                  ['allowance', 'Allowance %', '95', '1']
+                ].map(([field, label, placeholder, step]) => (
+                  <div className="form-group" key={field}>
+                    <label>{label}</label>
+                    <input
+                      type="number"
+                      step={step}
+                      value={teeCalc[field]}
+                      onChange={e => setTeeCalc(prev => ({ ...prev, [field]: e.target.value }))}
+                      placeholder={placeholder}
+                      required
+                    />
+                  </div>
+                ))}
+                <div className="form-group">
+                  <label>Holes</label>
+                  <select value={teeCalc.holes} onChange={e => setTeeCalc(prev => ({ ...prev, holes: e.target.value }))}>
+                    <option value="18">18</option>
+                    <option value="9">9</option>
+                  </select>
+                </div>
+                <button type="submit" className="card-action-btn">Calculate</button>
+              </form>
+              {teeCalcError && <p className="recently-deleted-hint">{teeCalcError}</p>}
+              {playingHandicap && (
+                <div className="account-summary">
+                  <div className="stat-card">
+                    <div className="stat-value">{playingHandicap.courseHandicap}</div>
+                    <div className="stat-label">Course Handicap</div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-value">{playingHandicap.playingHandicap}</div>
+                    <div className="stat-label">Playing Handicap ({playingHandicap.allowance}%)</div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-value">{playingHandicap.handicapIndex.toFixed(1)}</div>
+                    <div className="stat-label">{playingHandicap.indexSource === 'calculated' ? 'Calculated Index' : 'Profile Index'}</div>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="section">
+              <h3>Score Differentials</h3>
+              {handicap.differentials.length > 0 ? (
+                <table className="ledger-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Course</th>
+                      <th>Adj. Gross</th>
+                      <th className="ledger-amount">Differential</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {handicap.differentials.map((d, i) => (
+                      <tr key={i} className={d.used ? 'counting' : ''}>
+                        <td>{formatDate(d.date)}</td>
+                        <td>
+                          {d.course || 'Unknown course'}
+                          {d.nineHolePair && <span className="email-status">9+9</span>}
+                          {d.esrAdjustment ? <span className="email-status">ESR {d.esrAdjustment}</span> : null}
+                        </td>
+                        <td>{d.adjustedGrossScore ?? '—'}</td>
+                        <td className="ledger-amount">{d.differential.toFixed(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="recently-deleted-hint">
+                  Log rounds with course rating and slope (or sync GHIN) to calculate a handicap index.
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'account' && (
+          <div className="account-tab">
+            <div className="section">
+              <h3>Email</h3>
+              <div className="account-email">
+                <span>{user?.email}</span>
+                {user?.emailVerified ? (
+                  <span className="email-status verified">✓ Verified</span>
+                ) : (
+                  <>
+                    <span className="email-status">Not verified</span>
+                    <button className="card-action-btn" onClick={resendVerification}>Resend link</button>
+                  </>
+                )}
+              </div>
+              {verificationNotice && <p className="recently-deleted-hint">{verificationNotice}</p>}
+            </div>
+
+            <div className="section">
+              <h3>Plan</h3>
+              <div className="account-summary">
+                <div className="stat-card">
+                  <div className="stat-value">{user?.subscriptionStatus === 'pro' ? 'Pro' : 'Free'}</div>
+                  <div className="stat-label">Plan</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-value">{user?.subscriptionStatus === 'pro' ? '∞' : (ledger?.balance ?? user?.credits ?? 0)}</div>
+                  <div className="stat-label">Credits</div>
+                </div>
+              </div>
+            </div>
+
+            <div className="section">
+              <div className="rounds-header">
+                <h3>Signed-in Devices</h3>
+                <button className="card-action-btn danger" onClick={signOutAllDevices}>
+                  Sign out all devices
+                </button>
+              </div>
+              {sessions.map((session) => (
+                <div key={session.id} className="session-row">
+                  <div>
+                    <div className="session-device">
+                      {describeDevice(session.userAgent)}
+                      {session.current && <span className="email-status verified">This device</span>}
+                    </div>
+                    <div className="session-meta">
+                      Signed in {formatDate(session.createdAt)} • Last active {formatDate(session.lastUsedAt)}
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <button className="card-action-btn" onClick={() => revokeSession(session.id)}>Sign out</button>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="section">
+              <h3>Credit History</h3>
+              {ledger?.transactions?.length > 0 ? (
+                <table className="ledger-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Description</th>
+                      <th>Status</th>
+                      <th className="ledger-amount">Credits</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {ledger.transactions.map((tx) => (
+                      <tr key={tx.id} className={tx.status === 'refunded' ? 'refunded' : ''}>
+                        <td>{formatDate(tx.created_at)}</td>
+                        <td>{tx.description || tx.type}</td>
+                        <td className="ledger-status">{tx.status === 'committed' ? tx.type : tx.status}</td>
+                        <td className={`ledger-amount ${tx.amount > 0 ? 'positive' : 'negative'}`}>
+                          {tx.amount > 0 ? `+${tx.amount}` : tx.amount}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="recently-deleted-hint">No credit activity yet</p>
+              )}
+            </div>
           </div>
         )}
       </div>
@@ -527,9 +1263,25 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
       {/* Log Round Modal */}
       {showRoundModal && (
         <div className="modal-overlay" onClick={() => setShowRoundModal(false)}>
-          <div className="modal-content round-modal" onClick={e => e.stopPropagation()}>
+          <div className={`modal-content round-modal ${roundEntryMode === 'holes' ? 'wide' : ''}`} onClick={e => e.stopPropagation()}>
             <button className="modal-close" onClick={() => setShowRoundModal(false)}>×</button>
-            <h2>Log Round</h2>
+            <h2>{editingRoundId ? 'Edit Round' : 'Log Round'}</h2>
+            <div className="entry-mode-toggle">
+              <button
+                type="button"
+                className={roundEntryMode === 'totals' ? 'active' : ''}
+                onClick={() => setRoundEntryMode('totals')}
+              >
+                Round Totals
+              </button>
+              <button
+                type="button"
+                className={roundEntryMode === 'holes' ? 'active' : ''}
+                onClick={() => setRoundEntryMode('holes')}
+              >
+                Hole by Hole
+              </button>
+            </div>
             <form onSubmit={submitRound}>
               <div className="form-row">
                 <div className="form-group">
@@ -541,66 +1293,205 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                     required
                   />
                 </div>
-                <div className="form-group">
-                  <label>Score *</label>
-                  <input
-                    type="number"
-                    value={roundForm.totalScore}
-                    onChange={e => setRoundForm(prev => ({ ...prev, totalScore: e.target.value }))}
-                    placeholder="85"
-                    required
-                  />
-                </div>
-              </div>
-              
-              <div className="form-group">
-                <label>Course</label>
-                <input
-                  type="text"
-                  value={roundForm.course}
-                  onChange={e => setRoundForm(prev => ({ ...prev, course: e.target.value }))}
-                  placeholder="Useless Bay G&CC"
-                />
+                {roundEntryMode === 'totals' ? (
+                  <div className="form-group">
+                    <label>Score *</label>
+                    <input
+                      type="number"
+                      value={roundForm.totalScore}
+                      onChange={e => setRoundForm(prev => ({ ...prev, totalScore: e.target.value }))}
+                      placeholder="85"
+                      required
+                    />
+                  </div>
+                ) : (
+                  <div className="form-group">
+                    <label>Course</label>
+                    <input
+                      type="text"
+                      value={roundForm.course}
+                      onChange={e => setRoundForm(prev => ({ ...prev, course: e.target.value }))}
+                      placeholder="Useless Bay G&CC"
+                    />
+                  </div>
+                )}
               </div>
 
               <div className="form-row four-col">
+                {roundEntryMode === 'totals' && (
+                  <div className="form-group">
+                    <label>Holes</label>
+                    <select
+                      value={roundForm.holesPlayed}
+                      onChange={e => setRoundForm(prev => ({ ...prev, holesPlayed: e.target.value }))}
+                    >
+                      <option value="18">18</option>
+                      <option value="9">9</option>
+                    </select>
+                  </div>
+                )}
                 <div className="form-group">
-                  <label>Fairways</label>
-                  <input
-                    type="number"
-                    value={roundForm.fairwaysHit}
-                    onChange={e => setRoundForm(prev => ({ ...prev, fairwaysHit: e.target.value }))}
-                    placeholder="7"
-                  />
-                </div>
-                <div className="form-group">
-                  <label>GIR</label>
+                  <label>Tees</label>
                   <input
-                    type="number"
-                    value={roundForm.gir}
-                    onChange={e => setRoundForm(prev => ({ ...prev, gir: e.target.value }))}
-                    placeholder="5"
+                    type="text"
+                    value={roundForm.tees}
+                    onChange={e => setRoundForm(prev => ({ ...prev, tees: e.target.value }))}
+                    placeholder="White"
                   />
                 </div>
                 <div className="form-group">
-                  <label>Putts</label>
+                  <label>Course Rating</label>
                   <input
                     type="number"
-                    value={roundForm.putts}
-                    onChange={e => setRoundForm(prev => ({ ...prev, putts: e.target.value }))}
-                    placeholder="32"
+                    step="0.1"
+                    value={roundForm.courseRating}
+                    onChange={e => setRoundForm(prev => ({ ...prev, courseRating: e.target.value }))}
+                    placeholder="70.4"
                   />
                 </div>
                 <div className="form-group">
-                  <label>Penalties</label>
+                  <label>Slope</label>
                   <input
                     type="number"
-                    value={roundForm.penalties}
-                    onChange={e => setRoundForm(prev => ({ ...prev, penalties: e.target.value }))}
-                    placeholder="2"
+                    min="55"
+                    max="155"
+                    value={roundForm.slopeRating}
+                    onChange={e => setRoundForm(prev => ({ ...prev, slopeRating: e.target.value }))}
+                    placeholder="124"
                   />
                 </div>
               </div>
+              <p className="form-hint">Rating and slope are needed for the round to count toward your handicap.</p>
+              
+              {roundEntryMode === 'totals' ? (
+                <>
+                  <div className="form-group">
+                    <label>Course</label>
+                    <input
+                      type="text"
+                      value={roundForm.course}
+                      onChange={e => setRoundForm(prev => ({ ...prev, course: e.target.value }))}
+                      placeholder="Useless Bay G&CC"
+                    />
+                  </div>
+
+                  <div className="form-row four-col">
+                    <div className="form-group">
+                      <label>Fairways</label>
+                      <input
+                        type="number"
+                        value={roundForm.fairwaysHit}
+                        onChange={e => setRoundForm(prev => ({ ...prev, fairwaysHit: e.target.value }))}
+                        placeholder="7"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>GIR</label>
+                      <input
+                        type="number"
+                        value={roundForm.gir}
+                        onChange={e => setRoundForm(prev => ({ ...prev, gir: e.target.value }))}
+                        placeholder="5"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Putts</label>
+                      <input
+                        type="number"
+                        value={roundForm.putts}
+                        onChange={e => setRoundForm(prev => ({ ...prev, putts: e.target.value }))}
+                        placeholder="32"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Penalties</label>
+                      <input
+                        type="number"
+                        value={roundForm.penalties}
+                        onChange={e => setRoundForm(prev => ({ ...prev, penalties: e.target.value }))}
+                        placeholder="2"
+                      />
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <div className="hole-grid-wrapper">
+                  <table className="hole-grid">
+                    <thead>
+                      <tr>
+                        <th>Hole</th>
+                        <th>Par</th>
+                        <th>SI</th>
+                        <th>Yds</th>
+                        <th>Score</th>
+                        <th>Putts</th>
+                        <th>Fairway</th>
+                        <th>Green</th>
+                        <th>Pen</th>
+                        <th>Sand</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {holeRows.map((hole, i) => (
+                        <tr key={hole.holeNumber}>
+                          <td className="hole-number">{hole.holeNumber}</td>
+                          <td>
+                            <input type="number" min="3" max="6" value={hole.par}
+                              onChange={e => updateHole(i, 'par', e.target.value)} />
+                          </td>
+                          <td>
+                            <input type="number" min="1" max="18" value={hole.strokeIndex}
+                              onChange={e => updateHole(i, 'strokeIndex', e.target.value)} />
+                          </td>
+                          <td>
+                            <input type="number" className="yardage-input" value={hole.yardage}
+                              onChange={e => updateHole(i, 'yardage', e.target.value)} />
+                          </td>
+                          <td>
+                            <input type="number" min="1" value={hole.score}
+                              onChange={e => updateHole(i, 'score', e.target.value)} />
+                          </td>
+                          <td>
+                            <input type="number" min="0" value={hole.putts}
+                              onChange={e => updateHole(i, 'putts', e.target.value)} />
+                          </td>
+                          <td>
+                            <select
+                              value={hole.fairwayResult}
+                              onChange={e => updateHole(i, 'fairwayResult', e.target.value)}
+                              disabled={hole.par === '3'}
+                            >
+                              <option value="">—</option>
+                              {FAIRWAY_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+                            </select>
+                          </td>
+                          <td>
+                            <select value={hole.greenResult} onChange={e => updateHole(i, 'greenResult', e.target.value)}>
+                              <option value="">—</option>
+                              {GREEN_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+                            </select>
+                          </td>
+                          <td>
+                            <input type="number" min="0" value={hole.penalties}
+                              onChange={e => updateHole(i, 'penalties', e.target.value)} />
+                          </td>
+                          <td>
+                            <input type="number" min="0" value={hole.sandShots}
+                              onChange={e => updateHole(i, 'sandShots', e.target.value)} />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div className="hole-grid-totals">
+                    <span>{holeTotals.holes} holes</span>
+                    <span>Score: {holeTotals.score || '—'}</span>
+                    <span>Putts: {holeTotals.putts || '—'}</span>
+                    <span>FW: {holeTotals.fairways}</span>
+                    <span>GIR: {holeTotals.gir}</span>
+                  </div>
+                </div>
+              )}
 
               <div className="form-group">
                 <label>Notes</label>
@@ -612,12 +1503,79 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                 />
               </div>
 
-              <button type="submit" className="submit-btn">Save Round</button>
+              {roundError && <div className="ghin-error">{roundError}</div>}
+
+              <button type="submit" className="submit-btn">{editingRoundId ? 'Save Changes' : 'Save Round'}</button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Edit Analysis / Course Strategy Modal */}
+      {editTarget && (
+        <div className="modal-overlay" onClick={() => setEditTarget(null)}>
+          <div className="modal-content" onClick={e => e.stopPropagation()}>
+            <button className="modal-close" onClick={() => setEditTarget(null)}>×</button>
+            <h2>{editTarget.type === 'analysis' ? 'Edit Analysis' : 'Edit Course Strategy'}</h2>
+            <form onSubmit={saveEdit}>
+              {editTarget.type === 'analysis' ? (
+                <>
+                  <div className="form-group">
+                    <label>Name</label>
+                    <input
+                      type="text"
+                      value={editTarget.fields.name}
+                      onChange={e => updateEditField('name', e.target.value)}
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Home Course</label>
+                    <input
+                      type="text"
+                      value={editTarget.fields.homeCourse}
+                      onChange={e => updateEditField('homeCourse', e.target.value)}
+                    />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="form-group">
+                    <label>Course Name</label>
+                    <input
+                      type="text"
+                      value={editTarget.fields.courseName}
+                      onChange={e => updateEditField('courseName', e.target.value)}
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Tees</label>
+                    <input
+                      type="text"
+                      value={editTarget.fields.tees}
+                      onChange={e => updateEditField('tees', e.target.value)}
+                    />
+                  </div>
+                </>
+              )}
+
+              {editTarget.error && <div className="ghin-error">{editTarget.error}</div>}
+
+              <button type="submit" className="submit-btn">Save Changes</button>
             </form>
           </div>
         </div>
       )}
 
+      {/* Undo Delete Toast */}
+      {undoItem && (
+        <div className="undo-toast">
+          <span>Deleted {undoItem.label}</span>
+          <button onClick={() => restoreItem(undoItem.type, undoItem.id)}>Undo</button>
+        </div>
+      )}
+
       {/* GHIN Link Modal - Supports both manual entry and GHIN login */}
       {showGHINModal && (
         <div className="modal-overlay" onClick={() => setShowGHINModal(false)}>
@@ -637,29 +1595,16 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                   <button 
                     className="ghin-refresh-btn"
                     onClick={async () => {
-                      setRefreshingHandicap(true);
-                      setGhinError('');
-                      try {
-                        const response = await fetch(`${API_URL}/api/ghin/refresh`, {
-                          method: 'POST',
-                          headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${token}`
-                          }
-                        });
-                        const data = await response.json();
-                        if (response.ok && data.handicap) {
-                          if (refreshUser) refreshUser();
-                          setShowGHINModal(false);
-                        } else {
-                          // Token expired, need to re-login
-                          setGhinData({ showLogin: true });
-                        }
-                      } catch (error) {
-                        setGhinError('Failed to refresh. Try reconnecting.');
+                      if (!ghinSync?.connected) {
+                        // No stored GHIN token (never connected or expired) - sign in to GHIN
                         setGhinData({ showLogin: true });
-                      } finally {
-                        setRefreshingHandicap(false);
+                        return;
+                      }
+                      const result = await syncGhin();
+                      if (result === 'reconnect') {
+                        setGhinData({ showLogin: true });
+                      } else if (result === 'synced') {
+                        setShowGHINModal(false);
                       }
                     }}
                     disabled={refreshingHandicap}
@@ -892,6 +1837,7 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                           })
                         });
                         if (refreshUser) refreshUser();
+                        setGhinSync(prev => ({ ...prev, connected: true, reconnectRequired: false, ghinNumber: data.golfer.ghinNumber }));
                       } else {
                         setGhinError(data.error || 'Failed to connect to GHIN');
                       }
@@ -914,7 +1860,7 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
                 </button>
                 
                 <p className="ghin-privacy">
-                  🔒 Your credentials are used only to fetch your data and are not stored.
+                  🔒 Your password is never stored. We keep an encrypted GHIN access token so your scores stay in sync.
                 </p>
               </>
             ) : ghinData.connected ? (
@@ -1477,33 +2423,127 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
           margin-bottom: 12px;
         }
 
-        .round-score {
-          font-family: 'Fraunces', Georgia, serif;
-          font-size: 28px;
-          font-weight: 700;
-          color: #7cb97c;
-          min-width: 60px;
+        .round-score {
+          font-family: 'Fraunces', Georgia, serif;
+          font-size: 28px;
+          font-weight: 700;
+          color: #7cb97c;
+          min-width: 60px;
+        }
+
+        .round-info {
+          flex: 1;
+        }
+
+        .round-course {
+          font-weight: 500;
+          margin-bottom: 2px;
+        }
+
+        .round-date {
+          font-size: 13px;
+          color: rgba(240, 244, 232, 0.5);
+        }
+
+        .round-stats {
+          display: flex;
+          gap: 16px;
+          font-size: 13px;
+          color: rgba(240, 244, 232, 0.6);
+        }
+
+        /* Edit / Delete Controls */
+        .card-actions {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .card-action-btn {
+          padding: 6px 12px;
+          font-size: 12px;
+          background: rgba(255, 255, 255, 0.05);
+          color: rgba(240, 244, 232, 0.7);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 6px;
+          cursor: pointer;
+          font-family: inherit;
+          transition: all 0.2s;
+        }
+
+        .card-action-btn:hover {
+          background: rgba(255, 255, 255, 0.1);
         }
 
-        .round-info {
-          flex: 1;
+        .card-action-btn.danger:hover {
+          background: rgba(220, 53, 69, 0.15);
+          color: #ff6b6b;
+          border-color: rgba(220, 53, 69, 0.3);
         }
 
-        .round-course {
-          font-weight: 500;
-          margin-bottom: 2px;
+        .recently-deleted {
+          margin-top: 32px;
+          padding-top: 20px;
+          border-top: 1px solid rgba(255, 255, 255, 0.08);
         }
 
-        .round-date {
+        .recently-deleted h4 {
+          font-size: 14px;
+          color: rgba(240, 244, 232, 0.7);
+          margin-bottom: 4px;
+        }
+
+        .recently-deleted-hint {
+          font-size: 12px;
+          color: rgba(240, 244, 232, 0.4);
+          margin-bottom: 12px;
+        }
+
+        .deleted-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 10px 0;
           font-size: 13px;
           color: rgba(240, 244, 232, 0.5);
         }
 
-        .round-stats {
+        .restore-btn {
+          padding: 4px 12px;
+          font-size: 12px;
+          background: none;
+          color: #7cb97c;
+          border: 1px solid rgba(124, 185, 124, 0.3);
+          border-radius: 6px;
+          cursor: pointer;
+          font-family: inherit;
+        }
+
+        .undo-toast {
+          position: fixed;
+          bottom: 24px;
+          left: 50%;
+          transform: translateX(-50%);
           display: flex;
+          align-items: center;
           gap: 16px;
-          font-size: 13px;
-          color: rgba(240, 244, 232, 0.6);
+          padding: 12px 20px;
+          background: #1a3a1a;
+          border: 1px solid rgba(124, 185, 124, 0.3);
+          border-radius: 10px;
+          font-size: 14px;
+          z-index: 1100;
+          box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+        }
+
+        .undo-toast button {
+          background: none;
+          border: none;
+          color: #7cb97c;
+          font-weight: 600;
+          cursor: pointer;
+          font-family: inherit;
+          font-size: 14px;
         }
 
         /* Empty State */
@@ -1606,6 +2646,7 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
         }
 
         .form-group input,
+        .form-group select,
         .form-group textarea {
           width: 100%;
           padding: 12px 14px;
@@ -1618,11 +2659,22 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
         }
 
         .form-group input:focus,
+        .form-group select:focus,
         .form-group textarea:focus {
           outline: none;
           border-color: #7cb97c;
         }
 
+        .form-group select option {
+          background: #1a3a1a;
+        }
+
+        .form-hint {
+          font-size: 12px;
+          color: rgba(240, 244, 232, 0.4);
+          margin: -4px 0 16px;
+        }
+
         .submit-btn {
           width: 100%;
           padding: 14px;
@@ -1637,6 +2689,291 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
           margin-top: 8px;
         }
 
+        .modal-content.round-modal.wide {
+          max-width: 760px;
+          max-height: 90vh;
+          overflow-y: auto;
+        }
+
+        .entry-mode-toggle {
+          display: flex;
+          gap: 8px;
+          margin-bottom: 20px;
+        }
+
+        .entry-mode-toggle button {
+          flex: 1;
+          padding: 10px;
+          font-size: 13px;
+          background: rgba(255, 255, 255, 0.05);
+          color: rgba(240, 244, 232, 0.6);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 8px;
+          cursor: pointer;
+          font-family: inherit;
+        }
+
+        .entry-mode-toggle button.active {
+          background: rgba(124, 185, 124, 0.15);
+          color: #7cb97c;
+          border-color: rgba(124, 185, 124, 0.4);
+        }
+
+        /* Account */
+        .account-summary {
+          display: grid;
+          grid-template-columns: repeat(2, 1fr);
+          gap: 12px;
+        }
+
+        .account-email {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          flex-wrap: wrap;
+          font-size: 14px;
+          color: rgba(240, 244, 232, 0.8);
+          margin-bottom: 8px;
+        }
+
+        .email-status {
+          font-size: 12px;
+          color: #e8a87c;
+        }
+
+        .email-status.verified {
+          color: #7cb97c;
+        }
+
+        .session-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 0;
+          border-top: 1px solid rgba(255, 255, 255, 0.06);
+        }
+
+        .session-device {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 14px;
+          color: rgba(240, 244, 232, 0.9);
+        }
+
+        .session-meta {
+          font-size: 12px;
+          color: rgba(240, 244, 232, 0.5);
+          margin-top: 2px;
+        }
+
+        .ledger-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 13px;
+        }
+
+        .ledger-table th {
+          font-size: 11px;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          color: rgba(240, 244, 232, 0.5);
+          font-weight: 500;
+          padding: 8px 4px;
+          text-align: left;
+        }
+
+        .ledger-table td {
+          padding: 10px 4px;
+          border-top: 1px solid rgba(255, 255, 255, 0.06);
+          color: rgba(240, 244, 232, 0.8);
+        }
+
+        .ledger-table tr.counting td {
+          color: #7cb97c;
+          font-weight: 600;
+        }
+
+        .handicap-chart {
+          width: 100%;
+          height: 180px;
+          background: rgba(255, 255, 255, 0.03);
+          border-radius: 12px;
+        }
+
+        .handicap-chart polyline {
+          fill: none;
+          stroke: #7cb97c;
+          stroke-width: 2;
+        }
+
+        .handicap-chart circle {
+          fill: #7cb97c;
+        }
+
+        .handicap-chart .computed polyline {
+          stroke: #e8a87c;
+          stroke-dasharray: 5 4;
+        }
+
+        .handicap-chart .computed circle {
+          fill: #e8a87c;
+        }
+
+        .handicap-chart .analysis-marker {
+          stroke: rgba(240, 244, 232, 0.3);
+          stroke-width: 1;
+          stroke-dasharray: 2 3;
+        }
+
+        .chart-legend {
+          display: flex;
+          gap: 16px;
+          margin-top: 8px;
+          font-size: 12px;
+          color: rgba(240, 244, 232, 0.6);
+        }
+
+        .chart-legend span::before {
+          content: '';
+          display: inline-block;
+          width: 14px;
+          height: 2px;
+          margin-right: 6px;
+          vertical-align: middle;
+          background: #7cb97c;
+        }
+
+        .chart-legend .legend-computed::before {
+          background: #e8a87c;
+        }
+
+        .chart-legend .legend-analysis::before {
+          background: rgba(240, 244, 232, 0.3);
+        }
+
+        .handicap-chart text {
+          font-size: 11px;
+          fill: rgba(240, 244, 232, 0.4);
+        }
+
+        .tee-calc {
+          display: grid;
+          grid-template-columns: repeat(5, 1fr) auto;
+          gap: 12px;
+          align-items: end;
+        }
+
+        .tee-calc .card-action-btn {
+          margin-bottom: 16px;
+        }
+
+        .ledger-table tr.refunded td {
+          color: rgba(240, 244, 232, 0.4);
+        }
+
+        .ledger-table .ledger-status {
+          text-transform: capitalize;
+        }
+
+        .ledger-table .ledger-amount {
+          text-align: right;
+          font-weight: 600;
+        }
+
+        .ledger-amount.positive {
+          color: #7cb97c;
+        }
+
+        .ledger-amount.negative {
+          color: #e8a87c;
+        }
+
+        .hole-grid-wrapper {
+          overflow-x: auto;
+          margin-bottom: 16px;
+        }
+
+        .hole-grid {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 13px;
+        }
+
+        .hole-grid th {
+          font-size: 11px;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          color: rgba(240, 244, 232, 0.5);
+          font-weight: 500;
+          padding: 6px 4px;
+          text-align: center;
+        }
+
+        .hole-grid td {
+          padding: 2px;
+        }
+
+        .hole-grid .hole-number {
+          text-align: center;
+          color: #7cb97c;
+          font-weight: 600;
+        }
+
+        .hole-grid input,
+        .hole-grid select {
+          width: 100%;
+          min-width: 44px;
+          padding: 6px 4px;
+          font-size: 13px;
+          text-align: center;
+          background: rgba(255, 255, 255, 0.08);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 6px;
+          color: #fff;
+          font-family: inherit;
+        }
+
+        .hole-grid .yardage-input {
+          min-width: 56px;
+        }
+
+        .hole-grid select {
+          min-width: 64px;
+        }
+
+        .hole-grid select:disabled {
+          opacity: 0.3;
+        }
+
+        .hole-grid select option {
+          background: #1a3a1a;
+        }
+
+        .hole-grid input:focus,
+        .hole-grid select:focus {
+          outline: none;
+          border-color: #7cb97c;
+        }
+
+        .hole-grid-totals {
+          display: flex;
+          gap: 16px;
+          justify-content: flex-end;
+          padding: 10px 4px 0;
+          font-size: 13px;
+          color: rgba(240, 244, 232, 0.7);
+        }
+
+        .hole-by-hole-badge {
+          font-size: 11px;
+          padding: 2px 8px;
+          margin-left: 8px;
+          background: rgba(124, 185, 124, 0.15);
+          color: #7cb97c;
+          border-radius: 10px;
+        }
+
         .submit-btn:disabled {
           opacity: 0.6;
           cursor: not-allowed;
@@ -1679,6 +3016,16 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
           cursor: not-allowed;
         }
 
+        .ghin-actions .refresh-handicap-btn {
+          margin-left: 8px;
+        }
+
+        .ghin-sync-status {
+          margin-left: 12px;
+          font-size: 12px;
+          color: rgba(240, 244, 232, 0.5);
+        }
+
         .modal-description {
           color: rgba(240, 244, 232, 0.6);
           margin-bottom: 24px;
@@ -2036,6 +3383,10 @@ export default function Dashboard({ onNewAnalysis, onViewAnalysis, onNewCourseSt
             grid-template-columns: repeat(2, 1fr);
           }
 
+          .tee-calc {
+            grid-template-columns: repeat(2, 1fr);
+          }
+
           .round-stats {
             display: none;
           }
@@ -1,22 +1,166 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// The access token only lives in memory; the refresh token is kept so a reload
+// (or another tab) can start a new access token without signing in again.
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Reads the exp claim (ms) from a JWT without verifying it
+const getTokenExpiry = (jwt) => {
+  try {
+    const payload = JSON.parse(atob(jwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000;
+  } catch (error) {
+    return 0;
+  }
+};
+
 const AuthContext = createContext(null);
 
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
-  const [token, setToken] = useState(localStorage.getItem('token'));
+  const [token, setToken] = useState(null);
   const [loading, setLoading] = useState(true);
+  const refreshPromiseRef = useRef(null);
+  const refreshTimerRef = useRef(null);
+  // The latest access token, for long-running work that outlives a render
+  const tokenRef = useRef(null);
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    clearTimeout(refreshTimerRef.current);
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // Stores a freshly issued token pair
+  const applyTokens = useCallback((data) => {
+    localStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+    tokenRef.current = data.token;
+    setToken(data.token);
+  }, []);
+
+  const requestRefresh = async (refreshToken) => {
+    const response = await fetch(`${API_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+    return { ok: response.ok, status: response.status, data: await response.json() };
+  };
 
+  /**
+   * Exchanges the stored refresh token for a new access token.
+   * Concurrent callers share one request, since each refresh token works only once.
+   * @returns {Promise<string|null>} - The new access token, or null if the session is over
+   */
+  const refreshSession = useCallback(() => {
+    if (refreshPromiseRef.current) return refreshPromiseRef.current;
+
+    refreshPromiseRef.current = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken) return null;
+
+      try {
+        let result = await requestRefresh(refreshToken);
+
+        // Another tab may have rotated the token while this request was in flight
+        const latest = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (!result.ok && result.status === 401 && latest && latest !== refreshToken) {
+          result = await requestRefresh(latest);
+        }
+
+        if (result.ok) {
+          applyTokens(result.data);
+          return result.data.token;
+        }
+        if (result.status === 401) {
+          clearSession();
+        }
+        return null;
+      } catch (error) {
+        // Network error - keep the refresh token and try again later
+        console.error('Session refresh error:', error);
+        return null;
+      } finally {
+        refreshPromiseRef.current = null;
+      }
+    })();
+
+    return refreshPromiseRef.current;
+  }, [applyTokens, clearSession]);
+
+  /**
+   * The current access token, refreshed first if it has expired or is about to.
+   * For requests made long after they were started, like analysis stream reconnects.
+   * @returns {Promise<string|null>} - null when signed out
+   */
+  const getFreshToken = useCallback(async () => {
+    const current = tokenRef.current;
+    if (current && getTokenExpiry(current) - Date.now() > REFRESH_MARGIN_MS) return current;
+    if (!localStorage.getItem(REFRESH_TOKEN_KEY)) return current;
+    return (await refreshSession()) || tokenRef.current;
+  }, [refreshSession]);
+
+  // Restore the session on load
   useEffect(() => {
-    if (token) {
-      fetchUser();
+    localStorage.removeItem('token'); // long-lived token from before refresh tokens
+
+    if (localStorage.getItem(REFRESH_TOKEN_KEY)) {
+      refreshSession().then(newToken => {
+        if (!newToken) setLoading(false);
+      });
     } else {
       setLoading(false);
     }
+  }, []);
+
+  useEffect(() => {
+    tokenRef.current = token;
+    if (token) {
+      fetchUser();
+    }
   }, [token]);
 
+  // Silently refresh shortly before the access token expires
+  useEffect(() => {
+    clearTimeout(refreshTimerRef.current);
+    if (!token) return;
+
+    const delay = Math.max(0, getTokenExpiry(token) - Date.now() - REFRESH_MARGIN_MS);
+    refreshTimerRef.current = setTimeout(refreshSession, delay);
+    return () => clearTimeout(refreshTimerRef.current);
+  }, [token, refreshSession]);
+
+  // Timers are throttled in background tabs, so check again when the tab comes back
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible' && token &&
+          getTokenExpiry(token) - Date.now() < REFRESH_MARGIN_MS) {
+        refreshSession();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, [token, refreshSession]);
+
+  // Signing out in another tab signs out this one too
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === REFRESH_TOKEN_KEY && !e.newValue) {
+        clearTimeout(refreshTimerRef.current);
+        setToken(null);
+        setUser(null);
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
   const fetchUser = async () => {
     try {
       const response = await fetch(`${API_URL}/api/auth/me`, {
@@ -28,9 +172,12 @@ export function AuthProvider({ children }) {
       if (response.ok) {
         const userData = await response.json();
         setUser(userData);
+      } else if (response.status === 401 || response.status === 403) {
+        // Access token rejected (expired or session revoked) - the refresh decides
+        const newToken = await refreshSession();
+        if (!newToken) clearSession();
       } else {
-        // Token invalid
-        logout();
+        clearSession();
       }
     } catch (error) {
       console.error('Auth error:', error);
@@ -52,8 +199,7 @@ export function AuthProvider({ children }) {
       throw new Error(data.error || 'Login failed');
     }
 
-    localStorage.setItem('token', data.token);
-    setToken(data.token);
+    applyTokens(data);
     setUser(data.user);
     return data.user;
   };
@@ -71,8 +217,7 @@ export function AuthProvider({ children }) {
       throw new Error(data.error || 'Registration failed');
     }
 
-    localStorage.setItem('token', data.token);
-    setToken(data.token);
+    applyTokens(data);
     setUser(data.user);
     return data.user;
   };
@@ -91,16 +236,35 @@ export function AuthProvider({ children }) {
       throw new Error(data.error || 'GHIN registration failed');
     }
 
-    localStorage.setItem('token', data.token);
-    setToken(data.token);
+    applyTokens(data);
     setUser(data.user);
-    return { user: data.user, ghinToken: data.ghinToken, golfer: data.golfer };
+    return { user: data.user, token: data.token, golfer: data.golfer };
   };
 
   const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
-    setUser(null);
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (refreshToken) {
+      // Revoke the session server-side; sign out locally either way
+      fetch(`${API_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      }).catch(error => console.error('Logout error:', error));
+    }
+    clearSession();
+  };
+
+  const logoutAllDevices = async () => {
+    const response = await fetch(`${API_URL}/api/auth/logout-all`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to sign out all devices');
+    }
+    clearSession();
   };
 
   const updateCredits = (newCredits) => {
@@ -118,6 +282,9 @@ export function AuthProvider({ children }) {
     register,
     registerWithGhin,
     logout,
+    logoutAllDevices,
+    refreshSession,
+    getFreshToken,
     updateCredits,
     refreshUser: fetchUser
   };
@@ -0,0 +1,21 @@
+// The migrate and jobs CLIs import this without index.js, so .env (DATABASE_PATH)
+// is loaded here too
+import 'dotenv/config';
+import Database from 'better-sqlite3';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Ensure data directory exists BEFORE creating database
+const dataDir = join(__dirname, '../data');
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir, { recursive: true });
+}
+
+// Shared connection - used by the models in database.js and the migrate CLI
+const db = new Database(process.env.DATABASE_PATH || join(dataDir, 'fairway.db'));
+
+export default db;
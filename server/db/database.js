@@ -1,97 +1,15 @@
-import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import fs from 'fs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Ensure data directory exists BEFORE creating database
-const dataDir = join(__dirname, '../data');
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
-
-const db = new Database(join(dataDir, 'fairway.db'));
-
-// Initialize database tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    email TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL,
-    name TEXT,
-    handicap REAL,
-    target_handicap REAL,
-    home_course TEXT,
-    ghin_number TEXT,
-    subscription_status TEXT DEFAULT 'free',
-    subscription_id TEXT,
-    credits INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
+import db from './connection.js';
+import { migrateOnStartup } from './migrate.js';
+import { ANALYSIS_SCHEMA_VERSION } from '../services/analysisSchema.js';
+import { calculateAggregateStats } from '../services/golfStats.js';
+import { calculateHandicapIndex } from '../services/handicap.js';
 
-  CREATE TABLE IF NOT EXISTS analyses (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    name TEXT,
-    handicap REAL,
-    home_course TEXT,
-    miss_pattern TEXT,
-    analysis_json TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS rounds (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    analysis_id INTEGER,
-    date DATE,
-    course TEXT,
-    total_score INTEGER,
-    fairways_hit INTEGER,
-    gir INTEGER,
-    putts INTEGER,
-    penalties INTEGER,
-    notes TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id),
-    FOREIGN KEY (analysis_id) REFERENCES analyses(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS course_strategies (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    course_name TEXT NOT NULL,
-    tees TEXT,
-    strategy_json TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-  CREATE INDEX IF NOT EXISTS idx_analyses_user ON analyses(user_id);
-  CREATE INDEX IF NOT EXISTS idx_rounds_user ON rounds(user_id);
-  CREATE INDEX IF NOT EXISTS idx_course_strategies_user ON course_strategies(user_id);
-`);
-
-// Migration: Add target_handicap column if it doesn't exist
+// Bring the schema up to date (refuses to start if the database is ahead of the code)
 try {
-  const tableInfo = db.prepare("PRAGMA table_info(users)").all();
-  const hasTargetHandicap = tableInfo.some(col => col.name === 'target_handicap');
-  if (!hasTargetHandicap) {
-    db.exec('ALTER TABLE users ADD COLUMN target_handicap REAL');
-    console.log('Migration: Added target_handicap column to users table');
-  } else {
-    console.log('Migration: target_handicap column already exists');
-  }
-} catch (err) {
-  // Ignore "duplicate column" errors - column already exists
-  if (!err.message.includes('duplicate column')) {
-    console.error('Migration error:', err);
-  }
+  await migrateOnStartup(db);
+} catch (error) {
+  console.error('Database migration error:', error.message);
+  process.exit(1);
 }
 
 // User functions
@@ -119,6 +37,16 @@ export const findUserById = (id) => {
   return stmt.get(id);
 };
 
+export const findUserBySubscriptionId = (subscriptionId) => {
+  const stmt = db.prepare('SELECT * FROM users WHERE subscription_id = ?');
+  return stmt.get(subscriptionId);
+};
+
+export const findUserByStripeCustomerId = (customerId) => {
+  const stmt = db.prepare('SELECT * FROM users WHERE stripe_customer_id = ?');
+  return stmt.get(customerId);
+};
+
 export const updateUser = (id, updates) => {
   const fields = Object.keys(updates);
   const values = Object.values(updates);
@@ -131,24 +59,277 @@ export const updateUser = (id, updates) => {
   return stmt.run(...values, id);
 };
 
-export const decrementCredits = (userId) => {
+export const getUserCredits = (userId) => {
+  const stmt = db.prepare('SELECT credits, subscription_status FROM users WHERE id = ?');
+  return stmt.get(userId);
+};
+
+// Auth token functions (password reset / email verification)
+
+/**
+ * Stores a new token hash for a user, invalidating any unused tokens of the same type
+ */
+export const createAuthToken = (userId, type, tokenHash, expiresInMinutes) => {
+  return db.transaction(() => {
+    db.prepare(`
+      UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP 
+      WHERE user_id = ? AND type = ? AND used_at IS NULL
+    `).run(userId, type);
+
+    const result = db.prepare(`
+      INSERT INTO auth_tokens (user_id, type, token_hash, expires_at)
+      VALUES (?, ?, ?, datetime('now', '+${parseInt(expiresInMinutes)} minutes'))
+    `).run(userId, type, tokenHash);
+    return result.lastInsertRowid;
+  })();
+};
+
+/**
+ * Marks a token used and returns it, or null if it is unknown, expired or already used
+ */
+export const consumeAuthToken = (type, tokenHash) => {
+  return db.transaction(() => {
+    const token = db.prepare(`
+      SELECT * FROM auth_tokens 
+      WHERE type = ? AND token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+    `).get(type, tokenHash);
+    if (!token) return null;
+
+    db.prepare('UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?').run(token.id);
+    return token;
+  })();
+};
+
+export const markEmailVerified = (userId) => {
   const stmt = db.prepare(`
-    UPDATE users SET credits = credits - 1, updated_at = CURRENT_TIMESTAMP 
-    WHERE id = ? AND credits > 0
+    UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP 
+    WHERE id = ?
   `);
   return stmt.run(userId);
 };
 
-export const getUserCredits = (userId) => {
-  const stmt = db.prepare('SELECT credits, subscription_status FROM users WHERE id = ?');
-  return stmt.get(userId);
+// Removes tokens that can no longer be used
+export const purgeExpiredAuthTokens = () => {
+  const stmt = db.prepare(`
+    DELETE FROM auth_tokens WHERE expires_at <= datetime('now', '-1 day') OR used_at <= datetime('now', '-1 day')
+  `);
+  return stmt.run().changes;
+};
+
+// Session functions (refresh tokens)
+
+export const createSession = (userId, refreshTokenHash, expiresInDays, { userAgent = null, ipAddress = null } = {}) => {
+  const stmt = db.prepare(`
+    INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES (?, ?, ?, ?, datetime('now', '+${parseInt(expiresInDays)} days'))
+  `);
+  return stmt.run(userId, refreshTokenHash, userAgent, ipAddress).lastInsertRowid;
+};
+
+export const findActiveSession = (sessionId) => {
+  const stmt = db.prepare(`
+    SELECT * FROM sessions 
+    WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+  `);
+  return stmt.get(sessionId);
+};
+
+export const findSessionByRefreshToken = (refreshTokenHash) => {
+  const stmt = db.prepare('SELECT * FROM sessions WHERE refresh_token_hash = ?');
+  return stmt.get(refreshTokenHash);
+};
+
+// A session whose refresh token was already rotated away from this hash
+export const findSessionByPreviousToken = (refreshTokenHash) => {
+  const stmt = db.prepare('SELECT * FROM sessions WHERE previous_token_hash = ?');
+  return stmt.get(refreshTokenHash);
+};
+
+/**
+ * Swaps a session's refresh token for a new one and extends its expiry. Only succeeds
+ * if the session still holds currentHash, so two concurrent refreshes can't both rotate it.
+ */
+export const rotateSessionToken = (sessionId, currentHash, newHash, expiresInDays, { userAgent = null, ipAddress = null } = {}) => {
+  const stmt = db.prepare(`
+    UPDATE sessions 
+    SET refresh_token_hash = ?, previous_token_hash = refresh_token_hash, rotated_at = CURRENT_TIMESTAMP,
+        last_used_at = CURRENT_TIMESTAMP, expires_at = datetime('now', '+${parseInt(expiresInDays)} days'),
+        user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+    WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+  `);
+  return stmt.run(newHash, userAgent, ipAddress, sessionId, currentHash).changes > 0;
+};
+
+export const revokeSession = (sessionId, userId = null) => {
+  const stmt = db.prepare(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP 
+    WHERE id = ? AND (? IS NULL OR user_id = ?) AND revoked_at IS NULL
+  `);
+  return stmt.run(sessionId, userId, userId).changes > 0;
+};
+
+export const revokeAllSessions = (userId) => {
+  const stmt = db.prepare(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL
+  `);
+  return stmt.run(userId).changes;
+};
+
+export const getActiveSessions = (userId) => {
+  const stmt = db.prepare(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at 
+    FROM sessions 
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    ORDER BY last_used_at DESC
+  `);
+  return stmt.all(userId);
+};
+
+// Removes sessions that expired or were revoked more than a day ago
+export const purgeExpiredSessions = () => {
+  const stmt = db.prepare(`
+    DELETE FROM sessions WHERE expires_at <= datetime('now', '-1 day') OR revoked_at <= datetime('now', '-1 day')
+  `);
+  return stmt.run().changes;
+};
+
+// Credit ledger functions
+// Every change to a user's credits is a credit_transactions row; users.credits is
+// recalculated from the ledger in the same transaction.
+
+const syncCreditBalance = (userId) => {
+  db.prepare(`
+    UPDATE users 
+    SET credits = (SELECT COALESCE(SUM(amount), 0) FROM credit_transactions WHERE user_id = ?),
+        updated_at = CURRENT_TIMESTAMP 
+    WHERE id = ?
+  `).run(userId, userId);
+};
+
+/**
+ * Adds credits to a user's balance (grant, purchase or trial)
+ */
+export const addCredits = (userId, type, amount, description = null, reference = null) => {
+  return db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO credit_transactions (user_id, type, amount, description, reference)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(userId, type, amount, description, reference);
+    syncCreditBalance(userId);
+    return result.lastInsertRowid;
+  })();
+};
+
+/**
+ * Atomically holds one credit for work that is about to run.
+ * Returns the reservation id, or null if the user has no credits left.
+ */
+export const reserveCredit = (userId, description) => {
+  return db.transaction(() => {
+    const { balance } = db.prepare(`
+      SELECT COALESCE(SUM(amount), 0) as balance FROM credit_transactions WHERE user_id = ?
+    `).get(userId);
+
+    if (balance < 1) return null;
+
+    const result = db.prepare(`
+      INSERT INTO credit_transactions (user_id, type, amount, status, description)
+      VALUES (?, 'spend', -1, 'pending', ?)
+    `).run(userId, description);
+    syncCreditBalance(userId);
+    return result.lastInsertRowid;
+  }).immediate();
+};
+
+/**
+ * Finalizes a reservation once the work it paid for succeeded
+ */
+export const commitCredit = (reservationId, reference = null) => {
+  const stmt = db.prepare(`
+    UPDATE credit_transactions SET status = 'committed', reference = COALESCE(?, reference) 
+    WHERE id = ? AND status = 'pending'
+  `);
+  return stmt.run(reference === null ? null : String(reference), reservationId).changes > 0;
 };
 
+/**
+ * Releases a reservation and records the refund in the ledger
+ */
+export const refundCredit = (reservationId, description = 'Refund') => {
+  return db.transaction(() => {
+    const reservation = db.prepare(`
+      SELECT * FROM credit_transactions WHERE id = ? AND status = 'pending'
+    `).get(reservationId);
+    if (!reservation) return false;
+
+    db.prepare("UPDATE credit_transactions SET status = 'refunded' WHERE id = ?").run(reservationId);
+    db.prepare(`
+      INSERT INTO credit_transactions (user_id, type, amount, description, reference)
+      VALUES (?, 'refund', 1, ?, ?)
+    `).run(reservation.user_id, description, String(reservationId));
+    syncCreditBalance(reservation.user_id);
+    return true;
+  })();
+};
+
+// Refunds reservations nothing can commit any more: pending for over an hour with no
+// queued or running job holding them (e.g. a crash mid-save). Analysis jobs that are
+// waiting, retrying or resumed after a restart keep theirs - they commit it when they
+// finish, or refund it from onDead.
+export const refundStaleReservations = (olderThanMinutes = 60) => {
+  const stale = db.prepare(`
+    SELECT id FROM credit_transactions 
+    WHERE status = 'pending' AND created_at <= datetime('now', '-${parseInt(olderThanMinutes)} minutes')
+      AND NOT EXISTS (
+        SELECT 1 FROM jobs 
+        WHERE jobs.status IN ('queued', 'running')
+          AND json_extract(jobs.payload, '$.reservationId') = credit_transactions.id
+      )
+  `).all();
+  stale.forEach(row => refundCredit(row.id, 'Refund - analysis did not complete'));
+  return stale.length;
+};
+
+export const getCreditLedger = (userId, limit = 50) => {
+  const stmt = db.prepare(`
+    SELECT id, type, amount, status, description, reference, created_at 
+    FROM credit_transactions 
+    WHERE user_id = ? 
+    ORDER BY created_at DESC, id DESC 
+    LIMIT ?
+  `);
+  return stmt.all(userId, limit);
+};
+
+// Stripe webhook functions
+
+/**
+ * Records a Stripe event id. Returns false if the event was already processed.
+ */
+export const recordStripeEvent = (eventId, type) => {
+  const stmt = db.prepare('INSERT OR IGNORE INTO stripe_events (id, type) VALUES (?, ?)');
+  return stmt.run(eventId, type).changes > 0;
+};
+
+// Downgrades past-due subscribers whose grace period has run out. grace_period_ends_at
+// is kept so later past_due events don't start a fresh grace period.
+export const expireSubscriptionGracePeriods = () => {
+  const stmt = db.prepare(`
+    UPDATE users SET subscription_status = 'free', updated_at = CURRENT_TIMESTAMP 
+    WHERE subscription_status = 'pro' AND grace_period_ends_at IS NOT NULL AND grace_period_ends_at <= datetime('now')
+  `);
+  return stmt.run().changes;
+};
+
+// Runs fn inside a single SQLite transaction
+export const runInTransaction = (fn) => db.transaction(fn)();
+
 // Analysis functions
+// data.jobId is set for analyses saved by an analysis job (see getAnalysisByJobId)
 export const saveAnalysis = (userId, data) => {
   const stmt = db.prepare(`
-    INSERT INTO analyses (user_id, name, handicap, home_course, miss_pattern, analysis_json)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO analyses (user_id, name, handicap, home_course, miss_pattern, analysis_json, job_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
   `);
   const result = stmt.run(
     userId,
@@ -156,16 +337,26 @@ export const saveAnalysis = (userId, data) => {
     data.handicap,
     data.homeCourse,
     data.missPattern,
-    JSON.stringify(data.analysis)
+    JSON.stringify({ ...data.analysis, schemaVersion: ANALYSIS_SCHEMA_VERSION }),
+    data.jobId || null
   );
   return result.lastInsertRowid;
 };
 
+// The analysis a job already saved, if it got that far before being run again
+export const getAnalysisByJobId = (jobId) => {
+  const row = db.prepare('SELECT id, analysis_json FROM analyses WHERE job_id = ?').get(jobId);
+  if (row) {
+    row.analysis_json = JSON.parse(row.analysis_json);
+  }
+  return row;
+};
+
 export const getAnalysesByUser = (userId) => {
   const stmt = db.prepare(`
     SELECT id, name, handicap, home_course, miss_pattern, created_at 
     FROM analyses 
-    WHERE user_id = ? 
+    WHERE user_id = ? AND deleted_at IS NULL 
     ORDER BY created_at DESC
   `);
   return stmt.all(userId);
@@ -173,7 +364,7 @@ export const getAnalysesByUser = (userId) => {
 
 export const getAnalysisById = (id, userId) => {
   const stmt = db.prepare(`
-    SELECT * FROM analyses WHERE id = ? AND user_id = ?
+    SELECT * FROM analyses WHERE id = ? AND user_id = ? AND deleted_at IS NULL
   `);
   const row = stmt.get(id, userId);
   if (row) {
@@ -182,35 +373,233 @@ export const getAnalysisById = (id, userId) => {
   return row;
 };
 
+// The user's latest analysis created on or before a date - the strategy a round
+// played that day was following
+export const getAnalysisInEffect = (userId, date) => {
+  const stmt = db.prepare(`
+    SELECT id FROM analyses
+    WHERE user_id = ? AND deleted_at IS NULL AND date(created_at) <= date(?)
+    ORDER BY created_at DESC, id DESC LIMIT 1
+  `);
+  return stmt.get(userId, date);
+};
+
+// The analysis that replaced this one, if the user has run another since
+export const getNextAnalysis = (userId, analysis) => {
+  const stmt = db.prepare(`
+    SELECT id, created_at FROM analyses
+    WHERE user_id = ? AND deleted_at IS NULL AND (created_at > ? OR (created_at = ? AND id > ?))
+    ORDER BY created_at ASC, id ASC LIMIT 1
+  `);
+  return stmt.get(userId, analysis.created_at, analysis.created_at, analysis.id);
+};
+
 // Round tracking functions
+export const FAIRWAY_RESULTS = ['hit', 'left', 'right', 'short'];
+export const GREEN_RESULTS = ['hit', 'short', 'long', 'left', 'right'];
+
+const sumHoles = (holes, key) => {
+  const values = holes.map(h => h[key]).filter(v => v != null);
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) : null;
+};
+const countHoles = (holes, key, value) => {
+  const recorded = holes.filter(h => h[key] != null);
+  return recorded.length > 0 ? recorded.filter(h => h[key] === value).length : null;
+};
+
 export const saveRound = (userId, analysisId, data) => {
+  const holes = Array.isArray(data.holes) ? data.holes : [];
+
+  // Round totals are derived from the holes when hole-by-hole data is logged
+  const totals = holes.length > 0 ? {
+    totalScore: sumHoles(holes, 'score'),
+    fairwaysHit: countHoles(holes, 'fairwayResult', 'hit'),
+    gir: countHoles(holes, 'greenResult', 'hit'),
+    putts: sumHoles(holes, 'putts'),
+    penalties: sumHoles(holes, 'penalties')
+  } : data;
+
+  const roundStmt = db.prepare(`
+    INSERT INTO rounds (
+      user_id, analysis_id, date, course, total_score, fairways_hit, gir, putts, penalties, notes,
+      tees, course_rating, slope_rating, holes_played
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const insert = db.transaction(() => {
+    const result = roundStmt.run(
+      userId,
+      analysisId,
+      data.date,
+      data.course,
+      totals.totalScore,
+      totals.fairwaysHit,
+      totals.gir,
+      totals.putts,
+      totals.penalties,
+      data.notes,
+      ...ratingValues(data)
+    );
+
+    insertRoundHoles(result.lastInsertRowid, holes);
+    return result.lastInsertRowid;
+  });
+
+  return insert();
+};
+
+// Tee, rating and slope columns (used for handicap differentials)
+const ratingValues = (data) => [
+  data.tees ?? null,
+  data.courseRating ?? null,
+  data.slopeRating ?? null,
+  data.holesPlayed ?? null
+];
+
+const insertRoundHoles = (roundId, holes) => {
   const stmt = db.prepare(`
-    INSERT INTO rounds (user_id, analysis_id, date, course, total_score, fairways_hit, gir, putts, penalties, notes)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO round_holes (round_id, hole_number, par, yardage, score, putts, fairway_result, green_result, penalties, sand_shots, stroke_index)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
-  const result = stmt.run(
-    userId,
-    analysisId,
-    data.date,
-    data.course,
-    data.totalScore,
-    data.fairwaysHit,
-    data.gir,
-    data.putts,
-    data.penalties,
-    data.notes
-  );
-  return result.lastInsertRowid;
+  holes.forEach(hole => {
+    stmt.run(
+      roundId,
+      hole.holeNumber,
+      hole.par ?? null,
+      hole.yardage ?? null,
+      hole.score ?? null,
+      hole.putts ?? null,
+      hole.fairwayResult ?? null,
+      hole.greenResult ?? null,
+      hole.penalties ?? null,
+      hole.sandShots ?? null,
+      hole.strokeIndex ?? null
+    );
+  });
+};
+
+// Same totals logic as saveRound; holes (when given) replace the round's existing holes
+export const updateRound = (id, userId, data) => {
+  const holes = Array.isArray(data.holes) ? data.holes : null;
+  const totals = holes?.length > 0 ? {
+    totalScore: sumHoles(holes, 'score'),
+    fairwaysHit: countHoles(holes, 'fairwayResult', 'hit'),
+    gir: countHoles(holes, 'greenResult', 'hit'),
+    putts: sumHoles(holes, 'putts'),
+    penalties: sumHoles(holes, 'penalties')
+  } : data;
+
+  const stmt = db.prepare(`
+    UPDATE rounds 
+    SET date = ?, course = ?, total_score = ?, fairways_hit = ?, gir = ?, putts = ?, penalties = ?, notes = ?,
+        tees = ?, course_rating = ?, slope_rating = ?, holes_played = ?
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `);
+
+  const update = db.transaction(() => {
+    const result = stmt.run(
+      data.date,
+      data.course,
+      totals.totalScore,
+      totals.fairwaysHit ?? null,
+      totals.gir ?? null,
+      totals.putts ?? null,
+      totals.penalties ?? null,
+      data.notes ?? null,
+      ...ratingValues(data),
+      id,
+      userId
+    );
+
+    if (result.changes > 0 && holes) {
+      db.prepare('DELETE FROM round_holes WHERE round_id = ?').run(id);
+      insertRoundHoles(id, holes);
+    }
+    return result.changes > 0;
+  });
+
+  return update();
+};
+
+export const getRoundHoles = (roundIds) => {
+  if (roundIds.length === 0) return [];
+  const stmt = db.prepare(`
+    SELECT * FROM round_holes 
+    WHERE round_id IN (${roundIds.map(() => '?').join(', ')}) 
+    ORDER BY round_id, hole_number
+  `);
+  return stmt.all(...roundIds);
 };
 
 export const getRoundsByUser = (userId, limit = 20) => {
   const stmt = db.prepare(`
     SELECT * FROM rounds 
-    WHERE user_id = ? 
+    WHERE user_id = ? AND deleted_at IS NULL 
     ORDER BY date DESC 
     LIMIT ?
   `);
-  return stmt.all(userId, limit);
+  const rounds = stmt.all(userId, limit);
+
+  const holes = getRoundHoles(rounds.map(r => r.id));
+  rounds.forEach(round => {
+    round.holes = holes.filter(h => h.round_id === round.id);
+  });
+  return rounds;
+};
+
+// Converts a logged round into the score shape getDetailedScores returns for GHIN,
+// so the same aggregate stats and strokes gained code can run on it
+const toDetailedScore = (round) => ({
+  id: round.id,
+  analysisId: round.analysis_id,
+  date: round.date,
+  courseName: round.course,
+  totalScore: round.total_score,
+  differential: null,
+  tees: round.tees,
+  courseRating: round.course_rating,
+  slopeRating: round.slope_rating,
+  numberOfHoles: round.holes_played || (round.holes.length > 0 ? round.holes.length : 18),
+  fairwaysHit: round.fairways_hit,
+  greensInRegulation: round.gir,
+  putts: round.putts,
+  penalties: round.penalties,
+  holeDetails: round.holes.length > 0 ? round.holes.map(hole => ({
+    holeNumber: hole.hole_number,
+    par: hole.par,
+    yardage: hole.yardage,
+    score: hole.score,
+    fairwayHit: hole.fairway_result ? hole.fairway_result === 'hit' : null,
+    fairwayMiss: hole.fairway_result && hole.fairway_result !== 'hit' ? hole.fairway_result : null,
+    greenInRegulation: hole.green_result ? hole.green_result === 'hit' : null,
+    greenMiss: hole.green_result && hole.green_result !== 'hit' ? hole.green_result : null,
+    putts: hole.putts,
+    penalties: hole.penalties,
+    sandShots: hole.sand_shots,
+    strokeIndex: hole.stroke_index,
+    overUnder: hole.score != null && hole.par ? hole.score - hole.par : null
+  })) : null
+});
+
+export const getDetailedRoundsByUser = (userId, limit = 20) => {
+  return getRoundsByUser(userId, limit).map(toDetailedScore);
+};
+
+/**
+ * Every round the user has played: synced GHIN scores plus logged rounds (used for
+ * the handicap index and effectiveness reports). A logged round on a day with a
+ * GHIN score is assumed to be the same round.
+ */
+export const getHandicapRounds = (userId) => {
+  const ghinScores = getGhinScoresByUser(userId, -1).map(score => ({ ...score, source: 'ghin' }));
+  const ghinDates = new Set(ghinScores.map(score => String(score.date).slice(0, 10)));
+
+  const loggedRounds = getDetailedRoundsByUser(userId, -1)
+    .filter(round => !ghinDates.has(String(round.date).slice(0, 10)))
+    .map(round => ({ ...round, source: 'logged' }));
+
+  return [...ghinScores, ...loggedRounds];
 };
 
 export const getUserStats = (userId) => {
@@ -224,11 +613,504 @@ export const getUserStats = (userId) => {
       AVG(putts) as avg_putts,
       AVG(penalties) as avg_penalties
     FROM rounds 
+    WHERE user_id = ? AND deleted_at IS NULL
+  `);
+  const stats = stmt.get(userId);
+
+  // Same shape calculateAggregateStats produces for GHIN scores
+  stats.aggregateStats = calculateAggregateStats(getDetailedRoundsByUser(userId));
+  return stats;
+};
+
+// Analysis chat functions
+
+export const createChatThread = (userId, analysisId, title) => {
+  const stmt = db.prepare(`
+    INSERT INTO chat_threads (user_id, analysis_id, title) VALUES (?, ?, ?)
+  `);
+  return stmt.run(userId, analysisId, title).lastInsertRowid;
+};
+
+export const getChatThreadsByAnalysis = (analysisId, userId) => {
+  const stmt = db.prepare(`
+    SELECT t.id, t.title, t.created_at, t.updated_at, COUNT(m.id) as message_count
+    FROM chat_threads t
+    LEFT JOIN chat_messages m ON m.thread_id = t.id
+    WHERE t.analysis_id = ? AND t.user_id = ?
+    GROUP BY t.id
+    ORDER BY t.updated_at DESC, t.id DESC
+  `);
+  return stmt.all(analysisId, userId);
+};
+
+export const getChatThread = (threadId, analysisId, userId) => {
+  const stmt = db.prepare(`
+    SELECT * FROM chat_threads WHERE id = ? AND analysis_id = ? AND user_id = ?
+  `);
+  return stmt.get(threadId, analysisId, userId);
+};
+
+export const getChatMessages = (threadId) => {
+  const stmt = db.prepare(`
+    SELECT id, role, content, created_at FROM chat_messages WHERE thread_id = ? ORDER BY id ASC
+  `);
+  return stmt.all(threadId);
+};
+
+export const addChatMessage = (threadId, userId, role, content) => {
+  return db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO chat_messages (thread_id, user_id, role, content) VALUES (?, ?, ?, ?)
+    `).run(threadId, userId, role, content);
+    db.prepare('UPDATE chat_threads SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(threadId);
+    return result.lastInsertRowid;
+  })();
+};
+
+// Questions a user has asked since a timestamp (chat quota)
+export const countChatMessagesSince = (userId, since) => {
+  const stmt = db.prepare(`
+    SELECT COUNT(*) as count FROM chat_messages
+    WHERE user_id = ? AND role = 'user' AND created_at >= ?
+  `);
+  return stmt.get(userId, since).count;
+};
+
+/**
+ * Stores a question if the user has asked fewer than `limit` since `since`. The
+ * count and insert share an immediate transaction, so concurrent questions can't
+ * both take the last one. A null threadId starts a new thread.
+ * @returns {{ threadId, messageId, createdThread } | null} - null if the limit is reached
+ */
+export const reserveChatMessage = ({ userId, analysisId, threadId, content, limit, since }) => {
+  return db.transaction(() => {
+    if (countChatMessagesSince(userId, since) >= limit) return null;
+
+    const createdThread = threadId == null;
+    const id = createdThread ? createChatThread(userId, analysisId, content.slice(0, 80)) : threadId;
+    const messageId = addChatMessage(id, userId, 'user', content);
+    return { threadId: id, messageId, createdThread };
+  }).immediate();
+};
+
+// Removes a question stored by reserveChatMessage that never got an answer (and the
+// thread it started), so it doesn't count toward the quota
+export const releaseChatMessage = ({ threadId, messageId, createdThread }) => {
+  db.transaction(() => {
+    db.prepare("DELETE FROM chat_messages WHERE id = ? AND role = 'user'").run(messageId);
+    if (createdThread) {
+      db.prepare(`
+        DELETE FROM chat_threads WHERE id = ? AND NOT EXISTS (SELECT 1 FROM chat_messages WHERE thread_id = ?)
+      `).run(threadId, threadId);
+    }
+  })();
+};
+
+// Job queue functions
+// Rows are claimed one at a time inside an immediate transaction, so two workers
+// never pick up the same job.
+
+export const insertJob = ({ id, userId, type, payload, maxAttempts }) => {
+  db.prepare(`
+    INSERT INTO jobs (id, user_id, type, payload, max_attempts) VALUES (?, ?, ?, ?, ?)
+  `).run(id, userId || null, type, JSON.stringify(payload), maxAttempts);
+  return id;
+};
+
+// Marks the next due job as running (and counts the attempt); null if none are due
+export const claimNextJob = () => {
+  return db.transaction(() => {
+    const job = db.prepare(`
+      SELECT id FROM jobs WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+      ORDER BY run_at ASC, created_at ASC LIMIT 1
+    `).get();
+    if (!job) return null;
+
+    db.prepare(`
+      UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(job.id);
+    return db.prepare('SELECT * FROM jobs WHERE id = ?').get(job.id);
+  }).immediate();
+};
+
+// The payload is dropped once a job succeeds (it can hold uploaded images)
+export const completeJob = (jobId, result, output = null) => {
+  db.prepare(`
+    UPDATE jobs SET status = 'completed', result = ?, output = ?, payload = NULL, error = NULL,
+      finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(result === undefined ? null : JSON.stringify(result), output, jobId);
+};
+
+export const scheduleJobRetry = (jobId, error, delaySeconds) => {
+  db.prepare(`
+    UPDATE jobs SET status = 'queued', error = ?, run_at = datetime('now', ?)
+    WHERE id = ?
+  `).run(error, `+${Math.ceil(delaySeconds)} seconds`, jobId);
+};
+
+// Moves a job to the dead-letter list
+export const markJobDead = (jobId, error) => {
+  db.prepare(`
+    UPDATE jobs SET status = 'dead', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(error, jobId);
+};
+
+export const getJobRecord = (jobId) => {
+  return db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+};
+
+export const getJobsByUser = (userId, status = null, limit = 50) => {
+  const stmt = db.prepare(`
+    SELECT id, user_id, type, status, error, attempts, max_attempts, run_at, started_at, finished_at, created_at
+    FROM jobs
+    WHERE user_id = ? AND (? IS NULL OR status = ?)
+    ORDER BY created_at DESC
+    LIMIT ?
+  `);
+  return stmt.all(userId, status, status, limit);
+};
+
+export const getDeadJobs = (limit = 50) => {
+  const stmt = db.prepare(`
+    SELECT id, user_id, type, status, error, attempts, max_attempts, run_at, started_at, finished_at, created_at
+    FROM jobs WHERE status = 'dead'
+    ORDER BY finished_at DESC
+    LIMIT ?
+  `);
+  return stmt.all(limit);
+};
+
+// Puts a dead job back in the queue with a fresh set of attempts. Its old events
+// are cleared so a stream of the new run doesn't start with the old error.
+// A job that paid with a credit reservation (payload.reservationId) had it refunded
+// when it died, so it reserves a new one; throws if the user has no credits left.
+export const requeueDeadJob = (jobId) => {
+  return db.transaction(() => {
+    const job = db.prepare("SELECT * FROM jobs WHERE id = ? AND status = 'dead'").get(jobId);
+    if (!job) return false;
+
+    let payload = job.payload;
+    const { reservationId } = JSON.parse(payload || '{}');
+    if (reservationId) {
+      const reservation = db.prepare('SELECT user_id, status, description FROM credit_transactions WHERE id = ?').get(reservationId);
+      if (reservation?.status !== 'pending') {
+        const newReservationId = reservation && reserveCredit(reservation.user_id, reservation.description);
+        if (!newReservationId) {
+          throw new Error(`Job ${jobId}'s credit was refunded and the user has none left to pay for a retry`);
+        }
+        payload = JSON.stringify({ ...JSON.parse(payload), reservationId: newReservationId });
+      }
+    }
+
+    db.prepare(`
+      UPDATE jobs SET status = 'queued', attempts = 0, payload = ?, run_at = CURRENT_TIMESTAMP, finished_at = NULL
+      WHERE id = ?
+    `).run(payload, jobId);
+    db.prepare('DELETE FROM job_events WHERE job_id = ?').run(jobId);
+    return true;
+  }).immediate();
+};
+
+// Jobs left running by a crash or deploy go back in the queue, unless they've
+// used up their attempts
+export const recoverInterruptedJobs = () => {
+  return db.transaction(() => {
+    const dead = db.prepare(`
+      UPDATE jobs SET status = 'dead', error = 'Interrupted too many times', finished_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND attempts >= max_attempts
+    `).run().changes;
+    const requeued = db.prepare(`
+      UPDATE jobs SET status = 'queued', run_at = CURRENT_TIMESTAMP WHERE status = 'running'
+    `).run().changes;
+    return { requeued, dead };
+  })();
+};
+
+export const addJobEvent = (jobId, event, data) => {
+  return db.transaction(() => {
+    const { seq } = db.prepare(`
+      SELECT COALESCE(MAX(seq), 0) + 1 as seq FROM job_events WHERE job_id = ?
+    `).get(jobId);
+    db.prepare(`
+      INSERT INTO job_events (job_id, seq, event, data) VALUES (?, ?, ?, ?)
+    `).run(jobId, seq, event, JSON.stringify(data));
+    return seq;
+  })();
+};
+
+export const getJobEvents = (jobId, afterSeq = 0) => {
+  const stmt = db.prepare(`
+    SELECT seq, event, data FROM job_events WHERE job_id = ? AND seq > ? ORDER BY seq ASC
+  `);
+  return stmt.all(jobId, afterSeq);
+};
+
+/**
+ * Drops progress events an hour after a job finishes, completed jobs after a week
+ * and dead jobs after SOFT_DELETE_DAYS
+ * @returns {number} - Rows removed
+ */
+export const purgeJobHistory = () => {
+  return db.transaction(() => {
+    const events = db.prepare(`
+      DELETE FROM job_events WHERE job_id IN (
+        SELECT id FROM jobs WHERE finished_at <= datetime('now', '-1 hour')
+      )
+    `).run().changes;
+    const jobs = db.prepare(`
+      DELETE FROM jobs
+      WHERE (status = 'completed' AND finished_at <= datetime('now', '-7 days'))
+        OR (status = 'dead' AND finished_at <= datetime('now', '-${SOFT_DELETE_DAYS} days'))
+    `).run().changes;
+    return events + jobs;
+  })();
+};
+
+// Handicap history functions
+
+/**
+ * Records a handicap index change. Skips empty values and repeats of the last
+ * index recorded from the same source.
+ * @param {string} source - 'ghin' | 'manual' | 'computed'
+ */
+export const recordHandicap = (userId, handicapIndex, source) => {
+  const index = parseFloat(handicapIndex);
+  if (!Number.isFinite(index)) return false;
+
+  const last = db.prepare(`
+    SELECT handicap_index FROM handicap_history
+    WHERE user_id = ? AND source = ?
+    ORDER BY recorded_at DESC, id DESC LIMIT 1
+  `).get(userId, source);
+  if (last?.handicap_index === index) return false;
+
+  db.prepare(`
+    INSERT INTO handicap_history (user_id, handicap_index, source) VALUES (?, ?, ?)
+  `).run(userId, index, source);
+  return true;
+};
+
+// Re-runs the WHS calculation after the user's rounds or GHIN scores change
+export const recordComputedHandicap = (userId) => {
+  const { handicapIndex } = calculateHandicapIndex(getHandicapRounds(userId));
+  return recordHandicap(userId, handicapIndex, 'computed');
+};
+
+export const getHandicapHistory = (userId) => {
+  const stmt = db.prepare(`
+    SELECT handicap_index, source, recorded_at FROM handicap_history
     WHERE user_id = ?
+    ORDER BY recorded_at ASC, id ASC
+  `);
+  return stmt.all(userId);
+};
+
+// GHIN sync functions
+export const saveGhinConnection = (userId, ghinNumber, encryptedToken) => {
+  const stmt = db.prepare(`
+    INSERT INTO ghin_connections (user_id, ghin_number, encrypted_token, connected_at, last_sync_error)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP, NULL)
+    ON CONFLICT(user_id) DO UPDATE SET 
+      ghin_number = excluded.ghin_number,
+      encrypted_token = excluded.encrypted_token,
+      connected_at = CURRENT_TIMESTAMP,
+      last_sync_error = NULL
+  `);
+  return stmt.run(userId, String(ghinNumber), encryptedToken);
+};
+
+export const getGhinConnection = (userId) => {
+  const stmt = db.prepare('SELECT * FROM ghin_connections WHERE user_id = ?');
+  return stmt.get(userId);
+};
+
+export const updateGhinConnection = (userId, updates) => {
+  const fields = Object.keys(updates);
+  const setClause = fields.map(f => `${f} = ?`).join(', ');
+  const stmt = db.prepare(`UPDATE ghin_connections SET ${setClause} WHERE user_id = ?`);
+  return stmt.run(...Object.values(updates), userId);
+};
+
+export const deleteGhinConnection = (userId) => {
+  const stmt = db.prepare('DELETE FROM ghin_connections WHERE user_id = ?');
+  return stmt.run(userId).changes > 0;
+};
+
+// PDF logo functions
+export const saveUserLogo = (userId, image, mimeType) => {
+  const stmt = db.prepare(`
+    INSERT INTO user_logos (user_id, image, mime_type, updated_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(user_id) DO UPDATE SET
+      image = excluded.image,
+      mime_type = excluded.mime_type,
+      updated_at = CURRENT_TIMESTAMP
   `);
+  return stmt.run(userId, image, mimeType);
+};
+
+export const getUserLogo = (userId) => {
+  const stmt = db.prepare('SELECT image, mime_type, updated_at FROM user_logos WHERE user_id = ?');
   return stmt.get(userId);
 };
 
+export const deleteUserLogo = (userId) => {
+  const stmt = db.prepare('DELETE FROM user_logos WHERE user_id = ?');
+  return stmt.run(userId).changes > 0;
+};
+
+// Share link functions
+// Share links expire at datetime('now', '+N days'); a null expiry never expires
+const expiryModifier = (days) => (days == null ? null : `+${days} days`);
+
+export const createShareLink = (userId, { slug, resourceType, resourceId, hideIdentity = false, expiresInDays = null }) => {
+  const stmt = db.prepare(`
+    INSERT INTO share_links (slug, user_id, resource_type, resource_id, hide_identity, expires_at)
+    VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+  `);
+  const modifier = expiryModifier(expiresInDays);
+  const result = stmt.run(slug, userId, resourceType, resourceId, hideIdentity ? 1 : 0, modifier, modifier);
+  return getShareLinkById(result.lastInsertRowid, userId);
+};
+
+export const getShareLinkById = (id, userId) => {
+  const stmt = db.prepare('SELECT * FROM share_links WHERE id = ? AND user_id = ?');
+  return stmt.get(id, userId);
+};
+
+export const getShareLinkBySlug = (slug) => {
+  const stmt = db.prepare('SELECT * FROM share_links WHERE slug = ?');
+  return stmt.get(slug);
+};
+
+// The owner's links, newest first - optionally only those for one analysis or course strategy
+export const getShareLinksByUser = (userId, resourceType = null, resourceId = null) => {
+  const stmt = db.prepare(`
+    SELECT * FROM share_links
+    WHERE user_id = ? AND (? IS NULL OR (resource_type = ? AND resource_id = ?))
+    ORDER BY created_at DESC, id DESC
+  `);
+  return stmt.all(userId, resourceType, resourceType, resourceId);
+};
+
+// expiresInDays: a number of days from now, null for never, or undefined to leave it
+export const updateShareLink = (id, userId, { hideIdentity, expiresInDays }) => {
+  if (hideIdentity !== undefined) {
+    db.prepare('UPDATE share_links SET hide_identity = ? WHERE id = ? AND user_id = ?')
+      .run(hideIdentity ? 1 : 0, id, userId);
+  }
+  if (expiresInDays !== undefined) {
+    const modifier = expiryModifier(expiresInDays);
+    db.prepare(`
+      UPDATE share_links SET expires_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END
+      WHERE id = ? AND user_id = ?
+    `).run(modifier, modifier, id, userId);
+  }
+  return getShareLinkById(id, userId);
+};
+
+export const revokeShareLink = (id, userId) => {
+  const stmt = db.prepare(`
+    UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+  `);
+  return stmt.run(id, userId).changes > 0;
+};
+
+export const recordShareView = (id) => {
+  const stmt = db.prepare(`
+    UPDATE share_links SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP WHERE id = ?
+  `);
+  return stmt.run(id);
+};
+
+// Connections with a usable token that haven't synced in the last intervalHours
+export const getGhinConnectionsDueForSync = (intervalHours) => {
+  const stmt = db.prepare(`
+    SELECT user_id FROM ghin_connections 
+    WHERE encrypted_token IS NOT NULL 
+      AND (last_synced_at IS NULL OR last_synced_at <= datetime('now', '-${parseInt(intervalHours)} hours'))
+    ORDER BY last_synced_at IS NOT NULL, last_synced_at
+  `);
+  return stmt.all().map(row => row.user_id);
+};
+
+/**
+ * Inserts or refreshes scores from getDetailedScores
+ * @returns {number} - How many of the scores were new
+ */
+export const upsertGhinScores = (userId, scores) => {
+  const exists = db.prepare('SELECT 1 FROM ghin_scores WHERE user_id = ? AND ghin_score_id = ?');
+  const upsert = db.prepare(`
+    INSERT INTO ghin_scores (
+      user_id, ghin_score_id, played_at, course_name, facility_name, course_id, tees,
+      total_score, raw_score, course_rating, slope_rating, differential, number_of_holes, score_type,
+      fairways_hit, fairways_possible, gir, gir_possible, putts, penalties, hole_details
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(user_id, ghin_score_id) DO UPDATE SET
+      played_at = excluded.played_at, course_name = excluded.course_name, facility_name = excluded.facility_name,
+      course_id = excluded.course_id, tees = excluded.tees, total_score = excluded.total_score,
+      raw_score = excluded.raw_score, course_rating = excluded.course_rating, slope_rating = excluded.slope_rating,
+      differential = excluded.differential, number_of_holes = excluded.number_of_holes, score_type = excluded.score_type,
+      fairways_hit = excluded.fairways_hit, fairways_possible = excluded.fairways_possible, gir = excluded.gir,
+      gir_possible = excluded.gir_possible, putts = excluded.putts, penalties = excluded.penalties,
+      hole_details = COALESCE(excluded.hole_details, ghin_scores.hole_details), synced_at = CURRENT_TIMESTAMP
+  `);
+
+  return db.transaction(() => {
+    let added = 0;
+    scores.filter(score => score.id != null).forEach(score => {
+      const id = String(score.id);
+      if (!exists.get(userId, id)) added++;
+      upsert.run(
+        userId, id, score.date, score.courseName, score.facilityName, score.courseId != null ? String(score.courseId) : null, score.tees,
+        score.totalScore, score.rawScore, score.courseRating, score.slopeRating, score.differential, score.numberOfHoles, score.scoreType,
+        score.fairwaysHit, score.fairwaysPossible, score.greensInRegulation, score.girPossible, score.putts, score.penalties,
+        score.holeDetails ? JSON.stringify(score.holeDetails) : null
+      );
+    });
+    return added;
+  })();
+};
+
+/**
+ * Synced GHIN scores, most recent first, in the shape getDetailedScores returns
+ */
+export const getGhinScoresByUser = (userId, limit = 20) => {
+  const stmt = db.prepare(`
+    SELECT * FROM ghin_scores WHERE user_id = ? ORDER BY played_at DESC, id DESC LIMIT ?
+  `);
+  return stmt.all(userId, limit).map(row => ({
+    id: row.ghin_score_id,
+    date: row.played_at,
+    courseName: row.course_name,
+    facilityName: row.facility_name,
+    courseId: row.course_id,
+    totalScore: row.total_score,
+    rawScore: row.raw_score,
+    courseRating: row.course_rating,
+    slopeRating: row.slope_rating,
+    differential: row.differential,
+    tees: row.tees,
+    numberOfHoles: row.number_of_holes,
+    scoreType: row.score_type,
+    fairwaysHit: row.fairways_hit,
+    fairwaysPossible: row.fairways_possible,
+    greensInRegulation: row.gir,
+    girPossible: row.gir_possible,
+    putts: row.putts,
+    penalties: row.penalties,
+    holeDetails: row.hole_details ? JSON.parse(row.hole_details) : null
+  }));
+};
+
+export const countGhinScores = (userId) => {
+  const stmt = db.prepare('SELECT COUNT(*) as count FROM ghin_scores WHERE user_id = ?');
+  return stmt.get(userId).count;
+};
+
 // Course Strategy functions
 export const saveCourseStrategy = (userId, data) => {
   const stmt = db.prepare(`
@@ -248,7 +1130,7 @@ export const getCourseStrategiesByUser = (userId) => {
   const stmt = db.prepare(`
     SELECT id, course_name, tees, created_at 
     FROM course_strategies 
-    WHERE user_id = ? 
+    WHERE user_id = ? AND deleted_at IS NULL 
     ORDER BY created_at DESC
   `);
   return stmt.all(userId);
@@ -256,7 +1138,7 @@ export const getCourseStrategiesByUser = (userId) => {
 
 export const getCourseStrategyById = (id, userId) => {
   const stmt = db.prepare(`
-    SELECT * FROM course_strategies WHERE id = ? AND user_id = ?
+    SELECT * FROM course_strategies WHERE id = ? AND user_id = ? AND deleted_at IS NULL
   `);
   const row = stmt.get(id, userId);
   if (row && row.strategy_json) {
@@ -265,4 +1147,106 @@ export const getCourseStrategyById = (id, userId) => {
   return row;
 };
 
+export const updateAnalysis = (id, userId, data) => {
+  const stmt = db.prepare(`
+    UPDATE analyses SET name = ?, home_course = ?
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `);
+  return stmt.run(data.name, data.homeCourse, id, userId).changes > 0;
+};
+
+export const updateCourseStrategy = (id, userId, data) => {
+  const stmt = db.prepare(`
+    UPDATE course_strategies SET course_name = ?, tees = ?
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `);
+  return stmt.run(data.courseName, data.tees || '', id, userId).changes > 0;
+};
+
+// Soft delete / restore
+export const SOFT_DELETE_DAYS = 30;
+const SOFT_DELETE_TABLES = ['rounds', 'analyses', 'course_strategies'];
+
+const softDelete = (table, id, userId) => {
+  const stmt = db.prepare(`
+    UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP 
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `);
+  return stmt.run(id, userId).changes > 0;
+};
+
+const restore = (table, id, userId) => {
+  const stmt = db.prepare(`
+    UPDATE ${table} SET deleted_at = NULL 
+    WHERE id = ? AND user_id = ? AND deleted_at > datetime('now', '-${SOFT_DELETE_DAYS} days')
+  `);
+  return stmt.run(id, userId).changes > 0;
+};
+
+export const deleteRound = (id, userId) => softDelete('rounds', id, userId);
+export const restoreRound = (id, userId) => restore('rounds', id, userId);
+export const deleteAnalysis = (id, userId) => softDelete('analyses', id, userId);
+export const restoreAnalysis = (id, userId) => restore('analyses', id, userId);
+export const deleteCourseStrategy = (id, userId) => softDelete('course_strategies', id, userId);
+export const restoreCourseStrategy = (id, userId) => restore('course_strategies', id, userId);
+
+// Items the user deleted that can still be restored
+export const getDeletedItems = (userId) => {
+  const window = `datetime('now', '-${SOFT_DELETE_DAYS} days')`;
+  return {
+    rounds: db.prepare(`
+      SELECT id, date, course, total_score, deleted_at FROM rounds 
+      WHERE user_id = ? AND deleted_at > ${window} ORDER BY deleted_at DESC
+    `).all(userId),
+    analyses: db.prepare(`
+      SELECT id, name, handicap, home_course, created_at, deleted_at FROM analyses 
+      WHERE user_id = ? AND deleted_at > ${window} ORDER BY deleted_at DESC
+    `).all(userId),
+    courseStrategies: db.prepare(`
+      SELECT id, course_name, tees, created_at, deleted_at FROM course_strategies 
+      WHERE user_id = ? AND deleted_at > ${window} ORDER BY deleted_at DESC
+    `).all(userId)
+  };
+};
+
+// Permanently removes rows whose restore window has passed
+export const purgeDeletedRecords = () => {
+  const cutoff = `datetime('now', '-${SOFT_DELETE_DAYS} days')`;
+  const purge = db.transaction(() => {
+    // Rounds can point at an analysis that is about to be purged
+    db.prepare(`
+      UPDATE rounds SET analysis_id = NULL 
+      WHERE analysis_id IN (SELECT id FROM analyses WHERE deleted_at <= ${cutoff})
+    `).run();
+
+    db.prepare(`
+      DELETE FROM round_holes WHERE round_id IN (SELECT id FROM rounds WHERE deleted_at <= ${cutoff})
+    `).run();
+
+    // Chat threads go with their analysis
+    db.prepare(`
+      DELETE FROM chat_messages WHERE thread_id IN (
+        SELECT id FROM chat_threads WHERE analysis_id IN (SELECT id FROM analyses WHERE deleted_at <= ${cutoff})
+      )
+    `).run();
+    db.prepare(`
+      DELETE FROM chat_threads WHERE analysis_id IN (SELECT id FROM analyses WHERE deleted_at <= ${cutoff})
+    `).run();
+
+    // So do share links
+    db.prepare(`
+      DELETE FROM share_links WHERE resource_type = 'analysis'
+        AND resource_id IN (SELECT id FROM analyses WHERE deleted_at <= ${cutoff})
+    `).run();
+    db.prepare(`
+      DELETE FROM share_links WHERE resource_type = 'course_strategy'
+        AND resource_id IN (SELECT id FROM course_strategies WHERE deleted_at <= ${cutoff})
+    `).run();
+
+    return SOFT_DELETE_TABLES.reduce((total, table) =>
+      total + db.prepare(`DELETE FROM ${table} WHERE deleted_at <= ${cutoff}`).run().changes, 0);
+  });
+  return purge();
+};
+
 export default db;
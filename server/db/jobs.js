@@ -0,0 +1,55 @@
+// Dead-letter inspection for the job queue (services/jobQueue.js)
+//
+// CLI (from server/):
+//   npm run jobs:dead           list dead-lettered jobs, newest first
+//   npm run jobs -- show <id>   print a job's status, error and stored events
+//   npm run jobs -- retry <id>  put a dead job back in the queue (the running
+//                               server picks it up within a second). A retried
+//                               analysis reserves a new credit, since its first
+//                               one was refunded when the job died.
+
+import db from './connection.js';
+import { getDeadJobs, getJobRecord, getJobEvents, requeueDeadJob } from './database.js';
+
+const [command = 'dead', jobId] = process.argv.slice(2);
+
+try {
+  if (command === 'dead') {
+    const jobs = getDeadJobs();
+    if (jobs.length === 0) {
+      console.log('No dead jobs');
+    }
+    jobs.forEach(job => {
+      console.log(`${job.id}  ${job.type.padEnd(14)} user ${String(job.user_id ?? '-').padEnd(6)} ${job.attempts}/${job.max_attempts} attempts  ${job.finished_at}`);
+      console.log(`    ${job.error}`);
+    });
+  } else if (command === 'show' && jobId) {
+    const job = getJobRecord(jobId);
+    if (!job) {
+      console.error(`Job ${jobId} not found`);
+      process.exitCode = 1;
+    } else {
+      const { payload, output, result, ...summary } = job;
+      console.log(summary);
+      console.log(`payload: ${payload ? `${payload.length} bytes` : 'none'}, output: ${output ? `${output.length} bytes` : 'none'}`);
+      getJobEvents(jobId).forEach(event => {
+        console.log(`  #${event.seq} ${event.event} ${event.event === 'section' ? JSON.parse(event.data).section : event.data}`);
+      });
+    }
+  } else if (command === 'retry' && jobId) {
+    if (requeueDeadJob(jobId)) {
+      console.log(`Requeued ${jobId}`);
+    } else {
+      console.error(`Job ${jobId} is not dead-lettered`);
+      process.exitCode = 1;
+    }
+  } else {
+    console.error(`Unknown command "${command}". Use dead, show <id> or retry <id>.`);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('Jobs command failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
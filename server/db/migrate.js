@@ -0,0 +1,187 @@
+// Migration Runner
+// Migrations live in db/migrations as NNN_description.js, each exporting
+// up(db) and down(db). Applied versions are recorded in schema_migrations.
+//
+// CLI (from server/):
+//   npm run migrate          apply all pending migrations
+//   npm run migrate:status   list applied and pending migrations
+//   npm run migrate:down     revert the most recent migration
+
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join, resolve } from 'path';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const migrationsDir = join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Loads every migration in the migrations directory, ordered by version
+ */
+export async function loadMigrations() {
+  const files = fs.readdirSync(migrationsDir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    const module = await import(pathToFileURL(join(migrationsDir, file)).href);
+
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up(db) and down(db)`);
+    }
+    migrations.push({ version: parseInt(version, 10), name, up: module.up, down: module.down });
+  }
+
+  const versions = migrations.map(m => m.version);
+  const duplicate = versions.find((v, i) => versions.indexOf(v) !== i);
+  if (duplicate !== undefined) {
+    throw new Error(`Duplicate migration version ${duplicate}`);
+  }
+
+  return migrations;
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+/**
+ * Lists each known migration with whether it has been applied, plus any applied
+ * versions this code doesn't know about (the database is ahead of the code)
+ */
+export async function getMigrationStatus(db) {
+  const migrations = await loadMigrations();
+  const applied = getAppliedMigrations(db);
+  const appliedVersions = new Set(applied.map(m => m.version));
+  const knownVersions = new Set(migrations.map(m => m.version));
+
+  return {
+    migrations: migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: appliedVersions.has(m.version),
+      appliedAt: applied.find(a => a.version === m.version)?.applied_at || null
+    })),
+    unknown: applied.filter(a => !knownVersions.has(a.version))
+  };
+}
+
+/**
+ * Applies all pending migrations in order, each in its own transaction
+ * @returns {Array} - The migrations that were applied
+ */
+export async function migrateUp(db) {
+  const migrations = await loadMigrations();
+  const applied = getAppliedMigrations(db);
+
+  const unknown = applied.filter(a => !migrations.some(m => m.version === a.version));
+  if (unknown.length > 0) {
+    throw new Error(`Database has migrations this code doesn't know about: ${unknown.map(m => `${m.version}_${m.name}`).join(', ')}`);
+  }
+
+  const appliedVersions = new Set(applied.map(a => a.version));
+  const pending = migrations.filter(m => !appliedVersions.has(m.version));
+
+  pending.forEach(migration => {
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    })();
+    console.log(`Migration: applied ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+  });
+
+  return pending;
+}
+
+/**
+ * Reverts the most recently applied migrations
+ * @param {number} steps - How many migrations to revert
+ * @returns {Array} - The migrations that were reverted
+ */
+export async function migrateDown(db, steps = 1) {
+  const all = await loadMigrations();
+  const applied = getAppliedMigrations(db).reverse().slice(0, steps);
+  const reverted = [];
+
+  for (const row of applied) {
+    const migration = all.find(m => m.version === row.version);
+    if (!migration) {
+      throw new Error(`Cannot revert ${row.version}_${row.name}: migration file not found`);
+    }
+
+    db.transaction(() => {
+      migration.down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+    })();
+    console.log(`Migration: reverted ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+    reverted.push(migration);
+  }
+
+  return reverted;
+}
+
+/**
+ * Startup check - refuses to run against a database that is ahead of the code,
+ * then applies any pending migrations
+ */
+export async function migrateOnStartup(db) {
+  const { migrations, unknown } = await getMigrationStatus(db);
+
+  if (unknown.length > 0) {
+    const latestKnown = Math.max(0, ...migrations.map(m => m.version));
+    throw new Error(
+      `Database schema is ahead of this code (has ${unknown.map(m => `${m.version}_${m.name}`).join(', ')}; ` +
+      `latest known migration is ${latestKnown}). Deploy newer code or run "npm run migrate:down" with the newer code.`
+    );
+  }
+
+  await migrateUp(db);
+}
+
+// CLI entry point
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  const { default: db } = await import('./connection.js');
+  const command = process.argv[2] || 'up';
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(db);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const steps = parseInt(process.argv[3] || '1', 10);
+      const reverted = await migrateDown(db, steps);
+      console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'No migrations to revert');
+    } else if (command === 'status') {
+      const { migrations, unknown } = await getMigrationStatus(db);
+      migrations.forEach(m => {
+        console.log(`${m.applied ? '[x]' : '[ ]'} ${String(m.version).padStart(3, '0')}_${m.name}${m.appliedAt ? `  (${m.appliedAt})` : ''}`);
+      });
+      unknown.forEach(m => {
+        console.log(`[!] ${String(m.version).padStart(3, '0')}_${m.name}  (applied, but no migration file - database is ahead of code)`);
+      });
+    } else {
+      console.error(`Unknown command "${command}". Use up, down [steps] or status.`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,74 @@
+// Initial schema (the tables database.js used to create at import time).
+// IF NOT EXISTS so databases created before migrations existed adopt it cleanly.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      name TEXT,
+      handicap REAL,
+      home_course TEXT,
+      ghin_number TEXT,
+      subscription_status TEXT DEFAULT 'free',
+      subscription_id TEXT,
+      credits INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS analyses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT,
+      handicap REAL,
+      home_course TEXT,
+      miss_pattern TEXT,
+      analysis_json TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS rounds (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      analysis_id INTEGER,
+      date DATE,
+      course TEXT,
+      total_score INTEGER,
+      fairways_hit INTEGER,
+      gir INTEGER,
+      putts INTEGER,
+      penalties INTEGER,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (analysis_id) REFERENCES analyses(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS course_strategies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      course_name TEXT NOT NULL,
+      tees TEXT,
+      strategy_json TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+    CREATE INDEX IF NOT EXISTS idx_analyses_user ON analyses(user_id);
+    CREATE INDEX IF NOT EXISTS idx_rounds_user ON rounds(user_id);
+    CREATE INDEX IF NOT EXISTS idx_course_strategies_user ON course_strategies(user_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS course_strategies;
+    DROP TABLE IF EXISTS rounds;
+    DROP TABLE IF EXISTS analyses;
+    DROP TABLE IF EXISTS users;
+  `);
+}
@@ -0,0 +1,10 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Older databases already got this column from the pre-migration startup check
+export function up(db) {
+  addColumnIfMissing(db, 'users', 'target_handicap', 'REAL');
+}
+
+export function down(db) {
+  db.exec('ALTER TABLE users DROP COLUMN target_handicap');
+}
@@ -0,0 +1,26 @@
+// Hole-by-hole data for logged rounds
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS round_holes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      round_id INTEGER NOT NULL,
+      hole_number INTEGER NOT NULL,
+      par INTEGER,
+      yardage INTEGER,
+      score INTEGER,
+      putts INTEGER,
+      fairway_result TEXT,
+      green_result TEXT,
+      penalties INTEGER,
+      sand_shots INTEGER,
+      FOREIGN KEY (round_id) REFERENCES rounds(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_round_holes_round ON round_holes(round_id);
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS round_holes');
+}
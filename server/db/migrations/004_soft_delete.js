@@ -0,0 +1,12 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Soft delete - rows stay restorable for SOFT_DELETE_DAYS before being purged
+const TABLES = ['rounds', 'analyses', 'course_strategies'];
+
+export function up(db) {
+  TABLES.forEach(table => addColumnIfMissing(db, table, 'deleted_at', 'DATETIME'));
+}
+
+export function down(db) {
+  TABLES.forEach(table => db.exec(`ALTER TABLE ${table} DROP COLUMN deleted_at`));
+}
@@ -0,0 +1,37 @@
+// Stripe subscription lifecycle tracking. subscription_status stays the app's
+// entitlement ('free' / 'pro'); stripe_subscription_status mirrors Stripe.
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE users ADD COLUMN stripe_customer_id TEXT;
+    ALTER TABLE users ADD COLUMN stripe_subscription_status TEXT;
+    ALTER TABLE users ADD COLUMN current_period_end DATETIME;
+    ALTER TABLE users ADD COLUMN cancel_at_period_end INTEGER DEFAULT 0;
+    ALTER TABLE users ADD COLUMN grace_period_ends_at DATETIME;
+    ALTER TABLE users ADD COLUMN subscription_event_at INTEGER;
+
+    CREATE INDEX IF NOT EXISTS idx_users_subscription ON users(subscription_id);
+    CREATE INDEX IF NOT EXISTS idx_users_stripe_customer ON users(stripe_customer_id);
+
+    CREATE TABLE IF NOT EXISTS stripe_events (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS stripe_events;
+    DROP INDEX IF EXISTS idx_users_stripe_customer;
+    DROP INDEX IF EXISTS idx_users_subscription;
+
+    ALTER TABLE users DROP COLUMN subscription_event_at;
+    ALTER TABLE users DROP COLUMN grace_period_ends_at;
+    ALTER TABLE users DROP COLUMN cancel_at_period_end;
+    ALTER TABLE users DROP COLUMN current_period_end;
+    ALTER TABLE users DROP COLUMN stripe_subscription_status;
+    ALTER TABLE users DROP COLUMN stripe_customer_id;
+  `);
+}
@@ -0,0 +1,30 @@
+// Credits ledger. users.credits becomes a cached copy of SUM(amount) that is
+// only ever written together with a ledger row.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS credit_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('grant', 'purchase', 'trial', 'spend', 'refund')),
+      amount INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'committed' CHECK (status IN ('pending', 'committed', 'refunded')),
+      description TEXT,
+      reference TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_credit_transactions_user ON credit_transactions(user_id);
+  `);
+
+  // Opening balance for credits granted before the ledger existed
+  db.exec(`
+    INSERT INTO credit_transactions (user_id, type, amount, description)
+    SELECT id, 'grant', credits, 'Opening balance' FROM users WHERE credits > 0
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS credit_transactions');
+}
@@ -0,0 +1,28 @@
+// Single-use tokens for password reset and email verification. Only a SHA-256
+// hash of each token is stored; the raw token only ever appears in the email.
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE users ADD COLUMN email_verified_at DATETIME;
+
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('password_reset', 'email_verification')),
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, type);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS auth_tokens;
+    ALTER TABLE users DROP COLUMN email_verified_at;
+  `);
+}
@@ -0,0 +1,29 @@
+// Server-side sessions for refresh tokens. Each row is one signed-in device; the
+// refresh token rotates on every use and only SHA-256 hashes are stored.
+// previous_token_hash lets a replayed (already rotated) token be detected.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      refresh_token_hash TEXT NOT NULL UNIQUE,
+      previous_token_hash TEXT,
+      rotated_at DATETIME,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS sessions');
+}
@@ -0,0 +1,53 @@
+// Stored GHIN connections (encrypted access token per user) and the scores synced
+// from GHIN. hole_details holds the normalized hole-by-hole array as JSON.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ghin_connections (
+      user_id INTEGER PRIMARY KEY,
+      ghin_number TEXT NOT NULL,
+      encrypted_token TEXT,
+      connected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_synced_at DATETIME,
+      last_sync_error TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS ghin_scores (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      ghin_score_id TEXT NOT NULL,
+      played_at DATE,
+      course_name TEXT,
+      facility_name TEXT,
+      course_id TEXT,
+      tees TEXT,
+      total_score INTEGER,
+      raw_score INTEGER,
+      course_rating REAL,
+      slope_rating REAL,
+      differential REAL,
+      number_of_holes INTEGER,
+      score_type TEXT,
+      fairways_hit INTEGER,
+      fairways_possible INTEGER,
+      gir INTEGER,
+      gir_possible INTEGER,
+      putts INTEGER,
+      penalties INTEGER,
+      hole_details TEXT,
+      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, ghin_score_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ghin_scores_user ON ghin_scores(user_id, played_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS ghin_scores;
+    DROP TABLE IF EXISTS ghin_connections;
+  `);
+}
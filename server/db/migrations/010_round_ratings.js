@@ -0,0 +1,24 @@
+// Course rating, slope and stroke index on logged rounds, so the WHS engine
+// (services/handicap.js) can compute score differentials without GHIN.
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE rounds ADD COLUMN tees TEXT;
+    ALTER TABLE rounds ADD COLUMN course_rating REAL;
+    ALTER TABLE rounds ADD COLUMN slope_rating INTEGER;
+    ALTER TABLE rounds ADD COLUMN holes_played INTEGER;
+
+    ALTER TABLE round_holes ADD COLUMN stroke_index INTEGER;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE round_holes DROP COLUMN stroke_index;
+
+    ALTER TABLE rounds DROP COLUMN holes_played;
+    ALTER TABLE rounds DROP COLUMN slope_rating;
+    ALTER TABLE rounds DROP COLUMN course_rating;
+    ALTER TABLE rounds DROP COLUMN tees;
+  `);
+}
@@ -0,0 +1,29 @@
+// Every change to a user's handicap index. users.handicap only holds the latest
+// value; this keeps the trend. source: 'ghin' (synced / looked up), 'manual'
+// (profile edits) or 'computed' (WHS index from services/handicap.js).
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS handicap_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      handicap_index REAL NOT NULL,
+      source TEXT NOT NULL CHECK (source IN ('ghin', 'manual', 'computed')),
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_handicap_history_user ON handicap_history(user_id, recorded_at);
+
+    -- Seed with each user's current handicap so the history has a starting point
+    INSERT INTO handicap_history (user_id, handicap_index, source, recorded_at)
+    SELECT id, handicap, CASE WHEN ghin_number IS NOT NULL THEN 'ghin' ELSE 'manual' END,
+           COALESCE(updated_at, created_at, CURRENT_TIMESTAMP)
+    FROM users
+    WHERE handicap IS NOT NULL;
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS handicap_history');
+}
@@ -0,0 +1,46 @@
+// Background job queue. AI calls and PDF renders run as jobs so they survive client
+// disconnects and restarts; job_events keeps each job's progress events so a
+// client can resume its stream. Jobs that won't be retried again are left with
+// status 'dead' (the dead-letter list) until an operator retries or purges them.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+      payload TEXT,
+      result TEXT,
+      output BLOB,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 4,
+      run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS job_events (
+      job_id TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (job_id, seq),
+      FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_jobs_queue ON jobs(status, run_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_user ON jobs(user_id, created_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS job_events;
+    DROP TABLE IF EXISTS jobs;
+  `);
+}
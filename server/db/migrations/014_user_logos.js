@@ -0,0 +1,20 @@
+// A club or coach logo the user uploaded for their PDFs. One per user, stored as
+// the original PNG / JPEG bytes so pdfkit can embed it directly.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_logos (
+      user_id INTEGER PRIMARY KEY,
+      image BLOB NOT NULL,
+      mime_type TEXT NOT NULL CHECK (mime_type IN ('image/png', 'image/jpeg')),
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS user_logos;
+  `);
+}
@@ -0,0 +1,30 @@
+// Public share links (/s/:slug) for analyses and course strategies. Links are
+// revoked rather than deleted so their view counts stay with the owner, and can
+// hide the owner's name and handicap from the shared page.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS share_links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL UNIQUE,
+      user_id INTEGER NOT NULL,
+      resource_type TEXT NOT NULL CHECK (resource_type IN ('analysis', 'course_strategy')),
+      resource_id INTEGER NOT NULL,
+      hide_identity INTEGER NOT NULL DEFAULT 0,
+      expires_at DATETIME,
+      revoked_at DATETIME,
+      view_count INTEGER NOT NULL DEFAULT 0,
+      last_viewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_share_links_resource ON share_links(user_id, resource_type, resource_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS share_links;
+  `);
+}
@@ -0,0 +1,19 @@
+// The job that created an analysis, so a job run again after a restart or a
+// dead-letter retry finds the analysis it already saved instead of saving (and
+// charging for) a second one.
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE analyses ADD COLUMN job_id TEXT;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_analyses_job_id ON analyses(job_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_analyses_job_id;
+
+    ALTER TABLE analyses DROP COLUMN job_id;
+  `);
+}
@@ -0,0 +1,11 @@
+// Shared helpers for migrations (not a migration - the runner only loads NNN_*.js)
+
+/**
+ * Adds a column unless it already exists (for databases that predate migrations)
+ */
+export function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
@@ -1,5 +1,5 @@
-import dotenv from 'dotenv';
-dotenv.config();
+// Loaded as the first import so modules that read env at load time see .env values
+import 'dotenv/config';
 
 import express from 'express';
 import cors from 'cors';
@@ -11,22 +11,97 @@ import fs from 'fs';
 
 import authRoutes, { authenticateToken, optionalAuth } from './routes/auth.js';
 import paymentRoutes from './routes/payments.js';
-import { analyzeGolfGame } from './services/claude.js';
-import { generateStrategyPDF, generatePracticePlanPDF } from './services/pdf.js';
+import { analyzeGolfGame, generateCourseStrategy, extractScorecards } from './services/claude.js';
+import { reviewExtractedRounds, normalizeConfirmedRounds, toRoundBody } from './services/scorecardReview.js';
+import { validateAnalysis } from './services/analysisSchema.js';
+import { generateStrategyPDF, generatePracticePlanPDF, generateCourseStrategyPDF, generateYardageBookPDF } from './services/pdf.js';
+import { PDF_THEMES, PAPER_SIZES, SHEET_PAPERS, DEFAULT_THEME, isThemeName, resolveTheme, detectLogoType } from './services/pdfTheme.js';
 import { lookupGHIN, getGHINScores, authenticateUser, getDetailedScores, getCourseDetails } from './services/ghin.js';
+import { calculateAggregateStats } from './services/golfStats.js';
+import { calculateHandicapIndex, calculatePlayingHandicap, DEFAULT_ALLOWANCE } from './services/handicap.js';
+import { buildEffectivenessReport } from './services/effectiveness.js';
+import { streamChatReply, getChatQuota, chatQuotaPeriodStart, MAX_CHAT_MESSAGE_LENGTH } from './services/chat.js';
+import { registerJobHandler, enqueueJob, startJobWorkers, getJob, getJobOutput, waitForJob, subscribeToJob } from './services/jobQueue.js';
+import { renderPreviewImage } from './services/ogImage.js';
+import {
+  generateShareSlug,
+  isShareSlug,
+  isPreviewBot,
+  getShareStatus,
+  toShareResponse,
+  parseShareOptions,
+  buildAnalysisView,
+  buildCourseStrategyView,
+  getPreviewCard,
+  renderSharePage,
+  renderUnavailablePage,
+  SHARE_RESOURCE_TYPES
+} from './services/share.js';
+import { saveGhinToken, getStoredGhinToken, getGhinSyncStatus, syncGhinScores, syncDueGhinAccounts, GHIN_SYNC_INTERVAL_HOURS } from './services/ghinSync.js';
 import { 
   saveAnalysis, 
   getAnalysesByUser, 
   getAnalysisById,
+  getAnalysisInEffect,
+  getAnalysisByJobId,
+  getChatThreadsByAnalysis,
+  getChatThread,
+  getChatMessages,
+  addChatMessage,
+  countChatMessagesSince,
+  reserveChatMessage,
+  releaseChatMessage,
+  getNextAnalysis,
   getUserCredits,
-  decrementCredits,
+  reserveCredit,
+  commitCredit,
+  refundCredit,
+  refundStaleReservations,
   saveRound,
   getRoundsByUser,
+  getDetailedRoundsByUser,
+  getHandicapRounds,
+  recordHandicap,
+  recordComputedHandicap,
+  getHandicapHistory,
+  getGhinScoresByUser,
+  deleteGhinConnection,
+  saveUserLogo,
+  getUserLogo,
+  deleteUserLogo,
+  createShareLink,
+  getShareLinkById,
+  getShareLinkBySlug,
+  getShareLinksByUser,
+  updateShareLink,
+  revokeShareLink,
+  recordShareView,
+  FAIRWAY_RESULTS,
+  GREEN_RESULTS,
   getUserStats,
   updateUser,
+  findUserById,
   saveCourseStrategy,
   getCourseStrategiesByUser,
-  getCourseStrategyById
+  getCourseStrategyById,
+  updateRound,
+  updateAnalysis,
+  updateCourseStrategy,
+  deleteRound,
+  restoreRound,
+  deleteAnalysis,
+  restoreAnalysis,
+  deleteCourseStrategy,
+  restoreCourseStrategy,
+  getDeletedItems,
+  purgeDeletedRecords,
+  purgeExpiredAuthTokens,
+  purgeExpiredSessions,
+  expireSubscriptionGracePeriods,
+  getJobsByUser,
+  purgeJobHistory,
+  runInTransaction,
+  SOFT_DELETE_DAYS
 } from './db/database.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -114,6 +189,28 @@ const checkTotalSize = (req, res, next) => {
   next();
 };
 
+// Club or coach logo for PDFs - one small PNG or JPEG per account
+const MAX_LOGO_SIZE = 1024 * 1024; // 1MB
+const logoUpload = multer({
+  storage,
+  limits: { fileSize: MAX_LOGO_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (['image/png', 'image/jpeg'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('The logo must be a PNG or JPEG image.'));
+    }
+  }
+});
+
+// The logo's size limit is smaller than the scorecards'
+const handleLogoTooLarge = (err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: 'Logo too large. Maximum size is 1MB.' });
+  }
+  next(err);
+};
+
 // Error handler for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -148,6 +245,22 @@ const analysisLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+const extractionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // re-reading a card after fixing a photo shouldn't eat the analysis limit
+  message: { error: 'Scorecard reading limit reached. Please try again in an hour.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const chatLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // bursts only - the monthly quota is enforced per plan
+  message: { error: 'Slow down - try again in a minute.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 20, // 20 auth attempts per 15 min
@@ -168,57 +281,82 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Main analysis endpoint - supports both preview and authenticated modes
-app.post('/api/analyze', analysisLimiter, optionalAuth, upload.array('scorecards', 10), handleMulterError, checkTotalSize, async (req, res) => {
-  try {
-    const { name, handicap, targetHandicap, homeCourse, missPattern, missDescription, strengths, preview, ghinScores, courseDetails, aggregateStats } = req.body;
-    const isPreview = preview === 'true';
-    const userId = req.user?.userId;
+// Writes one server-sent event (with an id when the stream can be resumed)
+const sendEvent = (res, event, data, id) => {
+  res.write(`${id != null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
-    // If not preview mode, require auth and check credits
-    if (!isPreview) {
-      if (!userId) {
-        return res.status(401).json({ error: 'Authentication required' });
-      }
-      
-      const userCredits = getUserCredits(userId);
-      if (userCredits.subscription_status !== 'pro' && userCredits.credits <= 0) {
-        return res.status(403).json({ 
-          error: 'No credits remaining',
-          needsUpgrade: true 
-        });
-      }
+// Validates an analyze request, holds a credit and queues the analysis.
+// Returns { jobId } or, when it can't start, { status, body } to send back.
+function startAnalysisJob(req) {
+  const { name, handicap, targetHandicap, homeCourse, missPattern, missDescription, strengths, preview, ghinScores, courseDetails, aggregateStats, confirmedRounds, saveRounds } = req.body;
+  const isPreview = preview === 'true';
+  const userId = req.user?.userId;
+
+  // If not preview mode, require auth (credits are reserved just before the AI call)
+  if (!isPreview && !userId) {
+    return { status: 401, body: { error: 'Authentication required' } };
+  }
+
+  // Parse strengths if it's a string
+  const parsedStrengths = typeof strengths === 'string' ? JSON.parse(strengths) : strengths;
+  
+  // Parse GHIN scores if provided, otherwise use the scores synced from the user's GHIN account
+  const providedGhinScores = ghinScores ? (typeof ghinScores === 'string' ? JSON.parse(ghinScores) : ghinScores) : null;
+  const syncedGhinScores = !providedGhinScores?.length && userId ? getGhinScoresByUser(userId) : [];
+  const parsedGhinScores = syncedGhinScores.length > 0 ? syncedGhinScores : providedGhinScores;
+  
+  // Parse course details if provided
+  const parsedCourseDetails = courseDetails ? (typeof courseDetails === 'string' ? JSON.parse(courseDetails) : courseDetails) : null;
+
+  // Parse aggregate stats if provided
+  const parsedAggregateStats = aggregateStats ? (typeof aggregateStats === 'string' ? JSON.parse(aggregateStats) : aggregateStats) : null;
+
+  // Scorecard rounds the golfer checked in the review step (POST /api/scorecards/extract)
+  let reviewedRounds = null;
+  if (confirmedRounds) {
+    const confirmed = normalizeConfirmedRounds(typeof confirmedRounds === 'string' ? JSON.parse(confirmedRounds) : confirmedRounds);
+    if (confirmed.error) {
+      return { status: 400, body: { error: confirmed.error } };
     }
+    reviewedRounds = confirmed.rounds;
+  }
 
-    // Parse strengths if it's a string
-    const parsedStrengths = typeof strengths === 'string' ? JSON.parse(strengths) : strengths;
-    
-    // Parse GHIN scores if provided
-    const parsedGhinScores = ghinScores ? (typeof ghinScores === 'string' ? JSON.parse(ghinScores) : ghinScores) : null;
-    
-    // Parse course details if provided
-    const parsedCourseDetails = courseDetails ? (typeof courseDetails === 'string' ? JSON.parse(courseDetails) : courseDetails) : null;
-
-    // Parse aggregate stats if provided
-    const parsedAggregateStats = aggregateStats ? (typeof aggregateStats === 'string' ? JSON.parse(aggregateStats) : aggregateStats) : null;
-
-    // Convert uploaded files to base64
-    const scorecardImages = req.files?.map(file => ({
-      type: 'image',
-      source: {
-        type: 'base64',
-        media_type: file.mimetype,
-        data: file.buffer.toString('base64')
-      }
-    })) || [];
+  // Scorecard photos go through the review step first (POST /api/scorecards/extract),
+  // so a misread card never reaches the strategy unchecked
+  if (req.files?.length > 0 && !reviewedRounds) {
+    return { status: 400, body: { error: 'Check your scorecards first: read them with /api/scorecards/extract and send the confirmed rounds' } };
+  }
+
+  // Validate required fields
+  if (!name || !handicap || !homeCourse || !missPattern) {
+    return { status: 400, body: { error: 'Missing required fields' } };
+  }
 
-    // Validate required fields
-    if (!name || !handicap || !homeCourse || !missPattern) {
-      return res.status(400).json({ error: 'Missing required fields' });
+  // Logged rounds (hole-by-hole where available) supplement GHIN data and
+  // drive the analysis on their own when nothing else is provided
+  const loggedRounds = userId ? getDetailedRoundsByUser(userId) : [];
+  const analysisAggregateStats = parsedAggregateStats
+    || (syncedGhinScores.length > 0 ? calculateAggregateStats(syncedGhinScores) : null)
+    || (!parsedGhinScores?.length && loggedRounds.some(r => r.holeDetails) ? calculateAggregateStats(loggedRounds) : null);
+
+  // Hold a credit for the duration of the analysis (pro users don't spend credits)
+  const isPro = !isPreview && getUserCredits(userId).subscription_status === 'pro';
+  let reservationId = null;
+  if (!isPreview && !isPro) {
+    reservationId = reserveCredit(userId, `Analysis - ${homeCourse}`);
+    if (!reservationId) {
+      return { status: 403, body: { error: 'No credits remaining', needsUpgrade: true } };
     }
+  }
 
-    // Call Claude for analysis
-    const analysis = await analyzeGolfGame({
+  const jobId = enqueueJob('analysis', isPreview ? null : userId, {
+    userId,
+    isPreview,
+    isPro,
+    reservationId,
+    saveRounds: !isPreview && String(saveRounds) === 'true',
+    input: {
       name,
       handicap: parseFloat(handicap),
       targetHandicap: targetHandicap ? parseFloat(targetHandicap) : null,
@@ -226,85 +364,300 @@ app.post('/api/analyze', analysisLimiter, optionalAuth, upload.array('scorecards
       missPattern,
       missDescription: missDescription || '',
       strengths: parsedStrengths || [],
-      scorecardImages,
+      confirmedRounds: reviewedRounds,
       ghinScores: parsedGhinScores,
+      loggedRounds,
       courseDetails: parsedCourseDetails,
-      aggregateStats: parsedAggregateStats
+      aggregateStats: analysisAggregateStats
+    }
+  });
+
+  return { jobId };
+}
+
+// Runs the analysis. The reserved credit stays held across retries and is only
+// refunded once the job is dead-lettered. Saving is idempotent per job: the
+// analysis, its charge and its rounds are written together, and a job run again
+// after that (a restart before it was marked complete) returns what it saved.
+registerJobHandler('analysis', async ({ userId, isPreview, isPro, reservationId, saveRounds, input }, { emit, job }) => {
+  const saved = isPreview ? null : getAnalysisByJobId(job.id);
+  if (saved) {
+    return {
+      success: true,
+      analysis: saved.analysis_json,
+      analysisId: saved.id,
+      roundsSaved: 0,
+      creditsRemaining: isPro ? 'unlimited' : getUserCredits(userId).credits
+    };
+  }
+
+  // Call Claude for analysis
+  const analysis = await analyzeGolfGame({ ...input, onProgress: emit });
+
+  // Preview mode - just return analysis, don't save or charge
+  if (isPreview) {
+    return { 
+      success: true, 
+      analysis,
+      preview: true
+    };
+  }
+
+  // Full mode - save, then commit the reserved credit
+  emit('stage', { stage: 'saving', message: 'Saving your analysis' });
+  const { analysisId, roundsSaved } = runInTransaction(() => {
+    const analysisId = saveAnalysis(userId, {
+      name: input.name,
+      handicap: input.handicap,
+      homeCourse: input.homeCourse,
+      missPattern: input.missPattern,
+      analysis,
+      jobId: job.id
     });
 
-    // Preview mode - just return analysis, don't save or charge
-    if (isPreview) {
-      return res.json({ 
-        success: true, 
-        analysis,
-        preview: true
+    if (reservationId && !commitCredit(reservationId, analysisId)) {
+      // Refunded (or never held) - don't hand out the analysis for free
+      throw new Error('The credit for this analysis is no longer reserved');
+    }
+
+    // Confirmed scorecards become logged rounds when the golfer asked for it (after
+    // the analysis, so they aren't counted twice as both scorecards and logged rounds)
+    let roundsSaved = 0;
+    if (saveRounds && input.confirmedRounds) {
+      input.confirmedRounds.filter(round => round.date).forEach(round => {
+        saveRound(userId, getAnalysisInEffect(userId, round.date)?.id ?? null, toRoundBody(round));
+        roundsSaved++;
       });
+      if (roundsSaved > 0) {
+        recordComputedHandicap(userId);
+      }
+    }
+    return { analysisId, roundsSaved };
+  });
+
+  return { 
+    success: true, 
+    analysis,
+    analysisId,
+    roundsSaved,
+    creditsRemaining: isPro ? 'unlimited' : getUserCredits(userId).credits
+  };
+}, {
+  onDead: ({ reservationId }) => {
+    if (reservationId) {
+      refundCredit(reservationId, 'Refund - analysis failed');
     }
+  }
+});
 
-    // Full mode - save and charge credits
-    const analysisId = saveAnalysis(userId, {
-      name,
-      handicap: parseFloat(handicap),
-      homeCourse,
-      missPattern,
-      analysis
-    });
+// Reads scorecard photos for the review step. Returns each round with per-hole
+// flags for values that need a second look; nothing is saved or charged.
+registerJobHandler('extraction', async ({ images, courseName }) => {
+  const extracted = await extractScorecards(images, courseName);
+  return { rounds: reviewExtractedRounds(extracted.rounds) };
+});
 
-    const userCredits = getUserCredits(userId);
-    if (userCredits.subscription_status !== 'pro') {
-      decrementCredits(userId);
+app.post('/api/scorecards/extract', extractionLimiter, optionalAuth, upload.array('scorecards', 10), handleMulterError, checkTotalSize, async (req, res) => {
+  try {
+    if (!req.files?.length) {
+      return res.status(400).json({ error: 'Upload at least one scorecard' });
     }
 
-    res.json({ 
-      success: true, 
-      analysis,
-      analysisId,
-      creditsRemaining: userCredits.subscription_status === 'pro' 
-        ? 'unlimited' 
-        : userCredits.credits - 1
+    const jobId = enqueueJob('extraction', req.user?.userId, {
+      courseName: req.body.homeCourse || 'unknown',
+      images: req.files.map(file => ({
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: file.mimetype,
+          data: file.buffer.toString('base64')
+        }
+      }))
     });
 
+    const { rounds } = await waitForJob(jobId);
+    res.json({ success: true, rounds });
+  } catch (error) {
+    console.error('Scorecard extraction error:', error);
+    res.status(500).json({ error: error.message || 'Failed to read scorecards' });
+  }
+});
+
+// Main analysis endpoint - supports both preview and authenticated modes.
+// Waits for the whole analysis; POST /api/analyze/jobs returns straight away instead.
+app.post('/api/analyze', analysisLimiter, optionalAuth, upload.array('scorecards', 10), handleMulterError, checkTotalSize, async (req, res) => {
+  try {
+    const { jobId, status, body } = startAnalysisJob(req);
+    if (!jobId) {
+      return res.status(status).json(body);
+    }
+
+    res.json(await waitForJob(jobId));
   } catch (error) {
     console.error('Analysis error:', error);
     res.status(500).json({ error: error.message || 'Analysis failed' });
   }
 });
 
+// Start an analysis and follow it at /api/analyze/jobs/:jobId/events
+app.post('/api/analyze/jobs', analysisLimiter, optionalAuth, upload.array('scorecards', 10), handleMulterError, checkTotalSize, (req, res) => {
+  try {
+    const { jobId, status, body } = startAnalysisJob(req);
+    if (!jobId) {
+      return res.status(status).json(body);
+    }
+
+    res.status(202).json({ jobId });
+  } catch (error) {
+    console.error('Start analysis error:', error);
+    res.status(500).json({ error: error.message || 'Failed to start analysis' });
+  }
+});
+
+// Progress stream for any job: 'stage' (and for analyses 'section') events, then
+// 'done' (the job's result) or 'error'. Reconnects resume after the Last-Event-ID
+// header (or ?lastEventId=).
+app.get(['/api/analyze/jobs/:jobId/events', '/api/jobs/:jobId/events'], optionalAuth, (req, res) => {
+  try {
+    const job = getJob(req.params.jobId, req.user?.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId) || 0;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    // Comment lines keep idle proxies from closing the stream during long model calls
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15 * 1000);
+
+    const unsubscribe = subscribeToJob(job.id, lastEventId, (entry) => {
+      sendEvent(res, entry.event, entry.data, entry.id);
+      if (entry.event === 'done' || entry.event === 'error') {
+        res.end();
+      }
+    });
+
+    // Leaving the stream doesn't stop the job - the client can reconnect
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Job events error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to stream job progress' });
+    }
+    res.end();
+  }
+});
+
+// Job status
+app.get('/api/jobs', authenticateToken, (req, res) => {
+  try {
+    const status = ['queued', 'running', 'completed', 'dead'].includes(req.query.status) ? req.query.status : null;
+    const jobs = getJobsByUser(req.user.userId, status).map(job => ({
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      error: job.error,
+      runAt: job.run_at,
+      createdAt: job.created_at,
+      finishedAt: job.finished_at
+    }));
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Failed to get jobs' });
+  }
+});
+
+app.get('/api/jobs/:jobId', optionalAuth, (req, res) => {
+  try {
+    const job = getJob(req.params.jobId, req.user?.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+// Binary output of a finished job (PDFs)
+app.get('/api/jobs/:jobId/output', optionalAuth, (req, res) => {
+  try {
+    const job = getJob(req.params.jobId, req.user?.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'completed' || !job.hasOutput) {
+      return res.status(409).json({ error: 'Job has no output yet', status: job.status });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(getJobOutput(job.id));
+  } catch (error) {
+    console.error('Get job output error:', error);
+    res.status(500).json({ error: 'Failed to get job output' });
+  }
+});
+
 // Save analysis after signup (for preview-to-full conversion)
 app.post('/api/analyses/save', authenticateToken, async (req, res) => {
   try {
     const { name, handicap, homeCourse, missPattern, analysis } = req.body;
     const userId = req.user.userId;
 
-    // Check credits
-    const userCredits = getUserCredits(userId);
-    if (userCredits.subscription_status !== 'pro' && userCredits.credits <= 0) {
+    // Analyses come back from the client here, so re-check them before saving
+    const validation = validateAnalysis(analysis);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Analysis is incomplete or invalid',
+        invalidSections: validation.invalidSections
+      });
+    }
+
+    // Reserve a credit, save, then commit (pro users don't spend credits)
+    const isPro = getUserCredits(userId).subscription_status === 'pro';
+    const reservationId = isPro ? null : reserveCredit(userId, `Analysis - ${homeCourse}`);
+    if (!isPro && !reservationId) {
       return res.status(403).json({ 
         error: 'No credits remaining',
         needsUpgrade: true 
       });
     }
 
-    // Save analysis
-    const analysisId = saveAnalysis(userId, {
-      name,
-      handicap: parseFloat(handicap),
-      homeCourse,
-      missPattern,
-      analysis
-    });
+    let analysisId;
+    try {
+      analysisId = saveAnalysis(userId, {
+        name,
+        handicap: parseFloat(handicap),
+        homeCourse,
+        missPattern,
+        analysis
+      });
+    } catch (error) {
+      if (reservationId) {
+        refundCredit(reservationId, 'Refund - save failed');
+      }
+      throw error;
+    }
 
-    // Decrement credits if not pro
-    if (userCredits.subscription_status !== 'pro') {
-      decrementCredits(userId);
+    if (reservationId) {
+      commitCredit(reservationId, analysisId);
     }
 
     res.json({
       success: true,
       analysisId,
-      creditsRemaining: userCredits.subscription_status === 'pro'
-        ? 'unlimited'
-        : userCredits.credits - 1
+      creditsRemaining: isPro ? 'unlimited' : getUserCredits(userId).credits
     });
 
   } catch (error) {
@@ -338,7 +691,105 @@ app.get('/api/analyses/:id', authenticateToken, (req, res) => {
   }
 });
 
+// Rename an analysis
+app.put('/api/analyses/:id', authenticateToken, (req, res) => {
+  try {
+    const { name, homeCourse } = req.body;
+    if (!name?.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const updated = updateAnalysis(parseInt(req.params.id), req.user.userId, {
+      name: name.trim(),
+      homeCourse: homeCourse?.trim() || null
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Update analysis error:', error);
+    res.status(500).json({ error: 'Failed to update analysis' });
+  }
+});
+
+app.delete('/api/analyses/:id', authenticateToken, (req, res) => {
+  try {
+    const deleted = deleteAnalysis(parseInt(req.params.id), req.user.userId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json({ success: true, restorableForDays: SOFT_DELETE_DAYS });
+  } catch (error) {
+    console.error('Delete analysis error:', error);
+    res.status(500).json({ error: 'Failed to delete analysis' });
+  }
+});
+
+app.post('/api/analyses/:id/restore', authenticateToken, (req, res) => {
+  try {
+    const restored = restoreAnalysis(parseInt(req.params.id), req.user.userId);
+    if (!restored) {
+      return res.status(404).json({ error: 'Analysis not found or no longer restorable' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Restore analysis error:', error);
+    res.status(500).json({ error: 'Failed to restore analysis' });
+  }
+});
+
 // Generate PDF for analysis
+// PDFs render on the job queue; the request waits for the finished file
+registerJobHandler('pdf', async ({ analysisId, strategyId, pdfType, layout, theme: themeName, paper }, { job }) => {
+  const theme = resolveTheme(themeName, getUserLogo(job.userId)?.image);
+
+  if (pdfType === 'course') {
+    const strategy = getCourseStrategyById(strategyId, job.userId);
+    if (!strategy) {
+      throw new Error('Course strategy not found');
+    }
+    const user = findUserById(job.userId);
+    return generateCourseStrategyPDF(strategy.strategy_json, { name: user?.name, handicap: user?.handicap }, { theme, paper });
+  }
+
+  const analysis = getAnalysisById(analysisId, job.userId);
+  if (!analysis) {
+    throw new Error('Analysis not found');
+  }
+
+  const userData = {
+    name: analysis.name,
+    handicap: analysis.handicap,
+    homeCourse: analysis.home_course,
+    missPattern: analysis.miss_pattern
+  };
+
+  if (pdfType === 'practice') {
+    return generatePracticePlanPDF(analysis.analysis_json, userData, { theme, paper });
+  }
+  if (pdfType === 'yardage') {
+    return generateYardageBookPDF(analysis.analysis_json, userData, { layout, theme, paper });
+  }
+  return generateStrategyPDF(analysis.analysis_json, userData, getEffectivenessReport(analysis, job.userId), { theme, paper });
+}, { maxAttempts: 2 });
+
+/**
+ * Reads ?theme= and ?paper= for a PDF endpoint
+ * @returns {{ theme: string, paper: string } | { error: string }}
+ */
+function getPdfStyle(query, { defaultPaper = 'letter', papers = Object.keys(PAPER_SIZES) } = {}) {
+  const theme = query.theme || DEFAULT_THEME;
+  const paper = query.paper || defaultPaper;
+  if (!isThemeName(theme)) {
+    return { error: `Unknown theme. Use one of: ${Object.keys(PDF_THEMES).join(', ')}` };
+  }
+  if (!papers.includes(paper)) {
+    return { error: `Paper must be one of: ${papers.join(', ')}` };
+  }
+  return { theme, paper };
+}
+
 app.get('/api/analyses/:id/pdf', authenticateToken, async (req, res) => {
   try {
     const analysis = getAnalysisById(parseInt(req.params.id), req.user.userId);
@@ -346,26 +797,26 @@ app.get('/api/analyses/:id/pdf', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Analysis not found' });
     }
 
-    const pdfType = req.query.type || 'strategy'; // 'strategy' or 'practice'
-    
-    const userData = {
-      name: analysis.name,
-      handicap: analysis.handicap,
-      homeCourse: analysis.home_course,
-      missPattern: analysis.miss_pattern
-    };
-
-    let pdfBuffer;
-    let filename;
+    const pdfType = ['practice', 'yardage'].includes(req.query.type) ? req.query.type : 'strategy';
+    if (pdfType === 'yardage' && !analysis.analysis_json.holeByHoleStrategy?.length) {
+      return res.status(400).json({ error: 'This analysis has no hole-by-hole strategy' });
+    }
 
-    if (pdfType === 'practice') {
-      pdfBuffer = await generatePracticePlanPDF(analysis.analysis_json, userData);
-      filename = `${userData.name.replace(/\s+/g, '_')}_Practice_Plan.pdf`;
-    } else {
-      pdfBuffer = await generateStrategyPDF(analysis.analysis_json, userData);
-      filename = `${userData.name.replace(/\s+/g, '_')}_Strategy_Card.pdf`;
+    // Analysis PDFs print on a full Letter or A4 sheet (yardage books fold from one);
+    // only the course game plan has a pocket layout
+    const style = getPdfStyle(req.query, { papers: SHEET_PAPERS });
+    if (style.error) {
+      return res.status(400).json({ error: style.error });
     }
 
+    // Yardage books are imposed for booklet printing unless ?layout=pages
+    const layout = req.query.layout === 'pages' ? 'pages' : 'booklet';
+    const jobId = enqueueJob('pdf', req.user.userId, { analysisId: analysis.id, pdfType, layout, ...style });
+    const pdfBuffer = await waitForJob(jobId);
+
+    const fileSuffix = { strategy: 'Strategy_Card', practice: 'Practice_Plan', yardage: 'Yardage_Book' }[pdfType];
+    const filename = `${analysis.name.replace(/\s+/g, '_')}_${fileSuffix}.pdf`;
+
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.send(pdfBuffer);
@@ -376,10 +827,273 @@ app.get('/api/analyses/:id/pdf', authenticateToken, async (req, res) => {
   }
 });
 
+// PDF themes, paper sizes and the account's logo, for the download options
+app.get('/api/pdf/options', authenticateToken, (req, res) => {
+  try {
+    const logo = getUserLogo(req.user.userId);
+    res.json({
+      themes: Object.entries(PDF_THEMES).map(([id, theme]) => ({ id, label: theme.label })),
+      papers: Object.entries(PAPER_SIZES).map(([id, paper]) => ({ id, label: paper.label })),
+      defaultTheme: DEFAULT_THEME,
+      logo: logo ? { mimeType: logo.mime_type, updatedAt: logo.updated_at } : null
+    });
+  } catch (error) {
+    console.error('PDF options error:', error);
+    res.status(500).json({ error: 'Failed to load PDF options' });
+  }
+});
+
+app.get('/api/pdf/logo', authenticateToken, (req, res) => {
+  try {
+    const logo = getUserLogo(req.user.userId);
+    if (!logo) {
+      return res.status(404).json({ error: 'No logo uploaded' });
+    }
+    res.setHeader('Content-Type', logo.mime_type);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.send(logo.image);
+  } catch (error) {
+    console.error('Get logo error:', error);
+    res.status(500).json({ error: 'Failed to load logo' });
+  }
+});
+
+app.put('/api/pdf/logo', authenticateToken, logoUpload.single('logo'), handleLogoTooLarge, handleMulterError, (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload the logo as a "logo" file field' });
+    }
+
+    // Trust the file's bytes, not the declared type
+    const mimeType = detectLogoType(req.file.buffer);
+    if (!mimeType) {
+      return res.status(400).json({ error: 'The logo must be a PNG or JPEG image.' });
+    }
+
+    saveUserLogo(req.user.userId, req.file.buffer, mimeType);
+    res.json({ success: true, logo: { mimeType, updatedAt: getUserLogo(req.user.userId).updated_at } });
+  } catch (error) {
+    console.error('Upload logo error:', error);
+    res.status(500).json({ error: 'Failed to save logo' });
+  }
+});
+
+app.delete('/api/pdf/logo', authenticateToken, (req, res) => {
+  try {
+    if (!deleteUserLogo(req.user.userId)) {
+      return res.status(404).json({ error: 'No logo uploaded' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete logo error:', error);
+    res.status(500).json({ error: 'Failed to delete logo' });
+  }
+});
+
+// Rounds before vs after an analysis, and its target stats / 30-day plan goals
+// checked against the rounds played since
+function getEffectivenessReport(analysis, userId) {
+  const nextAnalysis = getNextAnalysis(userId, analysis);
+  return buildEffectivenessReport(analysis, getHandicapRounds(userId), nextAnalysis?.created_at ?? null);
+}
+
+app.get('/api/analyses/:id/effectiveness', authenticateToken, (req, res) => {
+  try {
+    const analysis = getAnalysisById(parseInt(req.params.id), req.user.userId);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json({ report: getEffectivenessReport(analysis, req.user.userId) });
+  } catch (error) {
+    console.error('Effectiveness report error:', error);
+    res.status(500).json({ error: 'Failed to build effectiveness report' });
+  }
+});
+
+// Follow-up chat about a saved analysis
+const getUserChatQuota = (userId) =>
+  getChatQuota(findUserById(userId), countChatMessagesSince(userId, chatQuotaPeriodStart()));
+
+app.get('/api/analyses/:id/chat', authenticateToken, (req, res) => {
+  try {
+    const analysisId = parseInt(req.params.id);
+    if (!getAnalysisById(analysisId, req.user.userId)) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json({
+      threads: getChatThreadsByAnalysis(analysisId, req.user.userId),
+      quota: getUserChatQuota(req.user.userId)
+    });
+  } catch (error) {
+    console.error('Get chat threads error:', error);
+    res.status(500).json({ error: 'Failed to get conversations' });
+  }
+});
+
+app.get('/api/analyses/:id/chat/:threadId', authenticateToken, (req, res) => {
+  try {
+    const thread = getChatThread(parseInt(req.params.threadId), parseInt(req.params.id), req.user.userId);
+    if (!thread) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ thread, messages: getChatMessages(thread.id) });
+  } catch (error) {
+    console.error('Get chat messages error:', error);
+    res.status(500).json({ error: 'Failed to get conversation' });
+  }
+});
+
+// Ask a question. Body: { message, threadId? } (no threadId starts a new thread).
+// Responds with server-sent events: delta { text } as the reply streams, then
+// done { threadId, messageId, quota } or error { error }.
+app.post('/api/analyses/:id/chat', authenticateToken, chatLimiter, async (req, res) => {
+  const userId = req.user.userId;
+  const controller = new AbortController();
+  let question = null;
+
+  try {
+    const analysis = getAnalysisById(parseInt(req.params.id), userId);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message || message.length > MAX_CHAT_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `Message must be 1-${MAX_CHAT_MESSAGE_LENGTH} characters` });
+    }
+
+    let thread = null;
+    if (req.body.threadId != null) {
+      thread = getChatThread(parseInt(req.body.threadId), analysis.id, userId);
+      if (!thread) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    }
+
+    const history = thread ? getChatMessages(thread.id) : [];
+
+    // The question is stored, and counts toward the quota, before the model is called -
+    // checked and inserted together so concurrent requests can't go over the limit.
+    // Only answered questions are kept: it's released again if the reply fails.
+    const user = findUserById(userId);
+    question = reserveChatMessage({
+      userId,
+      analysisId: analysis.id,
+      threadId: thread?.id ?? null,
+      content: message,
+      limit: getChatQuota(user, 0).limit,
+      since: chatQuotaPeriodStart()
+    });
+    if (!question) {
+      return res.status(429).json({ error: 'Monthly chat limit reached', quota: getUserChatQuota(userId), needsUpgrade: user?.subscription_status !== 'pro' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    // Stop paying for tokens nobody will read
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const reply = await streamChatReply({
+      analysis,
+      rounds: getHandicapRounds(userId),
+      history,
+      message,
+      onText: (text) => sendEvent(res, 'delta', { text }),
+      signal: controller.signal
+    });
+
+    const { threadId } = question;
+    const messageId = addChatMessage(threadId, userId, 'assistant', reply);
+    question = null;
+
+    sendEvent(res, 'done', { threadId, messageId, quota: getUserChatQuota(userId) });
+    res.end();
+  } catch (error) {
+    if (question) {
+      try {
+        releaseChatMessage(question);
+      } catch (releaseError) {
+        console.error('Chat question release error:', releaseError);
+      }
+    }
+    if (controller.signal.aborted) {
+      console.log(`Chat for user ${userId} cancelled by client`);
+      return;
+    }
+    console.error('Chat error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to answer' });
+    }
+    sendEvent(res, 'error', { error: 'Failed to answer - please try again' });
+    res.end();
+  }
+});
+
 // Round tracking endpoints
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+// Putts, penalties and sand shots are optional, and never negative
+const isOptionalCount = (value) => value == null || (Number.isInteger(value) && value >= 0);
+
+// Returns an error message if a round body is invalid, otherwise null
+function validateRoundBody({ holes, totalScore, courseRating, slopeRating, holesPlayed }) {
+  if (courseRating != null && !(courseRating >= 25 && courseRating <= 85)) {
+    return 'Course rating must be between 25 and 85';
+  }
+  if (slopeRating != null && !(Number.isInteger(slopeRating) && slopeRating >= 55 && slopeRating <= 155)) {
+    return 'Slope rating must be a whole number between 55 and 155';
+  }
+  if (holesPlayed != null && holesPlayed !== 9 && holesPlayed !== 18) {
+    return 'holesPlayed must be 9 or 18';
+  }
+  if (holes != null) {
+    if (!Array.isArray(holes) || holes.length === 0 || holes.length > 18) {
+      return 'holes must be an array of 1-18 holes';
+    }
+    if (holes.some(h => h === null || typeof h !== 'object' || Array.isArray(h))) {
+      return 'Each hole must be an object';
+    }
+    const invalidHole = holes.find(h =>
+      !Number.isInteger(h.holeNumber) || h.holeNumber < 1 || h.holeNumber > 18 ||
+      !isPositiveInteger(h.score) ||
+      (h.par != null && !(Number.isInteger(h.par) && h.par >= 3 && h.par <= 6)) ||
+      !isOptionalCount(h.putts) || !isOptionalCount(h.penalties) || !isOptionalCount(h.sandShots) ||
+      (h.strokeIndex != null && !(Number.isInteger(h.strokeIndex) && h.strokeIndex >= 1 && h.strokeIndex <= 18)) ||
+      (h.fairwayResult != null && !FAIRWAY_RESULTS.includes(h.fairwayResult)) ||
+      (h.greenResult != null && !GREEN_RESULTS.includes(h.greenResult))
+    );
+    if (invalidHole) {
+      return `Invalid data for hole ${invalidHole.holeNumber ?? '?'}`;
+    }
+    const holeNumbers = holes.map(h => h.holeNumber);
+    const repeated = holeNumbers.find((number, i) => holeNumbers.indexOf(number) !== i);
+    if (repeated) {
+      return `Hole ${repeated} is listed more than once`;
+    }
+  } else if (!totalScore) {
+    return 'Total score is required';
+  }
+  return null;
+}
+
 app.post('/api/rounds', authenticateToken, (req, res) => {
   try {
-    const roundId = saveRound(req.user.userId, req.body.analysisId, req.body);
+    const validationError = validateRoundBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Link the round to the strategy the user was following so its effectiveness
+    // report can count it
+    const analysisId = req.body.analysisId ??
+      getAnalysisInEffect(req.user.userId, req.body.date || new Date().toISOString().slice(0, 10))?.id ?? null;
+
+    const roundId = saveRound(req.user.userId, analysisId, req.body);
+    recordComputedHandicap(req.user.userId);
     res.json({ success: true, roundId });
   } catch (error) {
     console.error('Save round error:', error);
@@ -397,6 +1111,53 @@ app.get('/api/rounds', authenticateToken, (req, res) => {
   }
 });
 
+app.put('/api/rounds/:id', authenticateToken, (req, res) => {
+  try {
+    const validationError = validateRoundBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = updateRound(parseInt(req.params.id), req.user.userId, req.body);
+    if (!updated) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+    recordComputedHandicap(req.user.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Update round error:', error);
+    res.status(500).json({ error: 'Failed to update round' });
+  }
+});
+
+app.delete('/api/rounds/:id', authenticateToken, (req, res) => {
+  try {
+    const deleted = deleteRound(parseInt(req.params.id), req.user.userId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+    recordComputedHandicap(req.user.userId);
+    res.json({ success: true, restorableForDays: SOFT_DELETE_DAYS });
+  } catch (error) {
+    console.error('Delete round error:', error);
+    res.status(500).json({ error: 'Failed to delete round' });
+  }
+});
+
+app.post('/api/rounds/:id/restore', authenticateToken, (req, res) => {
+  try {
+    const restored = restoreRound(parseInt(req.params.id), req.user.userId);
+    if (!restored) {
+      return res.status(404).json({ error: 'Round not found or no longer restorable' });
+    }
+    recordComputedHandicap(req.user.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Restore round error:', error);
+    res.status(500).json({ error: 'Failed to restore round' });
+  }
+});
+
 app.get('/api/stats', authenticateToken, (req, res) => {
   try {
     const stats = getUserStats(req.user.userId);
@@ -407,6 +1168,72 @@ app.get('/api/stats', authenticateToken, (req, res) => {
   }
 });
 
+// WHS handicap index calculated from the user's rounds (GHIN scores + logged rounds).
+// Pass courseRating, slopeRating and par (optionally holes, allowance %) for the
+// course and playing handicap on that tee.
+app.get('/api/handicap', authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    const result = calculateHandicapIndex(getHandicapRounds(req.user.userId));
+
+    let playing = null;
+    const { courseRating, slopeRating, par } = req.query;
+
+    if (courseRating || slopeRating || par) {
+      const tee = {
+        courseRating: parseFloat(courseRating),
+        slopeRating: parseInt(slopeRating),
+        par: parseInt(par),
+        holes: parseInt(req.query.holes) === 9 ? 9 : 18
+      };
+      const allowance = req.query.allowance ? parseFloat(req.query.allowance) : DEFAULT_ALLOWANCE;
+
+      if (!Number.isFinite(tee.courseRating) || !(tee.slopeRating >= 55 && tee.slopeRating <= 155) ||
+          !Number.isFinite(tee.par) || !(allowance > 0 && allowance <= 100)) {
+        return res.status(400).json({ error: 'courseRating, slopeRating (55-155), par and allowance (1-100) are required for a playing handicap' });
+      }
+
+      // Fall back to the GHIN / manually entered index until enough rounds are stored
+      const index = result.handicapIndex ?? user?.handicap;
+      if (index != null) {
+        playing = {
+          ...calculatePlayingHandicap(index, tee, allowance),
+          handicapIndex: index,
+          indexSource: result.handicapIndex != null ? 'calculated' : 'profile'
+        };
+      }
+    }
+
+    res.json({ ...result, profileHandicap: user?.handicap ?? null, playing });
+  } catch (error) {
+    console.error('Handicap calculation error:', error);
+    res.status(500).json({ error: 'Failed to calculate handicap' });
+  }
+});
+
+// Every recorded index change (GHIN, manual, computed) alongside the dates the user
+// ran analyses, to see whether a strategy moved the index
+app.get('/api/handicap/history', authenticateToken, (req, res) => {
+  try {
+    const history = getHandicapHistory(req.user.userId).map(entry => ({
+      handicapIndex: entry.handicap_index,
+      source: entry.source,
+      recordedAt: entry.recorded_at
+    }));
+    const analyses = getAnalysesByUser(req.user.userId).map(analysis => ({
+      id: analysis.id,
+      name: analysis.name,
+      handicap: analysis.handicap,
+      createdAt: analysis.created_at
+    }));
+
+    res.json({ history, analyses });
+  } catch (error) {
+    console.error('Handicap history error:', error);
+    res.status(500).json({ error: 'Failed to get handicap history' });
+  }
+});
+
 // Public GHIN Lookup (no auth required - for signup flow)
 // IMPORTANT: This must come BEFORE /api/ghin/:ghinNumber to avoid route conflict
 app.get('/api/ghin/lookup/:ghinNumber', async (req, res) => {
@@ -435,6 +1262,47 @@ app.get('/api/ghin/lookup/:ghinNumber', async (req, res) => {
   }
 });
 
+// GHIN sync status for the Dashboard ("last synced")
+app.get('/api/ghin/sync-status', authenticateToken, (req, res) => {
+  try {
+    res.json(getGhinSyncStatus(req.user.userId));
+  } catch (error) {
+    console.error('GHIN sync status error:', error);
+    res.status(500).json({ error: 'Failed to get GHIN sync status' });
+  }
+});
+
+// Sync scores from GHIN now, using the stored GHIN token
+app.post('/api/ghin/sync', authenticateToken, async (req, res) => {
+  try {
+    const result = await syncGhinScores(req.user.userId);
+
+    if (!result.success) {
+      return res.status(result.reconnectRequired ? 409 : 502).json({
+        error: result.error,
+        reconnectRequired: result.reconnectRequired,
+        status: getGhinSyncStatus(req.user.userId)
+      });
+    }
+
+    res.json({ ...result, status: getGhinSyncStatus(req.user.userId) });
+  } catch (error) {
+    console.error('GHIN sync error:', error);
+    res.status(500).json({ error: 'Failed to sync GHIN scores' });
+  }
+});
+
+// Forget the stored GHIN token (synced scores are kept)
+app.delete('/api/ghin/connection', authenticateToken, (req, res) => {
+  try {
+    deleteGhinConnection(req.user.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('GHIN disconnect error:', error);
+    res.status(500).json({ error: 'Failed to disconnect GHIN' });
+  }
+});
+
 // GHIN Handicap Lookup (authenticated)
 app.get('/api/ghin/:ghinNumber', authenticateToken, async (req, res) => {
   try {
@@ -468,6 +1336,7 @@ app.post('/api/ghin/link', authenticateToken, async (req, res) => {
       handicap: result.data.handicapIndex,
       name: result.data.firstName + ' ' + result.data.lastName
     });
+    recordHandicap(req.user.userId, result.data.handicapIndex, 'ghin');
     
     res.json({
       success: true,
@@ -493,6 +1362,7 @@ app.post('/api/ghin/refresh', authenticateToken, async (req, res) => {
     updateUser(req.user.userId, {
       handicap: result.data.handicapIndex
     });
+    recordHandicap(req.user.userId, result.data.handicapIndex, 'ghin');
     
     res.json({
       success: true,
@@ -548,13 +1418,19 @@ app.post('/api/ghin/connect', optionalAuth, async (req, res) => {
       return res.status(401).json({ error: authResult.error });
     }
 
-    // If user is logged in, update their profile with GHIN info
+    // If user is logged in, update their profile with GHIN info and keep the
+    // GHIN token (encrypted) so scores sync without signing in to GHIN again
     if (req.user?.userId) {
       updateUser(req.user.userId, {
         ghin_number: authResult.golfer.ghinNumber,
         handicap: authResult.golfer.handicapIndex,
         name: authResult.golfer.playerName || `${authResult.golfer.firstName} ${authResult.golfer.lastName}`
       });
+      recordHandicap(req.user.userId, authResult.golfer.handicapIndex, 'ghin');
+
+      if (authResult.token) {
+        saveGhinToken(req.user.userId, authResult.golfer.ghinNumber, authResult.token);
+      }
     }
 
     // Fetch scores (filtered to home course, capped at 20)
@@ -612,10 +1488,14 @@ app.post('/api/ghin/connect', optionalAuth, async (req, res) => {
       };
     }
 
+    // Full history sync runs in the background; the response above only covers the home course
+    if (req.user?.userId && authResult.token) {
+      syncGhinScores(req.user.userId).catch(error => console.error('GHIN sync after connect failed:', error));
+    }
+
     res.json({
       success: true,
       golfer: authResult.golfer,
-      ghinToken: authResult.token,
       scores: scoresResult.scores || [],
       homeCourse: scoresResult.homeCourse,
       homeCourseId: scoresResult.homeCourseId,
@@ -655,6 +1535,7 @@ app.post('/api/ghin/refresh', authenticateToken, async (req, res) => {
       updateUser(req.user.userId, {
         handicap: newHandicap
       });
+      recordHandicap(req.user.userId, newHandicap, 'ghin');
       
       console.log('Updated handicap to:', newHandicap);
       
@@ -672,14 +1553,15 @@ app.post('/api/ghin/refresh', authenticateToken, async (req, res) => {
   }
 });
 
-// Get detailed scores with hole-by-hole data using user's GHIN token
-// Uses optionalAuth so it works during signup flow
+// Get detailed scores with hole-by-hole data using the user's stored GHIN token
+// (or an explicit ghinToken, for clients that manage their own)
 app.post('/api/ghin/detailed-scores', optionalAuth, async (req, res) => {
   try {
-    const { ghinNumber, ghinToken, limit } = req.body;
+    const { ghinNumber, limit } = req.body;
+    const ghinToken = req.body.ghinToken || (req.user ? getStoredGhinToken(req.user.userId) : null);
     
     if (!ghinNumber || !ghinToken) {
-      return res.status(400).json({ error: 'GHIN number and token required' });
+      return res.status(400).json({ error: 'GHIN number and a connected GHIN account required' });
     }
 
     const result = await getDetailedScores(ghinNumber, ghinToken, limit || 20);
@@ -698,10 +1580,11 @@ app.post('/api/ghin/detailed-scores', optionalAuth, async (req, res) => {
 // Get course details (holes, pars, yardages)
 app.post('/api/ghin/course-details', optionalAuth, async (req, res) => {
   try {
-    const { courseId, ghinToken } = req.body;
+    const { courseId } = req.body;
+    const ghinToken = req.body.ghinToken || (req.user ? getStoredGhinToken(req.user.userId) : null);
     
     if (!courseId || !ghinToken) {
-      return res.status(400).json({ error: 'Course ID and GHIN token required' });
+      return res.status(400).json({ error: 'Course ID and a connected GHIN account required' });
     }
 
     const result = await getCourseDetails(courseId, ghinToken);
@@ -718,6 +1601,26 @@ app.post('/api/ghin/course-details', optionalAuth, async (req, res) => {
 });
 
 // Course Strategy endpoint
+registerJobHandler('courseStrategy', async ({ courseName, tees, notes, handicap, missPattern, scorecardImage }, { job }) => {
+  const strategy = await generateCourseStrategy({
+    courseName,
+    tees,
+    notes,
+    handicap,
+    missPattern,
+    scorecardImage
+  });
+
+  // Save to database
+  const strategyId = saveCourseStrategy(job.userId, {
+    courseName: courseName,
+    tees: tees,
+    strategy: strategy
+  });
+
+  return { success: true, strategy, strategyId };
+});
+
 app.post('/api/course-strategy', authenticateToken, upload.single('scorecard'), async (req, res) => {
   try {
     const { courseName, tees, notes, handicap, missPattern } = req.body;
@@ -726,113 +1629,23 @@ app.post('/api/course-strategy', authenticateToken, upload.single('scorecard'),
       return res.status(400).json({ error: 'Course name is required' });
     }
 
-    // Build the prompt for Claude
-    let scorecardInfo = '';
-    if (req.file) {
-      // Convert image to base64
-      const base64Image = req.file.buffer.toString('base64');
-      const mimeType = req.file.mimetype;
-      scorecardInfo = `\n\nI've also uploaded a scorecard image which shows the hole-by-hole details.`;
-    }
-
-    const prompt = `I'm about to play ${courseName}${tees ? ` from the ${tees}` : ''}.
-
-My handicap is ${handicap || 15} and my typical miss is a ${missPattern || 'slice'}.
-
-${notes ? `Additional notes: ${notes}` : ''}${scorecardInfo}
-
-Please provide a course strategy for me. Research what you know about this course and give me:
-
-1. A brief overview of the course (style, difficulty, notable features)
-2. The 3-5 most important holes I should know about, with specific strategy for each
-3. 4-5 general strategy tips for playing this course given my handicap and miss pattern
-4. Realistic scoring targets (great round, solid round, what to stay under)
-5. A pre-round checklist of things to remember
-
-Format your response as JSON with this structure:
-{
-  "courseName": "Course Name",
-  "tees": "Tees being played",
-  "overview": "Course overview paragraph",
-  "keyHoles": [
-    {
-      "number": 7,
-      "par": 4,
-      "yardage": "420",
-      "strategy": "Strategy for this hole",
-      "danger": "What to avoid"
-    }
-  ],
-  "generalStrategy": [
-    {
-      "title": "Strategy Title",
-      "description": "Detailed description"
-    }
-  ],
-  "scoringTargets": {
-    "great": 82,
-    "solid": 88,
-    "max": 95
-  },
-  "preRoundChecklist": [
-    "Item 1",
-    "Item 2"
-  ]
-}`;
-
-    // Call Claude API
-    const Anthropic = (await import('@anthropic-ai/sdk')).default;
-    const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-
-    const messageContent = [];
-    
-    // Add image if uploaded
-    if (req.file) {
-      messageContent.push({
+    const jobId = enqueueJob('courseStrategy', req.user.userId, {
+      courseName,
+      tees,
+      notes,
+      handicap,
+      missPattern,
+      scorecardImage: req.file ? {
         type: 'image',
         source: {
           type: 'base64',
           media_type: req.file.mimetype,
           data: req.file.buffer.toString('base64')
         }
-      });
-    }
-    
-    messageContent.push({
-      type: 'text',
-      text: prompt
-    });
-
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
-      messages: [
-        {
-          role: 'user',
-          content: messageContent
-        }
-      ]
-    });
-
-    // Parse the response
-    const responseText = response.content[0].text;
-    
-    // Extract JSON from response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Failed to parse course strategy response');
-    }
-    
-    const strategy = JSON.parse(jsonMatch[0]);
-
-    // Save to database
-    const strategyId = saveCourseStrategy(req.user.userId, {
-      courseName: courseName,
-      tees: tees,
-      strategy: strategy
+      } : null
     });
 
-    res.json({ success: true, strategy, strategyId });
+    res.json(await waitForJob(jobId));
 
   } catch (error) {
     console.error('Course strategy error:', error);
@@ -865,12 +1678,361 @@ app.get('/api/course-strategies/:id', authenticateToken, (req, res) => {
   }
 });
 
+// Pocket-sized printable game plan for a course strategy
+app.get('/api/course-strategies/:id/pdf', authenticateToken, async (req, res) => {
+  try {
+    const strategy = getCourseStrategyById(parseInt(req.params.id), req.user.userId);
+    if (!strategy) {
+      return res.status(404).json({ error: 'Course strategy not found' });
+    }
+
+    const style = getPdfStyle(req.query, { defaultPaper: 'pocket' });
+    if (style.error) {
+      return res.status(400).json({ error: style.error });
+    }
+
+    const jobId = enqueueJob('pdf', req.user.userId, { strategyId: strategy.id, pdfType: 'course', ...style });
+    const pdfBuffer = await waitForJob(jobId);
+
+    const filename = `${strategy.course_name.replace(/\s+/g, '_')}_Game_Plan.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    console.error('Course strategy PDF error:', error);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
+// Rename a course strategy
+app.put('/api/course-strategies/:id', authenticateToken, (req, res) => {
+  try {
+    const { courseName, tees } = req.body;
+    if (!courseName?.trim()) {
+      return res.status(400).json({ error: 'Course name is required' });
+    }
+
+    const updated = updateCourseStrategy(parseInt(req.params.id), req.user.userId, {
+      courseName: courseName.trim(),
+      tees: tees?.trim()
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Course strategy not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating course strategy:', error);
+    res.status(500).json({ error: 'Failed to update course strategy' });
+  }
+});
+
+app.delete('/api/course-strategies/:id', authenticateToken, (req, res) => {
+  try {
+    const deleted = deleteCourseStrategy(parseInt(req.params.id), req.user.userId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Course strategy not found' });
+    }
+    res.json({ success: true, restorableForDays: SOFT_DELETE_DAYS });
+  } catch (error) {
+    console.error('Error deleting course strategy:', error);
+    res.status(500).json({ error: 'Failed to delete course strategy' });
+  }
+});
+
+app.post('/api/course-strategies/:id/restore', authenticateToken, (req, res) => {
+  try {
+    const restored = restoreCourseStrategy(parseInt(req.params.id), req.user.userId);
+    if (!restored) {
+      return res.status(404).json({ error: 'Course strategy not found or no longer restorable' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error restoring course strategy:', error);
+    res.status(500).json({ error: 'Failed to restore course strategy' });
+  }
+});
+
+// Share links: owners create revocable, optionally expiring public links to an
+// analysis or course strategy; /s/:slug renders a read-only page anyone with the link can open.
+// Links point at this server unless SHARE_BASE_URL says otherwise (e.g. behind a CDN)
+const getShareBaseUrl = (req) => (process.env.SHARE_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+const getAppUrl = () => process.env.FRONTEND_URL || 'https://golfstrategy.app';
+
+/**
+ * Creates a share link for one of the user's analyses or course strategies
+ */
+function createShare(req, res, resourceType, resource) {
+  const options = parseShareOptions(req.body);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  const link = createShareLink(req.user.userId, {
+    slug: generateShareSlug(),
+    resourceType,
+    resourceId: resource.id,
+    hideIdentity: options.hideIdentity ?? false,
+    expiresInDays: options.expiresInDays ?? null
+  });
+  res.json({ share: toShareResponse(link, getShareBaseUrl(req)) });
+}
+
+app.post('/api/analyses/:id/share', authenticateToken, (req, res) => {
+  try {
+    const analysis = getAnalysisById(parseInt(req.params.id), req.user.userId);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    createShare(req, res, 'analysis', analysis);
+  } catch (error) {
+    console.error('Create analysis share error:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+app.post('/api/course-strategies/:id/share', authenticateToken, (req, res) => {
+  try {
+    const strategy = getCourseStrategyById(parseInt(req.params.id), req.user.userId);
+    if (!strategy) {
+      return res.status(404).json({ error: 'Course strategy not found' });
+    }
+    createShare(req, res, 'course_strategy', strategy);
+  } catch (error) {
+    console.error('Create course strategy share error:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// The user's share links, optionally for one item (?type=analysis&id=12)
+app.get('/api/shares', authenticateToken, (req, res) => {
+  try {
+    const { type, id } = req.query;
+    if (type && !SHARE_RESOURCE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${SHARE_RESOURCE_TYPES.join(', ')}` });
+    }
+    if (type && !parseInt(id)) {
+      return res.status(400).json({ error: 'id is required with type' });
+    }
+
+    const links = getShareLinksByUser(req.user.userId, type || null, type ? parseInt(id) : null);
+    const baseUrl = getShareBaseUrl(req);
+    res.json({ shares: links.map(link => toShareResponse(link, baseUrl)) });
+  } catch (error) {
+    console.error('List shares error:', error);
+    res.status(500).json({ error: 'Failed to get share links' });
+  }
+});
+
+// Change a link's privacy or expiry ({ hideIdentity, expiresInDays })
+app.put('/api/shares/:id', authenticateToken, (req, res) => {
+  try {
+    const link = getShareLinkById(parseInt(req.params.id), req.user.userId);
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    if (link.revoked_at) {
+      return res.status(409).json({ error: 'This share link has been revoked' });
+    }
+
+    const options = parseShareOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const updated = updateShareLink(link.id, req.user.userId, options);
+    res.json({ share: toShareResponse(updated, getShareBaseUrl(req)) });
+  } catch (error) {
+    console.error('Update share error:', error);
+    res.status(500).json({ error: 'Failed to update share link' });
+  }
+});
+
+// Revoke a link - it stops working at once and can't be turned back on
+app.delete('/api/shares/:id', authenticateToken, (req, res) => {
+  try {
+    const revoked = revokeShareLink(parseInt(req.params.id), req.user.userId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Share link not found or already revoked' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke share error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+/**
+ * The public view behind a slug
+ * @returns {{ link, view } | { status: 'missing'|'revoked'|'expired' }}
+ */
+function getSharedView(slug) {
+  const link = isShareSlug(slug) ? getShareLinkBySlug(slug) : null;
+  if (!link) return { status: 'missing' };
+
+  const status = getShareStatus(link);
+  if (status !== 'active') return { status };
+
+  const hideIdentity = Boolean(link.hide_identity);
+  if (link.resource_type === 'analysis') {
+    const analysis = getAnalysisById(link.resource_id, link.user_id);
+    return analysis ? { link, view: buildAnalysisView(analysis, { hideIdentity }) } : { status: 'missing' };
+  }
+
+  const strategy = getCourseStrategyById(link.resource_id, link.user_id);
+  if (!strategy) return { status: 'missing' };
+  const ownerName = hideIdentity ? null : findUserById(link.user_id)?.name;
+  return { link, view: buildCourseStrategyView(strategy, { hideIdentity, ownerName }) };
+}
+
+app.get('/s/:slug', (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src 'self'");
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const { link, view, status } = getSharedView(req.params.slug);
+    if (!view) {
+      // Deleted items read as missing, so a soft-deleted plan isn't exposed as revoked
+      return res.status(status === 'missing' ? 404 : 410).type('html').send(renderUnavailablePage(status, getAppUrl()));
+    }
+
+    if (!isPreviewBot(req.get('user-agent'))) {
+      recordShareView(link.id);
+    }
+
+    const pageUrl = `${getShareBaseUrl(req)}/s/${link.slug}`;
+    res.type('html').send(renderSharePage(view, {
+      page: pageUrl,
+      image: `${pageUrl}/og.png`,
+      app: getAppUrl()
+    }));
+  } catch (error) {
+    console.error('Shared page error:', error);
+    res.status(500).type('html').send(renderUnavailablePage('error', getAppUrl()));
+  }
+});
+
+// Open Graph preview image for a shared page
+app.get('/s/:slug/og.png', (req, res) => {
+  // Not cached, like the page: a revoked or deleted link's image disappears with it
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const { view } = getSharedView(req.params.slug);
+    if (!view) {
+      return res.status(404).end();
+    }
+
+    res.type('png').send(renderPreviewImage(getPreviewCard(view)));
+  } catch (error) {
+    console.error('Share preview image error:', error);
+    res.status(500).end();
+  }
+});
+
+// Recently deleted items that can still be restored
+app.get('/api/deleted', authenticateToken, (req, res) => {
+  try {
+    const deleted = getDeletedItems(req.user.userId);
+    res.json({ ...deleted, restorableForDays: SOFT_DELETE_DAYS });
+  } catch (error) {
+    console.error('Get deleted items error:', error);
+    res.status(500).json({ error: 'Failed to get deleted items' });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
   res.status(500).json({ error: err.message || 'Something went wrong' });
 });
 
+// Purge soft-deleted rows past their restore window and dead auth tokens/sessions, at startup and daily
+const runPurge = () => {
+  try {
+    const purged = purgeDeletedRecords();
+    if (purged > 0) {
+      console.log(`Purged ${purged} deleted records older than ${SOFT_DELETE_DAYS} days`);
+    }
+    const expiredTokens = purgeExpiredAuthTokens() + purgeExpiredSessions();
+    if (expiredTokens > 0) {
+      console.log(`Purged ${expiredTokens} expired auth tokens and sessions`);
+    }
+  } catch (error) {
+    console.error('Purge deleted records error:', error);
+  }
+};
+runPurge();
+setInterval(runPurge, 24 * 60 * 60 * 1000).unref();
+
+// Downgrade past-due subscribers once their grace period ends, at startup and hourly
+const runGraceExpiry = () => {
+  try {
+    const expired = expireSubscriptionGracePeriods();
+    if (expired > 0) {
+      console.log(`Downgraded ${expired} subscriber(s) whose grace period ended`);
+    }
+  } catch (error) {
+    console.error('Grace period expiry error:', error);
+  }
+};
+runGraceExpiry();
+setInterval(runGraceExpiry, 60 * 60 * 1000).unref();
+
+// Pull new GHIN scores for connected users, checked hourly (each user syncs every
+// GHIN_SYNC_INTERVAL_HOURS). Skips a run if the previous one is still going.
+let ghinSyncRunning = false;
+const runGhinSync = async () => {
+  if (ghinSyncRunning) return;
+  ghinSyncRunning = true;
+  try {
+    const synced = await syncDueGhinAccounts();
+    if (synced > 0) {
+      console.log(`Synced GHIN scores for ${synced} user(s) (every ${GHIN_SYNC_INTERVAL_HOURS}h)`);
+    }
+  } catch (error) {
+    console.error('GHIN sync job error:', error);
+  } finally {
+    ghinSyncRunning = false;
+  }
+};
+runGhinSync();
+setInterval(runGhinSync, 60 * 60 * 1000).unref();
+
+// Refund credits held by reservations no job will ever commit (e.g. the server died
+// mid-save). Reservations of queued or running analysis jobs are left alone.
+const runStaleRefunds = () => {
+  try {
+    const refunded = refundStaleReservations();
+    if (refunded > 0) {
+      console.log(`Refunded ${refunded} stale credit reservation(s)`);
+    }
+  } catch (error) {
+    console.error('Stale reservation refund error:', error);
+  }
+};
+runStaleRefunds();
+setInterval(runStaleRefunds, 60 * 60 * 1000).unref();
+
+// Run queued AI and PDF jobs, and clear out old job history hourly
+startJobWorkers();
+const runJobPurge = () => {
+  try {
+    const purged = purgeJobHistory();
+    if (purged > 0) {
+      console.log(`Purged ${purged} old job record(s)`);
+    }
+  } catch (error) {
+    console.error('Job history purge error:', error);
+  }
+};
+runJobPurge();
+setInterval(runJobPurge, 60 * 60 * 1000).unref();
+
 app.listen(PORT, () => {
   console.log(`🏌️ Golf Strategy server running on port ${PORT}`);
 });
@@ -0,0 +1,392 @@
+// Mock GHIN API
+// A local stand-in for api.ghin.com / api2.ghin.com so the GHIN signup flow,
+// /api/ghin/connect and score sync work offline. Golfers and courses come from
+// fixtures/ghin/seed.json; scores are generated from a fixed seed, so every run
+// returns the same rounds (dated relative to today).
+//
+// Run:  npm run mock:ghin     then start the app with GHIN_API_URL=http://localhost:3002/api/v1
+//
+// Seeded scenarios (see the "note" on each golfer):
+//   1234567 / alex@example.com     30 rounds with hole-by-hole detail
+//   2345678 / sam@example.com      empty score history
+//   3456789 / jordan@example.com   score endpoints return 500
+//   4567890 / casey@example.com    login returns 500
+//   5678901 / riley@example.com    token rejected with 401 after login
+//   6789012 / taylor@example.com   round totals only, no hole detail
+//   any golfer, wrong password     401 with GHIN's error shape
+//   course 9999                    500
+// Every seeded golfer's password is "birdie123". Admin lookups use the "admin"
+// credentials in the seed file (GHIN_EMAIL / GHIN_PASSWORD).
+
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_SEED_PATH = join(__dirname, '../fixtures/ghin/seed.json');
+const ADMIN_TOKEN = 'mock-admin-token';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Small deterministic PRNG (mulberry32) so generated rounds are stable between runs
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = (random, options) => options[Math.floor(random() * options.length)];
+const round1 = (value) => Math.round(value * 10) / 10;
+const toDate = (date) => date.toISOString().split('T')[0];
+
+const tokenFor = (golfer) => `mock-${golfer.ghin}-token`;
+
+function playerName(golfer) {
+  return `${golfer.firstName} ${golfer.lastName}`;
+}
+
+/**
+ * Plays one 18-hole round for a golfer and returns it in GHIN's score shape
+ */
+function generateRound(golfer, course, tee, index, random) {
+  const par = course.holes.reduce((sum, h) => sum + h.par, 0);
+  const courseHandicap = Math.round(golfer.handicapIndex * (tee.slope / 113) + (tee.rating - par));
+  const expectedOver = golfer.strokesOverPar / 18;
+
+  let fairwaysHit = 0;
+  let fairwaysPossible = 0;
+  let gir = 0;
+  let putts = 0;
+  let penalties = 0;
+  let rawScore = 0;
+  let adjustedScore = 0;
+
+  const holes = course.holes.map((hole, i) => {
+    const noise = (random() + random() + random() - 1.5) * 1.4;
+    const over = Math.max(-1, Math.round(expectedOver + noise));
+    const score = hole.par + over;
+
+    // Net double bogey cap for adjusted gross score
+    const strokesReceived = Math.floor(courseHandicap / 18) + (hole.allocation <= courseHandicap % 18 ? 1 : 0);
+    const adjusted = Math.min(score, hole.par + 2 + strokesReceived);
+
+    const hitGreen = over <= 1 && random() < golfer.girRate + (over <= 0 ? 0.35 : 0);
+    const holePutts = hitGreen
+      ? Math.max(1, Math.min(3, score - (hole.par - 2)))
+      : (random() < 0.4 ? 1 : 2);
+    const hitFairway = hole.par > 3 ? random() < golfer.fairwayRate : null;
+    const penalty = over >= 2 && random() < 0.35 ? 1 : 0;
+    const sandShots = !hitGreen && random() < 0.15 ? 1 : 0;
+
+    if (hitFairway !== null) {
+      fairwaysPossible++;
+      if (hitFairway) fairwaysHit++;
+    }
+    if (hitGreen) gir++;
+    putts += holePutts;
+    penalties += penalty;
+    rawScore += score;
+    adjustedScore += adjusted;
+
+    return {
+      hole_number: hole.number,
+      par: hole.par,
+      yardage: tee.yardages[i],
+      raw_score: score,
+      adjusted_gross_score: adjusted,
+      fairway_hit: hitFairway,
+      fairway_miss: hitFairway === false ? pick(random, ['left', 'right', 'right']) : null,
+      gir: hitGreen,
+      green_miss: hitGreen ? null : pick(random, ['left', 'right', 'short', 'short', 'long']),
+      putts: holePutts,
+      penalties: penalty,
+      sand_shots: sandShots,
+      sand_save: sandShots ? over <= 0 : null
+    };
+  });
+
+  // Roughly one round a week, newest first
+  const playedAt = new Date(Date.now() - (index * 6 + 2) * DAY_MS);
+
+  const score = {
+    id: parseInt(golfer.ghin) * 1000 + index,
+    golfer_id: golfer.ghin,
+    played_at: toDate(playedAt),
+    course_id: course.id,
+    course_name: course.name,
+    facility_name: course.name,
+    tee_name: tee.name,
+    course_rating: tee.rating,
+    slope_rating: tee.slope,
+    number_of_holes: 18,
+    score_type: index % 5 === 3 ? 'A' : 'H',
+    adjusted_gross_score: adjustedScore,
+    raw_score: rawScore,
+    differential: round1((113 / tee.slope) * (adjustedScore - tee.rating)),
+    fairways_hit: fairwaysHit,
+    fairways_possible: fairwaysPossible,
+    gir,
+    gir_possible: 18,
+    putts,
+    penalties
+  };
+
+  if (golfer.holeByHole) {
+    score.hole_details = holes;
+  }
+
+  return score;
+}
+
+function generateScores(golfer, coursesById) {
+  const random = createRandom(parseInt(golfer.ghin));
+  const scores = [];
+
+  for (let i = 0; i < (golfer.rounds || 0); i++) {
+    // Every fourth round is away from home when the golfer has an away course
+    const courseId = golfer.awayCourseId && i % 4 === 3 ? golfer.awayCourseId : golfer.homeCourseId;
+    const course = coursesById.get(courseId);
+    scores.push(generateRound(golfer, course, course.tees[0], i, random));
+  }
+
+  return scores;
+}
+
+function toGolferRecord(golfer) {
+  return {
+    id: parseInt(golfer.ghin),
+    ghin: golfer.ghin,
+    first_name: golfer.firstName,
+    last_name: golfer.lastName,
+    player_name: playerName(golfer),
+    handicap_index: golfer.handicapIndex.toFixed(1),
+    display: golfer.handicapIndex.toFixed(1),
+    low_hi: golfer.lowHandicapIndex != null ? golfer.lowHandicapIndex.toFixed(1) : null,
+    low_hi_display: golfer.lowHandicapIndex != null ? golfer.lowHandicapIndex.toFixed(1) : null,
+    club_name: golfer.clubName,
+    golf_association_name: 'Mock Golf Association',
+    assoc_name: 'Mock Golf Association',
+    city: golfer.city,
+    state: golfer.state,
+    status: 'Active',
+    rev_date: toDate(new Date(Date.now() - 3 * DAY_MS)),
+    soft_cap: false,
+    hard_cap: false
+  };
+}
+
+function toTeeRecord(course, tee, withHoles) {
+  const record = {
+    id: tee.id,
+    name: tee.name,
+    rating: tee.rating,
+    slope: tee.slope,
+    par: course.holes.reduce((sum, h) => sum + h.par, 0),
+    yardage: tee.yardages.reduce((sum, y) => sum + y, 0)
+  };
+
+  if (withHoles) {
+    record.holes = course.holes.map((hole, i) => ({
+      number: hole.number,
+      par: hole.par,
+      yardage: tee.yardages[i],
+      allocation: hole.allocation
+    }));
+  }
+
+  return record;
+}
+
+/**
+ * Builds the mock GHIN Express app
+ * @param {Object} options
+ * @param {string} options.seedPath - Seed file (defaults to fixtures/ghin/seed.json)
+ */
+export function createMockGhinApp({ seedPath = DEFAULT_SEED_PATH } = {}) {
+  const seed = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
+  const coursesById = new Map(seed.courses.map(c => [c.id, c]));
+  const golfersByGhin = new Map(seed.golfers.map(g => [g.ghin, g]));
+  const scoresByGhin = new Map(seed.golfers.map(g => [g.ghin, generateScores(g, coursesById)]));
+
+  const findGolfer = (emailOrGhin) => {
+    const value = String(emailOrGhin || '').trim().toLowerCase();
+    return seed.golfers.find(g => g.ghin === value || g.email.toLowerCase() === value) || null;
+  };
+
+  const app = express();
+  const router = express.Router();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    console.log(`[mock ghin] ${req.method} ${req.originalUrl}`);
+    next();
+  });
+
+  // Every endpoint except login needs a token issued by this mock
+  const requireToken = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (token === ADMIN_TOKEN) return next();
+
+    const golfer = seed.golfers.find(g => tokenFor(g) === token);
+    if (!golfer || golfer.scenario === 'token_expired') {
+      return res.status(401).json({ errors: { token: ['Token is invalid or has expired'] } });
+    }
+    next();
+  };
+
+  // Golfers whose score endpoints are configured to fail
+  const scoresUnavailable = (ghin) => golfersByGhin.get(String(ghin))?.scenario === 'scores_error';
+
+  router.post('/golfer_login.json', (req, res) => {
+    const { email_or_ghin: emailOrGhin, password } = req.body?.user || {};
+
+    if (seed.admin && emailOrGhin === seed.admin.email && password === seed.admin.password) {
+      return res.json({ golfer_user: { golfer_user_token: ADMIN_TOKEN, golfers: [] } });
+    }
+
+    const golfer = findGolfer(emailOrGhin);
+
+    if (golfer?.scenario === 'login_error') {
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
+    if (!golfer || golfer.password !== password) {
+      return res.status(401).json({ errors: { password: ['Invalid email/GHIN number or password'] } });
+    }
+
+    res.json({
+      golfer_user: {
+        golfer_user_token: tokenFor(golfer),
+        golfer_id: parseInt(golfer.ghin),
+        first_name: golfer.firstName,
+        last_name: golfer.lastName,
+        email: golfer.email,
+        golfers: [toGolferRecord(golfer)]
+      }
+    });
+  });
+
+  router.get('/golfers/search.json', requireToken, (req, res) => {
+    const { golfer_id: golferId, last_name: lastName, state } = req.query;
+    const perPage = parseInt(req.query.per_page) || 25;
+    const page = parseInt(req.query.page) || 1;
+
+    const matches = seed.golfers.filter(g => {
+      if (golferId) return g.ghin === String(golferId);
+      if (lastName && g.lastName.toLowerCase() !== String(lastName).toLowerCase()) return false;
+      if (state && g.state !== state) return false;
+      return !!lastName;
+    });
+
+    res.json({
+      golfers: matches.slice((page - 1) * perPage, page * perPage).map(toGolferRecord)
+    });
+  });
+
+  router.get('/scores/search.json', requireToken, (req, res) => {
+    const { golfer_id: golferId, from_date_played: from, to_date_played: to } = req.query;
+    const perPage = parseInt(req.query.per_page) || 25;
+    const page = parseInt(req.query.page) || 1;
+
+    if (scoresUnavailable(golferId)) {
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
+
+    const scores = (scoresByGhin.get(String(golferId)) || [])
+      .filter(s => (!from || s.played_at >= from) && (!to || s.played_at <= to));
+
+    res.json({
+      Scores: scores.slice((page - 1) * perPage, page * perPage),
+      total_count: scores.length
+    });
+  });
+
+  router.get('/golfers/:ghin/scores.json', requireToken, (req, res) => {
+    const { ghin } = req.params;
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+
+    if (!golfersByGhin.has(ghin)) {
+      return res.status(404).json({ error: 'Golfer not found' });
+    }
+    if (scoresUnavailable(ghin)) {
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
+
+    const scores = scoresByGhin.get(ghin);
+    res.json({
+      scores: scores.slice((page - 1) * limit, page * limit),
+      total_scores: scores.length
+    });
+  });
+
+  router.get('/golfers/:ghin.json', requireToken, (req, res) => {
+    const golfer = golfersByGhin.get(req.params.ghin);
+    if (!golfer) {
+      return res.status(404).json({ error: 'Golfer not found' });
+    }
+
+    res.json({
+      golfer: {
+        ...toGolferRecord(golfer),
+        handicap_trend: 'steady',
+        number_of_scores: Math.min(20, scoresByGhin.get(golfer.ghin).length)
+      }
+    });
+  });
+
+  // Course summary omits hole data, like the real API - clients fetch it per tee
+  router.get('/courses/:courseId.json', requireToken, (req, res) => {
+    const course = coursesById.get(parseInt(req.params.courseId));
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    if (course.scenario === 'server_error') {
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
+
+    res.json({
+      course: {
+        id: course.id,
+        name: course.name,
+        city: course.city,
+        state: course.state,
+        tees: course.tees.map(tee => toTeeRecord(course, tee, false))
+      }
+    });
+  });
+
+  router.get('/courses/:courseId/tees/:teeId.json', requireToken, (req, res) => {
+    const course = coursesById.get(parseInt(req.params.courseId));
+    const tee = course?.tees.find(t => t.id === parseInt(req.params.teeId));
+
+    if (!tee) {
+      return res.status(404).json({ error: 'Tee not found' });
+    }
+
+    res.json({ tee: toTeeRecord(course, tee, true) });
+  });
+
+  app.use('/api/v1', router);
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `Mock GHIN has no route for ${req.method} ${req.path}` });
+  });
+
+  return app;
+}
+
+// Started directly (npm run mock:ghin) rather than imported
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const port = parseInt(process.env.GHIN_MOCK_PORT || '3002', 10);
+  createMockGhinApp({ seedPath: process.env.GHIN_MOCK_SEED || DEFAULT_SEED_PATH }).listen(port, () => {
+    console.log(`Mock GHIN API running on http://localhost:${port}/api/v1`);
+  });
+}
@@ -1,11 +1,128 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
-import { createUser, findUserByEmail, findUserById, findUserByGhin, updateUser } from '../db/database.js';
+import {
+  createUser,
+  findUserByEmail,
+  findUserById,
+  findUserByGhin,
+  updateUser,
+  recordHandicap,
+  createAuthToken,
+  consumeAuthToken,
+  markEmailVerified,
+  createSession,
+  findActiveSession,
+  findSessionByRefreshToken,
+  findSessionByPreviousToken,
+  rotateSessionToken,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions
+} from '../db/database.js';
 import { authenticateUser, lookupGHIN, lookupByName, getDetailedScores } from '../services/ghin.js';
+import { sendMail } from '../services/mail.js';
+import { saveGhinToken, syncGhinScores } from '../services/ghinSync.js';
 
 const router = express.Router();
 
+const PASSWORD_RESET_MINUTES = 60;
+const EMAIL_VERIFICATION_MINUTES = 48 * 60;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Placeholder address for GHIN accounts without an email - never mailed
+const isPlaceholderEmail = (email) => /^ghin_\d+@golfstrategy\.app$/.test(email);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque, rotate on every
+// use and are tied to a row in sessions so they can be revoked server-side.
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.ACCESS_TOKEN_MINUTES || '15', 10);
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30', 10);
+
+// A rotated refresh token presented again within this window is treated as two tabs
+// refreshing at once; after it, as a stolen token, and the session is revoked
+const REFRESH_REUSE_GRACE_SECONDS = 60;
+
+const sqlDateToMs = (value) => new Date(value.replace(' ', 'T') + 'Z').getTime();
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
+  );
+}
+
+function getClientInfo(req) {
+  return {
+    userAgent: req.get('user-agent')?.slice(0, 255) || null,
+    ipAddress: req.ip || null
+  };
+}
+
+/**
+ * Signs a user in on a new device: creates a session and returns its token pair
+ */
+function startSession(user, req) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const sessionId = createSession(user.id, hashToken(refreshToken), REFRESH_TOKEN_DAYS, getClientInfo(req));
+  return { token: signAccessToken(user, sessionId), refreshToken };
+}
+
+/**
+ * Creates a single-use token for a user and returns the raw value (only its hash is stored)
+ */
+function issueAuthToken(userId, type, expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  createAuthToken(userId, type, hashToken(token), expiresInMinutes);
+  return token;
+}
+
+function frontendLink(param, token) {
+  const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${base}/?${param}=${token}`;
+}
+
+async function sendVerificationEmail(user) {
+  if (isPlaceholderEmail(user.email)) return;
+
+  const token = issueAuthToken(user.id, 'email_verification', EMAIL_VERIFICATION_MINUTES);
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email for Fairway Strategy',
+    text: `Hi${user.name ? ` ${user.name}` : ''},\n\n` +
+      `Confirm your email address by opening this link:\n${frontendLink('verifyEmail', token)}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_MINUTES / 60} hours. If you didn't create an account, you can ignore this email.`
+  });
+}
+
+/**
+ * Emails a password reset link. newAccount changes the wording for GHIN sign-ups,
+ * whose password was generated and never shown to them.
+ */
+async function sendPasswordResetEmail(user, { newAccount = false } = {}) {
+  if (isPlaceholderEmail(user.email)) return;
+
+  const token = issueAuthToken(user.id, 'password_reset', newAccount ? EMAIL_VERIFICATION_MINUTES : PASSWORD_RESET_MINUTES);
+  const expiresIn = newAccount ? `${EMAIL_VERIFICATION_MINUTES / 60} hours` : `${PASSWORD_RESET_MINUTES} minutes`;
+
+  await sendMail({
+    to: user.email,
+    subject: newAccount ? 'Set a password for Fairway Strategy' : 'Reset your Fairway Strategy password',
+    text: `Hi${user.name ? ` ${user.name}` : ''},\n\n` +
+      (newAccount
+        ? 'Your account was created with your GHIN login. Set a password to also sign in with your email:\n'
+        : 'Someone asked to reset the password for your account. Choose a new password here:\n') +
+      `${frontendLink('resetPassword', token)}\n\n` +
+      `The link expires in ${expiresIn}. If you didn't ask for this, you can ignore this email.`
+  });
+}
+
+// Email delivery failures shouldn't fail the request that triggered them
+const sendInBackground = (promise) => promise.catch(error => console.error('Email send error:', error));
+
 // Public GHIN lookup by number (no auth required)
 router.post('/ghin-lookup', async (req, res) => {
   try {
@@ -100,6 +217,7 @@ router.post('/register-with-ghin', async (req, res) => {
         handicap: golfer.handicapIndex,
         name: `${golfer.firstName} ${golfer.lastName}`
       });
+      recordHandicap(user.id, golfer.handicapIndex, 'ghin');
     } else {
       // New user - create account with random password (they'll use GHIN to login)
       isNewUser = true;
@@ -118,22 +236,28 @@ router.post('/register-with-ghin', async (req, res) => {
         ghin_number: golfer.ghinNumber,
         handicap: golfer.handicapIndex
       });
+      recordHandicap(userId, golfer.handicapIndex, 'ghin');
       
       user = findUserById(userId);
+
+      // Their password was generated - let them choose one
+      sendInBackground(sendPasswordResetEmail(user, { newAccount: true }));
+    }
+
+    // Keep the GHIN token server-side (encrypted) and pull their score history
+    if (ghinToken) {
+      saveGhinToken(user.id, golfer.ghinNumber, ghinToken);
+      syncGhinScores(user.id).catch(error => console.error('GHIN sync after sign-in failed:', error));
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // Start a session for this device
+    const { token, refreshToken } = startSession(user, req);
 
     res.json({
       success: true,
       isNewUser,
       token,
-      ghinToken, // For fetching detailed scores
+      refreshToken,
       golfer,
       user: {
         id: user.id,
@@ -142,7 +266,8 @@ router.post('/register-with-ghin', async (req, res) => {
         handicap: user.handicap,
         ghinNumber: golfer.ghinNumber,
         credits: user.credits,
-        subscriptionStatus: user.subscription_status
+        subscriptionStatus: user.subscription_status,
+        emailVerified: !!user.email_verified_at
       }
     });
 
@@ -173,23 +298,22 @@ router.post('/register', async (req, res) => {
 
     // Create user
     const userId = createUser(email, passwordHash, name);
+    sendInBackground(sendVerificationEmail({ id: userId, email, name }));
 
-    // Generate token
-    const token = jwt.sign(
-      { userId, email },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // Start a session for this device
+    const { token, refreshToken } = startSession({ id: userId, email }, req);
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: userId,
         email,
         name,
         credits: 0,
-        subscriptionStatus: 'free'
+        subscriptionStatus: 'free',
+        emailVerified: false
       }
     });
 
@@ -220,16 +344,13 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // Start a session for this device
+    const { token, refreshToken } = startSession(user, req);
 
     res.json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
@@ -238,7 +359,8 @@ router.post('/login', async (req, res) => {
         target_handicap: user.target_handicap,
         homeCourse: user.home_course,
         credits: user.credits,
-        subscriptionStatus: user.subscription_status
+        subscriptionStatus: user.subscription_status,
+        emailVerified: !!user.email_verified_at
       }
     });
 
@@ -248,6 +370,229 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Request a password reset email
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+
+    // Same response, and no waiting on the mail server, whether or not the account
+    // exists, so emails can't be probed
+    const user = findUserByEmail(email.trim());
+    if (user) {
+      sendInBackground(sendPasswordResetEmail(user));
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link is on its way.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset email' });
+  }
+});
+
+// Set a new password with a reset token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and new password required' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const resetToken = consumeAuthToken('password_reset', hashToken(token));
+    if (!resetToken) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+    updateUser(resetToken.user_id, { password_hash: passwordHash });
+
+    // Whoever knew the old password shouldn't stay signed in
+    revokeAllSessions(resetToken.user_id);
+
+    // The link was delivered to their inbox, which proves they own the address
+    markEmailVerified(resetToken.user_id);
+
+    res.json({ success: true, message: 'Password updated. You can now sign in.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Confirm an email address with a verification token
+router.post('/verify-email', (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token required' });
+    }
+
+    const verification = consumeAuthToken('email_verification', hashToken(token));
+    if (!verification) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+
+    markEmailVerified(verification.user_id);
+
+    res.json({ success: true, message: 'Email confirmed.' });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send a new verification email to the signed-in user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    if (isPlaceholderEmail(user.email)) {
+      return res.status(400).json({ error: 'No email address on this account' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ success: true, message: `Verification email sent to ${user.email}` });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Exchange a refresh token for a new access token (and a new refresh token)
+router.post('/refresh', (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = findSessionByRefreshToken(tokenHash);
+
+    if (!session) {
+      const replayed = findSessionByPreviousToken(tokenHash);
+      if (replayed && !replayed.revoked_at &&
+          Date.now() - sqlDateToMs(replayed.rotated_at) > REFRESH_REUSE_GRACE_SECONDS * 1000) {
+        console.log('Refresh token reuse detected, revoking session', replayed.id, 'for user', replayed.user_id);
+        revokeSession(replayed.id);
+      }
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = findUserById(session.user_id);
+    if (!findActiveSession(session.id) || !user) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    const newRefreshToken = crypto.randomBytes(32).toString('hex');
+    if (!rotateSessionToken(session.id, tokenHash, hashToken(newRefreshToken), REFRESH_TOKEN_DAYS, getClientInfo(req))) {
+      // Another request rotated it first
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      success: true,
+      token: signAccessToken(user, session.id),
+      refreshToken: newRefreshToken
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Sign out this device
+router.post('/logout', (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      const session = findSessionByRefreshToken(hashToken(refreshToken));
+      if (session) revokeSession(session.id);
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// Sign out every device, including this one
+router.post('/logout-all', authenticateToken, (req, res) => {
+  try {
+    const revoked = revokeAllSessions(req.user.userId);
+    res.json({ success: true, revoked });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to sign out all devices' });
+  }
+});
+
+// List the signed-in devices
+router.get('/sessions', authenticateToken, (req, res) => {
+  try {
+    const sessions = getActiveSessions(req.user.userId).map(session => ({
+      id: session.id,
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      current: session.id === req.user.sessionId
+    }));
+
+    res.json({ sessions });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', authenticateToken, (req, res) => {
+  try {
+    if (!revokeSession(parseInt(req.params.id), req.user.userId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to sign out device' });
+  }
+});
+
 // Get current user
 router.get('/me', authenticateToken, (req, res) => {
   try {
@@ -265,7 +610,8 @@ router.get('/me', authenticateToken, (req, res) => {
       homeCourse: user.home_course,
       ghin_number: user.ghin_number,
       credits: user.credits,
-      subscriptionStatus: user.subscription_status
+      subscriptionStatus: user.subscription_status,
+      emailVerified: !!user.email_verified_at
     });
 
   } catch (error) {
@@ -286,6 +632,9 @@ router.put('/profile', authenticateToken, (req, res) => {
     if (homeCourse !== undefined) updates.home_course = homeCourse;
 
     updateUser(req.user.userId, updates);
+    if (handicap != null) {
+      recordHandicap(req.user.userId, handicap, 'manual');
+    }
 
     res.json({ success: true });
 
@@ -295,6 +644,23 @@ router.put('/profile', authenticateToken, (req, res) => {
   }
 });
 
+/**
+ * Verifies an access token and that its session hasn't been revoked
+ * @returns {Object|null} - The token payload, or null if it isn't valid
+ */
+function verifyAccessToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Tokens issued before sessions existed can't be revoked, so they're no longer accepted
+    if (!decoded.sessionId || !findActiveSession(decoded.sessionId)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
 // Middleware to authenticate JWT token
 export function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -304,13 +670,13 @@ export function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
+  const decoded = verifyAccessToken(token);
+  if (!decoded) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
+
+  req.user = decoded;
+  next();
 }
 
 // Optional auth - attaches user if token present, but doesn't require it
@@ -319,12 +685,9 @@ export function optionalAuth(req, res, next) {
   const token = authHeader && authHeader.split(' ')[1];
 
   if (token) {
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
-    } catch (error) {
-      // Token invalid, but we continue without user
-    }
+    // Token invalid, but we continue without user
+    const decoded = verifyAccessToken(token);
+    if (decoded) req.user = decoded;
   }
   next();
 }
@@ -1,7 +1,8 @@
 import express from 'express';
 import Stripe from 'stripe';
-import { findUserById, updateUser } from '../db/database.js';
+import { findUserById, addCredits, getCreditLedger } from '../db/database.js';
 import { authenticateToken } from './auth.js';
+import { processStripeEvent } from '../services/subscriptions.js';
 
 const router = express.Router();
 
@@ -32,14 +33,12 @@ router.post('/activate-trial', authenticateToken, async (req, res) => {
     }
 
     // Give user 1 credit for trial (not pro status)
-    updateUser(user.id, {
-      credits: (user.credits || 0) + 1
-    });
+    addCredits(user.id, 'trial', 1, 'Trial code');
 
     res.json({ 
       success: true, 
       message: 'Code activated! You have 1 free analysis.',
-      credits: (user.credits || 0) + 1
+      credits: findUserById(user.id).credits
     });
 
   } catch (error) {
@@ -81,6 +80,13 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
       }
     };
 
+    // Lets subscription webhooks find the user even before subscription_id is saved
+    if (isSubscription) {
+      sessionConfig.subscription_data = {
+        metadata: { userId: user.id.toString() }
+      };
+    }
+
     const session = await stripe.checkout.sessions.create(sessionConfig);
 
     res.json({ url: session.url });
@@ -133,57 +139,33 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 
   try {
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        const userId = parseInt(session.metadata.userId);
-        const priceType = session.metadata.priceType;
-
-        console.log('Checkout completed:', { userId, priceType });
-
-        if (priceType === 'single') {
-          // Add 1 credit for single strategy purchase ($5)
-          const user = findUserById(userId);
-          updateUser(userId, { credits: (user.credits || 0) + 1 });
-          console.log('Added 1 credit to user', userId);
-        } else {
-          // Subscription (monthly or yearly) - give pro status
-          updateUser(userId, {
-            subscription_status: 'pro',
-            subscription_id: session.subscription
-          });
-          console.log('Activated pro subscription for user', userId);
-        }
-        break;
-      }
-
-      case 'customer.subscription.updated': {
-        const subscription = event.data.object;
-        console.log('Subscription updated:', subscription.id, subscription.status);
-        // Handle upgrades/downgrades if needed
-        break;
-      }
+    const { processed } = processStripeEvent(event);
+    res.json({ received: true, duplicate: !processed });
 
-      case 'customer.subscription.deleted': {
-        const subscription = event.data.object;
-        console.log('Subscription cancelled:', subscription.id);
-        // Would need to query by subscription_id to find and downgrade user
-        break;
-      }
+  } catch (error) {
+    // Nothing was recorded, so Stripe's retry will process the event again
+    console.error('Webhook processing error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
 
-      case 'invoice.payment_failed': {
-        const invoice = event.data.object;
-        console.log('Payment failed for invoice:', invoice.id);
-        // Handle failed payment - maybe send email
-        break;
-      }
+// Credit history
+router.get('/ledger', authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ received: true });
+    res.json({
+      balance: user.credits,
+      subscriptionStatus: user.subscription_status,
+      transactions: getCreditLedger(user.id)
+    });
 
   } catch (error) {
-    console.error('Webhook processing error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    console.error('Ledger error:', error);
+    res.status(500).json({ error: 'Failed to get credit history' });
   }
 });
 
@@ -194,6 +176,10 @@ router.get('/status', authenticateToken, (req, res) => {
     
     res.json({
       subscriptionStatus: user.subscription_status,
+      stripeStatus: user.stripe_subscription_status,
+      currentPeriodEnd: user.current_period_end,
+      cancelAtPeriodEnd: !!user.cancel_at_period_end,
+      gracePeriodEndsAt: user.grace_period_ends_at,
       credits: user.credits,
       canAnalyze: user.subscription_status === 'pro' || user.credits > 0
     });
@@ -0,0 +1,412 @@
+// Analysis Schema
+// Formal definition of the analysis object produced by generateStrategy, plus a
+// small validator. Bump ANALYSIS_SCHEMA_VERSION whenever the shape changes so
+// saved analyses can be told apart from older rows.
+
+export const ANALYSIS_SCHEMA_VERSION = 1;
+
+// Fields that are only ever displayed can come back from the model as either a
+// string or a number ("32" vs 32) - both render fine
+const text = { type: 'string' };
+const displayValue = { type: ['string', 'number'] };
+const optionalDisplayValue = { type: ['string', 'number', 'null'] };
+const stringList = { type: 'array', items: text };
+
+const parTypeStrategy = {
+  type: 'object',
+  required: ['currentPerformance', 'mainIssue', 'strategy', 'targetScore', 'keyTip'],
+  properties: {
+    currentPerformance: text,
+    mainIssue: text,
+    strategy: text,
+    targetScore: displayValue,
+    keyTip: text
+  }
+};
+
+const scoringArea = {
+  type: 'object',
+  required: ['assessment', 'strokesLost', 'improvement'],
+  properties: {
+    assessment: text,
+    strokesLost: displayValue,
+    improvement: text
+  }
+};
+
+// Light groups are normally { holes, strategy } but older responses used a bare array
+const lightGroup = {
+  type: ['object', 'array'],
+  properties: {
+    holes: { type: ['array', 'string'], items: { type: ['number', 'string'] } },
+    strategy: text
+  },
+  items: { type: ['number', 'string'] }
+};
+
+export const analysisSchema = {
+  type: 'object',
+  required: [
+    'summary',
+    'parTypeStrategies',
+    'scoringAreaAnalysis',
+    'troubleHoles',
+    'strengthHoles',
+    'courseStrategy',
+    'holeByHoleStrategy',
+    'practicePlan',
+    'mentalGame',
+    'targetStats',
+    'handicapPath',
+    'thirtyDayPlan'
+  ],
+  properties: {
+    summary: {
+      type: 'object',
+      required: ['currentHandicap', 'targetHandicap', 'potentialStrokeDrop', 'keyInsight', 'biggestStrokeSaver'],
+      properties: {
+        currentHandicap: { type: 'number' },
+        targetHandicap: { type: 'number' },
+        potentialStrokeDrop: displayValue,
+        keyInsight: text,
+        biggestStrokeSaver: text
+      }
+    },
+    parTypeStrategies: {
+      type: 'object',
+      required: ['par3', 'par4', 'par5'],
+      properties: {
+        par3: parTypeStrategy,
+        par4: parTypeStrategy,
+        par5: parTypeStrategy
+      }
+    },
+    scoringAreaAnalysis: {
+      type: 'object',
+      required: ['teeToGreen', 'approachPlay', 'shortGame', 'putting', 'penalties'],
+      properties: {
+        teeToGreen: scoringArea,
+        approachPlay: scoringArea,
+        shortGame: scoringArea,
+        putting: scoringArea,
+        penalties: scoringArea
+      }
+    },
+    troubleHoles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'problem', 'strategy'],
+        properties: {
+          type: text,
+          specificHoles: { type: ['array', 'null'], items: { type: ['number', 'string'] } },
+          averageScore: optionalDisplayValue,
+          problem: text,
+          strategy: text,
+          acceptableScore: displayValue,
+          fullPlan: text
+        }
+      }
+    },
+    strengthHoles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'strategy'],
+        properties: {
+          type: text,
+          specificHoles: { type: ['array', 'null'], items: { type: ['number', 'string'] } },
+          opportunity: text,
+          strategy: text,
+          targetScore: displayValue
+        }
+      }
+    },
+    courseStrategy: {
+      type: 'object',
+      required: ['redLightHoles', 'yellowLightHoles', 'greenLightHoles', 'overallApproach'],
+      properties: {
+        redLightHoles: lightGroup,
+        yellowLightHoles: lightGroup,
+        greenLightHoles: lightGroup,
+        overallApproach: text
+      }
+    },
+    holeByHoleStrategy: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['hole', 'par', 'light', 'strategy'],
+        properties: {
+          hole: { type: 'integer' },
+          par: { type: 'integer' },
+          yards: { type: ['number', 'null'] },
+          teeShot: text,
+          approachStrategy: text,
+          missSide: text,
+          light: { type: 'string', enum: ['green', 'yellow', 'red'] },
+          strategy: text,
+          notes: text
+        }
+      }
+    },
+    practicePlan: {
+      type: 'object',
+      required: ['priorityAreas', 'weeklySchedule', 'preRoundRoutine'],
+      properties: {
+        priorityAreas: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['area', 'reason'],
+            properties: {
+              area: text,
+              reason: text,
+              expectedImprovement: displayValue
+            }
+          }
+        },
+        weeklySchedule: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['session', 'drills'],
+            properties: {
+              session: text,
+              duration: displayValue,
+              focus: text,
+              drills: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['name', 'description'],
+                  properties: {
+                    name: text,
+                    description: text,
+                    reps: displayValue,
+                    why: text
+                  }
+                }
+              }
+            }
+          }
+        },
+        preRoundRoutine: stringList,
+        practiceRoundFocus: stringList
+      }
+    },
+    mentalGame: {
+      type: 'object',
+      required: ['preShot', 'recovery', 'mantras'],
+      properties: {
+        preShot: text,
+        recovery: text,
+        mantras: stringList
+      }
+    },
+    targetStats: {
+      type: 'object',
+      required: ['fairwaysHit', 'penaltiesPerRound', 'gir', 'upAndDown', 'puttsPerRound'],
+      properties: {
+        fairwaysHit: displayValue,
+        penaltiesPerRound: displayValue,
+        gir: displayValue,
+        upAndDown: displayValue,
+        puttsPerRound: displayValue,
+        par3Average: displayValue,
+        par4Average: displayValue,
+        par5Average: displayValue
+      }
+    },
+    handicapPath: {
+      type: 'object',
+      required: ['currentLevel', 'targetLevel', 'gapAnalysis', 'improvementPriorities', 'milestones', 'quickWins'],
+      properties: {
+        currentLevel: {
+          type: 'object',
+          required: ['handicap', 'playerProfile'],
+          properties: {
+            handicap: displayValue,
+            playerProfile: text,
+            strengths: stringList,
+            weaknesses: stringList
+          }
+        },
+        targetLevel: {
+          type: 'object',
+          required: ['handicap', 'playerProfile'],
+          properties: {
+            handicap: displayValue,
+            playerProfile: text,
+            requiredStats: {
+              type: 'object',
+              properties: {
+                fairwaysHit: displayValue,
+                gir: displayValue,
+                puttsPerRound: displayValue,
+                upAndDown: displayValue,
+                penaltiesPerRound: displayValue
+              }
+            },
+            keyDifferences: text
+          }
+        },
+        gapAnalysis: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['area', 'current', 'required'],
+            properties: {
+              area: text,
+              current: displayValue,
+              required: displayValue,
+              gap: displayValue,
+              difficulty: text,
+              strokesToGain: displayValue
+            }
+          }
+        },
+        improvementPriorities: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['skill', 'why', 'howToImprove'],
+            properties: {
+              rank: { type: 'integer' },
+              skill: text,
+              why: text,
+              currentLevel: displayValue,
+              targetLevel: displayValue,
+              howToImprove: text,
+              expectedTimeframe: text
+            }
+          }
+        },
+        milestones: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['handicap'],
+            properties: {
+              handicap: displayValue,
+              statsToReach: text,
+              focusAreas: stringList,
+              estimatedTimeframe: text
+            }
+          }
+        },
+        quickWins: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['tip'],
+            properties: {
+              tip: text,
+              impact: text,
+              effort: text
+            }
+          }
+        }
+      }
+    },
+    thirtyDayPlan: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['week', 'focus', 'goals'],
+        properties: {
+          week: { type: 'integer' },
+          focus: text,
+          goals: stringList
+        }
+      }
+    },
+
+    // Attached by the server after generation, not produced by the model
+    extractedScores: { type: 'object' },
+    schemaVersion: { type: 'integer' }
+  }
+};
+
+// Sections the model is responsible for (everything except server-attached fields)
+export const ANALYSIS_SECTIONS = analysisSchema.required;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'integer') return actual === 'number' && Number.isInteger(value);
+  if (type === 'number') return actual === 'number' && Number.isFinite(value);
+  return actual === type;
+}
+
+/**
+ * Validates a value against a schema node, collecting errors with their paths
+ */
+export function validateAgainstSchema(schema, value, path = '', errors = []) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (schema.type && !types.some(type => matchesType(value, type))) {
+    errors.push({ path: path || '(root)', message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties).forEach(([key, childSchema]) => {
+      if (value[key] !== undefined) {
+        validateAgainstSchema(childSchema, value[key], path ? `${path}.${key}` : key, errors);
+      }
+    });
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, i) => {
+      validateAgainstSchema(schema.items, item, `${path}[${i}]`, errors);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a full analysis object
+ * @returns {{ valid: boolean, errors: Array, invalidSections: string[] }}
+ */
+export function validateAnalysis(analysis) {
+  const errors = validateAgainstSchema(analysisSchema, analysis);
+
+  // Map each error back to the top-level section it belongs to
+  const invalidSections = [...new Set(
+    errors
+      .map(err => err.path.split(/[.[]/)[0])
+      .filter(section => ANALYSIS_SECTIONS.includes(section))
+  )];
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    invalidSections
+  };
+}
+
+/**
+ * Returns the schema fragment for just the given sections (used for repair prompts)
+ */
+export function getSectionSchemas(sections) {
+  return Object.fromEntries(
+    sections.map(section => [section, analysisSchema.properties[section]])
+  );
+}
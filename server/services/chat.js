@@ -0,0 +1,122 @@
+// Analysis Chat
+// Follow-up questions about a saved analysis ("how should I play 14 into the
+// wind?"). The analysis, aggregate stats from the golfer's rounds and the home
+// course layout go in the system prompt; the thread's recent messages are replayed
+// so answers can build on each other.
+
+import { streamMessage } from './llm.js';
+import { calculateAggregateStats, extractCourseLayoutFromScores, fromScorecardRound } from './golfStats.js';
+
+// Messages a user can send per calendar month (UTC), by plan
+export const CHAT_MONTHLY_LIMITS = {
+  free: parseInt(process.env.CHAT_MONTHLY_LIMIT_FREE) || 20,
+  pro: parseInt(process.env.CHAT_MONTHLY_LIMIT_PRO) || 300
+};
+
+// Earlier messages replayed to the model with each question
+export const CHAT_HISTORY_MESSAGES = 20;
+export const MAX_CHAT_MESSAGE_LENGTH = 2000;
+
+// Rounds the stats section is calculated from (most recent first)
+const STATS_ROUNDS = 20;
+
+/**
+ * Start of the current quota period as a SQLite timestamp
+ */
+export function chatQuotaPeriodStart(now = new Date()) {
+  return `${now.toISOString().slice(0, 7)}-01 00:00:00`;
+}
+
+/**
+ * Monthly quota for a user given the messages they've sent this month
+ */
+export function getChatQuota(user, used) {
+  const limit = user?.subscription_status === 'pro' ? CHAT_MONTHLY_LIMITS.pro : CHAT_MONTHLY_LIMITS.free;
+  const now = new Date();
+  const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+  return { used, limit, remaining: Math.max(limit - used, 0), resetsAt };
+}
+
+// Stats the chat can reason from, without the per-hole bookkeeping
+function summarizeStats(rounds) {
+  if (rounds.length === 0) return null;
+  const stats = calculateAggregateStats(rounds);
+  return {
+    rounds: stats.totalRounds,
+    averageScore: stats.averageScore ? Math.round(stats.averageScore * 10) / 10 : null,
+    avgFairwaysHit: stats.avgFairwaysHit,
+    avgGIR: stats.avgGIR,
+    avgPutts: stats.avgPutts,
+    parTypePerformance: stats.parTypePerformance,
+    approachAnalysis: stats.approachAnalysis,
+    shortGameAnalysis: stats.shortGameAnalysis,
+    avgPenaltiesPerRound: stats.penaltyAnalysis.avgPenaltiesPerRound,
+    troubleHoles: stats.troubleHoles.slice(0, 5),
+    holePatternsCourse: stats.holePatternsCourse
+  };
+}
+
+/**
+ * System prompt grounding the chat in one saved analysis
+ * @param {Object} analysis - Analysis row (name, handicap, home_course, miss_pattern, analysis_json)
+ * @param {Array} rounds - The golfer's rounds (Round objects)
+ */
+export function buildChatSystemPrompt(analysis, rounds) {
+  const { extractedScores, schemaVersion, ...strategy } = analysis.analysis_json || {};
+  const analysisRounds = (extractedScores?.rounds || []).map(fromScorecardRound);
+  const recentRounds = [...rounds]
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+    .slice(0, STATS_ROUNDS);
+
+  const stats = summarizeStats(recentRounds.length > 0 ? recentRounds : analysisRounds);
+  const layout = analysis.home_course
+    ? extractCourseLayoutFromScores([...rounds, ...analysisRounds], analysis.home_course)
+    : null;
+
+  const layoutSection = layout
+    ? layout.holes.map(h => `Hole ${h.holeNumber}: Par ${h.par || '?'}${h.yardage ? `, ${h.yardage} yards` : ''}${h.avgScore ? ` (avg ${h.avgScore})` : ''}`).join('\n')
+    : 'Not available - ask which hole and its par/yardage if it matters.';
+
+  return `You are a golf strategy coach answering follow-up questions about a strategy you already wrote for ${analysis.name || 'this golfer'}.
+
+Golfer: ${analysis.handicap} handicap, home course ${analysis.home_course || 'unknown'}, typical miss: ${analysis.miss_pattern || 'unknown'}.
+
+Ground every answer in the strategy and numbers below. When a question goes beyond them (weather, a course you don't have data for), say what you're assuming. Keep answers short and practical - a few sentences or a short list, written to be read on a phone between shots. Don't repeat the whole strategy back.
+
+## SAVED STRATEGY
+${JSON.stringify(strategy)}
+
+## CURRENT STATS (${stats ? `${stats.rounds} most recent rounds` : 'none'})
+${stats ? JSON.stringify(stats) : 'No round data - rely on the strategy above.'}
+
+## ${analysis.home_course ? analysis.home_course.toUpperCase() : 'HOME COURSE'} LAYOUT
+${layoutSection}`;
+}
+
+/**
+ * Streams the coach's reply to a new question
+ * @param {Object} options
+ * @param {Object} options.analysis - Analysis row
+ * @param {Array} options.rounds - The golfer's rounds (Round objects)
+ * @param {Array} options.history - Earlier { role, content } messages in the thread
+ * @param {string} options.message - The new question
+ * @param {Function} options.onText - Called with each piece of the reply
+ * @param {AbortSignal} [options.signal] - Aborts the model call (client disconnected)
+ * @returns {Promise<string>} - The full reply
+ */
+export async function streamChatReply({ analysis, rounds, history, message, onText, signal }) {
+  const messages = [
+    ...history.slice(-CHAT_HISTORY_MESSAGES).map(m => ({ role: m.role, content: m.content })),
+    { role: 'user', content: message }
+  ];
+
+  const response = await streamMessage('chat', {
+    system: buildChatSystemPrompt(analysis, rounds),
+    messages,
+    maxTokens: 1024,
+    onText,
+    signal
+  });
+
+  return response.text.trim();
+}
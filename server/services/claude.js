@@ -1,11 +1,30 @@
-import Anthropic from '@anthropic-ai/sdk';
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+import { completeMessage, streamMessage } from './llm.js';
+import {
+  ANALYSIS_SCHEMA_VERSION,
+  ANALYSIS_SECTIONS,
+  validateAnalysis,
+  getSectionSchemas
+} from './analysisSchema.js';
+import { calculateStrokesGained } from './strokesGained.js';
+import { calculateAggregateStats, fromScorecardRound } from './golfStats.js';
+
+// How many times to re-ask the model for sections that fail schema validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// scoringAreaAnalysis key -> strokes gained category it reports on
+const SCORING_AREA_CATEGORIES = {
+  teeToGreen: 'offTheTee',
+  approachPlay: 'approach',
+  shortGame: 'aroundTheGreen',
+  putting: 'putting',
+  penalties: 'penalties'
+};
 
 /**
- * Analyzes golf scorecards and player data to generate a personalized strategy
+ * Analyzes golf scorecards and player data to generate a personalized strategy.
+ * onProgress(event, data) is called with 'stage' events ({ stage, message, ... })
+ * as the work moves along and a 'section' event ({ section, data }) as each part
+ * of the strategy finishes streaming in (before validation, so it may be repaired).
  */
 export async function analyzeGolfGame({
   name,
@@ -15,18 +34,22 @@ export async function analyzeGolfGame({
   missPattern,
   missDescription,
   strengths,
-  scorecardImages,
+  confirmedRounds,
   ghinScores,
+  loggedRounds,
   courseDetails,
-  aggregateStats
+  aggregateStats,
+  onProgress = () => {}
 }) {
   
-  // Step 1: Get score data from either GHIN or scorecard images
+  // Step 1: Get score data from GHIN, reviewed scorecards, scorecard images or logged rounds
   let extractedScores = { rounds: [] };
+  let scorecardRounds = [];
   
   // Use GHIN scores if available (preferred - already structured)
   if (ghinScores && ghinScores.length > 0) {
     console.log(`Using ${ghinScores.length} GHIN scores for analysis`);
+    onProgress('stage', { stage: 'rounds', source: 'ghin', count: ghinScores.length, message: `${ghinScores.length} GHIN rounds found` });
     extractedScores = {
       rounds: ghinScores.map(score => ({
         date: score.date,
@@ -49,13 +72,58 @@ export async function analyzeGolfGame({
       })),
       source: 'ghin'
     };
-  } else if (scorecardImages && scorecardImages.length > 0) {
-    // Fall back to extracting from images
-    extractedScores = await extractScoresFromImages(scorecardImages, homeCourse);
-    extractedScores.source = 'images';
+  } else if (confirmedRounds && confirmedRounds.length > 0) {
+    // Scorecards the golfer already checked in the review step
+    console.log(`Using ${confirmedRounds.length} confirmed scorecard rounds for analysis`);
+    extractedScores = { rounds: confirmedRounds, source: 'confirmed' };
+    scorecardRounds = confirmedRounds.map(fromScorecardRound);
+    if (!aggregateStats && scorecardRounds.some(r => r.holeDetails)) {
+      aggregateStats = calculateAggregateStats(scorecardRounds);
+    }
+    onProgress('stage', { stage: 'rounds', source: 'confirmed', count: confirmedRounds.length, message: `${confirmedRounds.length} confirmed scorecard rounds` });
+  } else if (loggedRounds && loggedRounds.length > 0) {
+    // Finally, use rounds the golfer logged in the app
+    console.log(`Using ${loggedRounds.length} logged rounds for analysis`);
+    onProgress('stage', { stage: 'rounds', source: 'logged', count: loggedRounds.length, message: `${loggedRounds.length} logged rounds found` });
+    extractedScores = {
+      rounds: loggedRounds.map(round => ({
+        date: round.date,
+        totalScore: round.totalScore,
+        course: round.courseName,
+        holes: round.holeDetails?.map(h => ({
+          hole: h.holeNumber,
+          score: h.score,
+          par: h.par,
+          yards: h.yardage
+        })) || null,
+        stats: {
+          fairwaysHit: round.fairwaysHit,
+          gir: round.greensInRegulation,
+          putts: round.putts,
+          penalties: round.penalties
+        }
+      })),
+      source: 'logged'
+    };
   }
 
-  // Step 2: Generate comprehensive analysis
+  if (!extractedScores.source) {
+    onProgress('stage', { stage: 'rounds', source: null, count: 0, message: 'No round data - working from your profile' });
+  }
+
+  // Step 2: Compute strokes gained from hole data and logged rounds so the model
+  // explains real numbers instead of estimating them. Compared against the target
+  // bracket (or ~5 strokes better than today when no target is set).
+  onProgress('stage', { stage: 'stats', message: 'Computing your stats' });
+  const strokesGained = calculateStrokesGained({
+    scores: [...(ghinScores || []), ...(loggedRounds || []), ...scorecardRounds],
+    baselineHandicap: targetHandicap ?? Math.max(0, handicap - 5)
+  });
+  if (strokesGained) {
+    aggregateStats = { ...(aggregateStats || {}), strokesGained };
+  }
+
+  // Step 3: Generate comprehensive analysis
   const analysis = await generateStrategy({
     name,
     handicap,
@@ -66,16 +134,20 @@ export async function analyzeGolfGame({
     strengths,
     extractedScores,
     courseDetails,
-    aggregateStats
+    aggregateStats,
+    onProgress
   });
 
   return analysis;
 }
 
 /**
- * Uses Claude's vision to extract hole-by-hole scores from scorecard images
+ * Uses Claude's vision to read hole-by-hole scores from scorecard images, with the
+ * values it couldn't read clearly listed per hole (hole.unclear) and the out / in /
+ * total scores printed on the card so they can be checked against the holes.
+ * Throws if the model fails or its response can't be parsed.
  */
-async function extractScoresFromImages(images, courseName) {
+export async function extractScorecards(images, courseName) {
   const content = [
     {
       type: 'text',
@@ -83,8 +155,9 @@ async function extractScoresFromImages(images, courseName) {
 
 Extract the hole-by-hole data from each scorecard image. For each round, provide:
 - The date (if visible)
-- Total score
+- The OUT, IN and total scores exactly as written on the card (null if not written)
 - For each hole: hole number, par, yardage (if shown), and score
+- For each hole, "unclear": the fields ("par", "yards", "score") you could not read with confidence - smudged, crossed out, ambiguous handwriting. Use an empty array when everything is clear.
 
 Return the data as JSON in this exact format:
 {
@@ -92,42 +165,34 @@ Return the data as JSON in this exact format:
     {
       "date": "MM/DD/YYYY or unknown",
       "totalScore": 85,
+      "outScore": 43,
+      "inScore": 42,
       "course": "Course Name",
       "holes": [
-        {"hole": 1, "par": 4, "yards": 385, "score": 5},
-        {"hole": 2, "par": 3, "yards": 165, "score": 3},
+        {"hole": 1, "par": 4, "yards": 385, "score": 5, "unclear": []},
+        {"hole": 2, "par": 3, "yards": 165, "score": 3, "unclear": ["score"]},
         ...
       ]
     }
   ]
 }
 
-If you cannot read certain values, use null. Extract as much as you can from each image.
+If you cannot read certain values, use null and list them as unclear. Don't correct a hole score to make the totals add up - report what is written.
 Only return valid JSON, no other text.`
     },
     ...images
   ];
 
-  try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      messages: [{ role: 'user', content }]
-    });
+  const response = await completeMessage('vision', {
+    maxTokens: 4096,
+    messages: [{ role: 'user', content }]
+  });
 
-    const responseText = response.content[0].text;
-    
-    // Parse the JSON response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    
-    return { rounds: [] };
-  } catch (error) {
-    console.error('Score extraction error:', error);
-    return { rounds: [] };
+  const extracted = parseModelJson(response.text);
+  if (!Array.isArray(extracted?.rounds)) {
+    throw new Error('Could not read the scorecards. Try clearer, straight-on photos.');
   }
+  return extracted;
 }
 
 /**
@@ -143,7 +208,8 @@ async function generateStrategy({
   strengths,
   extractedScores,
   courseDetails,
-  aggregateStats
+  aggregateStats,
+  onProgress = () => {}
 }) {
   
   const hasScoreData = extractedScores?.rounds?.length > 0;
@@ -297,6 +363,25 @@ Miss left: ${aggregateStats.fairwayMissLeft}% of misses
 Miss right: ${aggregateStats.fairwayMissRight}% of misses`);
     }
 
+    // Strokes gained (computed server-side)
+    const sg = aggregateStats.strokesGained;
+    if (sg?.categories && Object.keys(sg.categories).length > 0) {
+      const labels = {
+        offTheTee: 'Off the tee',
+        approach: 'Approach',
+        aroundTheGreen: 'Around the green',
+        putting: 'Putting',
+        penalties: 'Penalties'
+      };
+      const lines = Object.entries(sg.categories).map(([key, c]) =>
+        `${labels[key]}: ${c.strokesGained > 0 ? '+' : ''}${c.strokesGained} strokes/round (${c.measure}: ${c.player} vs ${c.baseline}, ${c.sampleRounds} rounds)`
+      );
+      parts.push(`### STROKES GAINED vs ${sg.baselineHandicap === 0 ? 'SCRATCH' : `${sg.baselineHandicap} HANDICAP`} BASELINE (computed - do not recalculate)
+${lines.join('\n')}
+Total: ${sg.total > 0 ? '+' : ''}${sg.total} strokes/round
+Negative = strokes lost. Use these exact numbers for scoringAreaAnalysis.strokesLost and explain what drives them.`);
+    }
+
     if (parts.length > 0) {
       aggregateStatsSection = `
 ## PERFORMANCE ANALYTICS (Use this data heavily in your analysis)
@@ -575,32 +660,334 @@ Important guidelines:
 Return ONLY the JSON object, no other text.`;
 
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 8192,
-      messages: [{ role: 'user', content: prompt }]
+    onProgress('stage', { stage: 'generating', message: 'Writing your strategy' });
+
+    // Hand each section to the caller as soon as it's complete in the stream
+    const sectionParser = createSectionParser((section, data) => {
+      if (ANALYSIS_SECTIONS.includes(section)) {
+        onProgress('section', { section, data });
+      }
     });
 
-    const responseText = response.content[0].text;
-    
-    // Parse the JSON response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const analysis = JSON.parse(jsonMatch[0]);
-      
-      // Add the extracted scores to the response
-      analysis.extractedScores = extractedScores;
-      
-      return analysis;
+    const response = await streamMessage('strategy', {
+      maxTokens: 8192,
+      messages: [{ role: 'user', content: prompt }],
+      onText: (text) => sectionParser.feed(text)
+    });
+
+    const responseText = response.text;
+
+    if (response.stopReason === 'max_tokens') {
+      console.log('Strategy response hit max_tokens - salvaging partial JSON');
     }
-    
-    throw new Error('Failed to parse analysis response');
+
+    // Parse what we can - a truncated response still yields its complete sections
+    let analysis = parseModelJson(responseText) || {};
+
+    // Validate, then re-ask the model for only the sections that failed
+    onProgress('stage', { stage: 'validating', message: 'Checking the strategy' });
+    let validation = validateAnalysis(analysis);
+    for (let attempt = 1; !validation.valid && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      const sectionsToRepair = validation.invalidSections.length > 0
+        ? validation.invalidSections
+        : ANALYSIS_SECTIONS;
+
+      console.log(`Analysis failed validation (attempt ${attempt}), repairing sections:`, sectionsToRepair.join(', '));
+      onProgress('stage', { stage: 'repairing', attempt, sections: sectionsToRepair, message: 'Filling in missing sections' });
+
+      const repaired = await repairAnalysisSections({
+        prompt,
+        responseText,
+        sections: sectionsToRepair,
+        errors: validation.errors
+      });
+
+      sectionsToRepair.forEach(section => {
+        if (repaired?.[section] !== undefined) {
+          analysis[section] = repaired[section];
+        }
+      });
+
+      validation = validateAnalysis(analysis);
+    }
+
+    if (!validation.valid) {
+      console.error('Analysis still invalid after repair:', validation.errors.slice(0, 10));
+      throw new Error('Failed to generate a complete analysis. Please try again.');
+    }
+
+    // Computed strokes gained always wins over the model's own estimate
+    const sgCategories = aggregateStats?.strokesGained?.categories;
+    if (sgCategories) {
+      Object.entries(SCORING_AREA_CATEGORIES).forEach(([area, category]) => {
+        if (sgCategories[category] && analysis.scoringAreaAnalysis[area]) {
+          analysis.scoringAreaAnalysis[area].strokesLost = Math.max(0, -sgCategories[category].strokesGained).toFixed(1);
+        }
+      });
+    }
+
+    // Add the extracted scores to the response
+    analysis.extractedScores = extractedScores;
+    analysis.schemaVersion = ANALYSIS_SCHEMA_VERSION;
+
+    return analysis;
   } catch (error) {
     console.error('Strategy generation error:', error);
     throw error;
   }
 }
 
+/**
+ * Re-asks the model for only the analysis sections that failed validation
+ */
+async function repairAnalysisSections({ prompt, responseText, sections, errors }) {
+  const sectionErrors = errors
+    .filter(err => sections.some(section => err.path === section || err.path.startsWith(`${section}.`) || err.path.startsWith(`${section}[`)))
+    .slice(0, 30)
+    .map(err => `- ${err.path}: ${err.message}`)
+    .join('\n');
+
+  const repairPrompt = `Your previous response was incomplete or did not match the required structure.
+
+These sections need to be regenerated: ${sections.join(', ')}
+${sectionErrors ? `\nProblems found:\n${sectionErrors}\n` : ''}
+Return a JSON object containing ONLY these keys: ${sections.join(', ')}.
+Each section must match this JSON schema exactly (every "required" field present, correct types):
+${JSON.stringify(getSectionSchemas(sections), null, 2)}
+
+Keep the content consistent with the rest of your analysis. Return ONLY the JSON object, no other text.`;
+
+  const messages = [{ role: 'user', content: prompt }];
+  if (responseText?.trim()) {
+    messages.push({ role: 'assistant', content: responseText.trim() });
+  }
+  messages.push({ role: 'user', content: repairPrompt });
+
+  try {
+    const response = await completeMessage('strategy', {
+      maxTokens: 8192,
+      messages
+    });
+
+    return parseModelJson(response.text);
+  } catch (error) {
+    console.error('Analysis repair error:', error);
+    return null;
+  }
+}
+
+/**
+ * Extracts a JSON object from a model response. Falls back to salvaging a
+ * truncated response by cutting at the last complete value and closing any
+ * open brackets. Returns null if nothing usable is found.
+ */
+export function parseModelJson(text) {
+  if (!text) return null;
+
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  const end = text.lastIndexOf('}');
+  if (end > start) {
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch (e) {
+      // Fall through to salvage
+    }
+  }
+
+  // Walk the text tracking open brackets, remembering the last point where
+  // everything before it was a complete value
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let lastCut = null;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+      lastCut = { index: i + 1, closers: [...stack].reverse().join('') };
+      if (stack.length === 0) break;
+    } else if (ch === ',') {
+      lastCut = { index: i, closers: [...stack].reverse().join('') };
+    }
+  }
+
+  if (!lastCut) return null;
+
+  const candidate = (text.slice(start, lastCut.index) + lastCut.closers)
+    .replace(/,\s*([}\]])/g, '$1');
+
+  try {
+    return JSON.parse(candidate);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Incremental parser for a JSON object arriving in pieces. Calls
+ * onSection(key, value) as each top-level member completes, so sections can be
+ * shown while the rest of the response is still streaming.
+ */
+export function createSectionParser(onSection) {
+  let text = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let memberStart = -1;
+  let finished = false;
+
+  const emitMember = (end) => {
+    try {
+      const member = JSON.parse(`{${text.slice(memberStart, end)}}`);
+      Object.entries(member).forEach(([key, value]) => onSection(key, value));
+    } catch (e) {
+      // Not a complete key/value pair - the final parse will deal with it
+    }
+  };
+
+  return {
+    feed(chunk) {
+      const from = text.length;
+      text += chunk;
+
+      for (let i = from; i < text.length && !finished; i++) {
+        const ch = text[i];
+
+        // Skip anything before the opening brace (e.g. a code fence)
+        if (depth === 0 && ch !== '{') continue;
+
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === '\\') escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+
+        if (ch === '"') {
+          inString = true;
+        } else if (ch === '{' || ch === '[') {
+          depth++;
+          if (depth === 1) memberStart = i + 1;
+        } else if (ch === '}' || ch === ']') {
+          if (depth === 1) {
+            emitMember(i);
+            finished = true;
+          }
+          depth--;
+        } else if (ch === ',' && depth === 1) {
+          emitMember(i);
+          memberStart = i + 1;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Generates a game plan for a single course (overview, key holes, targets, checklist)
+ */
+export async function generateCourseStrategy({
+  courseName,
+  tees,
+  notes,
+  handicap,
+  missPattern,
+  scorecardImage
+}) {
+  const scorecardInfo = scorecardImage
+    ? `\n\nI've also uploaded a scorecard image which shows the hole-by-hole details.`
+    : '';
+
+  const prompt = `I'm about to play ${courseName}${tees ? ` from the ${tees}` : ''}.
+
+My handicap is ${handicap || 15} and my typical miss is a ${missPattern || 'slice'}.
+
+${notes ? `Additional notes: ${notes}` : ''}${scorecardInfo}
+
+Please provide a course strategy for me. Research what you know about this course and give me:
+
+1. A brief overview of the course (style, difficulty, notable features)
+2. The 3-5 most important holes I should know about, with specific strategy for each
+3. 4-5 general strategy tips for playing this course given my handicap and miss pattern
+4. Realistic scoring targets (great round, solid round, what to stay under)
+5. A pre-round checklist of things to remember
+
+Format your response as JSON with this structure:
+{
+  "courseName": "Course Name",
+  "tees": "Tees being played",
+  "overview": "Course overview paragraph",
+  "keyHoles": [
+    {
+      "number": 7,
+      "par": 4,
+      "yardage": "420",
+      "strategy": "Strategy for this hole",
+      "danger": "What to avoid"
+    }
+  ],
+  "generalStrategy": [
+    {
+      "title": "Strategy Title",
+      "description": "Detailed description"
+    }
+  ],
+  "scoringTargets": {
+    "great": 82,
+    "solid": 88,
+    "max": 95
+  },
+  "preRoundChecklist": [
+    "Item 1",
+    "Item 2"
+  ]
+}`;
+
+  const messageContent = [];
+
+  // Add image if uploaded
+  if (scorecardImage) {
+    messageContent.push(scorecardImage);
+  }
+
+  messageContent.push({
+    type: 'text',
+    text: prompt
+  });
+
+  const response = await completeMessage('courseStrategy', {
+    maxTokens: 4000,
+    messages: [
+      {
+        role: 'user',
+        content: messageContent
+      }
+    ]
+  });
+
+  const strategy = parseModelJson(response.text);
+  if (!strategy) {
+    throw new Error('Failed to parse course strategy response');
+  }
+
+  return strategy;
+}
+
 /**
  * Convert miss pattern code to human-readable description
  */
@@ -0,0 +1,285 @@
+// Strategy Effectiveness
+// Compares the rounds played after an analysis with the rounds before it, and
+// checks the analysis' targetStats and thirtyDayPlan goals against the rounds
+// played since. Pure - callers pass the analysis and Round objects (golfStats.js).
+
+import { calculateAggregateStats, isNineHoleRound } from './golfStats.js';
+
+// Rounds before the analysis used as the baseline (same window the analysis saw)
+export const BASELINE_ROUNDS = 20;
+
+// Keys match analysis.targetStats so the same summary answers both questions
+const METRICS = [
+  { key: 'averageScore', label: 'Scoring average', lowerIsBetter: true },
+  { key: 'par3Average', label: 'Par 3 average', lowerIsBetter: true },
+  { key: 'par4Average', label: 'Par 4 average', lowerIsBetter: true },
+  { key: 'par5Average', label: 'Par 5 average', lowerIsBetter: true },
+  { key: 'penaltiesPerRound', label: 'Penalties per round', lowerIsBetter: true },
+  { key: 'gir', label: 'Greens in regulation', unit: '%' },
+  { key: 'fairwaysHit', label: 'Fairways hit', unit: '%' },
+  { key: 'puttsPerRound', label: 'Putts per round', lowerIsBetter: true },
+  { key: 'upAndDown', label: 'Up and down', unit: '%' }
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : null);
+
+const average = (values) => {
+  const present = values.filter(v => v != null);
+  return present.length > 0 ? present.reduce((a, b) => a + b, 0) / present.length : null;
+};
+
+// Sum of a hole field, or null unless every hole has it
+const sumHoles = (holes, field) => {
+  if (!holes?.length || holes.some(h => h[field] == null)) return null;
+  return holes.reduce((total, h) => total + h[field], 0);
+};
+
+/**
+ * Per-round numbers the thirty-day goals are checked against
+ */
+function roundFacts(round) {
+  const holes = round.holeDetails?.filter(h => h.score != null) || [];
+  const nineHoles = isNineHoleRound(round);
+  const girHoles = holes.filter(h => h.greenInRegulation != null);
+  const fairwayHoles = holes.filter(h => h.fairwayHit != null && h.par !== 3);
+  const puttHoles = holes.filter(h => h.putts != null);
+
+  return {
+    date: dateOnly(round.date),
+    nineHoles,
+    score: round.totalScore ?? null,
+    penalties: round.penalties ?? sumHoles(holes, 'penalties'),
+    frontNinePenalties: sumHoles(holes.filter(h => h.holeNumber <= 9), 'penalties'),
+    backNinePenalties: sumHoles(holes.filter(h => h.holeNumber > 9), 'penalties'),
+    putts: round.putts ?? sumHoles(holes, 'putts'),
+    gir: girHoles.length > 0 ? girHoles.filter(h => h.greenInRegulation).length : (round.greensInRegulation ?? null),
+    girPossible: girHoles.length > 0 ? girHoles.length : (round.girPossible || (nineHoles ? 9 : 18)),
+    fairways: fairwayHoles.length > 0 ? fairwayHoles.filter(h => h.fairwayHit).length : (round.fairwaysHit ?? null),
+    fairwaysPossible: fairwayHoles.length > 0 ? fairwayHoles.length : (round.fairwaysPossible || (nineHoles ? 7 : 14)),
+    threePutts: puttHoles.length > 0 ? puttHoles.filter(h => h.putts >= 3).length : null,
+    upAndDowns: holes.some(h => h.greenInRegulation === false && h.putts != null)
+      ? holes.filter(h => h.greenInRegulation === false && h.putts != null && h.par && h.score <= h.par).length
+      : null
+  };
+}
+
+// Hit percentage across rounds, weighted by opportunities
+const percentage = (facts, hitKey, possibleKey) => {
+  const rounds = facts.filter(f => f[hitKey] != null && f[possibleKey] > 0);
+  const possible = rounds.reduce((total, f) => total + f[possibleKey], 0);
+  return possible > 0 ? Math.round(rounds.reduce((total, f) => total + f[hitKey], 0) / possible * 100) : null;
+};
+
+/**
+ * Scoring, par-type, penalty, GIR, fairway, putting and up-and-down averages for a set of rounds
+ */
+export function summarizeRounds(rounds) {
+  const stats = calculateAggregateStats(rounds);
+  const facts = rounds.map(roundFacts);
+  const fullRounds = facts.filter(f => !f.nineHoles);
+
+  const value = (v) => (v != null ? round1(v) : null);
+
+  return {
+    rounds: rounds.length,
+    averageScore: value(average(fullRounds.map(f => f.score))),
+    par3Average: value(stats.parTypePerformance.par3.avgScore),
+    par4Average: value(stats.parTypePerformance.par4.avgScore),
+    par5Average: value(stats.parTypePerformance.par5.avgScore),
+    penaltiesPerRound: value(average(fullRounds.map(f => f.penalties))),
+    gir: percentage(facts, 'gir', 'girPossible'),
+    fairwaysHit: percentage(facts, 'fairways', 'fairwaysPossible'),
+    puttsPerRound: value(average(fullRounds.map(f => f.putts))),
+    upAndDown: stats.shortGameAnalysis.upAndDownRate
+  };
+}
+
+/**
+ * Splits rounds into the baseline before an analysis and the rounds played while
+ * it was the latest strategy. Rounds linked by analysisId always count as after;
+ * unlinked rounds (GHIN scores, older logged rounds) go by date.
+ * @param {Object} analysis - { id, created_at }
+ * @param {Array} rounds - Round objects, optionally with analysisId
+ * @param {string|null} nextAnalysisDate - When the following analysis replaced this one
+ */
+export function splitRounds(analysis, rounds, nextAnalysisDate = null) {
+  const start = dateOnly(analysis.created_at);
+  const end = dateOnly(nextAnalysisDate);
+
+  const after = rounds.filter(r => r.analysisId === analysis.id || (
+    r.analysisId == null && dateOnly(r.date) >= start && (!end || dateOnly(r.date) < end)
+  ));
+  const before = rounds
+    .filter(r => r.analysisId !== analysis.id && dateOnly(r.date) < start)
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+    .slice(0, BASELINE_ROUNDS);
+
+  return { before, after };
+}
+
+// First number in a display value like "45%", "< 1" or "3.3"
+const parseTarget = (target) => {
+  const match = String(target ?? '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+function checkTargetStat(metric, target, before, after) {
+  const goal = parseTarget(target);
+  const actual = after[metric.key];
+  let status = 'no_data';
+
+  if (goal === null) {
+    status = 'not_tracked';
+  } else if (actual != null) {
+    const text = String(target);
+    const met = text.includes('<') ? actual < goal
+      : text.includes('>') ? actual > goal
+      : metric.lowerIsBetter ? actual <= goal : actual >= goal;
+    status = met ? 'met' : 'unmet';
+  }
+
+  return { key: metric.key, label: metric.label, unit: metric.unit || null, target, before: before[metric.key], after: actual, status };
+}
+
+const NUMBER_WORDS = { zero: 0, no: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const toNumber = (word) => NUMBER_WORDS[word.toLowerCase()] ?? parseInt(word);
+const NUM = '(\\d+|zero|no|one|two|three|four|five|six|seven|eight|nine|ten)';
+
+// Goal phrasings the thirty-day plans use that round data can answer. A goal is met
+// when any round since the analysis satisfies it ("break 85", "hit 5+ greens in a round").
+const PLAN_GOAL_RULES = [
+  {
+    pattern: /break (\d{2,3})/i,
+    fact: 'score',
+    fullRound: true,
+    check: (m, f) => f.score < parseInt(m[1]),
+    best: (facts) => `Best score ${Math.min(...facts.map(f => f.score))}`
+  },
+  {
+    pattern: /(?:zero|no) penalt(?:y|ies) on the (front|back) nine/i,
+    fact: (m) => (m[1].toLowerCase() === 'front' ? 'frontNinePenalties' : 'backNinePenalties'),
+    check: (m, f, fact) => f[fact] === 0
+  },
+  {
+    pattern: /(?:zero|no) penalt/i,
+    fact: 'penalties',
+    fullRound: true,
+    check: (m, f) => f.penalties === 0
+  },
+  {
+    pattern: new RegExp(`no more than ${NUM} three[- ]putts?`, 'i'),
+    fact: 'threePutts',
+    check: (m, f) => f.threePutts <= toNumber(m[1])
+  },
+  {
+    pattern: /(?:zero|no) three[- ]putts?/i,
+    fact: 'threePutts',
+    check: (m, f) => f.threePutts === 0
+  },
+  {
+    pattern: new RegExp(`${NUM}\\+? (?:greens|GIR)`, 'i'),
+    fact: 'gir',
+    check: (m, f) => f.gir >= toNumber(m[1])
+  },
+  {
+    pattern: new RegExp(`${NUM}\\+? fairways`, 'i'),
+    fact: 'fairways',
+    check: (m, f) => f.fairways >= toNumber(m[1])
+  },
+  {
+    pattern: new RegExp(`up and down ${NUM}\\+? times`, 'i'),
+    fact: 'upAndDowns',
+    check: (m, f) => f.upAndDowns >= toNumber(m[1])
+  },
+  {
+    pattern: /(\d{2}) (?:putts )?or (?:fewer|less)(?: putts)?|under (\d{2}) putts/i,
+    fact: 'putts',
+    fullRound: true,
+    check: (m, f) => (m[1] ? f.putts <= parseInt(m[1]) : f.putts < parseInt(m[2]))
+  }
+];
+
+function checkPlanGoal(goal, facts) {
+  for (const rule of PLAN_GOAL_RULES) {
+    const match = goal.match(rule.pattern);
+    if (!match) continue;
+
+    const fact = typeof rule.fact === 'function' ? rule.fact(match) : rule.fact;
+    const measured = facts.filter(f => f[fact] != null && !(rule.fullRound && f.nineHoles));
+    if (measured.length === 0) {
+      return { goal, status: 'no_data', detail: null };
+    }
+
+    const metIn = measured.filter(f => rule.check(match, f, fact));
+    return {
+      goal,
+      status: metIn.length > 0 ? 'met' : 'unmet',
+      detail: metIn.length > 0
+        ? `Done in ${metIn.length} of ${measured.length} round${measured.length === 1 ? '' : 's'}`
+        : (rule.best ? rule.best(measured) : `Not yet in ${measured.length} round${measured.length === 1 ? '' : 's'}`)
+    };
+  }
+
+  // Practice goals ("chart carry distance for every iron") can't be checked from scores
+  return { goal, status: 'not_tracked', detail: null };
+}
+
+/**
+ * Builds the "How's it working?" report for an analysis
+ * @param {Object} analysis - Analysis row (id, created_at, analysis_json)
+ * @param {Array} rounds - All of the user's rounds (Round objects)
+ * @param {string|null} nextAnalysisDate - created_at of the user's following analysis, if any
+ */
+export function buildEffectivenessReport(analysis, rounds, nextAnalysisDate = null) {
+  const { before, after } = splitRounds(analysis, rounds, nextAnalysisDate);
+  const beforeSummary = summarizeRounds(before);
+  const afterSummary = summarizeRounds(after);
+  const afterFacts = after.map(roundFacts);
+  const json = analysis.analysis_json || {};
+
+  const comparison = METRICS.map(metric => {
+    const b = beforeSummary[metric.key];
+    const a = afterSummary[metric.key];
+    const change = a != null && b != null ? round1(a - b) : null;
+    return {
+      key: metric.key,
+      label: metric.label,
+      unit: metric.unit || null,
+      before: b,
+      after: a,
+      change,
+      improved: change === null || change === 0 ? null : (metric.lowerIsBetter ? change < 0 : change > 0)
+    };
+  });
+
+  const targetStats = json.targetStats
+    ? METRICS
+        .filter(metric => json.targetStats[metric.key] != null && json.targetStats[metric.key] !== '')
+        .map(metric => checkTargetStat(metric, json.targetStats[metric.key], beforeSummary, afterSummary))
+    : [];
+
+  const thirtyDayPlan = (json.thirtyDayPlan || []).map(week => ({
+    week: week.week,
+    focus: week.focus,
+    goals: (week.goals || []).map(goal => checkPlanGoal(goal, afterFacts))
+  }));
+
+  const checked = [...targetStats, ...thirtyDayPlan.flatMap(week => week.goals)]
+    .filter(item => item.status === 'met' || item.status === 'unmet');
+
+  return {
+    analysisId: analysis.id,
+    analysisDate: dateOnly(analysis.created_at),
+    windowEnd: dateOnly(nextAnalysisDate),
+    roundsBefore: before.length,
+    roundsAfter: after.length,
+    before: beforeSummary,
+    after: afterSummary,
+    comparison,
+    targetStats,
+    thirtyDayPlan,
+    goalsMet: checked.filter(item => item.status === 'met').length,
+    goalsChecked: checked.length
+  };
+}
@@ -0,0 +1,66 @@
+// Encryption for secrets stored in the database (e.g. GHIN access tokens).
+// AES-256-GCM with a random IV per value; stored as "v1:<iv>:<tag>:<ciphertext>" (base64).
+//
+// Configuration (env):
+//   DATA_ENCRYPTION_KEY   32-byte key, hex (64 chars) or base64. If unset, a key is
+//                         derived from JWT_SECRET so development works out of the box.
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+let cachedKey = null;
+
+function getKey() {
+  if (cachedKey) return cachedKey;
+
+  const configured = process.env.DATA_ENCRYPTION_KEY;
+  if (configured) {
+    const key = /^[0-9a-f]{64}$/i.test(configured)
+      ? Buffer.from(configured, 'hex')
+      : Buffer.from(configured, 'base64');
+    if (key.length !== 32) {
+      throw new Error('DATA_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+    }
+    cachedKey = key;
+  } else {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('DATA_ENCRYPTION_KEY or JWT_SECRET must be set to store encrypted data');
+    }
+    console.warn('DATA_ENCRYPTION_KEY not set - deriving the data encryption key from JWT_SECRET');
+    cachedKey = crypto.createHash('sha256').update(`data-encryption:${process.env.JWT_SECRET}`).digest();
+  }
+
+  return cachedKey;
+}
+
+/**
+ * Encrypts a string for storage
+ */
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypts a value produced by encryptSecret
+ * @returns {string|null} - null if the value can't be decrypted (wrong key or tampered)
+ */
+export function decryptSecret(stored) {
+  try {
+    const [version, iv, tag, ciphertext] = stored.split(':');
+    if (version !== VERSION) return null;
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    console.error('Failed to decrypt stored secret:', error.message);
+    return null;
+  }
+}
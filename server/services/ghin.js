@@ -1,5 +1,16 @@
 // GHIN API Service
 // Supports both admin lookup and user authentication for detailed scores
+//
+// Configuration (env):
+//   GHIN_API_URL    base URL for api.ghin.com endpoints (login, search, scores)
+//   GHIN_API2_URL   base URL for api2.ghin.com endpoints (courses, golfer scores);
+//                   defaults to GHIN_API_URL when that is set, so one URL is
+//                   enough to point everything at the mock server (npm run mock:ghin)
+
+import { extractHoleDetails, extractCourseLayoutFromScores, calculateAggregateStats } from './golfStats.js';
+
+const GHIN_API_URL = (process.env.GHIN_API_URL || 'https://api.ghin.com/api/v1').replace(/\/$/, '');
+const GHIN_API2_URL = (process.env.GHIN_API2_URL || process.env.GHIN_API_URL || 'https://api2.ghin.com/api/v1').replace(/\/$/, '');
 
 let adminToken = null;
 let adminTokenExpiry = null;
@@ -20,7 +31,7 @@ export async function authenticateAdmin() {
 
   try {
     console.log('Authenticating with GHIN (admin)...');
-    const response = await fetch('https://api.ghin.com/api/v1/golfer_login.json', {
+    const response = await fetch(`${GHIN_API_URL}/golfer_login.json`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -63,7 +74,7 @@ export async function authenticateAdmin() {
 export async function authenticateUser(emailOrGhin, password) {
   try {
     console.log('Authenticating GHIN user:', emailOrGhin);
-    const response = await fetch('https://api.ghin.com/api/v1/golfer_login.json', {
+    const response = await fetch(`${GHIN_API_URL}/golfer_login.json`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -161,7 +172,7 @@ export async function getDetailedScores(ghinNumber, userToken, limit = 20, homeC
     // Use the correct API endpoint
     const today = new Date().toISOString().split('T')[0];
     const lastYear = new Date(Date.now() - 365*24*60*60*1000).toISOString().split('T')[0];
-    const scoresUrl = `https://api.ghin.com/api/v1/scores/search.json?per_page=${limit}&page=1&golfer_id=${ghinNumber}&from_date_played=${lastYear}&to_date_played=${today}`;
+    const scoresUrl = `${GHIN_API_URL}/scores/search.json?per_page=${limit}&page=1&golfer_id=${ghinNumber}&from_date_played=${lastYear}&to_date_played=${today}`;
 
     let rawScores = [];
     
@@ -177,6 +188,11 @@ export async function getDetailedScores(ghinNumber, userToken, limit = 20, homeC
 
       console.log('Scores response status:', scoresResponse.status);
 
+      // The user's GHIN token has expired or been revoked - they need to reconnect
+      if (scoresResponse.status === 401) {
+        return { success: false, error: 'GHIN session expired. Please reconnect your GHIN account.', authExpired: true };
+      }
+
       if (scoresResponse.ok) {
         const scoresData = await scoresResponse.json();
         console.log('Scores data keys:', Object.keys(scoresData));
@@ -287,457 +303,6 @@ export async function getDetailedScores(ghinNumber, userToken, limit = 20, homeC
   }
 }
 
-// Extract course layout (pars, yardages) from score records
-function extractCourseLayoutFromScores(scores, targetCourse) {
-  // Filter to scores from the target course that have hole details
-  const relevantScores = scores.filter(s => 
-    s.holeDetails && 
-    s.holeDetails.length > 0 &&
-    (s.courseName === targetCourse || s.facilityName === targetCourse)
-  );
-  
-  if (relevantScores.length === 0) {
-    console.log('No scores with hole details for course layout extraction');
-    return null;
-  }
-  
-  console.log(`Extracting course layout from ${relevantScores.length} rounds with hole data`);
-  
-  // Build hole info from scores - use most recent complete round
-  // or aggregate from multiple rounds
-  const holeInfo = {};
-  
-  relevantScores.forEach(score => {
-    score.holeDetails.forEach(hole => {
-      const holeNum = hole.holeNumber;
-      if (!holeInfo[holeNum]) {
-        holeInfo[holeNum] = {
-          holeNumber: holeNum,
-          par: hole.par,
-          yardage: hole.yardage,
-          scores: [],
-          avgScore: 0
-        };
-      }
-      // Update with latest par/yardage if we have it
-      if (hole.par) holeInfo[holeNum].par = hole.par;
-      if (hole.yardage) holeInfo[holeNum].yardage = hole.yardage;
-      if (hole.score) holeInfo[holeNum].scores.push(hole.score);
-    });
-  });
-  
-  // Convert to array and calculate averages
-  const holes = Object.values(holeInfo)
-    .sort((a, b) => a.holeNumber - b.holeNumber)
-    .map(h => ({
-      holeNumber: h.holeNumber,
-      par: h.par,
-      yardage: h.yardage || null,
-      avgScore: h.scores.length > 0 
-        ? (h.scores.reduce((a, b) => a + b, 0) / h.scores.length).toFixed(1)
-        : null,
-      roundsPlayed: h.scores.length
-    }));
-  
-  if (holes.length === 0) {
-    return null;
-  }
-  
-  const totalPar = holes.reduce((sum, h) => sum + (h.par || 0), 0);
-  const totalYards = holes.reduce((sum, h) => sum + (h.yardage || 0), 0);
-  
-  console.log(`Extracted layout: ${holes.length} holes, par ${totalPar}, ${totalYards} yards`);
-  
-  return {
-    courseName: targetCourse,
-    holes,
-    totalPar,
-    totalYards: totalYards > 0 ? totalYards : null,
-    holesWithPar: holes.filter(h => h.par).length,
-    holesWithYardage: holes.filter(h => h.yardage).length,
-    source: 'scores'
-  };
-}
-
-// Extract and normalize hole details
-function extractHoleDetails(holes) {
-  return holes.map(hole => ({
-    holeNumber: hole.hole_number,
-    par: hole.par,
-    yardage: hole.yardage,
-    score: hole.raw_score || hole.adjusted_gross_score || hole.score,
-    adjustedScore: hole.adjusted_gross_score,
-    
-    // Shot-by-shot stats (if entered by user)
-    fairwayHit: hole.fairway_hit,           // true/false/null
-    fairwayMiss: hole.fairway_miss,         // 'left', 'right', 'short', null
-    greenInRegulation: hole.gir,            // true/false
-    greenMiss: hole.green_miss,             // 'left', 'right', 'short', 'long', null
-    putts: hole.putts,
-    penalties: hole.penalties,
-    
-    // Sand/bunker
-    sandShots: hole.sand_shots,
-    sandSaves: hole.sand_save,
-    
-    // Calculated
-    overUnder: (hole.raw_score || hole.adjusted_gross_score) - hole.par
-  }));
-}
-
-// Calculate aggregate statistics for analysis
-function calculateAggregateStats(scores) {
-  const stats = {
-    totalRounds: scores.length,
-    averageScore: 0,
-    averageDifferential: 0,
-
-    // Hole-by-hole patterns (only from rounds with detail)
-    holePatterns: {},         // hole number -> average over/under
-    troubleHoles: [],         // holes consistently over par
-    birdieHoles: [],          // holes with birdie opportunities
-
-    // Par-type analysis
-    parTypePerformance: {
-      par3: { avgScore: null, avgOverUnder: null, count: 0, birdies: 0, pars: 0, bogeys: 0, doubles: 0, triples: 0 },
-      par4: { avgScore: null, avgOverUnder: null, count: 0, birdies: 0, pars: 0, bogeys: 0, doubles: 0, triples: 0 },
-      par5: { avgScore: null, avgOverUnder: null, count: 0, birdies: 0, pars: 0, bogeys: 0, doubles: 0, triples: 0 }
-    },
-
-    // Scoring distribution overall
-    scoringDistribution: {
-      eagles: 0,
-      birdies: 0,
-      pars: 0,
-      bogeys: 0,
-      doubles: 0,
-      triples: 0,
-      worse: 0
-    },
-
-    // Approach play analysis
-    approachAnalysis: {
-      girPercentage: null,
-      girOnPar3: null,
-      girOnPar4: null,
-      girOnPar5: null,
-      greenMissPatterns: { short: 0, long: 0, left: 0, right: 0, total: 0 }
-    },
-
-    // Short game analysis
-    shortGameAnalysis: {
-      avgPuttsPerRound: null,
-      avgPuttsPerGIR: null,        // putts when hitting green
-      avgPuttsPerMissedGIR: null,  // scrambling putts
-      upAndDownRate: null,
-      sandSaveRate: null
-    },
-
-    // Penalty analysis
-    penaltyAnalysis: {
-      avgPenaltiesPerRound: null,
-      holesWithPenalties: [],
-      penaltyStrokesLost: 0
-    },
-
-    // Miss patterns
-    fairwayMissLeft: 0,
-    fairwayMissRight: 0,
-    greenMissShort: 0,
-    greenMissLong: 0,
-    greenMissLeft: 0,
-    greenMissRight: 0,
-
-    // Overall stats
-    avgFairwaysHit: null,
-    avgGIR: null,
-    avgPutts: null,
-
-    // Course-specific data
-    courseStats: {}
-  };
-
-  if (scores.length === 0) return stats;
-
-  // Calculate averages
-  stats.averageScore = scores.reduce((sum, s) => sum + (s.totalScore || 0), 0) / scores.length;
-  stats.averageDifferential = scores.reduce((sum, s) => sum + (s.differential || 0), 0) / scores.length;
-
-  // Process hole-by-hole data
-  const scoresWithHoles = scores.filter(s => s.holeDetails && s.holeDetails.length > 0);
-
-  if (scoresWithHoles.length > 0) {
-    // Aggregate hole patterns
-    const holeData = {};
-    let totalFairwayMissLeft = 0, totalFairwayMissRight = 0;
-    let totalGreenMissShort = 0, totalGreenMissLong = 0;
-    let totalGreenMissLeft = 0, totalGreenMissRight = 0;
-    let missCount = 0;
-
-    // Par-type tracking
-    const parTypeData = {
-      3: { scores: [], girs: 0, attempts: 0 },
-      4: { scores: [], girs: 0, attempts: 0 },
-      5: { scores: [], girs: 0, attempts: 0 }
-    };
-
-    // Short game tracking
-    let totalPuttsOnGIR = 0, girHolesWithPutts = 0;
-    let totalPuttsOnMissedGIR = 0, missedGIRHolesWithPutts = 0;
-    let upAndDownAttempts = 0, upAndDownSuccesses = 0;
-    let sandAttempts = 0, sandSaves = 0;
-
-    // Penalty tracking
-    let totalPenalties = 0;
-    const penaltyHoles = {};
-
-    scoresWithHoles.forEach(score => {
-      const courseName = score.courseName;
-
-      // Initialize course stats
-      if (!stats.courseStats[courseName]) {
-        stats.courseStats[courseName] = {
-          rounds: 0,
-          avgScore: 0,
-          holeAverages: {}
-        };
-      }
-      stats.courseStats[courseName].rounds++;
-
-      score.holeDetails.forEach(hole => {
-        const holeNum = hole.holeNumber;
-        const par = hole.par;
-
-        // Track hole performance
-        if (!holeData[holeNum]) {
-          holeData[holeNum] = { total: 0, count: 0, par: hole.par };
-        }
-        if (hole.score) {
-          holeData[holeNum].total += hole.overUnder;
-          holeData[holeNum].count++;
-
-          // Par-type performance tracking
-          if (par >= 3 && par <= 5 && parTypeData[par]) {
-            parTypeData[par].scores.push(hole.score);
-            const overUnder = hole.score - par;
-
-            // Track scoring distribution by par type
-            if (overUnder <= -2) stats.scoringDistribution.eagles++;
-            else if (overUnder === -1) {
-              stats.scoringDistribution.birdies++;
-              stats.parTypePerformance[`par${par}`].birdies++;
-            }
-            else if (overUnder === 0) {
-              stats.scoringDistribution.pars++;
-              stats.parTypePerformance[`par${par}`].pars++;
-            }
-            else if (overUnder === 1) {
-              stats.scoringDistribution.bogeys++;
-              stats.parTypePerformance[`par${par}`].bogeys++;
-            }
-            else if (overUnder === 2) {
-              stats.scoringDistribution.doubles++;
-              stats.parTypePerformance[`par${par}`].doubles++;
-            }
-            else if (overUnder === 3) {
-              stats.scoringDistribution.triples++;
-              stats.parTypePerformance[`par${par}`].triples++;
-            }
-            else {
-              stats.scoringDistribution.worse++;
-            }
-          }
-
-          // GIR tracking by par type
-          if (hole.greenInRegulation !== null && par >= 3 && par <= 5) {
-            parTypeData[par].attempts++;
-            if (hole.greenInRegulation) {
-              parTypeData[par].girs++;
-            }
-          }
-        }
-
-        // Track miss patterns
-        if (hole.fairwayMiss === 'left') totalFairwayMissLeft++;
-        if (hole.fairwayMiss === 'right') totalFairwayMissRight++;
-        if (hole.greenMiss === 'short') {
-          totalGreenMissShort++;
-          stats.approachAnalysis.greenMissPatterns.short++;
-        }
-        if (hole.greenMiss === 'long') {
-          totalGreenMissLong++;
-          stats.approachAnalysis.greenMissPatterns.long++;
-        }
-        if (hole.greenMiss === 'left') {
-          totalGreenMissLeft++;
-          stats.approachAnalysis.greenMissPatterns.left++;
-        }
-        if (hole.greenMiss === 'right') {
-          totalGreenMissRight++;
-          stats.approachAnalysis.greenMissPatterns.right++;
-        }
-        if (hole.greenMiss) {
-          stats.approachAnalysis.greenMissPatterns.total++;
-        }
-        if (hole.fairwayMiss || hole.greenMiss) missCount++;
-
-        // Putting analysis - GIR vs missed GIR
-        if (hole.putts != null) {
-          if (hole.greenInRegulation === true) {
-            totalPuttsOnGIR += hole.putts;
-            girHolesWithPutts++;
-          } else if (hole.greenInRegulation === false) {
-            totalPuttsOnMissedGIR += hole.putts;
-            missedGIRHolesWithPutts++;
-            // Up and down = missed GIR but still made par or better
-            upAndDownAttempts++;
-            if (hole.score <= par) {
-              upAndDownSuccesses++;
-            }
-          }
-        }
-
-        // Sand save tracking
-        if (hole.sandShots && hole.sandShots > 0) {
-          sandAttempts++;
-          if (hole.sandSave === true || hole.score <= par) {
-            sandSaves++;
-          }
-        }
-
-        // Penalty tracking
-        if (hole.penalties && hole.penalties > 0) {
-          totalPenalties += hole.penalties;
-          if (!penaltyHoles[holeNum]) {
-            penaltyHoles[holeNum] = { count: 0, totalPenalties: 0 };
-          }
-          penaltyHoles[holeNum].count++;
-          penaltyHoles[holeNum].totalPenalties += hole.penalties;
-        }
-
-        // Course-specific hole averages
-        if (!stats.courseStats[courseName].holeAverages[holeNum]) {
-          stats.courseStats[courseName].holeAverages[holeNum] = { total: 0, count: 0, par: hole.par };
-        }
-        if (hole.score) {
-          stats.courseStats[courseName].holeAverages[holeNum].total += hole.score;
-          stats.courseStats[courseName].holeAverages[holeNum].count++;
-        }
-      });
-    });
-
-    // Calculate par-type performance averages
-    [3, 4, 5].forEach(par => {
-      const data = parTypeData[par];
-      if (data.scores.length > 0) {
-        const avgScore = data.scores.reduce((a, b) => a + b, 0) / data.scores.length;
-        stats.parTypePerformance[`par${par}`].avgScore = Math.round(avgScore * 100) / 100;
-        stats.parTypePerformance[`par${par}`].avgOverUnder = Math.round((avgScore - par) * 100) / 100;
-        stats.parTypePerformance[`par${par}`].count = data.scores.length;
-      }
-      if (data.attempts > 0) {
-        stats.approachAnalysis[`girOnPar${par}`] = Math.round((data.girs / data.attempts) * 100);
-      }
-    });
-
-    // Calculate approach analysis
-    const totalGIRAttempts = parTypeData[3].attempts + parTypeData[4].attempts + parTypeData[5].attempts;
-    const totalGIRs = parTypeData[3].girs + parTypeData[4].girs + parTypeData[5].girs;
-    if (totalGIRAttempts > 0) {
-      stats.approachAnalysis.girPercentage = Math.round((totalGIRs / totalGIRAttempts) * 100);
-    }
-
-    // Calculate short game stats
-    if (girHolesWithPutts > 0) {
-      stats.shortGameAnalysis.avgPuttsPerGIR = Math.round((totalPuttsOnGIR / girHolesWithPutts) * 100) / 100;
-    }
-    if (missedGIRHolesWithPutts > 0) {
-      stats.shortGameAnalysis.avgPuttsPerMissedGIR = Math.round((totalPuttsOnMissedGIR / missedGIRHolesWithPutts) * 100) / 100;
-    }
-    if (upAndDownAttempts > 0) {
-      stats.shortGameAnalysis.upAndDownRate = Math.round((upAndDownSuccesses / upAndDownAttempts) * 100);
-    }
-    if (sandAttempts > 0) {
-      stats.shortGameAnalysis.sandSaveRate = Math.round((sandSaves / sandAttempts) * 100);
-    }
-
-    // Calculate penalty stats
-    if (scoresWithHoles.length > 0) {
-      stats.penaltyAnalysis.avgPenaltiesPerRound = Math.round((totalPenalties / scoresWithHoles.length) * 100) / 100;
-      stats.penaltyAnalysis.penaltyStrokesLost = totalPenalties;
-      stats.penaltyAnalysis.holesWithPenalties = Object.entries(penaltyHoles)
-        .map(([hole, data]) => ({ hole: parseInt(hole), ...data }))
-        .sort((a, b) => b.totalPenalties - a.totalPenalties)
-        .slice(0, 5);
-    }
-
-    // Calculate hole patterns
-    Object.entries(holeData).forEach(([holeNum, data]) => {
-      if (data.count > 0) {
-        const avgOverUnder = data.total / data.count;
-        stats.holePatterns[holeNum] = {
-          avgOverUnder: Math.round(avgOverUnder * 100) / 100,
-          par: data.par,
-          sampleSize: data.count
-        };
-        
-        // Identify trouble holes (avg > +0.5 over par)
-        if (avgOverUnder > 0.5) {
-          stats.troubleHoles.push({ hole: parseInt(holeNum), avgOver: avgOverUnder, par: data.par });
-        }
-        // Identify birdie opportunities (avg < +0.3)
-        if (avgOverUnder < 0.3 && data.par >= 4) {
-          stats.birdieHoles.push({ hole: parseInt(holeNum), avgOver: avgOverUnder, par: data.par });
-        }
-      }
-    });
-
-    // Sort trouble holes by severity
-    stats.troubleHoles.sort((a, b) => b.avgOver - a.avgOver);
-    stats.birdieHoles.sort((a, b) => a.avgOver - b.avgOver);
-
-    // Calculate miss pattern percentages
-    if (missCount > 0) {
-      stats.fairwayMissLeft = Math.round((totalFairwayMissLeft / missCount) * 100);
-      stats.fairwayMissRight = Math.round((totalFairwayMissRight / missCount) * 100);
-      stats.greenMissShort = Math.round((totalGreenMissShort / missCount) * 100);
-      stats.greenMissLong = Math.round((totalGreenMissLong / missCount) * 100);
-      stats.greenMissLeft = Math.round((totalGreenMissLeft / missCount) * 100);
-      stats.greenMissRight = Math.round((totalGreenMissRight / missCount) * 100);
-    }
-
-    // Course-specific averages
-    Object.values(stats.courseStats).forEach(course => {
-      Object.entries(course.holeAverages).forEach(([hole, data]) => {
-        if (data.count > 0) {
-          course.holeAverages[hole] = {
-            avgScore: Math.round((data.total / data.count) * 10) / 10,
-            par: data.par,
-            avgOverUnder: Math.round(((data.total / data.count) - data.par) * 10) / 10
-          };
-        }
-      });
-    });
-  }
-
-  // Calculate overall stats from round-level data
-  const roundsWithFairways = scores.filter(s => s.fairwaysHit != null);
-  const roundsWithGIR = scores.filter(s => s.greensInRegulation != null);
-  const roundsWithPutts = scores.filter(s => s.putts != null);
-
-  if (roundsWithFairways.length > 0) {
-    stats.avgFairwaysHit = Math.round(roundsWithFairways.reduce((sum, s) => sum + s.fairwaysHit, 0) / roundsWithFairways.length * 10) / 10;
-  }
-  if (roundsWithGIR.length > 0) {
-    stats.avgGIR = Math.round(roundsWithGIR.reduce((sum, s) => sum + s.greensInRegulation, 0) / roundsWithGIR.length * 10) / 10;
-  }
-  if (roundsWithPutts.length > 0) {
-    stats.avgPutts = Math.round(roundsWithPutts.reduce((sum, s) => sum + s.putts, 0) / roundsWithPutts.length * 10) / 10;
-  }
-
-  return stats;
-}
-
 // Get course hole information (pars, yardages)
 export async function getCourseDetails(courseId, userToken) {
   try {
@@ -745,7 +310,7 @@ export async function getCourseDetails(courseId, userToken) {
     
     // Try the main course endpoint first
     const response = await fetch(
-      `https://api2.ghin.com/api/v1/courses/${courseId}.json`,
+      `${GHIN_API2_URL}/courses/${courseId}.json`,
       {
         method: 'GET',
         headers: {
@@ -790,7 +355,7 @@ export async function getCourseDetails(courseId, userToken) {
             if (tee.id) {
               try {
                 const teeResponse = await fetch(
-                  `https://api2.ghin.com/api/v1/courses/${courseId}/tees/${tee.id}.json`,
+                  `${GHIN_API2_URL}/courses/${courseId}/tees/${tee.id}.json`,
                   {
                     method: 'GET',
                     headers: {
@@ -863,7 +428,7 @@ export async function lookupGHIN(ghinNumber) {
     
     // Search for golfer by GHIN number using correct API
     const response = await fetch(
-      `https://api.ghin.com/api/v1/golfers/search.json?per_page=1&page=1&golfer_id=${ghinNumber}&status=Active`,
+      `${GHIN_API_URL}/golfers/search.json?per_page=1&page=1&golfer_id=${ghinNumber}&status=Active`,
       {
         method: 'GET',
         headers: {
@@ -937,7 +502,7 @@ export async function lookupByName(lastName, state) {
     console.log('Looking up golfer by name:', lastName, 'State:', state);
     
     const response = await fetch(
-      `https://api.ghin.com/api/v1/golfers/search.json?per_page=10&page=1&last_name=${encodeURIComponent(lastName)}&state=${encodeURIComponent(state)}&country=USA&status=Active`,
+      `${GHIN_API_URL}/golfers/search.json?per_page=10&page=1&last_name=${encodeURIComponent(lastName)}&state=${encodeURIComponent(state)}&country=USA&status=Active`,
       {
         method: 'GET',
         headers: {
@@ -1007,7 +572,7 @@ export async function getGHINScores(ghinNumber, limit = 20) {
 
     // Get score history
     const response = await fetch(
-      `https://api2.ghin.com/api/v1/golfers/${ghinNumber}/scores.json?limit=${limit}&page=1`,
+      `${GHIN_API2_URL}/golfers/${ghinNumber}/scores.json?limit=${limit}&page=1`,
       {
         method: 'GET',
         headers: {
@@ -1079,7 +644,7 @@ export async function getGHINStats(ghinNumber) {
     }
 
     const response = await fetch(
-      `https://api2.ghin.com/api/v1/golfers/${ghinNumber}.json`,
+      `${GHIN_API2_URL}/golfers/${ghinNumber}.json`,
       {
         method: 'GET',
         headers: {
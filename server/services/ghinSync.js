@@ -0,0 +1,131 @@
+// GHIN Score Sync
+// Keeps a local copy of each connected golfer's GHIN scores. The user's GHIN access
+// token is stored encrypted (never their password) so scores can be pulled on a
+// schedule and on demand, without the browser holding the token.
+
+import {
+  findUserById,
+  updateUser,
+  recordHandicap,
+  recordComputedHandicap,
+  saveGhinConnection,
+  getGhinConnection,
+  updateGhinConnection,
+  getGhinConnectionsDueForSync,
+  upsertGhinScores,
+  countGhinScores
+} from '../db/database.js';
+import { getDetailedScores, lookupGHIN } from './ghin.js';
+import { encryptSecret, decryptSecret } from './encryption.js';
+
+// Hours between automatic syncs for each connected user
+export const GHIN_SYNC_INTERVAL_HOURS = parseInt(process.env.GHIN_SYNC_INTERVAL_HOURS || '24', 10);
+
+// Scores requested per sync (GHIN returns the most recent first)
+const SYNC_SCORE_LIMIT = 50;
+
+/**
+ * Stores a user's GHIN token (encrypted) after they sign in to GHIN
+ */
+export function saveGhinToken(userId, ghinNumber, ghinToken) {
+  saveGhinConnection(userId, ghinNumber, encryptSecret(ghinToken));
+}
+
+/**
+ * Returns the decrypted GHIN token for a user, or null if there isn't a usable one
+ */
+export function getStoredGhinToken(userId) {
+  const connection = getGhinConnection(userId);
+  if (!connection?.encrypted_token) return null;
+  return decryptSecret(connection.encrypted_token);
+}
+
+export function getGhinSyncStatus(userId) {
+  const connection = getGhinConnection(userId);
+
+  return {
+    connected: !!connection?.encrypted_token,
+    ghinNumber: connection?.ghin_number || null,
+    lastSyncedAt: connection?.last_synced_at || null,
+    lastSyncError: connection?.last_sync_error || null,
+    // Connected before, but the token expired - the user has to sign in to GHIN again
+    reconnectRequired: !!connection && !connection.encrypted_token,
+    scoreCount: countGhinScores(userId)
+  };
+}
+
+/**
+ * Pulls the user's latest GHIN scores into ghin_scores and refreshes their handicap
+ * @returns {Promise<Object>} - { success, newScores, totalScores, handicap } or { success: false, error }
+ */
+export async function syncGhinScores(userId) {
+  const connection = getGhinConnection(userId);
+  const ghinToken = connection?.encrypted_token ? decryptSecret(connection.encrypted_token) : null;
+
+  if (!ghinToken) {
+    return { success: false, error: 'GHIN account not connected', reconnectRequired: true };
+  }
+
+  const result = await getDetailedScores(connection.ghin_number, ghinToken, SYNC_SCORE_LIMIT, false);
+
+  if (!result.success) {
+    updateGhinConnection(userId, {
+      last_sync_error: result.error,
+      // An expired token will never work again - drop it so the UI asks to reconnect
+      ...(result.authExpired ? { encrypted_token: null } : {})
+    });
+    return { success: false, error: result.error, reconnectRequired: !!result.authExpired };
+  }
+
+  const newScores = upsertGhinScores(userId, result.scores);
+  if (newScores > 0) {
+    recordComputedHandicap(userId);
+  }
+
+  // The scores search doesn't include the handicap index; the golfer lookup does
+  let handicap = findUserById(userId)?.handicap ?? null;
+  const lookup = await lookupGHIN(connection.ghin_number);
+  if (lookup.success && lookup.golfer?.handicapIndex != null) {
+    handicap = parseFloat(lookup.golfer.handicapIndex);
+    if (Number.isFinite(handicap)) {
+      updateUser(userId, { handicap });
+      recordHandicap(userId, handicap, 'ghin');
+    }
+  }
+
+  updateGhinConnection(userId, {
+    last_synced_at: new Date().toISOString().replace('T', ' ').slice(0, 19),
+    last_sync_error: null
+  });
+
+  console.log(`GHIN sync for user ${userId}: ${newScores} new of ${result.scores.length} scores`);
+
+  return {
+    success: true,
+    newScores,
+    totalScores: countGhinScores(userId),
+    handicap
+  };
+}
+
+/**
+ * Scheduled job - syncs every connected user whose last sync is older than the interval.
+ * Users are synced one at a time to stay well inside GHIN's rate limits.
+ * @returns {Promise<number>} - How many users were synced successfully
+ */
+export async function syncDueGhinAccounts() {
+  const userIds = getGhinConnectionsDueForSync(GHIN_SYNC_INTERVAL_HOURS);
+  let synced = 0;
+
+  for (const userId of userIds) {
+    try {
+      const result = await syncGhinScores(userId);
+      if (result.success) synced++;
+    } catch (error) {
+      console.error('GHIN sync error for user', userId, error);
+      updateGhinConnection(userId, { last_sync_error: 'Sync failed' });
+    }
+  }
+
+  return synced;
+}
@@ -0,0 +1,563 @@
+// Golf Statistics
+// Pure functions that turn rounds into the aggregate stats and course layout the
+// strategy prompt uses. No I/O - rounds can come from GHIN (getDetailedScores),
+// logged rounds (getDetailedRoundsByUser), synced GHIN scores or scorecard images
+// (fromScorecardRound), as long as they are in the shape below.
+
+/**
+ * @typedef {Object} Hole
+ * @property {number} holeNumber
+ * @property {number} [par]                 - Missing pars skip par-relative stats for the hole
+ * @property {number} [yardage]
+ * @property {number} [score]               - Strokes taken; holes without a score are ignored
+ * @property {boolean|null} [fairwayHit]
+ * @property {string|null} [fairwayMiss]    - 'left' | 'right' | 'short'
+ * @property {boolean|null} [greenInRegulation]
+ * @property {string|null} [greenMiss]      - 'left' | 'right' | 'short' | 'long'
+ * @property {number|null} [putts]
+ * @property {number|null} [penalties]
+ * @property {number|null} [sandShots]
+ * @property {boolean|null} [sandSave]
+ */
+
+/**
+ * @typedef {Object} Round
+ * @property {string} [date]
+ * @property {string} [courseName]
+ * @property {string} [facilityName]
+ * @property {number} [totalScore]
+ * @property {number} [differential]
+ * @property {number} [numberOfHoles]       - 9 or 18; defaults to the hole count, then 18
+ * @property {number} [fairwaysHit]         - Round totals, used when there's no hole detail
+ * @property {number} [greensInRegulation]
+ * @property {number} [putts]
+ * @property {number} [penalties]
+ * @property {Hole[]|null} [holeDetails]
+ */
+
+const courseKey = (round) => round.courseName || round.facilityName || 'Unknown course';
+
+// A hole's score relative to par, or null when either is missing
+const overUnderFor = (hole) => (hole.score && hole.par ? hole.score - hole.par : null);
+
+/**
+ * True for 9-hole rounds, whose totals would drag 18-hole averages down
+ */
+export function isNineHoleRound(round) {
+  const holes = round.numberOfHoles ?? (round.holeDetails?.length || 18);
+  return holes <= 9;
+}
+
+/**
+ * Converts GHIN hole_details into Hole objects
+ */
+export function extractHoleDetails(holes) {
+  return holes.map(hole => ({
+    holeNumber: hole.hole_number,
+    par: hole.par,
+    yardage: hole.yardage,
+    score: hole.raw_score || hole.adjusted_gross_score || hole.score,
+    adjustedScore: hole.adjusted_gross_score,
+    
+    // Shot-by-shot stats (if entered by user)
+    fairwayHit: hole.fairway_hit,           // true/false/null
+    fairwayMiss: hole.fairway_miss,         // 'left', 'right', 'short', null
+    greenInRegulation: hole.gir,            // true/false
+    greenMiss: hole.green_miss,             // 'left', 'right', 'short', 'long', null
+    putts: hole.putts,
+    penalties: hole.penalties,
+    
+    // Sand/bunker
+    sandShots: hole.sand_shots,
+    sandSave: hole.sand_save,
+    
+    // Calculated
+    overUnder: overUnderFor({ score: hole.raw_score || hole.adjusted_gross_score, par: hole.par })
+  }));
+}
+
+/**
+ * Builds a course layout (par, yardage, average score per hole) from rounds played there
+ * @param {Round[]} scores
+ * @param {string} targetCourse - Matched against courseName or facilityName
+ * @returns {Object|null} - null when no round at the course has hole detail
+ */
+export function extractCourseLayoutFromScores(scores, targetCourse) {
+  // Filter to scores from the target course that have hole details
+  const relevantScores = scores.filter(s => 
+    s.holeDetails && 
+    s.holeDetails.length > 0 &&
+    (s.courseName === targetCourse || s.facilityName === targetCourse)
+  );
+  
+  if (relevantScores.length === 0) {
+    return null;
+  }
+  
+  // Build hole info from scores - use most recent complete round
+  // or aggregate from multiple rounds
+  const holeInfo = {};
+  
+  relevantScores.forEach(score => {
+    score.holeDetails.forEach(hole => {
+      const holeNum = hole.holeNumber;
+      if (!holeInfo[holeNum]) {
+        holeInfo[holeNum] = {
+          holeNumber: holeNum,
+          par: hole.par,
+          yardage: hole.yardage,
+          scores: [],
+          avgScore: 0
+        };
+      }
+      // Update with latest par/yardage if we have it
+      if (hole.par) holeInfo[holeNum].par = hole.par;
+      if (hole.yardage) holeInfo[holeNum].yardage = hole.yardage;
+      if (hole.score) holeInfo[holeNum].scores.push(hole.score);
+    });
+  });
+  
+  // Convert to array and calculate averages
+  const holes = Object.values(holeInfo)
+    .sort((a, b) => a.holeNumber - b.holeNumber)
+    .map(h => ({
+      holeNumber: h.holeNumber,
+      par: h.par || null,
+      yardage: h.yardage || null,
+      avgScore: h.scores.length > 0 
+        ? (h.scores.reduce((a, b) => a + b, 0) / h.scores.length).toFixed(1)
+        : null,
+      roundsPlayed: h.scores.length
+    }));
+  
+  if (holes.length === 0) {
+    return null;
+  }
+  
+  const totalPar = holes.reduce((sum, h) => sum + (h.par || 0), 0);
+  const totalYards = holes.reduce((sum, h) => sum + (h.yardage || 0), 0);
+  
+  return {
+    courseName: targetCourse,
+    holes,
+    totalPar,
+    totalYards: totalYards > 0 ? totalYards : null,
+    holesWithPar: holes.filter(h => h.par).length,
+    holesWithYardage: holes.filter(h => h.yardage).length,
+    source: 'scores'
+  };
+}
+
+/**
+ * Aggregate statistics for the strategy prompt
+ *
+ * Per-round averages (score, differential, fairways, GIR, putts) use 18-hole rounds
+ * only, unless every round is 9 holes. Hole patterns, trouble holes and birdie holes
+ * come from the most-played course with hole detail, since hole numbers mean
+ * different holes at different courses; courseStats has every course.
+ * @param {Round[]} scores
+ * @returns {Object}
+ */
+export function calculateAggregateStats(scores) {
+  const stats = {
+    totalRounds: scores.length,
+    nineHoleRounds: 0,
+    averageScore: 0,
+    averageDifferential: 0,
+
+    // Hole-by-hole patterns (only from rounds with detail, at holePatternsCourse)
+    holePatternsCourse: null,
+    holePatterns: {},         // hole number -> average over/under
+    troubleHoles: [],         // holes consistently over par
+    birdieHoles: [],          // holes with birdie opportunities
+
+    // Par-type analysis
+    parTypePerformance: {
+      par3: { avgScore: null, avgOverUnder: null, count: 0, birdies: 0, pars: 0, bogeys: 0, doubles: 0, triples: 0 },
+      par4: { avgScore: null, avgOverUnder: null, count: 0, birdies: 0, pars: 0, bogeys: 0, doubles: 0, triples: 0 },
+      par5: { avgScore: null, avgOverUnder: null, count: 0, birdies: 0, pars: 0, bogeys: 0, doubles: 0, triples: 0 }
+    },
+
+    // Scoring distribution overall
+    scoringDistribution: {
+      eagles: 0,
+      birdies: 0,
+      pars: 0,
+      bogeys: 0,
+      doubles: 0,
+      triples: 0,
+      worse: 0
+    },
+
+    // Approach play analysis
+    approachAnalysis: {
+      girPercentage: null,
+      girOnPar3: null,
+      girOnPar4: null,
+      girOnPar5: null,
+      greenMissPatterns: { short: 0, long: 0, left: 0, right: 0, total: 0 }
+    },
+
+    // Short game analysis
+    shortGameAnalysis: {
+      avgPuttsPerRound: null,
+      avgPuttsPerGIR: null,        // putts when hitting green
+      avgPuttsPerMissedGIR: null,  // scrambling putts
+      upAndDownRate: null,
+      sandSaveRate: null
+    },
+
+    // Penalty analysis
+    penaltyAnalysis: {
+      avgPenaltiesPerRound: null,
+      holesWithPenalties: [],
+      penaltyStrokesLost: 0
+    },
+
+    // Miss patterns
+    fairwayMissLeft: 0,
+    fairwayMissRight: 0,
+    greenMissShort: 0,
+    greenMissLong: 0,
+    greenMissLeft: 0,
+    greenMissRight: 0,
+
+    // Overall stats
+    avgFairwaysHit: null,
+    avgGIR: null,
+    avgPutts: null,
+
+    // Course-specific data
+    courseStats: {}
+  };
+
+  if (scores.length === 0) return stats;
+
+  const nineHoleRounds = scores.filter(isNineHoleRound);
+  stats.nineHoleRounds = nineHoleRounds.length;
+  const fullRounds = nineHoleRounds.length < scores.length
+    ? scores.filter(s => !isNineHoleRound(s))
+    : scores;
+
+  // Calculate averages
+  const roundsWithScore = fullRounds.filter(s => s.totalScore);
+  const roundsWithDifferential = fullRounds.filter(s => s.differential != null);
+  if (roundsWithScore.length > 0) {
+    stats.averageScore = roundsWithScore.reduce((sum, s) => sum + s.totalScore, 0) / roundsWithScore.length;
+  }
+  if (roundsWithDifferential.length > 0) {
+    stats.averageDifferential = roundsWithDifferential.reduce((sum, s) => sum + s.differential, 0) / roundsWithDifferential.length;
+  }
+
+  // Process hole-by-hole data
+  const scoresWithHoles = scores.filter(s => s.holeDetails && s.holeDetails.length > 0);
+
+  if (scoresWithHoles.length > 0) {
+    // Hole patterns only make sense for one course - use the most played one
+    const courseCounts = {};
+    scoresWithHoles.forEach(s => {
+      courseCounts[courseKey(s)] = (courseCounts[courseKey(s)] || 0) + 1;
+    });
+    stats.holePatternsCourse = Object.entries(courseCounts).sort((a, b) => b[1] - a[1])[0][0];
+
+    // Aggregate hole patterns
+    const holeData = {};
+    let totalFairwayMissLeft = 0, totalFairwayMissRight = 0;
+    let totalGreenMissShort = 0, totalGreenMissLong = 0;
+    let totalGreenMissLeft = 0, totalGreenMissRight = 0;
+    let missCount = 0;
+
+    // Par-type tracking
+    const parTypeData = {
+      3: { scores: [], girs: 0, attempts: 0 },
+      4: { scores: [], girs: 0, attempts: 0 },
+      5: { scores: [], girs: 0, attempts: 0 }
+    };
+
+    // Short game tracking
+    let totalPuttsOnGIR = 0, girHolesWithPutts = 0;
+    let totalPuttsOnMissedGIR = 0, missedGIRHolesWithPutts = 0;
+    let upAndDownAttempts = 0, upAndDownSuccesses = 0;
+    let sandAttempts = 0, sandSaves = 0;
+
+    // Penalty tracking
+    let totalPenalties = 0;
+    const penaltyHoles = {};
+
+    scoresWithHoles.forEach(score => {
+      const courseName = courseKey(score);
+      const isPatternCourse = courseName === stats.holePatternsCourse;
+
+      // Initialize course stats
+      if (!stats.courseStats[courseName]) {
+        stats.courseStats[courseName] = {
+          rounds: 0,
+          avgScore: 0,
+          holeAverages: {}
+        };
+      }
+      stats.courseStats[courseName].rounds++;
+
+      score.holeDetails.forEach(hole => {
+        const holeNum = hole.holeNumber;
+        const par = hole.par;
+        const overUnder = overUnderFor(hole);
+
+        // Track hole performance
+        if (isPatternCourse && overUnder !== null) {
+          if (!holeData[holeNum]) {
+            holeData[holeNum] = { total: 0, count: 0, par: hole.par };
+          }
+          holeData[holeNum].total += overUnder;
+          holeData[holeNum].count++;
+        }
+        if (hole.score) {
+          // Par-type performance tracking
+          if (par >= 3 && par <= 5 && parTypeData[par]) {
+            parTypeData[par].scores.push(hole.score);
+
+            // Track scoring distribution by par type
+            if (overUnder <= -2) stats.scoringDistribution.eagles++;
+            else if (overUnder === -1) {
+              stats.scoringDistribution.birdies++;
+              stats.parTypePerformance[`par${par}`].birdies++;
+            }
+            else if (overUnder === 0) {
+              stats.scoringDistribution.pars++;
+              stats.parTypePerformance[`par${par}`].pars++;
+            }
+            else if (overUnder === 1) {
+              stats.scoringDistribution.bogeys++;
+              stats.parTypePerformance[`par${par}`].bogeys++;
+            }
+            else if (overUnder === 2) {
+              stats.scoringDistribution.doubles++;
+              stats.parTypePerformance[`par${par}`].doubles++;
+            }
+            else if (overUnder === 3) {
+              stats.scoringDistribution.triples++;
+              stats.parTypePerformance[`par${par}`].triples++;
+            }
+            else {
+              stats.scoringDistribution.worse++;
+            }
+          }
+
+          // GIR tracking by par type
+          if (hole.greenInRegulation != null && par >= 3 && par <= 5) {
+            parTypeData[par].attempts++;
+            if (hole.greenInRegulation) {
+              parTypeData[par].girs++;
+            }
+          }
+        }
+
+        // Track miss patterns
+        if (hole.fairwayMiss === 'left') totalFairwayMissLeft++;
+        if (hole.fairwayMiss === 'right') totalFairwayMissRight++;
+        if (hole.greenMiss === 'short') {
+          totalGreenMissShort++;
+          stats.approachAnalysis.greenMissPatterns.short++;
+        }
+        if (hole.greenMiss === 'long') {
+          totalGreenMissLong++;
+          stats.approachAnalysis.greenMissPatterns.long++;
+        }
+        if (hole.greenMiss === 'left') {
+          totalGreenMissLeft++;
+          stats.approachAnalysis.greenMissPatterns.left++;
+        }
+        if (hole.greenMiss === 'right') {
+          totalGreenMissRight++;
+          stats.approachAnalysis.greenMissPatterns.right++;
+        }
+        if (hole.greenMiss) {
+          stats.approachAnalysis.greenMissPatterns.total++;
+        }
+        if (hole.fairwayMiss || hole.greenMiss) missCount++;
+
+        // Putting analysis - GIR vs missed GIR
+        if (hole.putts != null) {
+          if (hole.greenInRegulation === true) {
+            totalPuttsOnGIR += hole.putts;
+            girHolesWithPutts++;
+          } else if (hole.greenInRegulation === false) {
+            totalPuttsOnMissedGIR += hole.putts;
+            missedGIRHolesWithPutts++;
+            // Up and down = missed GIR but still made par or better
+            if (par) {
+              upAndDownAttempts++;
+              if (hole.score <= par) {
+                upAndDownSuccesses++;
+              }
+            }
+          }
+        }
+
+        // Sand save tracking
+        if (hole.sandShots && hole.sandShots > 0) {
+          sandAttempts++;
+          // sandSaves is the older name for sandSave in stored hole details
+          if ((hole.sandSave ?? hole.sandSaves) === true || (par && hole.score <= par)) {
+            sandSaves++;
+          }
+        }
+
+        // Penalty tracking
+        if (hole.penalties && hole.penalties > 0) {
+          totalPenalties += hole.penalties;
+          if (!penaltyHoles[holeNum]) {
+            penaltyHoles[holeNum] = { count: 0, totalPenalties: 0 };
+          }
+          penaltyHoles[holeNum].count++;
+          penaltyHoles[holeNum].totalPenalties += hole.penalties;
+        }
+
+        // Course-specific hole averages
+        if (!stats.courseStats[courseName].holeAverages[holeNum]) {
+          stats.courseStats[courseName].holeAverages[holeNum] = { total: 0, count: 0, par: hole.par };
+        }
+        if (par) {
+          stats.courseStats[courseName].holeAverages[holeNum].par = par;
+        }
+        if (hole.score) {
+          stats.courseStats[courseName].holeAverages[holeNum].total += hole.score;
+          stats.courseStats[courseName].holeAverages[holeNum].count++;
+        }
+      });
+    });
+
+    // Calculate par-type performance averages
+    [3, 4, 5].forEach(par => {
+      const data = parTypeData[par];
+      if (data.scores.length > 0) {
+        const avgScore = data.scores.reduce((a, b) => a + b, 0) / data.scores.length;
+        stats.parTypePerformance[`par${par}`].avgScore = Math.round(avgScore * 100) / 100;
+        stats.parTypePerformance[`par${par}`].avgOverUnder = Math.round((avgScore - par) * 100) / 100;
+        stats.parTypePerformance[`par${par}`].count = data.scores.length;
+      }
+      if (data.attempts > 0) {
+        stats.approachAnalysis[`girOnPar${par}`] = Math.round((data.girs / data.attempts) * 100);
+      }
+    });
+
+    // Calculate approach analysis
+    const totalGIRAttempts = parTypeData[3].attempts + parTypeData[4].attempts + parTypeData[5].attempts;
+    const totalGIRs = parTypeData[3].girs + parTypeData[4].girs + parTypeData[5].girs;
+    if (totalGIRAttempts > 0) {
+      stats.approachAnalysis.girPercentage = Math.round((totalGIRs / totalGIRAttempts) * 100);
+    }
+
+    // Calculate short game stats
+    if (girHolesWithPutts > 0) {
+      stats.shortGameAnalysis.avgPuttsPerGIR = Math.round((totalPuttsOnGIR / girHolesWithPutts) * 100) / 100;
+    }
+    if (missedGIRHolesWithPutts > 0) {
+      stats.shortGameAnalysis.avgPuttsPerMissedGIR = Math.round((totalPuttsOnMissedGIR / missedGIRHolesWithPutts) * 100) / 100;
+    }
+    if (upAndDownAttempts > 0) {
+      stats.shortGameAnalysis.upAndDownRate = Math.round((upAndDownSuccesses / upAndDownAttempts) * 100);
+    }
+    if (sandAttempts > 0) {
+      stats.shortGameAnalysis.sandSaveRate = Math.round((sandSaves / sandAttempts) * 100);
+    }
+
+    // Calculate penalty stats
+    if (scoresWithHoles.length > 0) {
+      stats.penaltyAnalysis.avgPenaltiesPerRound = Math.round((totalPenalties / scoresWithHoles.length) * 100) / 100;
+      stats.penaltyAnalysis.penaltyStrokesLost = totalPenalties;
+      stats.penaltyAnalysis.holesWithPenalties = Object.entries(penaltyHoles)
+        .map(([hole, data]) => ({ hole: parseInt(hole), ...data }))
+        .sort((a, b) => b.totalPenalties - a.totalPenalties)
+        .slice(0, 5);
+    }
+
+    // Calculate hole patterns
+    Object.entries(holeData).forEach(([holeNum, data]) => {
+      if (data.count > 0) {
+        const avgOverUnder = data.total / data.count;
+        stats.holePatterns[holeNum] = {
+          avgOverUnder: Math.round(avgOverUnder * 100) / 100,
+          par: data.par,
+          sampleSize: data.count
+        };
+        
+        // Identify trouble holes (avg > +0.5 over par)
+        if (avgOverUnder > 0.5) {
+          stats.troubleHoles.push({ hole: parseInt(holeNum), avgOver: avgOverUnder, par: data.par });
+        }
+        // Identify birdie opportunities (avg < +0.3)
+        if (avgOverUnder < 0.3 && data.par >= 4) {
+          stats.birdieHoles.push({ hole: parseInt(holeNum), avgOver: avgOverUnder, par: data.par });
+        }
+      }
+    });
+
+    // Sort trouble holes by severity
+    stats.troubleHoles.sort((a, b) => b.avgOver - a.avgOver);
+    stats.birdieHoles.sort((a, b) => a.avgOver - b.avgOver);
+
+    // Calculate miss pattern percentages
+    if (missCount > 0) {
+      stats.fairwayMissLeft = Math.round((totalFairwayMissLeft / missCount) * 100);
+      stats.fairwayMissRight = Math.round((totalFairwayMissRight / missCount) * 100);
+      stats.greenMissShort = Math.round((totalGreenMissShort / missCount) * 100);
+      stats.greenMissLong = Math.round((totalGreenMissLong / missCount) * 100);
+      stats.greenMissLeft = Math.round((totalGreenMissLeft / missCount) * 100);
+      stats.greenMissRight = Math.round((totalGreenMissRight / missCount) * 100);
+    }
+
+    // Course-specific averages
+    Object.values(stats.courseStats).forEach(course => {
+      Object.entries(course.holeAverages).forEach(([hole, data]) => {
+        if (data.count > 0) {
+          course.holeAverages[hole] = {
+            avgScore: Math.round((data.total / data.count) * 10) / 10,
+            par: data.par || null,
+            avgOverUnder: data.par ? Math.round(((data.total / data.count) - data.par) * 10) / 10 : null
+          };
+        }
+      });
+    });
+  }
+
+  // Calculate overall stats from round-level data
+  const roundsWithFairways = fullRounds.filter(s => s.fairwaysHit != null);
+  const roundsWithGIR = fullRounds.filter(s => s.greensInRegulation != null);
+  const roundsWithPutts = fullRounds.filter(s => s.putts != null);
+
+  if (roundsWithFairways.length > 0) {
+    stats.avgFairwaysHit = Math.round(roundsWithFairways.reduce((sum, s) => sum + s.fairwaysHit, 0) / roundsWithFairways.length * 10) / 10;
+  }
+  if (roundsWithGIR.length > 0) {
+    stats.avgGIR = Math.round(roundsWithGIR.reduce((sum, s) => sum + s.greensInRegulation, 0) / roundsWithGIR.length * 10) / 10;
+  }
+  if (roundsWithPutts.length > 0) {
+    stats.avgPutts = Math.round(roundsWithPutts.reduce((sum, s) => sum + s.putts, 0) / roundsWithPutts.length * 10) / 10;
+  }
+
+  return stats;
+}
+
+/**
+ * Converts a round extracted from a scorecard image ({ date, totalScore, course,
+ * holes: [{ hole, par, yards, score }] }) into a Round
+ */
+export function fromScorecardRound(round) {
+  const holes = (round.holes || []).filter(h => h.score != null);
+
+  return {
+    date: round.date,
+    courseName: round.course,
+    totalScore: round.totalScore ?? (holes.length > 0 ? holes.reduce((sum, h) => sum + h.score, 0) : null),
+    differential: null,
+    numberOfHoles: holes.length > 0 ? holes.length : 18,
+    holeDetails: holes.length > 0 ? holes.map((h, i) => ({
+      holeNumber: h.hole || i + 1,
+      par: h.par,
+      yardage: h.yards,
+      score: h.score,
+      overUnder: overUnderFor(h)
+    })) : null
+  };
+}
@@ -0,0 +1,321 @@
+// WHS Handicap Engine
+// Computes a World Handicap System index from stored rounds, for golfers without
+// GHIN (or outside the US). Pure functions - callers pass rounds in the Round
+// shape from golfStats.js plus courseRating / slopeRating.
+//
+// Implemented rules:
+//   - Score differential = (113 / slope) x (adjusted gross score - course rating - PCC)
+//     (PCC is always 0 - there's no field data to calculate it from)
+//   - Net double bogey per hole using the course handicap at the time of the round
+//     (par + 5 before an index exists)
+//   - Best 8 of the most recent 20 differentials, with the reduced table below 20
+//   - Two 9-hole scores combine, in the order played, into one 18-hole differential
+//   - Exceptional score reduction (-1 at 7.0-9.9 below index, -2 at 10.0+),
+//     applied to the 20 most recent differentials
+//   - Soft cap (+3.0 above low index, then 50%) and hard cap (+5.0) once 20 scores exist
+//   - Course and playing handicap for a tee
+
+export const MAX_HANDICAP_INDEX = 54.0;
+export const SCORES_CONSIDERED = 20;
+export const DEFAULT_ALLOWANCE = 95; // individual stroke play, WHS Appendix C
+
+// [scores available] -> lowest differentials averaged and the adjustment to the average
+const DIFFERENTIALS_TABLE = [
+  { minScores: 20, count: 8, adjustment: 0 },
+  { minScores: 19, count: 7, adjustment: 0 },
+  { minScores: 17, count: 6, adjustment: 0 },
+  { minScores: 15, count: 5, adjustment: 0 },
+  { minScores: 12, count: 4, adjustment: 0 },
+  { minScores: 9, count: 3, adjustment: 0 },
+  { minScores: 7, count: 2, adjustment: 0 },
+  { minScores: 6, count: 2, adjustment: -1.0 },
+  { minScores: 5, count: 1, adjustment: 0 },
+  { minScores: 4, count: 1, adjustment: -1.0 },
+  { minScores: 3, count: 1, adjustment: -2.0 }
+];
+
+const SOFT_CAP_THRESHOLD = 3.0;
+const HARD_CAP = 5.0;
+const LOW_INDEX_WINDOW_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * How many of the lowest differentials count for a number of scores, or null below 3
+ */
+export function getDifferentialsToUse(scoreCount) {
+  return DIFFERENTIALS_TABLE.find(row => scoreCount >= row.minScores) || null;
+}
+
+export function scoreDifferential(adjustedGrossScore, courseRating, slopeRating, pcc = 0) {
+  return round1((113 / slopeRating) * (adjustedGrossScore - courseRating - pcc));
+}
+
+/**
+ * Course handicap (and the unrounded value playing handicap is calculated from).
+ * 9-hole course handicaps use half the index.
+ */
+export function calculateCourseHandicap(handicapIndex, { courseRating, slopeRating, par, holes = 18 }) {
+  const index = holes <= 9 ? handicapIndex / 2 : handicapIndex;
+  const unrounded = index * (slopeRating / 113) + (courseRating - par);
+  return { courseHandicap: Math.round(unrounded), unrounded };
+}
+
+/**
+ * Playing handicap for a tee at a handicap allowance (percent)
+ */
+export function calculatePlayingHandicap(handicapIndex, tee, allowance = DEFAULT_ALLOWANCE) {
+  const { courseHandicap, unrounded } = calculateCourseHandicap(handicapIndex, tee);
+  return {
+    courseHandicap,
+    playingHandicap: Math.round(unrounded * allowance / 100),
+    allowance
+  };
+}
+
+/**
+ * Strokes received on a hole. Without a stroke index the extra stroke is assumed,
+ * which keeps the net double bogey cap on the generous side.
+ * 9-hole rounds rank 18-hole stroke indexes within the nine (1-2 -> 1, 3-4 -> 2, ...).
+ */
+export function strokesReceived(courseHandicap, strokeIndex, holesInRound = 18) {
+  const rank = strokeIndex && holesInRound <= 9 ? Math.ceil(strokeIndex / 2) : strokeIndex;
+
+  if (courseHandicap >= 0) {
+    const base = Math.floor(courseHandicap / holesInRound);
+    const remainder = courseHandicap % holesInRound;
+    if (!rank) return base + (remainder > 0 ? 1 : 0);
+    return base + (rank <= remainder ? 1 : 0);
+  }
+
+  // Plus handicaps give strokes back, starting from the easiest hole
+  if (!rank) return 0;
+  return rank > holesInRound + courseHandicap ? -1 : 0;
+}
+
+/**
+ * Applies net double bogey (or par + 5 with no index yet) to each hole
+ * @returns {number|null} - null when a scored hole has no par to cap against
+ */
+export function adjustedGrossScore(holes, { courseHandicap = null, holesInRound = 18 } = {}) {
+  const scored = holes.filter(h => h.score);
+  if (scored.some(h => !h.par)) return null;
+
+  return scored.reduce((total, hole) => {
+    const maxScore = courseHandicap === null
+      ? hole.par + 5
+      : hole.par + 2 + strokesReceived(courseHandicap, hole.strokeIndex, holesInRound);
+    return total + Math.min(hole.score, maxScore);
+  }, 0);
+}
+
+// Dates as YYYY-MM-DD strings compare correctly; anything else goes through Date
+const toTime = (date) => new Date(String(date).slice(0, 10) + 'T00:00:00Z').getTime();
+
+/**
+ * Scores a round for handicap purposes at the index in effect before it was played
+ * @returns {{ differential, adjustedGrossScore, holes, adjusted } | { excluded: string }}
+ */
+function scoreRound(round, currentIndex) {
+  const scoredHoles = (round.holeDetails || []).filter(h => h.score);
+  const holes = scoredHoles.length > 0 ? scoredHoles.length : (round.numberOfHoles || 18);
+
+  if (holes !== 9 && holes !== 18) {
+    return { excluded: `${holes}-hole round (only 9 or 18 holes count)` };
+  }
+
+  // GHIN has already adjusted the score and calculated the differential
+  if (round.source === 'ghin' && round.differential != null) {
+    return { differential: round.differential, adjustedGrossScore: round.totalScore, holes, adjusted: true };
+  }
+
+  if (!round.courseRating || !round.slopeRating) {
+    return { excluded: 'No course rating / slope' };
+  }
+
+  // A 9-hole round entered with the 18-hole rating
+  const courseRating = holes === 9 && round.courseRating > 50 ? round.courseRating / 2 : round.courseRating;
+  const par = scoredHoles.every(h => h.par) ? scoredHoles.reduce((sum, h) => sum + h.par, 0) : null;
+
+  let ags = round.totalScore;
+  let adjusted = false;
+
+  if (scoredHoles.length > 0) {
+    const courseHandicap = currentIndex !== null && par
+      ? calculateCourseHandicap(currentIndex, { courseRating, slopeRating: round.slopeRating, par, holes }).courseHandicap
+      : null;
+    const capped = adjustedGrossScore(scoredHoles, {
+      courseHandicap: currentIndex !== null ? courseHandicap ?? 0 : null,
+      holesInRound: holes
+    });
+    if (capped !== null) {
+      ags = capped;
+      adjusted = true;
+    }
+  }
+
+  if (!ags) {
+    return { excluded: 'No score' };
+  }
+
+  return {
+    differential: scoreDifferential(ags, courseRating, round.slopeRating),
+    adjustedGrossScore: ags,
+    holes,
+    adjusted
+  };
+}
+
+/**
+ * Index from the most recent differentials, before caps
+ */
+function averageLowest(window) {
+  const rule = getDifferentialsToUse(window.length);
+  if (!rule) return { index: null, used: [] };
+
+  const used = [...window]
+    .sort((a, b) => (a.differential + a.esr) - (b.differential + b.esr))
+    .slice(0, rule.count);
+  const average = used.reduce((sum, e) => sum + e.differential + e.esr, 0) / used.length;
+
+  return {
+    index: Math.min(MAX_HANDICAP_INDEX, round1(average + rule.adjustment)),
+    used,
+    rule
+  };
+}
+
+/**
+ * Lowest index in the 365 days before a date. Only indexes from a full 20-score
+ * record count, so the early-record adjustments (-2.0 at 3 scores) don't set it.
+ */
+function lowIndexBefore(history, date) {
+  const end = toTime(date);
+  const values = history
+    .filter(h => h.index !== null && h.scores >= SCORES_CONSIDERED)
+    .filter(h => toTime(h.date) <= end && end - toTime(h.date) <= LOW_INDEX_WINDOW_DAYS * DAY_MS)
+    .map(h => h.index);
+  return values.length > 0 ? Math.min(...values) : null;
+}
+
+function applyCaps(index, lowIndex) {
+  if (index === null || lowIndex === null || index - lowIndex <= SOFT_CAP_THRESHOLD) {
+    return { index, capApplied: null };
+  }
+
+  const soft = round1(lowIndex + SOFT_CAP_THRESHOLD + (index - lowIndex - SOFT_CAP_THRESHOLD) / 2);
+  const hard = round1(lowIndex + HARD_CAP);
+  return soft > hard
+    ? { index: hard, capApplied: 'hard' }
+    : { index: soft, capApplied: 'soft' };
+}
+
+/**
+ * Calculates a handicap index by replaying rounds in the order they were played
+ * @param {Array} rounds - Round objects (golfStats.js) with source ('ghin' | 'logged'),
+ *   courseRating, slopeRating and, for GHIN scores, differential
+ * @returns {Object} - { handicapIndex, lowHandicapIndex, capApplied, differentials, history, excluded, ... }
+ */
+export function calculateHandicapIndex(rounds) {
+  const ordered = rounds
+    .filter(r => r.date)
+    .sort((a, b) => toTime(a.date) - toTime(b.date) || String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+
+  const entries = [];   // 18-hole differentials, oldest first
+  const history = [];   // index after each entry
+  const excluded = [];
+  let pendingNine = null;
+  let currentIndex = null;
+  let lowIndex = null;
+  let capApplied = null;
+
+  ordered.forEach(round => {
+    const result = scoreRound(round, currentIndex);
+
+    if (result.excluded) {
+      excluded.push({ id: round.id, date: round.date, course: round.courseName, source: round.source, reason: result.excluded });
+      return;
+    }
+
+    const scored = {
+      id: round.id,
+      source: round.source,
+      course: round.courseName,
+      adjustedGrossScore: result.adjustedGrossScore,
+      adjusted: result.adjusted
+    };
+
+    let entry;
+    if (result.holes === 9) {
+      if (!pendingNine) {
+        pendingNine = { ...scored, date: round.date, differential: result.differential };
+        return;
+      }
+      // Two nines make one 18-hole score, dated when the second was played
+      entry = {
+        date: round.date,
+        differential: round1(pendingNine.differential + result.differential),
+        nineHolePair: [pendingNine, { ...scored, date: round.date, differential: result.differential }],
+        course: [...new Set([pendingNine.course, scored.course].filter(Boolean))].join(' + ') || null,
+        source: scored.source,
+        adjustedGrossScore: pendingNine.adjustedGrossScore + scored.adjustedGrossScore,
+        adjusted: pendingNine.adjusted && scored.adjusted
+      };
+      pendingNine = null;
+    } else {
+      entry = { ...scored, date: round.date, differential: result.differential };
+    }
+
+    entry.esr = 0;
+    entry.exceptional = 0;
+    entries.push(entry);
+    const window = entries.slice(-SCORES_CONSIDERED);
+
+    // Exceptional score reduction applies to every differential in the current window
+    if (currentIndex !== null) {
+      const below = currentIndex - entry.differential;
+      const reduction = below >= 10 ? 2 : below >= 7 ? 1 : 0;
+      if (reduction > 0) {
+        entry.exceptional = reduction;
+        window.forEach(e => { e.esr -= reduction; });
+      }
+    }
+
+    const { index } = averageLowest(window);
+    lowIndex = entries.length >= SCORES_CONSIDERED ? lowIndexBefore(history, entry.date) : null;
+    const capped = applyCaps(index, lowIndex);
+
+    currentIndex = capped.index;
+    capApplied = capped.capApplied;
+    history.push({ date: entry.date, index: currentIndex, differential: entry.differential, scores: window.length, capApplied });
+  });
+
+  const window = entries.slice(-SCORES_CONSIDERED);
+  const { used, rule } = averageLowest(window);
+  const usedSet = new Set(used);
+
+  return {
+    handicapIndex: currentIndex,
+    lowHandicapIndex: lowIndex,
+    capApplied,
+    scoresAvailable: window.length,
+    differentialsUsed: rule?.count || 0,
+    adjustment: rule?.adjustment || 0,
+    differentials: window.slice().reverse().map(e => ({
+      date: e.date,
+      course: e.course,
+      source: e.source,
+      differential: e.differential,
+      esrAdjustment: e.esr,
+      exceptional: e.exceptional,
+      adjustedGrossScore: e.adjustedGrossScore,
+      adjusted: e.adjusted,
+      nineHolePair: !!e.nineHolePair,
+      used: usedSet.has(e)
+    })),
+    history,
+    pendingNineHole: pendingNine ? { date: pendingNine.date, course: pendingNine.course, differential: pendingNine.differential } : null,
+    excluded
+  };
+}
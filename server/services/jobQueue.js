@@ -0,0 +1,272 @@
+// Job Queue
+// SQLite-backed background jobs for AI calls and PDF renders - no external broker.
+// Handlers are registered by type; workers in this process claim due jobs, run
+// them and store the result, so the work survives a client disconnect and a
+// restart (interrupted jobs are queued again on startup).
+//
+// Failures that look temporary (rate limits, 5xx / overloaded, dropped connections)
+// are retried with exponential backoff. Anything else, or a job out of attempts,
+// is moved to the dead-letter list (status 'dead') - see db/jobs.js.
+//
+// Each job's progress events are stored in job_events, numbered from 1, so a
+// client can follow a job over SSE and resume where it left off.
+//
+// Configuration (env):
+//   JOB_CONCURRENCY   jobs run at once by this process (default 2)
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import {
+  insertJob,
+  claimNextJob,
+  completeJob,
+  scheduleJobRetry,
+  markJobDead,
+  getJobRecord,
+  recoverInterruptedJobs,
+  addJobEvent,
+  getJobEvents
+} from '../db/database.js';
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+const POLL_INTERVAL_MS = 1000;
+const DEFAULT_MAX_ATTEMPTS = 4;
+
+// Backoff before each retry: 10s, 20s, 40s... capped at 5 minutes, plus up to 20% jitter
+const RETRY_BASE_SECONDS = 10;
+const RETRY_MAX_SECONDS = 5 * 60;
+
+// Network errors worth another try
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const handlers = {};
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let activeJobs = 0;
+let pollTimer = null;
+
+/**
+ * Registers the function that runs jobs of a type
+ * @param {string} type - Job type, e.g. 'analysis'
+ * @param {Function} run - async (payload, { job, emit }) => result. Return a Buffer
+ *   to store binary output (fetched with getJobOutput) instead of a JSON result.
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts before the job is dead-lettered
+ * @param {Function} [options.onDead] - (payload, job) => void, e.g. to refund a credit
+ */
+export function registerJobHandler(type, run, { maxAttempts = DEFAULT_MAX_ATTEMPTS, onDead = null } = {}) {
+  handlers[type] = { run, maxAttempts, onDead };
+}
+
+/**
+ * Queues a job and wakes the workers
+ * @param {string} type - A registered job type
+ * @param {number|null} userId - Owner (null for anonymous preview jobs)
+ * @param {Object} payload - Everything the handler needs (stored as JSON)
+ * @returns {string} - Job id
+ */
+export function enqueueJob(type, userId, payload) {
+  const handler = handlers[type];
+  if (!handler) {
+    throw new Error(`No job handler registered for "${type}"`);
+  }
+
+  const id = crypto.randomUUID();
+  insertJob({ id, userId, type, payload, maxAttempts: handler.maxAttempts });
+  setImmediate(runDueJobs);
+  return id;
+}
+
+function emitJobEvent(jobId, event, data) {
+  const seq = addJobEvent(jobId, event, data);
+  jobEvents.emit(jobId, { id: seq, event, data });
+}
+
+function toJob(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    type: row.type,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    error: row.error,
+    result: row.result ? JSON.parse(row.result) : null,
+    hasOutput: row.output != null,
+    runAt: row.run_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    createdAt: row.created_at
+  };
+}
+
+const isFinished = (status) => status === 'completed' || status === 'dead';
+
+/**
+ * Whether a failed attempt is worth retrying: rate limits, timeouts, server errors
+ * (including Anthropic's 529 overloaded) and dropped connections
+ */
+export function isRetryableError(error) {
+  const status = error?.status;
+  if (status === 408 || status === 429 || status >= 500) return true;
+  return ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error?.name)
+    || RETRYABLE_ERROR_CODES.includes(error?.code);
+}
+
+// Seconds to wait before the next attempt, honouring a Retry-After header if longer
+function retryDelaySeconds(attempt, error) {
+  const backoff = Math.min(RETRY_BASE_SECONDS * 2 ** (attempt - 1), RETRY_MAX_SECONDS);
+  const retryAfter = parseInt(error?.headers?.['retry-after']) || 0;
+  return Math.max(backoff, retryAfter) * (1 + Math.random() * 0.2);
+}
+
+async function runJob(row) {
+  const handler = handlers[row.type];
+  const job = toJob(row);
+  const payload = row.payload ? JSON.parse(row.payload) : {};
+
+  try {
+    if (!handler) {
+      throw new Error(`No job handler registered for "${row.type}"`);
+    }
+
+    const result = await handler.run(payload, {
+      job,
+      emit: (event, data) => emitJobEvent(row.id, event, data)
+    });
+
+    if (Buffer.isBuffer(result)) {
+      completeJob(row.id, null, result);
+      emitJobEvent(row.id, 'done', { jobId: row.id, output: true });
+    } else {
+      completeJob(row.id, result);
+      emitJobEvent(row.id, 'done', result);
+    }
+  } catch (error) {
+    const message = error.message || 'Job failed';
+
+    if (handler && isRetryableError(error) && row.attempts < row.max_attempts) {
+      const delay = retryDelaySeconds(row.attempts, error);
+      console.log(`Job ${row.id} (${row.type}) attempt ${row.attempts} failed, retrying in ${Math.round(delay)}s:`, message);
+      scheduleJobRetry(row.id, message, delay);
+      emitJobEvent(row.id, 'stage', {
+        stage: 'retrying',
+        attempt: row.attempts,
+        retryInSeconds: Math.round(delay),
+        message: 'The AI service is busy - retrying shortly'
+      });
+      return;
+    }
+
+    console.error(`Job ${row.id} (${row.type}) failed after ${row.attempts} attempt(s):`, error);
+    markJobDead(row.id, message);
+    try {
+      handler?.onDead?.(payload, job);
+    } catch (hookError) {
+      console.error(`Job ${row.id} dead-letter hook error:`, hookError);
+    }
+    emitJobEvent(row.id, 'error', { error: message });
+  }
+}
+
+// Claims and starts due jobs until the workers are busy or the queue is empty
+function runDueJobs() {
+  try {
+    while (activeJobs < JOB_CONCURRENCY) {
+      const row = claimNextJob();
+      if (!row) return;
+
+      activeJobs++;
+      runJob(row).finally(() => {
+        activeJobs--;
+        setImmediate(runDueJobs);
+      });
+    }
+  } catch (error) {
+    console.error('Job queue error:', error);
+  }
+}
+
+/**
+ * Requeues jobs a previous process left running, then starts polling for due jobs
+ */
+export function startJobWorkers() {
+  if (pollTimer) return;
+
+  const { requeued, dead } = recoverInterruptedJobs();
+  if (requeued > 0 || dead > 0) {
+    console.log(`Job queue: requeued ${requeued} interrupted job(s), dead-lettered ${dead}`);
+  }
+
+  pollTimer = setInterval(runDueJobs, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  runDueJobs();
+}
+
+/**
+ * Returns a job its owner can see (anonymous jobs are visible to anyone with the id)
+ */
+export function getJob(jobId, userId) {
+  const row = getJobRecord(jobId);
+  if (!row) return null;
+  if (row.user_id && row.user_id !== userId) return null;
+  return toJob(row);
+}
+
+/**
+ * Binary output of a completed job (e.g. a PDF), or null
+ */
+export function getJobOutput(jobId) {
+  return getJobRecord(jobId)?.output || null;
+}
+
+/**
+ * Replays the job's events after lastEventId, then delivers new ones as they happen.
+ * A finished job whose events have been purged gets a single done / error event.
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToJob(jobId, lastEventId, onEvent) {
+  const stored = getJobEvents(jobId, lastEventId);
+  stored.forEach(row => onEvent({ id: row.seq, event: row.event, data: JSON.parse(row.data) }));
+
+  const job = toJob(getJobRecord(jobId));
+  if (isFinished(job.status)) {
+    if (!stored.some(row => row.event === 'done' || row.event === 'error')) {
+      onEvent(job.status === 'completed'
+        ? { id: null, event: 'done', data: job.result || { jobId, output: true } }
+        : { id: null, event: 'error', data: { error: job.error || 'Job failed' } });
+    }
+    return () => {};
+  }
+
+  jobEvents.on(jobId, onEvent);
+  return () => jobEvents.off(jobId, onEvent);
+}
+
+/**
+ * Resolves with the job's result (or its Buffer output) once it finishes, or rejects
+ * with its error if it's dead-lettered. Retries happen in between.
+ */
+export function waitForJob(jobId) {
+  return new Promise((resolve, reject) => {
+    const settle = () => {
+      const row = getJobRecord(jobId);
+      if (!row || !isFinished(row.status)) return false;
+
+      jobEvents.off(jobId, onEvent);
+      if (row.status === 'completed') {
+        resolve(row.output || (row.result ? JSON.parse(row.result) : null));
+      } else {
+        reject(new Error(row.error || 'Job failed'));
+      }
+      return true;
+    };
+    const onEvent = (entry) => {
+      if (entry.event === 'done' || entry.event === 'error') settle();
+    };
+
+    jobEvents.on(jobId, onEvent);
+    settle();
+  });
+}
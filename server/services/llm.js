@@ -0,0 +1,186 @@
+// LLM Provider Layer
+// Every model call goes through completeMessage() so the provider and model can
+// be configured per task. Providers:
+//   anthropic - the real Anthropic API (default)
+//   local     - returns canned fixture responses, no API key needed
+//
+// Configuration (env):
+//   LLM_PROVIDER                  default provider for all tasks
+//   LLM_PROVIDER_<TASK>           per-task override, e.g. LLM_PROVIDER_VISION=local
+//   LLM_MODEL / LLM_MODEL_<TASK>  model name, same override scheme
+//   LLM_FIXTURES_DIR              directory the local provider reads from
+//   LLM_STREAM_DELAY_MS           pause between streamed words from the local provider
+//                                 (default 10, or 0 under CI / NODE_ENV=test)
+
+import Anthropic from '@anthropic-ai/sdk';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+// Tasks that call a model. Keys are used in env var names and fixture file names.
+export const LLM_TASKS = {
+  vision: 'VISION',                  // scorecard image extraction
+  strategy: 'STRATEGY',              // full game analysis (and its repair pass)
+  courseStrategy: 'COURSE_STRATEGY', // single-course game plan
+  chat: 'CHAT'                       // follow-up questions about a saved analysis
+};
+
+/**
+ * Anthropic Messages API provider
+ */
+let anthropicClient = null;
+const anthropicProvider = {
+  name: 'anthropic',
+  client() {
+    if (!anthropicClient) {
+      anthropicClient = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    }
+    return anthropicClient;
+  },
+
+  async createMessage({ model, maxTokens, system, messages }) {
+    const response = await this.client().messages.create({
+      model,
+      max_tokens: maxTokens,
+      ...(system ? { system } : {}),
+      messages
+    });
+
+    return {
+      text: response.content[0]?.text || '',
+      stopReason: response.stop_reason
+    };
+  },
+
+  async streamMessage({ model, maxTokens, system, messages, onText, signal }) {
+    const stream = this.client().messages.stream({
+      model,
+      max_tokens: maxTokens,
+      ...(system ? { system } : {}),
+      messages
+    }, { signal });
+    stream.on('text', onText);
+
+    const response = await stream.finalMessage();
+    return {
+      text: response.content[0]?.text || '',
+      stopReason: response.stop_reason
+    };
+  }
+};
+
+// Read per call so tests can change it
+const getStreamDelay = () => {
+  if (process.env.LLM_STREAM_DELAY_MS !== undefined) {
+    return Math.max(0, parseInt(process.env.LLM_STREAM_DELAY_MS, 10) || 0);
+  }
+  return process.env.CI || process.env.NODE_ENV === 'test' ? 0 : 10;
+};
+
+/**
+ * Fixture-backed provider for CI and offline development.
+ * Returns the contents of <fixturesDir>/<task>.json (or <task>.txt for plain-text
+ * tasks like chat) for every call to that task.
+ */
+const localProvider = {
+  name: 'local',
+  async createMessage({ task }) {
+    const fixturesDir = process.env.LLM_FIXTURES_DIR || join(__dirname, '../fixtures/llm');
+    const fixturePath = [`${task}.json`, `${task}.txt`]
+      .map(file => join(fixturesDir, file))
+      .find(path => fs.existsSync(path));
+
+    if (!fixturePath) {
+      throw new Error(`No local LLM fixture for task "${task}" (looked in ${fixturesDir})`);
+    }
+
+    return {
+      text: fs.readFileSync(fixturePath, 'utf8'),
+      stopReason: 'end_turn'
+    };
+  },
+
+  // Replays the fixture a word at a time so streaming clients behave as they would
+  // live, with LLM_STREAM_DELAY_MS between words
+  async streamMessage(request) {
+    const response = await this.createMessage(request);
+    const delay = getStreamDelay();
+    for (const chunk of response.text.match(/\S+\s*/g) || []) {
+      if (request.signal?.aborted) break;
+      request.onText(chunk);
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+    return response;
+  }
+};
+
+const providers = {
+  anthropic: anthropicProvider,
+  local: localProvider
+};
+
+/**
+ * Registers an additional provider (must implement createMessage)
+ */
+export function registerProvider(name, provider) {
+  if (typeof provider?.createMessage !== 'function') {
+    throw new Error(`Provider "${name}" must implement createMessage()`);
+  }
+  providers[name] = provider;
+}
+
+/**
+ * Resolves the provider name and model configured for a task
+ */
+export function getTaskConfig(task) {
+  const envKey = LLM_TASKS[task];
+  if (!envKey) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const providerName = process.env[`LLM_PROVIDER_${envKey}`] || process.env.LLM_PROVIDER || 'anthropic';
+  const model = process.env[`LLM_MODEL_${envKey}`] || process.env.LLM_MODEL || DEFAULT_MODEL;
+
+  if (!providers[providerName]) {
+    throw new Error(`Unknown LLM provider "${providerName}" for task ${task}`);
+  }
+
+  return { providerName, model };
+}
+
+/**
+ * Sends a message for the given task through its configured provider
+ * @param {string} task - One of LLM_TASKS
+ * @param {Object} request - { messages, maxTokens, system }
+ * @returns {Promise<{ text: string, stopReason: string }>}
+ */
+export async function completeMessage(task, { messages, maxTokens = 4096, system }) {
+  const { providerName, model } = getTaskConfig(task);
+  return providers[providerName].createMessage({ task, model, maxTokens, system, messages });
+}
+
+/**
+ * Like completeMessage, but calls onText with each piece of text as it arrives.
+ * Providers without streamMessage deliver the whole response as one piece.
+ * @param {string} task - One of LLM_TASKS
+ * @param {Object} request - { messages, maxTokens, system, onText, signal }
+ * @returns {Promise<{ text: string, stopReason: string }>} - The complete response
+ */
+export async function streamMessage(task, { messages, maxTokens = 4096, system, onText, signal }) {
+  const { providerName, model } = getTaskConfig(task);
+  const provider = providers[providerName];
+
+  if (typeof provider.streamMessage !== 'function') {
+    const response = await provider.createMessage({ task, model, maxTokens, system, messages });
+    onText(response.text);
+    return response;
+  }
+  return provider.streamMessage({ task, model, maxTokens, system, messages, onText, signal });
+}
@@ -0,0 +1,89 @@
+// Mail Transport Layer
+// Every outgoing email goes through sendMail() so the delivery mechanism can be
+// swapped by configuration. Transports:
+//   console - prints the message to the server log (default)
+//   file    - writes each message as a .eml file, for local development and CI
+//
+// Configuration (env):
+//   MAIL_TRANSPORT   transport name
+//   MAIL_FROM        sender address
+//   MAIL_DIR         directory the file transport writes to
+//
+// A real provider (SES, Postmark, SMTP, ...) can be added with registerTransport().
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_FROM = 'Fairway Strategy <no-reply@golfstrategy.app>';
+
+// RFC 822-style message, readable as plain text and openable by mail clients
+function formatMessage({ from, to, subject, text }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text
+  ].join('\r\n');
+}
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`\n----- email -----\n${formatMessage(message)}\n-----------------\n`);
+  }
+};
+
+const fileTransport = {
+  name: 'file',
+  async send(message) {
+    const mailDir = process.env.MAIL_DIR || join(__dirname, '../data/mail');
+    fs.mkdirSync(mailDir, { recursive: true });
+
+    const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filePath = join(mailDir, `${Date.now()}-${safeTo}.eml`);
+    fs.writeFileSync(filePath, formatMessage(message));
+    console.log('Email written to', filePath);
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+/**
+ * Registers an additional transport (must implement send)
+ */
+export function registerTransport(name, transport) {
+  if (typeof transport?.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+}
+
+/**
+ * Sends an email through the configured transport
+ * @param {Object} message - { to, subject, text }
+ */
+export async function sendMail({ to, subject, text }) {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${transportName}"`);
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text
+  });
+}
@@ -0,0 +1,218 @@
+// Share Preview Images
+// The 1200x630 PNG that chat apps and social sites show for a share link
+// (og:image). Drawn pixel by pixel with a built-in 5x7 bitmap font and encoded with
+// zlib, so previews need no image library or fonts installed on the server.
+
+import zlib from 'zlib';
+
+export const PREVIEW_WIDTH = 1200;
+export const PREVIEW_HEIGHT = 630;
+
+const COLORS = {
+  background: '#1a472a',
+  band: '#143820',
+  accent: '#7cb97c',
+  text: '#ffffff',
+  muted: '#c6d1c9'
+};
+
+// 5x7 glyphs, one hex byte per row (bit 4 is the left column). Lowercase letters
+// are drawn as capitals and anything without a glyph as '?'.
+const GLYPHS = {
+  ' ': '00000000000000', '0': '0E11131519110E', '1': '040C040404040E', '2': '0E11010204081F',
+  '3': '1F02040201110E', '4': '02060A121F0202', '5': '1F101E0101110E', '6': '0608101E11110E',
+  '7': '1F010204080808', '8': '0E11110E11110E', '9': '0E11110F01020C', 'A': '0E11111F111111',
+  'B': '1E11111E11111E', 'C': '0E11101010110E', 'D': '1C12111111121C', 'E': '1F10101E10101F',
+  'F': '1F10101E101010', 'G': '0E11101711110F', 'H': '1111111F111111', 'I': '0E04040404040E',
+  'J': '0702020202120C', 'K': '11121418141211', 'L': '1010101010101F', 'M': '111B1515111111',
+  'N': '11111915131111', 'O': '0E11111111110E', 'P': '1E11111E101010', 'Q': '0E11111115120D',
+  'R': '1E11111E141211', 'S': '0F10100E01011E', 'T': '1F040404040404', 'U': '1111111111110E',
+  'V': '11111111110A04', 'W': '1111111515150A', 'X': '11110A040A1111', 'Y': '1111110A040404',
+  'Z': '1F01020408101F', '.': '00000000000C0C', ',': '000000000C0408', '-': '0000001F000000',
+  ':': '000C0C000C0C00', "'": '0C040800000000', '/': '00010204081000', '+': '0004041F040400',
+  '&': '0C12140815120D', '(': '02040808080402', ')': '08040202020408', '!': '04040404040004',
+  '?': '0E110102040004', '#': '0A0A1F0A1F0A0A', '%': '18190204081303'
+};
+
+// Typographic punctuation users and the AI tend to type
+const SUBSTITUTES = { '’': "'", '‘': "'", '“': "'", '”': "'", '—': '-', '–': '-', '•': '-', '…': '...' };
+
+const GLYPH_ROWS = Object.fromEntries(
+  Object.entries(GLYPHS).map(([char, hex]) => [
+    char,
+    Array.from({ length: 7 }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16))
+  ])
+);
+
+/**
+ * Text as the characters the bitmap font can draw
+ */
+export function toGlyphText(text) {
+  return Array.from(String(text ?? ''))
+    .map(char => SUBSTITUTES[char] ?? char)
+    .join('')
+    .toUpperCase()
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const textWidth = (text, scale) => (text.length ? text.length * 6 * scale - scale : 0);
+
+/**
+ * Word-wraps text to lines that fit `width` at a scale, ending the last line with
+ * "..." if the text doesn't fit in maxLines
+ */
+export function wrapGlyphText(text, scale, width, maxLines) {
+  const maxChars = Math.floor((width + scale) / (6 * scale));
+  const words = toGlyphText(text).split(' ').filter(Boolean);
+  const lines = [];
+  let line = '';
+  let truncated = false;
+
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    if (lines.length === maxLines) {
+      truncated = true;
+      line = '';
+      break;
+    }
+    line = word.slice(0, maxChars);
+  }
+  if (line) lines.push(line);
+
+  if (truncated) {
+    const last = lines[maxLines - 1];
+    lines[maxLines - 1] = `${last.slice(0, Math.max(0, maxChars - 3)).trimEnd()}...`;
+  }
+  return lines;
+}
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+function createCanvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  const fillRect = (x, y, w, h, color) => {
+    const [r, g, b] = hexToRgb(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(width, Math.round(x + w));
+    const y1 = Math.min(height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const offset = (py * width + px) * 3;
+        pixels[offset] = r;
+        pixels[offset + 1] = g;
+        pixels[offset + 2] = b;
+      }
+    }
+  };
+
+  const drawText = (text, x, y, scale, color) => {
+    Array.from(text).forEach((char, index) => {
+      const rows = GLYPH_ROWS[char] || GLYPH_ROWS['?'];
+      const left = x + index * 6 * scale;
+      rows.forEach((bits, row) => {
+        for (let col = 0; col < 5; col++) {
+          if (bits & (0x10 >> col)) {
+            fillRect(left + col * scale, y + row * scale, scale, scale, color);
+          }
+        }
+      });
+    });
+  };
+
+  return { width, height, pixels, fillRect, drawText };
+}
+
+// PNG encoding
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+function encodePNG({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+  // compression, filter and interlace methods are all 0
+
+  // Each scanline starts with its filter type (0 = none)
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Renders a share preview card
+ * @param {Object} card
+ * @param {string} card.label - Small heading above the title, e.g. 'COURSE GAME PLAN'
+ * @param {string} card.title - Course or plan name (up to two lines)
+ * @param {string[]} [card.details] - Up to two short lines under the title
+ * @returns {Buffer} - PNG bytes
+ */
+export function renderPreviewImage({ label, title, details = [] }) {
+  const canvas = createCanvas(PREVIEW_WIDTH, PREVIEW_HEIGHT);
+  const left = 80;
+  const width = PREVIEW_WIDTH - left * 2;
+
+  canvas.fillRect(0, 0, PREVIEW_WIDTH, PREVIEW_HEIGHT, COLORS.background);
+  canvas.fillRect(0, 0, PREVIEW_WIDTH, 14, COLORS.accent);
+
+  canvas.drawText(toGlyphText(label), left, 78, 4, COLORS.accent);
+
+  const titleLines = wrapGlyphText(title, 10, width, 2);
+  titleLines.forEach((line, i) => canvas.drawText(line, left, 140 + i * 90, 10, COLORS.text));
+
+  let y = 140 + titleLines.length * 90 + 30;
+  details.filter(Boolean).slice(0, 2).forEach(detail => {
+    const [line] = wrapGlyphText(detail, 5, width, 1);
+    if (line) canvas.drawText(line, left, y, 5, COLORS.muted);
+    y += 55;
+  });
+
+  canvas.fillRect(0, PREVIEW_HEIGHT - 110, PREVIEW_WIDTH, 110, COLORS.band);
+  canvas.drawText('GOLF STRATEGY', left, PREVIEW_HEIGHT - 72, 5, COLORS.text);
+  const site = 'GOLFSTRATEGY.APP';
+  canvas.drawText(site, PREVIEW_WIDTH - left - textWidth(site, 4), PREVIEW_HEIGHT - 68, 4, COLORS.accent);
+
+  return encodePNG(canvas);
+}
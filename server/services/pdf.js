@@ -1,84 +1,174 @@
 import PDFDocument from 'pdfkit';
+import { createLayout } from './pdfLayout.js';
+import { resolveTheme, createPaperDocument, PAPER_SIZES, SHEET_PAPERS } from './pdfTheme.js';
+
+// Every generator takes { theme, paper }: a theme from pdfTheme.resolveTheme (colors,
+// fonts, footer text and the user's logo) and a PAPER_SIZES key
+
+// The strategy card, practice plan and yardage book are laid out for full sheets only
+function assertSheetPaper(paper) {
+  if (!SHEET_PAPERS.includes(paper)) {
+    throw new Error(`This PDF prints on ${SHEET_PAPERS.join(' or ')} paper, not ${paper}`);
+  }
+}
+
+/**
+ * Draws the theme's logo fitted into a box, right-aligned. A logo pdfkit can't
+ * read is skipped rather than failing the PDF.
+ * @returns {boolean} - Whether a logo was drawn
+ */
+function drawLogo(doc, theme, x, y, width, height) {
+  if (!theme.logo) return false;
+  try {
+    doc.image(theme.logo, x, y, { fit: [width, height], align: 'right', valign: 'center' });
+    return true;
+  } catch (error) {
+    console.error('PDF logo error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Averages each hole's score over the rounds in analysis.extractedScores
+ * @returns {Object} - Keyed by hole number: { total, count, par, avg, vspar } (avg and vspar as strings)
+ */
+function getHoleAverages(analysis) {
+  const holeAverages = {};
+  if (analysis.extractedScores?.rounds?.length > 0) {
+    analysis.extractedScores.rounds.forEach(round => {
+      if (round.holes) {
+        round.holes.forEach(hole => {
+          if (hole.hole && hole.score) {
+            if (!holeAverages[hole.hole]) {
+              holeAverages[hole.hole] = { total: 0, count: 0, par: hole.par };
+            }
+            holeAverages[hole.hole].total += hole.score;
+            holeAverages[hole.hole].count++;
+          }
+        });
+      }
+    });
+    // Calculate averages
+    Object.keys(holeAverages).forEach(h => {
+      const data = holeAverages[h];
+      if (data.count > 0) {
+        data.avg = (data.total / data.count).toFixed(1);
+        data.vspar = (data.avg - data.par).toFixed(1);
+      }
+    });
+  }
+  return holeAverages;
+}
 
 /**
  * Generates a PDF strategy card from analysis data
  * @param {Object} analysis - The analysis object from Claude
  * @param {Object} userData - User info (name, handicap, course)
+ * @param {Object} [effectiveness] - Report from services/effectiveness.js; adds a
+ *   "How's it working?" page once rounds have been played since the analysis
+ * @param {Object} [options]
+ * @param {Object} [options.theme] - From pdfTheme.resolveTheme
+ * @param {string} [options.paper] - 'letter' (default) or 'a4'
  * @returns {Promise<Buffer>} - PDF as buffer
  */
-export function generateStrategyPDF(analysis, userData) {
+export function generateStrategyPDF(analysis, userData, effectiveness = null, { theme = resolveTheme(), paper = 'letter' } = {}) {
   return new Promise((resolve, reject) => {
     try {
-      const doc = new PDFDocument({
-        size: 'LETTER',
-        margins: { top: 50, bottom: 50, left: 50, right: 50 }
-      });
+      assertSheetPaper(paper);
+      const { doc, page } = createPaperDocument(paper);
 
       const chunks = [];
       doc.on('data', chunk => chunks.push(chunk));
       doc.on('end', () => resolve(Buffer.concat(chunks)));
       doc.on('error', reject);
 
-      const colors = {
-        darkGreen: '#1a472a',
-        lightGreen: '#7cb97c',
-        mediumGreen: '#2d5a3d',
-        red: '#c44536',
-        yellow: '#d4a017',
-        green: '#3d8b40',
-        gray: '#555555',
-        lightGray: '#f7f7f5',
-        border: '#e0e0e0'
+      const { colors, fonts } = theme;
+
+      const leftMargin = page.margin;
+      const pageWidth = page.width - leftMargin * 2;
+
+      const layout = createLayout(doc, {
+        margins: { top: 50, bottom: 50, left: leftMargin, right: leftMargin },
+        page,
+        font: fonts.regular,
+        sectionTitleHeight: 25,
+        drawSectionTitle: (title, y) => {
+          doc.fillColor(colors.primary)
+             .fontSize(12)
+             .font(fonts.bold)
+             .text(title, leftMargin, y, { width: pageWidth, lineBreak: false });
+        }
+      });
+
+      // Overflow pages of a chapter get a slim band naming what they continue
+      const continuationHeader = (title) => {
+        doc.rect(0, 0, page.width, 36).fill(colors.header);
+        doc.fillColor(colors.headerText)
+           .fontSize(10)
+           .font(fonts.bold)
+           .text(title, leftMargin, 13, { width: pageWidth, height: 12, ellipsis: true });
+        return 56;
       };
 
-      const pageWidth = doc.page.width - 100;
-      const leftMargin = 50;
+      const courseTitle = userData.homeCourse?.toUpperCase() || 'COURSE STRATEGY';
+
+      const generatedFooter = ({ y }) => {
+        doc.rect(0, y, page.width, 40).fill(colors.header);
+        doc.fillColor(colors.headerText)
+           .fontSize(8)
+           .font(fonts.regular)
+           .text(theme.footerText, leftMargin, y + 15, { lineBreak: false });
+      };
 
       // ========== PAGE 1 ==========
 
-      // Elegant header
-      doc.rect(0, 0, doc.page.width, 100).fill(colors.darkGreen);
-      
-      doc.fillColor('white')
-         .fontSize(28)
-         .font('Helvetica-Bold')
-         .text(userData.homeCourse?.toUpperCase() || 'COURSE STRATEGY', leftMargin, 30);
-      
-      doc.fontSize(12)
-         .font('Helvetica')
-         .fillColor('rgba(255,255,255,0.8)')
-         .text(`${userData.name} • ${userData.handicap} Handicap • ${new Date().toLocaleDateString()}`, leftMargin, 65);
-
-      let yPos = 130;
+      layout.chapter({
+        header: ({ continued }) => {
+          if (continued) return continuationHeader(`${courseTitle} • STRATEGY CARD`);
+
+          // Elegant header
+          doc.rect(0, 0, page.width, 100).fill(colors.header);
+
+          // Club or coach logo on the right of the band
+          const titleWidth = drawLogo(doc, theme, leftMargin + pageWidth - 90, 20, 90, 60) ? pageWidth - 100 : pageWidth;
+
+          doc.fillColor(colors.headerText)
+             .fontSize(28)
+             .font(fonts.bold)
+             .text(courseTitle, leftMargin, 30, { width: titleWidth, height: 30, ellipsis: true });
+
+          doc.fontSize(12)
+             .font(fonts.regular)
+             .fillColor(colors.headerMuted)
+             .text(`${userData.name} • ${userData.handicap} Handicap • ${new Date().toLocaleDateString()}`, leftMargin, 65, { width: titleWidth });
+
+          return 130;
+        }
+      });
 
       // Key Insight - prominent box
       if (analysis.summary?.keyInsight) {
-        doc.rect(leftMargin, yPos, pageWidth, 60)
-           .fill(colors.lightGray);
-        
-        doc.fillColor(colors.darkGreen)
-           .fontSize(9)
-           .font('Helvetica-Bold')
-           .text('KEY INSIGHT', leftMargin + 15, yPos + 12);
-        
-        doc.fillColor(colors.gray)
-           .fontSize(11)
-           .font('Helvetica')
-           .text(analysis.summary.keyInsight, leftMargin + 15, yPos + 28, { 
-             width: pageWidth - 30,
-             lineGap: 2
-           });
-        
-        yPos += 80;
-      }
+        const insightHeight = layout.measure(analysis.summary.keyInsight, { size: 11, width: pageWidth - 30, lineGap: 2 });
+        const boxHeight = Math.max(60, insightHeight + 40);
 
-      // Traffic Light System - horizontal layout
-      doc.fillColor(colors.darkGreen)
-         .fontSize(12)
-         .font('Helvetica-Bold')
-         .text('TEE SHOT STRATEGY', leftMargin, yPos);
-      
-      yPos += 25;
+        layout.block(boxHeight + 20, (y) => {
+          doc.rect(leftMargin, y, pageWidth, boxHeight)
+             .fill(colors.panel);
+
+          doc.fillColor(colors.primary)
+             .fontSize(9)
+             .font(fonts.bold)
+             .text('KEY INSIGHT', leftMargin + 15, y + 12);
+
+          doc.fillColor(colors.text)
+             .fontSize(11)
+             .font(fonts.regular)
+             .text(analysis.summary.keyInsight, leftMargin + 15, y + 28, {
+               width: pageWidth - 30,
+               lineGap: 2
+             });
+        });
+      }
 
       // Helper to get holes from either format
       const getHoles = (lightData) => {
@@ -99,361 +189,367 @@ export function generateStrategyPDF(analysis, userData) {
         return Array.isArray(lightData) ? lightData.length > 0 : !!lightData;
       };
 
-      // Three column layout for traffic lights
+      // Traffic Light System - three columns, as tall as the longest card
       const colWidth = (pageWidth - 20) / 3;
       const lights = [
-        { data: analysis.courseStrategy?.greenLightHoles, color: colors.green, label: 'GREEN LIGHT', subtitle: 'Attack' },
-        { data: analysis.courseStrategy?.yellowLightHoles, color: colors.yellow, label: 'YELLOW LIGHT', subtitle: 'Conditional' },
-        { data: analysis.courseStrategy?.redLightHoles, color: colors.red, label: 'RED LIGHT', subtitle: 'Play Safe' }
-      ];
-
-      lights.forEach((light, i) => {
-        if (!hasLightData(light.data)) return;
-        
-        const x = leftMargin + (i * (colWidth + 10));
-        
-        // Card background
-        doc.rect(x, yPos, colWidth, 100)
-           .fill(colors.lightGray);
-        
-        // Color accent bar
-        doc.rect(x, yPos, colWidth, 4).fill(light.color);
-        
-        // Label
-        doc.fillColor(colors.darkGreen)
-           .fontSize(8)
-           .font('Helvetica-Bold')
-           .text(light.label, x + 10, yPos + 14, { width: colWidth - 20, lineBreak: false });
-        
-        doc.fillColor(colors.gray)
-           .fontSize(7)
-           .font('Helvetica')
-           .text(light.subtitle, x + 10, yPos + 25, { width: colWidth - 20, lineBreak: false });
-        
-        // Holes
+        { data: analysis.courseStrategy?.greenLightHoles, color: colors.success, label: 'GREEN LIGHT', subtitle: 'Attack' },
+        { data: analysis.courseStrategy?.yellowLightHoles, color: colors.caution, label: 'YELLOW LIGHT', subtitle: 'Conditional' },
+        { data: analysis.courseStrategy?.redLightHoles, color: colors.danger, label: 'RED LIGHT', subtitle: 'Play Safe' }
+      ].map((light, i) => {
         const holes = getHoles(light.data);
-        if (holes) {
-          doc.fillColor(colors.darkGreen)
-             .fontSize(9)
-             .font('Helvetica-Bold')
-             .text(holes, x + 10, yPos + 42, { width: colWidth - 20, height: 25, ellipsis: true });
-        }
-        
-        // Strategy (if exists) - truncate to fit
         const strategy = getStrategy(light.data);
-        if (strategy) {
-          doc.fillColor(colors.gray)
-             .fontSize(7)
-             .font('Helvetica')
-             .text(strategy.substring(0, 120) + (strategy.length > 120 ? '...' : ''), x + 10, yPos + 70, { width: colWidth - 20, height: 28 });
-        }
-      });
+        const holesHeight = layout.measure(holes, { font: fonts.bold, size: 9, width: colWidth - 20 });
+        const strategyHeight = layout.measure(strategy, { size: 7, width: colWidth - 20 });
+        return {
+          ...light,
+          x: leftMargin + (i * (colWidth + 10)),
+          holes,
+          strategy,
+          holesHeight,
+          height: 42 + holesHeight + (strategy ? 8 + strategyHeight : 0) + 10
+        };
+      }).filter(light => hasLightData(light.data));
 
-      yPos += 120;
+      if (lights.length > 0) {
+        const cardHeight = Math.max(100, ...lights.map(light => light.height));
 
-      // Trouble Holes - clean cards (limit to 3, truncate text)
-      if (analysis.troubleHoles?.length > 0) {
-        doc.fillColor(colors.darkGreen)
-           .fontSize(12)
-           .font('Helvetica-Bold')
-           .text('TROUBLE HOLES', leftMargin, yPos, { lineBreak: false });
-        
-        yPos += 25;
-
-        analysis.troubleHoles.slice(0, 3).forEach((hole, i) => {
-          // Card
-          doc.rect(leftMargin, yPos, pageWidth, 75)
-             .fill(colors.lightGray);
-          
-          // Red accent
-          doc.rect(leftMargin, yPos, 4, 75).fill(colors.red);
-          
-          // Hole type
-          doc.fillColor(colors.darkGreen)
-             .fontSize(11)
-             .font('Helvetica-Bold')
-             .text(hole.type, leftMargin + 15, yPos + 12, { width: pageWidth - 100, lineBreak: false });
-          
-          // Target score badge
-          if (hole.acceptableScore) {
-            doc.fillColor(colors.lightGreen)
-               .fontSize(8)
-               .font('Helvetica-Bold')
-               .text(`Target: ${hole.acceptableScore}`, leftMargin + pageWidth - 80, yPos + 12, { width: 70, lineBreak: false });
-          }
-          
-          // Strategy - truncate to fit in card
-          const strategyText = hole.strategy?.substring(0, 150) + (hole.strategy?.length > 150 ? '...' : '');
-          doc.fillColor(colors.gray)
-             .fontSize(9)
-             .font('Helvetica')
-             .text(strategyText || '', leftMargin + 15, yPos + 32, { width: pageWidth - 40, height: 22 });
-          
-          // Club recommendation
-          if (hole.clubRecommendation) {
-            doc.fillColor(colors.mediumGreen)
-               .fontSize(8)
-               .font('Helvetica-Bold')
-               .text(`Club: ${hole.clubRecommendation}`, leftMargin + 15, yPos + 58, { lineBreak: false });
-          }
-          
-          yPos += 85;
+        layout.section('TEE SHOT STRATEGY', { keepWith: cardHeight }, () => {
+          layout.block(cardHeight + 20, (y) => {
+            lights.forEach(light => {
+              // Card background
+              doc.rect(light.x, y, colWidth, cardHeight)
+                 .fill(colors.panel);
+
+              // Color accent bar
+              doc.rect(light.x, y, colWidth, 4).fill(light.color);
+
+              // Label
+              doc.fillColor(colors.primary)
+                 .fontSize(8)
+                 .font(fonts.bold)
+                 .text(light.label, light.x + 10, y + 14, { width: colWidth - 20, lineBreak: false });
+
+              doc.fillColor(colors.text)
+                 .fontSize(7)
+                 .font(fonts.regular)
+                 .text(light.subtitle, light.x + 10, y + 25, { width: colWidth - 20, lineBreak: false });
+
+              // Holes
+              if (light.holes) {
+                doc.fillColor(colors.primary)
+                   .fontSize(9)
+                   .font(fonts.bold)
+                   .text(light.holes, light.x + 10, y + 42, { width: colWidth - 20 });
+              }
+
+              // Strategy (if exists)
+              if (light.strategy) {
+                doc.fillColor(colors.text)
+                   .fontSize(7)
+                   .font(fonts.regular)
+                   .text(light.strategy, light.x + 10, y + 50 + light.holesHeight, { width: colWidth - 20 });
+              }
+            });
+          });
         });
       }
 
-      // ========== PAGE 2 ==========
-      doc.addPage();
-      yPos = 50;
-
-      // Target Stats - large, clean boxes
-      if (analysis.targetStats) {
-        doc.fillColor(colors.darkGreen)
-           .fontSize(12)
-           .font('Helvetica-Bold')
-           .text('YOUR TARGET STATS', leftMargin, yPos, { lineBreak: false });
-        
-        yPos += 30;
-
-        const stats = [
-          { label: 'FAIRWAYS', value: analysis.targetStats.fairwaysHit },
-          { label: 'PENALTIES', value: analysis.targetStats.penaltiesPerRound },
-          { label: 'GIR', value: analysis.targetStats.gir },
-          { label: 'UP & DOWN', value: analysis.targetStats.upAndDown }
-        ].filter(s => s.value);
-
-        const statWidth = (pageWidth - 30) / Math.max(stats.length, 1);
-        stats.forEach((stat, i) => {
-          const x = leftMargin + (i * (statWidth + 10));
-          
-          doc.rect(x, yPos, statWidth, 70)
-             .fill(colors.lightGray);
-          
-          doc.fillColor(colors.lightGreen)
-             .fontSize(28)
-             .font('Helvetica-Bold')
-             .text(stat.value || '', x, yPos + 12, { width: statWidth, align: 'center', lineBreak: false });
-          
-          doc.fillColor(colors.gray)
-             .fontSize(8)
-             .font('Helvetica')
-             .text(stat.label, x, yPos + 50, { width: statWidth, align: 'center', lineBreak: false });
+      // Trouble Holes - one card each, sized to its text
+      if (analysis.troubleHoles?.length > 0) {
+        const cards = analysis.troubleHoles.map(hole => {
+          const typeHeight = Math.max(layout.measure(hole.type, { font: fonts.bold, size: 11, width: pageWidth - 110 }), 13);
+          const strategyHeight = layout.measure(hole.strategy, { size: 9, width: pageWidth - 40 });
+          return {
+            hole,
+            typeHeight,
+            strategyHeight,
+            height: Math.max(75, 12 + typeHeight + 8 + strategyHeight + (hole.clubRecommendation ? 20 : 0) + 12)
+          };
         });
 
-        yPos += 100;
+        layout.section('TROUBLE HOLES', { keepWith: cards[0].height }, () => {
+          cards.forEach(({ hole, typeHeight, strategyHeight, height }) => {
+            layout.block(height + 10, (y) => {
+              // Card
+              doc.rect(leftMargin, y, pageWidth, height)
+                 .fill(colors.panel);
+
+              // Red accent
+              doc.rect(leftMargin, y, 4, height).fill(colors.danger);
+
+              // Hole type
+              doc.fillColor(colors.primary)
+                 .fontSize(11)
+                 .font(fonts.bold)
+                 .text(hole.type || '', leftMargin + 15, y + 12, { width: pageWidth - 110 });
+
+              // Target score badge
+              if (hole.acceptableScore) {
+                doc.fillColor(colors.accent)
+                   .fontSize(8)
+                   .font(fonts.bold)
+                   .text(`Target: ${hole.acceptableScore}`, leftMargin + pageWidth - 80, y + 12, { width: 70, lineBreak: false });
+              }
+
+              // Strategy
+              doc.fillColor(colors.text)
+                 .fontSize(9)
+                 .font(fonts.regular)
+                 .text(hole.strategy || '', leftMargin + 15, y + 20 + typeHeight, { width: pageWidth - 40 });
+
+              // Club recommendation
+              if (hole.clubRecommendation) {
+                doc.fillColor(colors.secondary)
+                   .fontSize(8)
+                   .font(fonts.bold)
+                   .text(`Club: ${hole.clubRecommendation}`, leftMargin + 15, y + 26 + typeHeight + strategyHeight, { width: pageWidth - 30, lineBreak: false });
+              }
+            });
+          });
+        });
       }
 
-      // Mental Game Section
-      if (analysis.mentalGame) {
-        doc.fillColor(colors.darkGreen)
-           .fontSize(12)
-           .font('Helvetica-Bold')
-           .text('MENTAL GAME', leftMargin, yPos, { lineBreak: false });
-        
-        yPos += 30;
-
-        // Pre-shot thought
-        if (analysis.mentalGame.preShot) {
-          doc.rect(leftMargin, yPos, pageWidth, 50)
-             .fill(colors.lightGray);
-          doc.rect(leftMargin, yPos, 4, 50).fill(colors.lightGreen);
-          
-          doc.fillColor(colors.mediumGreen)
-             .fontSize(8)
-             .font('Helvetica-Bold')
-             .text('PRE-SHOT THOUGHT', leftMargin + 15, yPos + 10, { lineBreak: false });
-          
-          const preShotText = analysis.mentalGame.preShot?.substring(0, 100) || '';
-          doc.fillColor(colors.gray)
-             .fontSize(10)
-             .font('Helvetica')
-             .text(preShotText, leftMargin + 15, yPos + 28, { width: pageWidth - 40, height: 18 });
-          
-          yPos += 65;
-        }
+      // ========== PAGE 2 ==========
+      if (analysis.targetStats || analysis.mentalGame) {
+        // Round focus band at the foot of every page of this chapter
+        const roundFocus = analysis.courseStrategy?.overallApproach ||
+                           analysis.mentalGame?.preShot ||
+                           'Play smart, trust your process, commit to every shot.';
+        const roundFocusHeight = layout.measure(roundFocus, { size: 10, width: pageWidth });
+        const focusBandHeight = 62 + roundFocusHeight;
+
+        layout.chapter({
+          header: ({ continued }) => (continued ? continuationHeader(`${courseTitle} • TARGETS & MENTAL GAME`) : 50),
+          footerHeight: focusBandHeight + 20,
+          footer: () => {
+            const footerY = page.height - focusBandHeight;
+            doc.rect(0, footerY, page.width, focusBandHeight).fill(colors.header);
+
+            doc.fillColor(colors.headerText)
+               .fontSize(9)
+               .font(fonts.bold)
+               .text('ROUND FOCUS:', leftMargin, footerY + 20, { lineBreak: false });
 
-        // Recovery thought
-        if (analysis.mentalGame.recovery) {
-          doc.rect(leftMargin, yPos, pageWidth, 50)
-             .fill(colors.lightGray);
-          doc.rect(leftMargin, yPos, 4, 50).fill(colors.yellow);
-          
-          doc.fillColor(colors.mediumGreen)
-             .fontSize(8)
-             .font('Helvetica-Bold')
-             .text('AFTER A BAD SHOT', leftMargin + 15, yPos + 10, { lineBreak: false });
-          
-          const recoveryText = analysis.mentalGame.recovery?.substring(0, 100) || '';
-          doc.fillColor(colors.gray)
-             .fontSize(10)
-             .font('Helvetica')
-             .text(recoveryText, leftMargin + 15, yPos + 28, { width: pageWidth - 40, height: 18 });
-          
-          yPos += 65;
-        }
+            doc.font(fonts.regular)
+               .fontSize(10)
+               .text(roundFocus, leftMargin, footerY + 35, { width: pageWidth });
 
-        // Mantras - limit to 3 to stay on page
-        if (analysis.mentalGame.mantras?.length > 0) {
-          doc.fillColor(colors.darkGreen)
-             .fontSize(10)
-             .font('Helvetica-Bold')
-             .text('MANTRAS TO REMEMBER', leftMargin, yPos, { lineBreak: false });
-          
-          yPos += 20;
+            doc.fontSize(8)
+               .fillColor(colors.headerMuted)
+               .text(theme.footerText, leftMargin, footerY + 40 + roundFocusHeight, { lineBreak: false });
+          }
+        });
 
-          analysis.mentalGame.mantras.slice(0, 3).forEach((mantra, i) => {
-            doc.circle(leftMargin + 8, yPos + 6, 4).fill(colors.lightGreen);
-            
-            const mantraText = mantra?.substring(0, 60) || '';
-            doc.fillColor(colors.gray)
-               .fontSize(10)
-               .font('Helvetica-Oblique')
-               .text(`"${mantraText}"`, leftMargin + 25, yPos, { width: pageWidth - 40, lineBreak: false });
-            
-            yPos += 28;
+        // Target Stats - large, clean boxes
+        if (analysis.targetStats) {
+          const stats = [
+            { label: 'FAIRWAYS', value: analysis.targetStats.fairwaysHit },
+            { label: 'PENALTIES', value: analysis.targetStats.penaltiesPerRound },
+            { label: 'GIR', value: analysis.targetStats.gir },
+            { label: 'UP & DOWN', value: analysis.targetStats.upAndDown }
+          ].filter(s => s.value);
+
+          layout.section('YOUR TARGET STATS', { keepWith: 70 }, () => {
+            const statWidth = (pageWidth - 30) / Math.max(stats.length, 1);
+
+            layout.block(100, (y) => {
+              stats.forEach((stat, i) => {
+                const x = leftMargin + (i * (statWidth + 10));
+
+                doc.rect(x, y, statWidth, 70)
+                   .fill(colors.panel);
+
+                doc.fillColor(colors.accent)
+                   .fontSize(28)
+                   .font(fonts.bold)
+                   .text(String(stat.value), x, y + 12, { width: statWidth, align: 'center', lineBreak: false });
+
+                doc.fillColor(colors.text)
+                   .fontSize(8)
+                   .font(fonts.regular)
+                   .text(stat.label, x, y + 50, { width: statWidth, align: 'center', lineBreak: false });
+              });
+            });
           });
         }
-      }
 
-      // Footer - fixed position at bottom of page 2
-      const footerY = doc.page.height - 80;
-      doc.rect(0, footerY, doc.page.width, 80).fill(colors.darkGreen);
-      
-      doc.fillColor('white')
-         .fontSize(9)
-         .font('Helvetica-Bold')
-         .text('ROUND FOCUS:', leftMargin, footerY + 20, { lineBreak: false });
-      
-      const roundFocus = (analysis.courseStrategy?.overallApproach || 
-                         analysis.mentalGame?.preShot || 
-                         'Play smart, trust your process, commit to every shot.').substring(0, 120);
-      doc.font('Helvetica')
-         .fontSize(10)
-         .text(roundFocus, leftMargin, footerY + 35, { width: pageWidth, height: 18 });
-      
-      doc.fontSize(8)
-         .fillColor('rgba(255,255,255,0.6)')
-         .text('Generated by Golf Strategy • golfstrategy.app', leftMargin, footerY + 58, { lineBreak: false });
+        // Mental Game Section
+        if (analysis.mentalGame) {
+          const thoughts = [
+            { label: 'PRE-SHOT THOUGHT', text: analysis.mentalGame.preShot, accent: colors.accent },
+            { label: 'AFTER A BAD SHOT', text: analysis.mentalGame.recovery, accent: colors.caution }
+          ].filter(thought => thought.text).map(thought => ({
+            ...thought,
+            height: Math.max(50, 28 + layout.measure(thought.text, { size: 10, width: pageWidth - 40 }) + 10)
+          }));
+
+          if (thoughts.length > 0) {
+            layout.section('MENTAL GAME', { keepWith: thoughts[0].height }, () => {
+              thoughts.forEach(thought => {
+                layout.block(thought.height + 15, (y) => {
+                  doc.rect(leftMargin, y, pageWidth, thought.height)
+                     .fill(colors.panel);
+                  doc.rect(leftMargin, y, 4, thought.height).fill(thought.accent);
+
+                  doc.fillColor(colors.secondary)
+                     .fontSize(8)
+                     .font(fonts.bold)
+                     .text(thought.label, leftMargin + 15, y + 10, { lineBreak: false });
+
+                  doc.fillColor(colors.text)
+                     .fontSize(10)
+                     .font(fonts.regular)
+                     .text(thought.text, leftMargin + 15, y + 28, { width: pageWidth - 40 });
+                });
+              });
+            });
+          }
+
+          // Mantras
+          if (analysis.mentalGame.mantras?.length > 0) {
+            const mantras = analysis.mentalGame.mantras.map(mantra => ({
+              text: `"${mantra || ''}"`,
+              height: Math.max(layout.measure(`"${mantra || ''}"`, { font: fonts.italic, size: 10, width: pageWidth - 40 }), 12) + 16
+            }));
+
+            layout.section('MANTRAS TO REMEMBER', { keepWith: mantras[0].height }, () => {
+              mantras.forEach(mantra => {
+                layout.block(mantra.height, (y) => {
+                  doc.circle(leftMargin + 8, y + 6, 4).fill(colors.accent);
+
+                  doc.fillColor(colors.text)
+                     .fontSize(10)
+                     .font(fonts.italic)
+                     .text(mantra.text, leftMargin + 25, y, { width: pageWidth - 40 });
+                });
+              });
+            });
+          }
+        }
+      }
 
       // ========== PAGE 3: HOLE-BY-HOLE STRATEGY ==========
       if (analysis.holeByHoleStrategy?.length > 0) {
-        doc.addPage();
+        // Truncate course name if too long
+        const displayName = courseTitle.length > 35 ? courseTitle.substring(0, 35) + '...' : courseTitle;
 
-        // Header - taller to accommodate content
-        doc.rect(0, 0, doc.page.width, 85).fill(colors.darkGreen);
+        layout.chapter({
+          header: ({ continued }) => {
+            if (continued) return continuationHeader(`${displayName} • HOLE BY HOLE`);
 
-        // Truncate course name if too long
-        const courseName = (userData.homeCourse || 'COURSE STRATEGY').toUpperCase();
-        const displayName = courseName.length > 35 ? courseName.substring(0, 35) + '...' : courseName;
+            // Header - taller to accommodate content
+            doc.rect(0, 0, page.width, 85).fill(colors.header);
 
-        doc.fillColor('white')
-           .fontSize(18)
-           .font('Helvetica-Bold')
-           .text(displayName, leftMargin, 15, { width: pageWidth, lineBreak: false });
+            doc.fillColor(colors.headerText)
+               .fontSize(18)
+               .font(fonts.bold)
+               .text(displayName, leftMargin, 15, { width: pageWidth, lineBreak: false });
 
-        doc.fontSize(10)
-           .font('Helvetica')
-           .fillColor('rgba(255,255,255,0.8)')
-           .text(`Course Strategy Card — ${userData.name} — ${new Date().getFullYear()} Season`, leftMargin, 38, { lineBreak: false });
+            doc.fontSize(10)
+               .font(fonts.regular)
+               .fillColor(colors.headerMuted)
+               .text(`Course Strategy Card — ${userData.name} — ${new Date().getFullYear()} Season`, leftMargin, 38, { lineBreak: false });
 
-        // Truncate key insight
-        const keyInsight = (analysis.summary?.keyInsight || 'Play smart golf').substring(0, 50);
-        doc.fontSize(8)
-           .text(`GOAL: ${analysis.summary?.currentHandicap || userData.handicap} → ${analysis.summary?.targetHandicap || '?'} | KEY: ${keyInsight}...`, leftMargin, 55, { width: pageWidth, lineBreak: false });
+            doc.fontSize(8)
+               .text(`GOAL: ${analysis.summary?.currentHandicap || userData.handicap} → ${analysis.summary?.targetHandicap || '?'} | KEY: ${analysis.summary?.keyInsight || 'Play smart golf'}`, leftMargin, 55, { width: pageWidth, height: 10, ellipsis: true });
 
-        let yPos = 95;
+            // Legend row
+            const legendY = 95;
+            doc.fillColor(colors.primary)
+               .fontSize(8)
+               .font(fonts.bold)
+               .text('TEE SHOT:', leftMargin, legendY, { lineBreak: false });
 
-        // Legend row
-        doc.fillColor(colors.darkGreen)
-           .fontSize(8)
-           .font('Helvetica-Bold')
-           .text('TEE SHOT:', leftMargin, yPos, { lineBreak: false });
+            doc.circle(leftMargin + 55, legendY + 4, 5).fill(colors.success);
+            doc.fillColor(colors.primary)
+               .text('Driver OK', leftMargin + 65, legendY, { lineBreak: false });
 
-        doc.circle(leftMargin + 55, yPos + 4, 5).fill(colors.green);
-        doc.fillColor(colors.darkGreen)
-           .text('Driver OK', leftMargin + 65, yPos, { lineBreak: false });
+            doc.circle(leftMargin + 125, legendY + 4, 5).fill(colors.caution);
+            doc.fillColor(colors.primary)
+               .text('Conditional', leftMargin + 135, legendY, { lineBreak: false });
 
-        doc.circle(leftMargin + 125, yPos + 4, 5).fill(colors.yellow);
-        doc.fillColor(colors.darkGreen)
-           .text('Conditional', leftMargin + 135, yPos, { lineBreak: false });
+            doc.circle(leftMargin + 205, legendY + 4, 5).fill(colors.danger);
+            doc.fillColor(colors.primary)
+               .text('3-Hybrid/Iron Only', leftMargin + 215, legendY, { lineBreak: false });
 
-        doc.circle(leftMargin + 205, yPos + 4, 5).fill(colors.red);
-        doc.fillColor(colors.darkGreen)
-           .text('3-Hybrid/Iron Only', leftMargin + 215, yPos, { lineBreak: false });
+            return 115;
+          }
+        });
 
-        yPos = 115;
+        // Table columns - sized for Letter, the text columns share any other width
+        const stretch = (pageWidth - 32) / 480;
+        const colWidths = { hole: 30, par: 55 * stretch, tee: 90 * stretch, strategy: 210 * stretch, notes: 125 * stretch };
 
-        // Table header - adjusted column widths for better layout
-        const colWidths = { hole: 30, par: 55, tee: 90, strategy: 210, notes: 125 };
+        // Table header, repeated at the top of every page the table runs onto
+        const tableHeader = {
+          height: 25,
+          draw: (y) => {
+            doc.rect(leftMargin, y, pageWidth, 20).fill(colors.panel);
+            doc.fillColor(colors.primary)
+               .fontSize(8)
+               .font(fonts.bold);
+
+            let xPos = leftMargin + 5;
+            doc.text('HOLE', xPos, y + 6, { lineBreak: false });
+            xPos += colWidths.hole;
+            doc.text('PAR/YDS', xPos, y + 6, { lineBreak: false });
+            xPos += colWidths.par;
+            doc.text('TEE SHOT', xPos, y + 6, { lineBreak: false });
+            xPos += colWidths.tee;
+            doc.text('STRATEGY', xPos, y + 6, { lineBreak: false });
+            xPos += colWidths.strategy;
+            doc.text('NOTES', xPos, y + 6, { lineBreak: false });
+          }
+        };
 
-        doc.rect(leftMargin, yPos, pageWidth, 20).fill(colors.lightGray);
-        doc.fillColor(colors.darkGreen)
-           .fontSize(8)
-           .font('Helvetica-Bold');
-
-        let xPos = leftMargin + 5;
-        doc.text('HOLE', xPos, yPos + 6, { lineBreak: false });
-        xPos += colWidths.hole;
-        doc.text('PAR/YDS', xPos, yPos + 6, { lineBreak: false });
-        xPos += colWidths.par;
-        doc.text('TEE SHOT', xPos, yPos + 6, { lineBreak: false });
-        xPos += colWidths.tee;
-        doc.text('STRATEGY', xPos, yPos + 6, { lineBreak: false });
-        xPos += colWidths.strategy;
-        doc.text('NOTES', xPos, yPos + 6, { lineBreak: false });
-
-        yPos += 25;
-
-        // Build hole averages lookup from extractedScores if available
-        const holeAverages = {};
-        if (analysis.extractedScores?.rounds?.length > 0) {
-          analysis.extractedScores.rounds.forEach(round => {
-            if (round.holes) {
-              round.holes.forEach(hole => {
-                if (hole.hole && hole.score) {
-                  if (!holeAverages[hole.hole]) {
-                    holeAverages[hole.hole] = { total: 0, count: 0, par: hole.par };
-                  }
-                  holeAverages[hole.hole].total += hole.score;
-                  holeAverages[hole.hole].count++;
-                }
-              });
-            }
-          });
-          // Calculate averages
-          Object.keys(holeAverages).forEach(h => {
-            const data = holeAverages[h];
-            if (data.count > 0) {
-              data.avg = (data.total / data.count).toFixed(1);
-              data.vspar = (data.avg - data.par).toFixed(1);
-            }
-          });
-        }
+        // Hole averages from extractedScores, if available
+        const holeAverages = getHoleAverages(analysis);
 
-        // Hole rows - handle both 9 and 18 hole courses
-        // Sort by hole number in case they're out of order
-        const sortedHoles = [...analysis.holeByHoleStrategy].sort((a, b) => a.hole - b.hole);
-        const totalHoles = sortedHoles.length;
+        // Row text, measured so each row is as tall as its longest cell
+        const rows = [...analysis.holeByHoleStrategy].sort((a, b) => a.hole - b.hole).map(hole => {
+          const teeShot = hole.teeShot || 'Driver';
+          const strategyText = [hole.strategy, hole.approachStrategy].filter(Boolean).join(' ');
 
-        // For 18 holes, split at 9. For 9 holes, show all in one section
-        const hasBackNine = totalHoles > 9;
-        const front9 = hasBackNine ? sortedHoles.slice(0, 9) : sortedHoles;
-        const back9 = hasBackNine ? sortedHoles.slice(9, 18) : [];
+          // Notes - Include historical average if available
+          let notesText = hole.notes || '';
+          const holeAvg = holeAverages[hole.hole];
+          if (holeAvg?.avg) {
+            const vsPar = parseFloat(holeAvg.vspar);
+            let perfNote = '';
+            if (vsPar <= -0.3) {
+              perfNote = `${holeAvg.avg} avg - birdie opp`;
+            } else if (vsPar <= 0.2) {
+              perfNote = `${holeAvg.avg} avg - solid hole`;
+            } else if (vsPar <= 0.7) {
+              perfNote = `${holeAvg.avg} avg - stay focused`;
+            } else {
+              perfNote = `${holeAvg.avg} avg - trouble spot`;
+            }
+            notesText = perfNote + (notesText ? ' • ' + notesText : '');
+          }
 
-        const drawHoleRow = (hole, y) => {
-          const rowHeight = 34;
-          const isOdd = hole.hole % 2 === 1;
+          const height = Math.max(
+            34,
+            layout.measure(teeShot, { font: fonts.bold, size: 8, width: colWidths.tee - 5 }) + 20,
+            layout.measure(strategyText, { size: 7, width: colWidths.strategy - 10 }) + 8,
+            layout.measure(notesText, { font: fonts.italic, size: 7, width: colWidths.notes - 5 }) + 8
+          );
 
+          return { hole, teeShot, strategyText, notesText, height };
+        });
+
+        const drawHoleRow = ({ hole, teeShot, strategyText, notesText, height }, y) => {
           // Alternate row background
-          if (isOdd) {
-            doc.rect(leftMargin, y, pageWidth, rowHeight).fill('#fafaf8');
+          if (hole.hole % 2 === 1) {
+            doc.rect(leftMargin, y, pageWidth, height).fill(colors.stripe);
           }
 
           // Light indicator
-          const lightColor = hole.light === 'red' ? colors.red :
-                            hole.light === 'yellow' ? colors.yellow : colors.green;
-          doc.circle(leftMargin + 18, y + rowHeight/2, 6).fill(lightColor);
+          const lightColor = hole.light === 'red' ? colors.danger :
+                            hole.light === 'yellow' ? colors.caution : colors.success;
+          doc.circle(leftMargin + 18, y + 17, 6).fill(lightColor);
 
-          doc.fillColor(colors.darkGreen).fontSize(9).font('Helvetica-Bold');
+          doc.fillColor(colors.primary).fontSize(9).font(fonts.bold);
 
           let x = leftMargin + 5;
 
@@ -462,329 +558,706 @@ export function generateStrategyPDF(analysis, userData) {
           x += colWidths.hole;
 
           // Par/Yards
-          doc.font('Helvetica')
+          doc.font(fonts.regular)
              .fontSize(8)
              .text(`Par ${hole.par}`, x, y + 6, { lineBreak: false });
-          doc.fillColor(colors.gray)
+          doc.fillColor(colors.text)
              .fontSize(7)
              .text(`${hole.yards || '---'} yds`, x, y + 17, { lineBreak: false });
           x += colWidths.par;
 
-          // Tee shot - show club recommendation
-          const teeShot = (hole.teeShot || 'Driver').substring(0, 18);
-          doc.fillColor(colors.darkGreen)
+          // Tee shot - club recommendation
+          doc.fillColor(colors.primary)
              .fontSize(8)
-             .font('Helvetica-Bold')
-             .text(teeShot, x, y + 10, { lineBreak: false });
+             .font(fonts.bold)
+             .text(teeShot, x, y + 10, { width: colWidths.tee - 5 });
           x += colWidths.tee;
 
-          // Strategy - combine main strategy with approach if available
-          let strategyText = hole.strategy || '';
-          if (hole.approachStrategy && strategyText.length < 40) {
-            strategyText += ' ' + hole.approachStrategy;
-          }
-          doc.fillColor(colors.gray)
+          // Strategy, with the approach
+          doc.fillColor(colors.text)
              .fontSize(7)
-             .font('Helvetica')
-             .text(strategyText.substring(0, 70), x, y + 4, { width: colWidths.strategy - 10, height: 26 });
+             .font(fonts.regular)
+             .text(strategyText, x, y + 4, { width: colWidths.strategy - 10 });
           x += colWidths.strategy;
 
-          // Notes - Include historical average if available
-          let notesText = hole.notes || '';
-          const holeAvg = holeAverages[hole.hole];
-          if (holeAvg?.avg) {
-            const vsPar = parseFloat(holeAvg.vspar);
-            let perfNote = '';
-            if (vsPar <= -0.3) {
-              perfNote = `${holeAvg.avg} avg - birdie opp`;
-            } else if (vsPar <= 0.2) {
-              perfNote = `${holeAvg.avg} avg - solid hole`;
-            } else if (vsPar <= 0.7) {
-              perfNote = `${holeAvg.avg} avg - stay focused`;
-            } else {
-              perfNote = `${holeAvg.avg} avg - trouble spot`;
-            }
-            notesText = perfNote + (notesText ? ' • ' + notesText : '');
-          }
-
-          doc.fillColor(colors.mediumGreen)
+          doc.fillColor(colors.secondary)
              .fontSize(7)
-             .font('Helvetica-Oblique')
-             .text(notesText.substring(0, 45), x, y + 4, { width: colWidths.notes - 5, height: 26 });
+             .font(fonts.italic)
+             .text(notesText, x, y + 4, { width: colWidths.notes - 5 });
+        };
 
-          return rowHeight;
+        // Nine label band, kept on the same page as the nine's first row
+        const drawNineLabel = (label, firstRow) => {
+          layout.ensureSpace(21 + firstRow.height);
+          layout.block(21, (y) => {
+            doc.rect(leftMargin, y, pageWidth, 18).fill(colors.header);
+            doc.fillColor(colors.headerText)
+               .fontSize(9)
+               .font(fonts.bold)
+               .text(label, leftMargin, y + 4, { width: pageWidth, align: 'center', lineBreak: false });
+          });
         };
 
-        // Front 9 (or all holes for 9-hole courses)
-        const frontLabel = hasBackNine ? null : (sortedHoles[0]?.hole >= 10 ? 'BACK 9' : 'FRONT 9');
-        if (frontLabel) {
-          doc.rect(leftMargin, yPos, pageWidth, 16).fill(colors.darkGreen);
-          doc.fillColor('white')
-             .fontSize(9)
-             .font('Helvetica-Bold')
-             .text(frontLabel, leftMargin + pageWidth/2 - 25, yPos + 3, { lineBreak: false });
-          yPos += 19;
-        }
+        // For 18 holes, split at 9. For 9 holes, show all in one section
+        const hasBackNine = rows.length > 9;
+        const front9 = hasBackNine ? rows.slice(0, 9) : rows;
+        const back9 = hasBackNine ? rows.slice(9) : [];
+
+        layout.section(null, { repeat: tableHeader, keepWith: rows[0].height }, () => {
+          // Front 9 (or all holes for 9-hole courses)
+          if (!hasBackNine) {
+            drawNineLabel(rows[0].hole.hole >= 10 ? 'BACK 9' : 'FRONT 9', rows[0]);
+          }
 
-        front9.forEach((hole, i) => {
-          const rowHeight = drawHoleRow(hole, yPos);
-          yPos += rowHeight;
-        });
+          front9.forEach(row => {
+            layout.block(row.height, (y) => drawHoleRow(row, y));
+          });
 
-        // Back 9 (only for 18-hole courses)
-        if (hasBackNine && back9.length > 0) {
-          yPos += 3;
-          doc.rect(leftMargin, yPos, pageWidth, 18).fill(colors.darkGreen);
-          doc.fillColor('white')
-             .fontSize(9)
-             .font('Helvetica-Bold')
-             .text('BACK 9', leftMargin + pageWidth/2 - 20, yPos + 4, { lineBreak: false });
-          yPos += 21;
+          // Back 9 (only for 18-hole courses)
+          if (back9.length > 0) {
+            layout.space(3);
+            drawNineLabel('BACK 9', back9[0]);
 
-          back9.forEach((hole, i) => {
-            const rowHeight = drawHoleRow(hole, yPos);
-            yPos += rowHeight;
-          });
+            back9.forEach(row => {
+              layout.block(row.height, (y) => drawHoleRow(row, y));
+            });
+          }
+        });
+
+        // Bottom section - focus line and targets
+        const mantra = analysis.mentalGame?.mantras?.[0] ||
+                      analysis.courseStrategy?.overallApproach ||
+                      'Play to your strengths. Trust your swing.';
+        const mantraHeight = layout.measure(`"${mantra}"`, { font: fonts.italic, size: 9, width: pageWidth - 90 });
+        const focusHeight = Math.max(28, mantraHeight + 16);
+
+        const par3Target = analysis.targetStats?.par3Average || '';
+        const par5Target = analysis.targetStats?.par5Average || '';
+        let targetLine = `Targets: ${analysis.targetStats?.fairwaysHit || '40%'} FW | ${analysis.targetStats?.gir || '25%'} GIR | ${analysis.targetStats?.penaltiesPerRound || '<2'} penalties`;
+        if (par3Target || par5Target) {
+          targetLine += ` | Par 3s: ${par3Target || '-'} | Par 5s: ${par5Target || '-'}`;
         }
+        const targetHeight = layout.measure(targetLine, { size: 7, width: pageWidth });
+
+        layout.block(8 + focusHeight + 4 + targetHeight, (y) => {
+          y += 8;
+          doc.rect(leftMargin, y, pageWidth, focusHeight).fill(colors.panel);
+          doc.rect(leftMargin, y, 4, focusHeight).fill(colors.accent);
 
-        // Bottom section - ensure it fits
-        const remainingSpace = doc.page.height - yPos - 50;
-        if (remainingSpace >= 60) {
-          yPos += 8;
-          doc.rect(leftMargin, yPos, pageWidth, 28).fill(colors.lightGray);
-          doc.rect(leftMargin, yPos, 4, 28).fill(colors.lightGreen);
-
-          const mantra = analysis.mentalGame?.mantras?.[0] ||
-                        analysis.courseStrategy?.overallApproach ||
-                        'Play to your strengths. Trust your swing.';
-          doc.fillColor(colors.darkGreen)
+          doc.fillColor(colors.primary)
              .fontSize(8)
-             .font('Helvetica-Bold')
-             .text('FOCUS:', leftMargin + 15, yPos + 8, { lineBreak: false });
-          doc.fillColor(colors.gray)
+             .font(fonts.bold)
+             .text('FOCUS:', leftMargin + 15, y + 8, { lineBreak: false });
+          doc.fillColor(colors.text)
              .fontSize(9)
-             .font('Helvetica-Oblique')
-             .text(`"${mantra.substring(0, 85)}"`, leftMargin + 60, yPos + 8, { width: pageWidth - 90, lineBreak: false });
+             .font(fonts.italic)
+             .text(`"${mantra}"`, leftMargin + 60, y + 8, { width: pageWidth - 90 });
 
           // Bottom targets
-          yPos += 32;
-          const par3Target = analysis.targetStats?.par3Average || '';
-          const par5Target = analysis.targetStats?.par5Average || '';
-          let targetLine = `Targets: ${analysis.targetStats?.fairwaysHit || '40%'} FW | ${analysis.targetStats?.gir || '25%'} GIR | ${analysis.targetStats?.penaltiesPerRound || '<2'} penalties`;
-          if (par3Target || par5Target) {
-            targetLine += ` | Par 3s: ${par3Target || '-'} | Par 5s: ${par5Target || '-'}`;
-          }
-
-          doc.fillColor(colors.gray)
+          doc.fillColor(colors.text)
              .fontSize(7)
-             .font('Helvetica')
-             .text(targetLine, leftMargin, yPos, { width: pageWidth, align: 'center', lineBreak: false });
-        }
+             .font(fonts.regular)
+             .text(targetLine, leftMargin, y + focusHeight + 4, { width: pageWidth, align: 'center' });
+        });
       }
 
       // ========== PAGE 4: HANDICAP IMPROVEMENT PATH ==========
       if (analysis.handicapPath) {
-        doc.addPage();
+        const currentHcp = analysis.handicapPath.currentLevel?.handicap || analysis.summary?.currentHandicap || userData.handicap;
+        const targetHcp = analysis.handicapPath.targetLevel?.handicap || analysis.summary?.targetHandicap;
 
-        // Header
-        doc.rect(0, 0, doc.page.width, 70).fill(colors.darkGreen);
+        layout.chapter({
+          header: ({ continued }) => {
+            if (continued) return continuationHeader('YOUR PATH TO IMPROVEMENT');
 
-        doc.fillColor('white')
-           .fontSize(20)
-           .font('Helvetica-Bold')
-           .text('YOUR PATH TO IMPROVEMENT', leftMargin, 18, { width: pageWidth });
+            doc.rect(0, 0, page.width, 70).fill(colors.header);
 
-        const currentHcp = analysis.handicapPath.currentLevel?.handicap || analysis.summary?.currentHandicap || userData.handicap;
-        const targetHcp = analysis.handicapPath.targetLevel?.handicap || analysis.summary?.targetHandicap;
-        doc.fontSize(11)
-           .font('Helvetica')
-           .fillColor('rgba(255,255,255,0.8)')
-           .text(`${currentHcp} → ${targetHcp} Handicap | ${userData.name}`, leftMargin, 45, { lineBreak: false });
+            doc.fillColor(colors.headerText)
+               .fontSize(20)
+               .font(fonts.bold)
+               .text('YOUR PATH TO IMPROVEMENT', leftMargin, 18, { width: pageWidth });
+
+            doc.fontSize(11)
+               .font(fonts.regular)
+               .fillColor(colors.headerMuted)
+               .text(`${currentHcp} → ${targetHcp} Handicap | ${userData.name}`, leftMargin, 45, { lineBreak: false });
 
-        let yPos = 85;
+            return 85;
+          },
+          footerHeight: 55,
+          footer: ({ y }) => generatedFooter({ y: y + 15 })
+        });
 
         // Current vs Target comparison - side by side boxes
         const boxWidth = (pageWidth - 15) / 2;
-        const boxHeight = 75;
+        const currentProfile = analysis.handicapPath.currentLevel?.playerProfile;
+        const targetProfile = analysis.handicapPath.targetLevel?.playerProfile;
+        const profileHeight = Math.max(
+          layout.measure(currentProfile, { size: 7, width: boxWidth - 24 }),
+          layout.measure(targetProfile, { size: 7, width: boxWidth - 24 })
+        );
+        const boxHeight = Math.max(75, 50 + profileHeight + 8);
+
+        layout.block(boxHeight + 15, (y) => {
+          // Current Level Box
+          doc.rect(leftMargin, y, boxWidth, boxHeight).fill(colors.notice);
+          doc.rect(leftMargin, y, 4, boxHeight).fill(colors.noticeAccent);
+
+          doc.fillColor(colors.noticeText)
+             .fontSize(8)
+             .font(fonts.bold)
+             .text('CURRENT LEVEL', leftMargin + 12, y + 8);
 
-        // Current Level Box
-        doc.rect(leftMargin, yPos, boxWidth, boxHeight).fill('#fff8e1');
-        doc.rect(leftMargin, yPos, 4, boxHeight).fill('#ffc107');
+          doc.fillColor(colors.noticeAccent)
+             .fontSize(24)
+             .font(fonts.bold)
+             .text(String(currentHcp), leftMargin + 12, y + 22);
 
-        doc.fillColor('#795548')
-           .fontSize(8)
-           .font('Helvetica-Bold')
-           .text('CURRENT LEVEL', leftMargin + 12, yPos + 8);
+          if (currentProfile) {
+            doc.fillColor(colors.noticeText)
+               .fontSize(7)
+               .font(fonts.regular)
+               .text(currentProfile, leftMargin + 12, y + 50, { width: boxWidth - 24 });
+          }
 
-        doc.fillColor('#ffc107')
-           .fontSize(24)
-           .font('Helvetica-Bold')
-           .text(String(currentHcp), leftMargin + 12, yPos + 22);
+          // Target Level Box
+          doc.rect(leftMargin + boxWidth + 15, y, boxWidth, boxHeight).fill(colors.panel);
+          doc.rect(leftMargin + boxWidth + 15, y, 4, boxHeight).fill(colors.accent);
 
-        if (analysis.handicapPath.currentLevel?.playerProfile) {
-          doc.fillColor('#795548')
-             .fontSize(7)
-             .font('Helvetica')
-             .text(analysis.handicapPath.currentLevel.playerProfile.substring(0, 85), leftMargin + 12, yPos + 50, { width: boxWidth - 24, height: 20 });
-        }
+          doc.fillColor(colors.primary)
+             .fontSize(8)
+             .font(fonts.bold)
+             .text('TARGET LEVEL', leftMargin + boxWidth + 27, y + 8);
 
-        // Target Level Box
-        doc.rect(leftMargin + boxWidth + 15, yPos, boxWidth, boxHeight).fill(colors.lightGray);
-        doc.rect(leftMargin + boxWidth + 15, yPos, 4, boxHeight).fill(colors.lightGreen);
+          doc.fillColor(colors.accent)
+             .fontSize(24)
+             .font(fonts.bold)
+             .text(String(targetHcp), leftMargin + boxWidth + 27, y + 22);
 
-        doc.fillColor(colors.darkGreen)
-           .fontSize(8)
-           .font('Helvetica-Bold')
-           .text('TARGET LEVEL', leftMargin + boxWidth + 27, yPos + 8);
+          if (targetProfile) {
+            doc.fillColor(colors.text)
+               .fontSize(7)
+               .font(fonts.regular)
+               .text(targetProfile, leftMargin + boxWidth + 27, y + 50, { width: boxWidth - 24 });
+          }
+        });
 
-        doc.fillColor(colors.lightGreen)
-           .fontSize(24)
-           .font('Helvetica-Bold')
-           .text(String(targetHcp), leftMargin + boxWidth + 27, yPos + 22);
+        // Gap Analysis - cards three to a row
+        if (analysis.handicapPath.gapAnalysis?.length > 0) {
+          const gaps = analysis.handicapPath.gapAnalysis;
+          const gapCount = Math.min(gaps.length, 3);
+          const gapColWidth = (pageWidth - (gapCount - 1) * 10) / gapCount;
 
-        if (analysis.handicapPath.targetLevel?.playerProfile) {
-          doc.fillColor(colors.gray)
-             .fontSize(7)
-             .font('Helvetica')
-             .text(analysis.handicapPath.targetLevel.playerProfile.substring(0, 85), leftMargin + boxWidth + 27, yPos + 50, { width: boxWidth - 24, height: 20 });
+          const gapRows = [];
+          for (let i = 0; i < gaps.length; i += 3) {
+            const row = gaps.slice(i, i + 3).map(gap => ({
+              gap,
+              areaHeight: Math.max(layout.measure(gap.area, { font: fonts.bold, size: 8, width: gapColWidth - 16 }), 10)
+            }));
+            gapRows.push({ cards: row, height: Math.max(65, ...row.map(card => card.areaHeight + 55)) });
+          }
+
+          layout.section('WHAT NEEDS TO IMPROVE', { keepWith: gapRows[0].height }, () => {
+            gapRows.forEach(({ cards, height }) => {
+              layout.block(height + 10, (y) => {
+                cards.forEach(({ gap, areaHeight }, i) => {
+                  const x = leftMargin + (i * (gapColWidth + 10));
+
+                  doc.rect(x, y, gapColWidth, height).fill(colors.panel);
+
+                  const diffColor = gap.difficulty?.toLowerCase() === 'hard' ? colors.danger :
+                                   gap.difficulty?.toLowerCase() === 'medium' ? colors.caution : colors.accent;
+                  doc.rect(x, y, gapColWidth, 3).fill(diffColor);
+
+                  doc.fillColor(colors.primary)
+                     .fontSize(8)
+                     .font(fonts.bold)
+                     .text(gap.area || '', x + 8, y + 10, { width: gapColWidth - 16 });
+
+                  const detailY = y + 14 + areaHeight;
+                  doc.fillColor(colors.text)
+                     .fontSize(7)
+                     .font(fonts.regular)
+                     .text(`${gap.current || '?'} → ${gap.required || '?'}`, x + 8, detailY, { width: gapColWidth - 16, lineBreak: false });
+
+                  doc.fillColor(colors.secondary)
+                     .fontSize(7)
+                     .font(fonts.bold)
+                     .text(gap.strokesToGain ? `${gap.strokesToGain} strokes/round` : '', x + 8, detailY + 14, { width: gapColWidth - 16, lineBreak: false });
+
+                  doc.fillColor(colors.text)
+                     .fontSize(6)
+                     .font(fonts.regular)
+                     .text(gap.difficulty ? `${gap.difficulty} to improve` : '', x + 8, detailY + 28, { width: gapColWidth - 16, lineBreak: false });
+                });
+              });
+            });
+          });
         }
 
-        yPos += boxHeight + 15;
+        // Improvement Priorities
+        if (analysis.handicapPath.improvementPriorities?.length > 0) {
+          const textWidth = pageWidth - 60;
+          const priorities = analysis.handicapPath.improvementPriorities.map((priority, i) => {
+            const skillHeight = Math.max(layout.measure(priority.skill, { font: fonts.bold, size: 9, width: textWidth }), 11);
+            const whyHeight = layout.measure(priority.why, { size: 7, width: textWidth });
+            const howHeight = layout.measure(priority.howToImprove, { font: fonts.italic, size: 7, width: textWidth });
+            return {
+              priority,
+              rank: priority.rank || i + 1,
+              skillHeight,
+              whyHeight,
+              height: Math.max(50, 6 + skillHeight + 4 + whyHeight + 5 + howHeight + 8)
+            };
+          });
 
-        // Gap Analysis - 3 column cards
-        if (analysis.handicapPath.gapAnalysis?.length > 0) {
-          doc.fillColor(colors.darkGreen)
-             .fontSize(10)
-             .font('Helvetica-Bold')
-             .text('WHAT NEEDS TO IMPROVE', leftMargin, yPos);
+          layout.section('FOCUS AREAS (IN ORDER OF PRIORITY)', { keepWith: priorities[0].height }, () => {
+            priorities.forEach(({ priority, rank, skillHeight, whyHeight, height }) => {
+              layout.block(height + 8, (y) => {
+                doc.rect(leftMargin, y, pageWidth, height).fill(colors.panel);
+                doc.rect(leftMargin, y, 4, height).fill(colors.accent);
+
+                // Rank number
+                doc.fillColor(colors.accent)
+                   .fontSize(16)
+                   .font(fonts.bold)
+                   .text(`#${rank}`, leftMargin + 12, y + 6, { lineBreak: false });
+
+                // Skill name
+                doc.fillColor(colors.primary)
+                   .fontSize(9)
+                   .font(fonts.bold)
+                   .text(priority.skill || '', leftMargin + 45, y + 6, { width: textWidth });
+
+                // Why
+                doc.fillColor(colors.text)
+                   .fontSize(7)
+                   .font(fonts.regular)
+                   .text(priority.why || '', leftMargin + 45, y + 10 + skillHeight, { width: textWidth });
+
+                // How to improve
+                doc.fillColor(colors.secondary)
+                   .fontSize(7)
+                   .font(fonts.italic)
+                   .text(priority.howToImprove || '', leftMargin + 45, y + 15 + skillHeight + whyHeight, { width: textWidth });
+              });
+            });
+          });
+        }
+
+        // Quick Wins
+        if (analysis.handicapPath.quickWins?.length > 0) {
+          const wins = analysis.handicapPath.quickWins.map(win => ({
+            win,
+            height: Math.max(22, 12 + Math.max(
+              layout.measure(win.tip, { size: 8, width: pageWidth - 150 }),
+              layout.measure(win.impact, { font: fonts.bold, size: 7, width: 115 })
+            ))
+          }));
+
+          layout.space(8);
+          layout.section('QUICK WINS — START TODAY', { keepWith: wins[0].height }, () => {
+            wins.forEach(({ win, height }, i) => {
+              layout.block(height + 2, (y) => {
+                // Row background
+                doc.rect(leftMargin, y, pageWidth, height).fill(i % 2 === 0 ? colors.panel : colors.stripe);
+
+                // Checkmark circle
+                doc.circle(leftMargin + 12, y + 11, 5).fill(colors.accent);
+                doc.fillColor(colors.onAccent)
+                   .fontSize(7)
+                   .font(fonts.bold)
+                   .text('✓', leftMargin + 9, y + 7, { lineBreak: false });
+
+                // Tip text
+                doc.fillColor(colors.primary)
+                   .fontSize(8)
+                   .font(fonts.regular)
+                   .text(win.tip || '', leftMargin + 25, y + 6, { width: pageWidth - 150 });
+
+                // Impact - right aligned in separate column
+                doc.fillColor(colors.secondary)
+                   .fontSize(7)
+                   .font(fonts.bold)
+                   .text(win.impact || '', leftMargin + pageWidth - 120, y + 6, { width: 115, align: 'right' });
+              });
+            });
+          });
+        }
+      }
 
-          yPos += 18;
+      // ========== PAGE 5: HOW'S IT WORKING? ==========
+      if (effectiveness?.roundsAfter > 0) {
+        layout.chapter({
+          header: ({ continued }) => {
+            if (continued) return continuationHeader("HOW'S IT WORKING?");
 
-          const gapCount = Math.min(analysis.handicapPath.gapAnalysis.length, 3);
-          const gapColWidth = (pageWidth - (gapCount - 1) * 10) / gapCount;
-          const gapCardHeight = 65;
+            doc.rect(0, 0, page.width, 70).fill(colors.header);
 
-          analysis.handicapPath.gapAnalysis.slice(0, 3).forEach((gap, i) => {
-            const x = leftMargin + (i * (gapColWidth + 10));
+            doc.fillColor(colors.headerText)
+               .fontSize(20)
+               .font(fonts.bold)
+               .text("HOW'S IT WORKING?", leftMargin, 18, { width: pageWidth });
 
-            doc.rect(x, yPos, gapColWidth, gapCardHeight).fill(colors.lightGray);
+            doc.fontSize(11)
+               .font(fonts.regular)
+               .fillColor(colors.headerMuted)
+               .text(`${effectiveness.roundsAfter} round${effectiveness.roundsAfter === 1 ? '' : 's'} since ${effectiveness.analysisDate} vs ${effectiveness.roundsBefore} before`, leftMargin, 45, { lineBreak: false });
 
-            const diffColor = gap.difficulty?.toLowerCase() === 'hard' ? '#c44536' :
-                             gap.difficulty?.toLowerCase() === 'medium' ? '#d4a017' : colors.lightGreen;
-            doc.rect(x, yPos, gapColWidth, 3).fill(diffColor);
+            return 90;
+          },
+          footerHeight: 60,
+          footer: () => {
+            const footerY = page.height - 40;
+            doc.rect(0, footerY, page.width, 40).fill(colors.header);
 
-            doc.fillColor(colors.darkGreen)
+            doc.fillColor(colors.headerText)
                .fontSize(8)
-               .font('Helvetica-Bold')
-               .text((gap.area || '').substring(0, 22), x + 8, yPos + 10, { width: gapColWidth - 16 });
+               .font(fonts.regular)
+               .text(`${effectiveness.goalsMet} of ${effectiveness.goalsChecked} measurable goals met • ${theme.footerText}`, leftMargin, footerY + 15, { lineBreak: false });
+          }
+        });
 
-            doc.fillColor(colors.gray)
-               .fontSize(7)
-               .font('Helvetica')
-               .text(`${gap.current || '?'} → ${gap.required || '?'}`, x + 8, yPos + 24);
+        const rowHeight = 18;
+        const statusColors = { met: colors.success, unmet: colors.danger };
+        const format = (value, unit) => (value == null ? '—' : `${value}${unit || ''}`);
+        const columns = [leftMargin + 10, leftMargin + pageWidth * 0.45, leftMargin + pageWidth * 0.625, leftMargin + pageWidth * 0.8];
+        const goalWidth = pageWidth * 0.625;
+
+        // Before / after comparison
+        const comparisonHeader = {
+          height: 14,
+          draw: (y) => {
+            doc.fillColor(colors.text).fontSize(7).font(fonts.bold);
+            ['STAT', 'BEFORE', 'AFTER', 'CHANGE'].forEach((heading, i) => {
+              doc.text(heading, columns[i], y, { lineBreak: false });
+            });
+          }
+        };
 
-            doc.fillColor(colors.mediumGreen)
-               .fontSize(7)
-               .font('Helvetica-Bold')
-               .text(gap.strokesToGain ? `${gap.strokesToGain} strokes/round` : '', x + 8, yPos + 38);
+        layout.section('BEFORE VS AFTER', { repeat: comparisonHeader, keepWith: rowHeight }, () => {
+          effectiveness.comparison
+            .filter(row => row.before != null || row.after != null)
+            .forEach((row, i) => {
+              layout.block(rowHeight, (y) => {
+                doc.rect(leftMargin, y, pageWidth, rowHeight).fill(i % 2 === 0 ? colors.panel : colors.stripe);
+
+                doc.fillColor(colors.primary).fontSize(9).font(fonts.regular)
+                   .text(row.label, columns[0], y + 4, { lineBreak: false });
+                doc.fillColor(colors.text)
+                   .text(format(row.before, row.unit), columns[1], y + 4, { lineBreak: false })
+                   .text(format(row.after, row.unit), columns[2], y + 4, { lineBreak: false });
+
+                if (row.change != null) {
+                  doc.fillColor(row.improved === true ? colors.success : row.improved === false ? colors.danger : colors.text)
+                     .font(fonts.bold)
+                     .text(`${row.change > 0 ? '+' : ''}${row.change}${row.unit || ''}`, columns[3], y + 4, { lineBreak: false });
+                }
+              });
+            });
+        });
 
-            doc.fillColor(colors.gray)
-               .fontSize(6)
-               .font('Helvetica')
-               .text(gap.difficulty ? `${gap.difficulty} to improve` : '', x + 8, yPos + 52);
+        layout.space(15);
+
+        // Target stats
+        if (effectiveness.targetStats.length > 0) {
+          layout.section('TARGET STATS', { keepWith: rowHeight }, () => {
+            effectiveness.targetStats.forEach((stat, i) => {
+              layout.block(rowHeight, (y) => {
+                doc.rect(leftMargin, y, pageWidth, rowHeight).fill(i % 2 === 0 ? colors.panel : colors.stripe);
+
+                doc.fillColor(colors.primary).fontSize(9).font(fonts.regular)
+                   .text(stat.label, columns[0], y + 4, { lineBreak: false });
+                doc.fillColor(colors.text)
+                   .text(`Target ${stat.target}`, columns[1], y + 4, { lineBreak: false })
+                   .text(`Now ${format(stat.after, stat.unit)}`, columns[2], y + 4, { lineBreak: false });
+                doc.fillColor(statusColors[stat.status] || colors.text)
+                   .font(fonts.bold)
+                   .text(stat.status === 'met' ? 'MET' : stat.status === 'unmet' ? 'NOT YET' : 'NO DATA', columns[3], y + 4, { lineBreak: false });
+              });
+            });
           });
 
-          yPos += gapCardHeight + 15;
+          layout.space(15);
         }
 
-        // Improvement Priorities - 2 max to fit
-        if (analysis.handicapPath.improvementPriorities?.length > 0) {
-          doc.fillColor(colors.darkGreen)
-             .fontSize(10)
-             .font('Helvetica-Bold')
-             .text('FOCUS AREAS (IN ORDER OF PRIORITY)', leftMargin, yPos);
-
-          yPos += 18;
-
-          analysis.handicapPath.improvementPriorities.slice(0, 2).forEach((priority, i) => {
-            const cardHeight = 50;
-            doc.rect(leftMargin, yPos, pageWidth, cardHeight).fill(colors.lightGray);
-            doc.rect(leftMargin, yPos, 4, cardHeight).fill(colors.lightGreen);
-
-            // Rank number
-            doc.fillColor(colors.lightGreen)
-               .fontSize(16)
-               .font('Helvetica-Bold')
-               .text(`#${priority.rank || i + 1}`, leftMargin + 12, yPos + 6);
-
-            // Skill name
-            doc.fillColor(colors.darkGreen)
-               .fontSize(9)
-               .font('Helvetica-Bold')
-               .text((priority.skill || '').substring(0, 40), leftMargin + 45, yPos + 6, { width: pageWidth - 60 });
-
-            // Why - single line
-            doc.fillColor(colors.gray)
-               .fontSize(7)
-               .font('Helvetica')
-               .text((priority.why || '').substring(0, 75), leftMargin + 45, yPos + 20, { width: pageWidth - 60 });
-
-            // How to improve
-            doc.fillColor(colors.mediumGreen)
-               .fontSize(7)
-               .font('Helvetica-Oblique')
-               .text((priority.howToImprove || '').substring(0, 80), leftMargin + 45, yPos + 34, { width: pageWidth - 60 });
+        // 30-day plan goals
+        if (effectiveness.thirtyDayPlan.length > 0) {
+          layout.section('30-DAY PLAN GOALS', { keepWith: 14 + rowHeight }, () => {
+            effectiveness.thirtyDayPlan.forEach(week => {
+              const goals = week.goals.map(goal => ({
+                goal,
+                height: Math.max(16, layout.measure(goal.goal, { size: 9, width: goalWidth }) + 4)
+              }));
+
+              // Week heading stays with its first goal
+              const heading = `WEEK ${week.week}: ${(week.focus || '').toUpperCase()}`;
+              const headingHeight = layout.measure(heading, { font: fonts.bold, size: 8, width: pageWidth }) + 4;
+              layout.ensureSpace(headingHeight + (goals[0]?.height || 0));
+              layout.block(headingHeight, (y) => {
+                doc.fillColor(colors.secondary).fontSize(8).font(fonts.bold)
+                   .text(heading, leftMargin, y, { width: pageWidth });
+              });
 
-            yPos += cardHeight + 8;
+              goals.forEach(({ goal, height }) => {
+                layout.block(height, (y) => {
+                  doc.circle(leftMargin + 14, y + 5, 4).fill(statusColors[goal.status] || colors.border);
+                  doc.fillColor(colors.primary).fontSize(9).font(fonts.regular)
+                     .text(goal.goal, leftMargin + 25, y, { width: goalWidth });
+                  doc.fillColor(colors.text).fontSize(7)
+                     .text(goal.detail || (goal.status === 'not_tracked' ? 'Practice goal' : 'No data yet'), leftMargin + goalWidth + 30, y + 1, { width: pageWidth - goalWidth - 30, align: 'right', lineBreak: false });
+                });
+              });
+              layout.space(6);
+            });
           });
         }
+      }
 
-        // Quick Wins
-        if (analysis.handicapPath.quickWins?.length > 0) {
-          yPos += 8;
+      layout.finish();
+      doc.end();
 
-          doc.fillColor(colors.darkGreen)
-             .fontSize(10)
-             .font('Helvetica-Bold')
-             .text('QUICK WINS — START TODAY', leftMargin, yPos);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
 
-          yPos += 18;
+/**
+ * Generates a pocket-sized game plan from a course strategy - quarter-letter pages
+ * (4.25" x 5.5") with scoring targets, key-hole cards, the game plan and checklist.
+ * On Letter or A4 the same cards run the full page width.
+ * @param {Object} strategy - The course strategy object from Claude
+ * @param {Object} userData - User info (name, handicap)
+ * @param {Object} [options]
+ * @param {Object} [options.theme] - From pdfTheme.resolveTheme
+ * @param {string} [options.paper] - 'pocket' (default), 'letter' or 'a4'
+ * @returns {Promise<Buffer>} - PDF as buffer
+ */
+export function generateCourseStrategyPDF(strategy, userData, { theme = resolveTheme(), paper = 'pocket' } = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      const { doc, page } = createPaperDocument(paper, { bufferPages: true });
 
-          analysis.handicapPath.quickWins.slice(0, 3).forEach((win, i) => {
-            // Row background
-            doc.rect(leftMargin, yPos, pageWidth, 22).fill(i % 2 === 0 ? colors.lightGray : '#ffffff');
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
 
-            // Checkmark circle
-            doc.circle(leftMargin + 12, yPos + 11, 5).fill(colors.lightGreen);
-            doc.fillColor('white')
-               .fontSize(7)
-               .font('Helvetica-Bold')
-               .text('✓', leftMargin + 9, yPos + 7);
+      const { colors, fonts } = theme;
 
-            // Tip text
-            doc.fillColor(colors.darkGreen)
+      const leftMargin = page.margin;
+      const pageWidth = page.width - leftMargin * 2;
+      const courseName = strategy.courseName || 'Course Strategy';
+
+      const layout = createLayout(doc, {
+        margins: { top: 24, bottom: 30, left: leftMargin, right: leftMargin },
+        page,
+        font: fonts.regular,
+        sectionTitleHeight: 18,
+        drawSectionTitle: (title, y) => {
+          doc.fillColor(colors.primary)
+             .fontSize(9)
+             .font(fonts.bold)
+             .text(title, leftMargin, y, { width: pageWidth, lineBreak: false });
+        }
+      });
+
+      // ========== COVER ==========
+
+      layout.chapter({
+        header: ({ continued }) => {
+          // Continuation pages get a slim header with the course name
+          if (continued) {
+            doc.rect(0, 0, page.width, 28).fill(colors.header);
+            doc.fillColor(colors.headerText)
                .fontSize(8)
-               .font('Helvetica')
-               .text((win.tip || '').substring(0, 55), leftMargin + 25, yPos + 6, { width: pageWidth - 150 });
+               .font(fonts.bold)
+               .text(courseName.toUpperCase(), leftMargin, 10, { width: pageWidth, height: 10, ellipsis: true });
+            return 42;
+          }
 
-            // Impact - right aligned in separate column
-            doc.fillColor(colors.mediumGreen)
-               .fontSize(7)
-               .font('Helvetica-Bold')
-               .text((win.impact || '').substring(0, 25), leftMargin + pageWidth - 120, yPos + 6, { width: 115, align: 'right' });
+          doc.rect(0, 0, page.width, 72).fill(colors.header);
 
-            yPos += 24;
-          });
+          const titleWidth = drawLogo(doc, theme, leftMargin + pageWidth - 44, 14, 44, 44) ? pageWidth - 52 : pageWidth;
+
+          doc.fillColor(colors.headerText)
+             .fontSize(16)
+             .font(fonts.bold)
+             .text(courseName.toUpperCase(), leftMargin, 20, { width: titleWidth, height: 20, ellipsis: true });
+
+          const subtitle = [
+            strategy.tees && `${strategy.tees} tees`,
+            userData.handicap != null && `${userData.handicap} handicap`,
+            userData.name
+          ].filter(Boolean).join(' • ');
+          doc.fontSize(8)
+             .font(fonts.regular)
+             .fillColor(colors.headerMuted)
+             .text(subtitle, leftMargin, 44, { width: titleWidth, height: 10, ellipsis: true });
+
+          return 88;
         }
+      });
+
+      // Scoring targets - three boxes across
+      if (strategy.scoringTargets) {
+        layout.section('SCORING TARGETS', { keepWith: 52 }, () => {
+          const targets = [
+            { label: 'GREAT ROUND', value: strategy.scoringTargets.great, color: colors.accent },
+            { label: 'SOLID ROUND', value: strategy.scoringTargets.solid, color: colors.primary },
+            { label: 'KEEP IT UNDER', value: strategy.scoringTargets.max, color: colors.danger }
+          ];
+          const boxWidth = (pageWidth - 16) / 3;
+
+          layout.block(66, (y) => {
+            targets.forEach((target, i) => {
+              const x = leftMargin + i * (boxWidth + 8);
+              doc.rect(x, y, boxWidth, 52).fill(colors.panel);
+              doc.rect(x, y, boxWidth, 3).fill(target.color);
+
+              doc.fillColor(target.color)
+                 .fontSize(20)
+                 .font(fonts.bold)
+                 .text(target.value != null ? String(target.value) : '-', x, y + 10, { width: boxWidth, align: 'center', lineBreak: false });
+
+              doc.fillColor(colors.text)
+                 .fontSize(6)
+                 .font(fonts.regular)
+                 .text(target.label, x, y + 37, { width: boxWidth, align: 'center', lineBreak: false });
+            });
+          });
+        });
+      }
 
-        // Footer
-        const footerY = doc.page.height - 40;
-        doc.rect(0, footerY, doc.page.width, 40).fill(colors.darkGreen);
+      // Overview
+      if (strategy.overview) {
+        const overviewHeight = layout.measure(strategy.overview, { size: 9 });
+        layout.section('THE COURSE', { keepWith: overviewHeight }, () => {
+          layout.text(strategy.overview, { size: 9, color: colors.text, gap: 14 });
+        });
+      }
 
-        doc.fillColor('white')
-           .fontSize(8)
-           .font('Helvetica')
-           .text('Generated by Golf Strategy • golfstrategy.app', leftMargin, footerY + 15, { lineBreak: false });
+      // ========== KEY HOLE CARDS ==========
+
+      const keyHoles = [...(strategy.keyHoles || [])].sort((a, b) => a.number - b.number);
+      if (keyHoles.length > 0) {
+        const textWidth = pageWidth - 24;
+
+        const cards = keyHoles.map(hole => {
+          const strategyHeight = layout.measure(hole.strategy, { size: 9, width: textWidth });
+          const dangerText = hole.danger ? `DANGER: ${hole.danger}` : null;
+          const dangerHeight = layout.measure(dangerText, { font: fonts.bold, size: 8, width: textWidth });
+          return {
+            hole,
+            dangerText,
+            strategyHeight,
+            height: 32 + strategyHeight + (dangerText ? dangerHeight + 6 : 0) + 10
+          };
+        });
+
+        layout.section('KEY HOLES', { keepWith: cards[0].height }, () => {
+          cards.forEach(({ hole, dangerText, strategyHeight, height }) => {
+            layout.block(height + 8, (y) => {
+              doc.rect(leftMargin, y, pageWidth, height).fill(colors.panel);
+              doc.rect(leftMargin, y, 4, height).fill(dangerText ? colors.danger : colors.accent);
+
+              doc.fillColor(colors.primary)
+                 .fontSize(12)
+                 .font(fonts.bold)
+                 .text(`HOLE ${hole.number}`, leftMargin + 12, y + 10, { lineBreak: false });
+
+              const holeInfo = [hole.par && `Par ${hole.par}`, hole.yardage && `${hole.yardage} yds`].filter(Boolean).join(' • ');
+              doc.fillColor(colors.secondary)
+                 .fontSize(8)
+                 .font(fonts.bold)
+                 .text(holeInfo, leftMargin + 12, y + 13, { width: textWidth, align: 'right', lineBreak: false });
+
+              doc.fillColor(colors.text)
+                 .fontSize(9)
+                 .font(fonts.regular)
+                 .text(hole.strategy || '', leftMargin + 12, y + 32, { width: textWidth });
+
+              if (dangerText) {
+                doc.fillColor(colors.danger)
+                   .fontSize(8)
+                   .font(fonts.bold)
+                   .text(dangerText, leftMargin + 12, y + 38 + strategyHeight, { width: textWidth });
+              }
+            });
+          });
+        });
+
+        layout.space(6);
+      }
+
+      // ========== GAME PLAN ==========
+
+      if (strategy.generalStrategy?.length > 0) {
+        const tips = strategy.generalStrategy.map(tip => {
+          const titleHeight = layout.measure(tip.title, { font: fonts.bold, size: 9, width: pageWidth - 16 });
+          const descriptionHeight = layout.measure(tip.description, { size: 8, width: pageWidth - 16 });
+          return { tip, titleHeight, height: titleHeight + descriptionHeight + 4 };
+        });
+
+        layout.section('GAME PLAN', { keepWith: tips[0].height }, () => {
+          tips.forEach(({ tip, titleHeight, height }) => {
+            layout.block(height + 8, (y) => {
+              doc.circle(leftMargin + 3, y + 4, 3).fill(colors.accent);
+
+              doc.fillColor(colors.primary)
+                 .fontSize(9)
+                 .font(fonts.bold)
+                 .text(tip.title || '', leftMargin + 16, y, { width: pageWidth - 16 });
+
+              doc.fillColor(colors.text)
+                 .fontSize(8)
+                 .font(fonts.regular)
+                 .text(tip.description || '', leftMargin + 16, y + titleHeight + 2, { width: pageWidth - 16 });
+            });
+          });
+        });
+
+        layout.space(6);
+      }
+
+      // ========== PRE-ROUND CHECKLIST ==========
+
+      if (strategy.preRoundChecklist?.length > 0) {
+        const items = strategy.preRoundChecklist.map(item => ({
+          item,
+          height: Math.max(layout.measure(item, { size: 9, width: pageWidth - 18 }), 10)
+        }));
+
+        layout.section('PRE-ROUND CHECKLIST', { keepWith: items[0].height }, () => {
+          items.forEach(({ item, height }) => {
+            layout.block(height + 8, (y) => {
+              doc.rect(leftMargin, y + 1, 8, 8)
+                 .lineWidth(0.8)
+                 .stroke(colors.primary);
+
+              doc.fillColor(colors.text)
+                 .fontSize(9)
+                 .font(fonts.regular)
+                 .text(item || '', leftMargin + 18, y, { width: pageWidth - 18 });
+            });
+          });
+        });
+      }
+
+      layout.finish();
+
+      // Footer with page numbers on every page (bottom margin lifted so it doesn't spill onto a new page)
+      const pages = doc.bufferedPageRange();
+      for (let i = 0; i < pages.count; i++) {
+        doc.switchToPage(pages.start + i);
+        doc.page.margins.bottom = 0;
+
+        doc.fillColor(colors.text)
+           .fontSize(6)
+           .font(fonts.regular)
+           .text(theme.footerText, leftMargin, page.height - 18, { lineBreak: false });
+        doc.text(`${i + 1} / ${pages.count}`, leftMargin, page.height - 18, { width: pageWidth, align: 'right', lineBreak: false });
       }
 
       doc.end();
@@ -796,14 +1269,34 @@ export function generateStrategyPDF(analysis, userData) {
 }
 
 /**
- * Generates a detailed practice plan PDF - Clean 2-page layout
+ * Generates a yardage book from holeByHoleStrategy: a cover, one page per hole
+ * (par/yards, traffic light, tee club, miss side, historical average, approach and
+ * room for notes) and a back cover. Pages are half the paper (5.5" x 8.5" on
+ * Letter, A5 on A4). With the default booklet layout they're imposed two per side
+ * of a landscape sheet and padded with note pages to whole sheets, so the stack
+ * prints double-sided (flip on short edge), folds in half and reads in order.
+ * @param {Object} analysis - The analysis object from Claude
+ * @param {Object} userData - User info (name, handicap, course)
+ * @param {Object} [options]
+ * @param {string} [options.layout] - 'booklet' (default) or 'pages' for one half-sheet page at a time
+ * @param {Object} [options.theme] - From pdfTheme.resolveTheme
+ * @param {string} [options.paper] - 'letter' (default) or 'a4', the sheet the book is printed on
+ * @returns {Promise<Buffer>} - PDF as buffer
  */
-export function generatePracticePlanPDF(analysis, userData) {
+export function generateYardageBookPDF(analysis, userData, { layout = 'booklet', theme = resolveTheme(), paper = 'letter' } = {}) {
   return new Promise((resolve, reject) => {
     try {
+      assertSheetPaper(paper);
+      // Half of a landscape sheet
+      const [sheetWidth, sheetHeight] = PAPER_SIZES[paper].size;
+      const pageWidth = sheetHeight / 2;
+      const pageHeight = sheetWidth;
+      const booklet = layout === 'booklet';
+
       const doc = new PDFDocument({
-        size: 'LETTER',
-        margins: { top: 50, bottom: 50, left: 50, right: 50 }
+        size: booklet ? [pageWidth * 2, pageHeight] : [pageWidth, pageHeight],
+        margin: 0,
+        autoFirstPage: false
       });
 
       const chunks = [];
@@ -811,221 +1304,522 @@ export function generatePracticePlanPDF(analysis, userData) {
       doc.on('end', () => resolve(Buffer.concat(chunks)));
       doc.on('error', reject);
 
-      const colors = {
-        darkGreen: '#1a472a',
-        lightGreen: '#7cb97c',
-        mediumGreen: '#2d5a3d',
-        gray: '#555555',
-        lightGray: '#f7f7f5'
+      const { colors, fonts } = theme;
+
+      const lights = {
+        green: { label: 'GREEN LIGHT', subtitle: 'Driver OK - attack', color: colors.success, textColor: colors.onSuccess },
+        yellow: { label: 'YELLOW LIGHT', subtitle: 'Conditional - pick your spot', color: colors.caution, textColor: colors.onCaution },
+        red: { label: 'RED LIGHT', subtitle: '3-Hybrid/Iron only - play safe', color: colors.danger, textColor: colors.onDanger }
       };
 
-      const pageWidth = doc.page.width - 100;
-      const leftMargin = 50;
+      const margin = 28;
+      const contentWidth = pageWidth - margin * 2;
+      const courseName = userData.homeCourse || 'Course Strategy';
+      const holes = [...(analysis.holeByHoleStrategy || [])].sort((a, b) => a.hole - b.hole);
+      const holeAverages = getHoleAverages(analysis);
 
-      // ========== PAGE 1 ==========
-      
-      // Header
-      doc.rect(0, 0, doc.page.width, 100).fill(colors.darkGreen);
-      
-      doc.fillColor('white')
-         .fontSize(28)
-         .font('Helvetica-Bold')
-         .text('PRACTICE PLAN', leftMargin, 30);
-      
-      doc.fontSize(12)
-         .font('Helvetica')
-         .fillColor('rgba(255,255,255,0.8)')
-         .text(`${userData.name} • Tailored for ${userData.missPattern || 'your'} miss pattern`, leftMargin, 65);
-
-      let yPos = 130;
-
-      // Weekly Schedule - limit to first 2 sessions on page 1
-      if (analysis.practicePlan?.weeklySchedule?.length > 0) {
-        const sessions = analysis.practicePlan.weeklySchedule.slice(0, 2);
-        
-        sessions.forEach((session, sessionIndex) => {
-          // Session header card
-          doc.rect(leftMargin, yPos, pageWidth, 40)
-             .fill(colors.lightGray);
-          doc.rect(leftMargin, yPos, 4, 40).fill(colors.lightGreen);
-          
-          // Session name
-          doc.fillColor(colors.darkGreen)
-             .fontSize(14)
-             .font('Helvetica-Bold')
-             .text(session.session, leftMargin + 15, yPos + 8);
-          
-          // Duration - positioned on the right
-          doc.fillColor(colors.lightGreen)
-             .fontSize(11)
-             .font('Helvetica')
-             .text(session.duration, leftMargin + pageWidth - 80, yPos + 10, { width: 70, align: 'right' });
-          
-          // Focus text
-          if (session.focus) {
-            doc.fillColor(colors.gray)
-               .fontSize(9)
-               .font('Helvetica-Oblique')
-               .text(session.focus, leftMargin + 15, yPos + 26, { width: pageWidth - 100 });
+      const measure = (text, font, size, width = contentWidth) => {
+        doc.font(font).fontSize(size);
+        return doc.heightOfString(text || '', { width });
+      };
+
+      // Ruled lines for handwritten notes, from y down to the footer
+      const drawNoteLines = (y) => {
+        for (let lineY = y + 22; lineY < pageHeight - 48; lineY += 22) {
+          doc.moveTo(margin, lineY)
+             .lineTo(pageWidth - margin, lineY)
+             .lineWidth(0.5)
+             .stroke(colors.border);
+        }
+      };
+
+      const drawFooter = (pageNumber) => {
+        doc.fillColor(colors.text)
+           .fontSize(7)
+           .font(fonts.regular)
+           .text(courseName, margin, pageHeight - 30, { width: contentWidth - 40, height: 9, ellipsis: true });
+        doc.text(String(pageNumber), margin, pageHeight - 30, { width: contentWidth, align: 'right', lineBreak: false });
+      };
+
+      // ========== COVER ==========
+      const drawCover = () => {
+        doc.rect(0, 0, pageWidth, 270).fill(colors.header);
+        drawLogo(doc, theme, margin, 20, contentWidth, 40);
+
+        doc.fillColor(colors.accent)
+           .fontSize(10)
+           .font(fonts.bold)
+           .text('YARDAGE BOOK', margin, 70, { characterSpacing: 2, lineBreak: false });
+
+        doc.fillColor(colors.headerText)
+           .fontSize(26)
+           .font(fonts.bold)
+           .text(courseName.toUpperCase(), margin, 92, { width: contentWidth, height: 64, ellipsis: true });
+
+        const subtitle = [userData.name, userData.handicap != null && `${userData.handicap} Handicap`].filter(Boolean).join(' • ');
+        doc.fillColor(colors.headerMuted)
+           .fontSize(11)
+           .font(fonts.regular)
+           .text(subtitle, margin, 176, { width: contentWidth, height: 14, ellipsis: true });
+        doc.text(`${new Date().getFullYear()} Season`, margin, 194, { lineBreak: false });
+
+        let yPos = 300;
+
+        // Goal and key insight
+        if (analysis.summary) {
+          doc.rect(margin, yPos, contentWidth, 4).fill(colors.accent);
+
+          doc.fillColor(colors.primary)
+             .fontSize(8)
+             .font(fonts.bold)
+             .text('GOAL', margin, yPos + 16, { lineBreak: false });
+
+          doc.fontSize(20)
+             .text(`${analysis.summary.currentHandicap ?? userData.handicap} to ${analysis.summary.targetHandicap ?? '?'}`, margin, yPos + 28, { lineBreak: false });
+
+          yPos += 64;
+
+          if (analysis.summary.keyInsight) {
+            const insightHeight = Math.min(measure(analysis.summary.keyInsight, fonts.regular, 10), 80);
+            doc.fillColor(colors.text)
+               .fontSize(10)
+               .font(fonts.regular)
+               .text(analysis.summary.keyInsight, margin, yPos, { width: contentWidth, height: insightHeight + 1, ellipsis: true, lineGap: 0 });
+            yPos += insightHeight + 24;
           }
-          
-          yPos += 55;
-
-          // Drills - limit to 2 per session
-          const drills = session.drills?.slice(0, 2) || [];
-          drills.forEach((drill, drillIndex) => {
-            doc.rect(leftMargin, yPos, pageWidth, 65)
-               .fill(colors.lightGray);
-            
-            // Drill name
-            doc.fillColor(colors.darkGreen)
+        }
+
+        // Traffic light legend
+        doc.fillColor(colors.primary)
+           .fontSize(8)
+           .font(fonts.bold)
+           .text('TEE SHOT', margin, yPos, { lineBreak: false });
+        yPos += 16;
+
+        Object.values(lights).forEach(light => {
+          doc.circle(margin + 6, yPos + 5, 6).fill(light.color);
+          doc.fillColor(colors.primary)
+             .fontSize(9)
+             .font(fonts.bold)
+             .text(light.label, margin + 20, yPos + 1, { lineBreak: false });
+          doc.fillColor(colors.text)
+             .font(fonts.regular)
+             .text(light.subtitle, margin + 110, yPos + 1, { width: contentWidth - 110, height: 11, ellipsis: true });
+          yPos += 20;
+        });
+      };
+
+      // ========== ONE PAGE PER HOLE ==========
+      const drawHole = (hole, pageNumber) => {
+        const light = lights[hole.light] || lights.green;
+        const holeAvg = holeAverages[hole.hole];
+
+        // Header band
+        doc.rect(0, 0, pageWidth, 110).fill(colors.header);
+
+        doc.fillColor(colors.headerMuted)
+           .fontSize(9)
+           .font(fonts.bold)
+           .text('HOLE', margin, 26, { characterSpacing: 2, lineBreak: false });
+
+        doc.fillColor(colors.headerText)
+           .fontSize(48)
+           .font(fonts.bold)
+           .text(String(hole.hole), margin, 40, { lineBreak: false });
+
+        doc.fontSize(18)
+           .text(`PAR ${hole.par}`, margin, 40, { width: contentWidth, align: 'right', lineBreak: false });
+
+        if (hole.yards) {
+          doc.fillColor(colors.headerMuted)
+             .fontSize(12)
+             .font(fonts.regular)
+             .text(`${hole.yards} YDS`, margin, 64, { width: contentWidth, align: 'right', lineBreak: false });
+        }
+
+        // Traffic light strip
+        doc.rect(0, 110, pageWidth, 26).fill(light.color);
+        doc.fillColor(light.textColor)
+           .fontSize(9)
+           .font(fonts.bold)
+           .text(`${light.label}  •  ${light.subtitle.toUpperCase()}`, margin, 119, { width: contentWidth, height: 11, ellipsis: true });
+
+        // Tee club, miss side, historical average
+        let yPos = 152;
+        const boxWidth = (contentWidth - 16) / 3;
+        const boxes = [
+          { label: 'TEE CLUB', value: hole.teeShot || '-' },
+          { label: 'MISS SIDE', value: hole.missSide ? hole.missSide.charAt(0).toUpperCase() + hole.missSide.slice(1) : '-' },
+          {
+            label: 'YOUR AVERAGE',
+            value: holeAvg?.avg || '-',
+            detail: holeAvg?.avg ? `${holeAvg.vspar > 0 ? '+' : ''}${holeAvg.vspar} vs par • ${holeAvg.count} rds` : null
+          }
+        ];
+
+        boxes.forEach((box, i) => {
+          const x = margin + i * (boxWidth + 8);
+          doc.rect(x, yPos, boxWidth, 58).fill(colors.panel);
+
+          doc.fillColor(colors.text)
+             .fontSize(7)
+             .font(fonts.regular)
+             .text(box.label, x + 8, yPos + 9, { lineBreak: false });
+
+          doc.fillColor(colors.primary)
+             .fontSize(12)
+             .font(fonts.bold)
+             .text(box.value, x + 8, yPos + 22, { width: boxWidth - 16, height: 15, ellipsis: true });
+
+          if (box.detail) {
+            doc.fillColor(colors.secondary)
+               .fontSize(7)
+               .font(fonts.regular)
+               .text(box.detail, x + 8, yPos + 40, { width: boxWidth - 16, height: 9, ellipsis: true });
+          }
+        });
+
+        yPos += 76;
+
+        // Strategy, approach and notes - each capped so the note space always survives
+        const sections = [
+          { label: 'STRATEGY', text: hole.strategy, font: fonts.regular, size: 11, maxHeight: 84, color: colors.text },
+          { label: 'APPROACH', text: hole.approachStrategy, font: fonts.regular, size: 10, maxHeight: 52, color: colors.text },
+          { label: 'REMEMBER', text: hole.notes, font: fonts.italic, size: 9, maxHeight: 36, color: colors.secondary }
+        ].filter(section => section.text);
+
+        sections.forEach(section => {
+          const height = Math.min(measure(section.text, section.font, section.size), section.maxHeight);
+
+          doc.fillColor(colors.primary)
+             .fontSize(8)
+             .font(fonts.bold)
+             .text(section.label, margin, yPos, { lineBreak: false });
+
+          doc.fillColor(section.color)
+             .fontSize(section.size)
+             .font(section.font)
+             .text(section.text, margin, yPos + 13, { width: contentWidth, height: height + 1, ellipsis: true });
+
+          yPos += height + 27;
+        });
+
+        // Blank note space
+        doc.fillColor(colors.primary)
+           .fontSize(8)
+           .font(fonts.bold)
+           .text('MY NOTES', margin, yPos, { lineBreak: false });
+        drawNoteLines(yPos);
+
+        drawFooter(pageNumber);
+      };
+
+      // ========== NOTE PAGES (padding) ==========
+      const drawNotes = (pageNumber) => {
+        doc.fillColor(colors.primary)
+           .fontSize(8)
+           .font(fonts.bold)
+           .text('NOTES', margin, 36, { lineBreak: false });
+        drawNoteLines(36);
+        drawFooter(pageNumber);
+      };
+
+      // ========== BACK COVER ==========
+      const drawBackCover = () => {
+        let yPos = 60;
+
+        if (analysis.mentalGame?.mantras?.length > 0) {
+          doc.fillColor(colors.primary)
+             .fontSize(8)
+             .font(fonts.bold)
+             .text('MANTRAS TO REMEMBER', margin, yPos, { lineBreak: false });
+          yPos += 20;
+
+          analysis.mentalGame.mantras.slice(0, 4).forEach(mantra => {
+            const height = Math.min(measure(`"${mantra}"`, fonts.italic, 11, contentWidth - 20), 42);
+            doc.circle(margin + 4, yPos + 6, 3).fill(colors.accent);
+            doc.fillColor(colors.text)
                .fontSize(11)
-               .font('Helvetica-Bold')
-               .text(drill.name || '', leftMargin + 15, yPos + 10, { width: pageWidth - 100, lineBreak: false });
-            
-            // Reps badge
-            if (drill.reps) {
-              doc.fillColor(colors.lightGreen)
-                 .fontSize(9)
-                 .font('Helvetica-Bold')
-                 .text(drill.reps, leftMargin + pageWidth - 80, yPos + 10, { width: 70, align: 'right', lineBreak: false });
-            }
-            
-            // Description - truncate
-            const descText = drill.description?.substring(0, 100) || '';
-            doc.fillColor(colors.gray)
-               .fontSize(9)
-               .font('Helvetica')
-               .text(descText, leftMargin + 15, yPos + 28, { width: pageWidth - 40, height: 16 });
-            
-            // Why (if exists) - truncate
-            if (drill.why) {
-              const whyText = drill.why?.substring(0, 80) || '';
-              doc.fillColor(colors.mediumGreen)
-                 .fontSize(8)
-                 .font('Helvetica-Oblique')
-                 .text(`Why: ${whyText}`, leftMargin + 15, yPos + 48, { width: pageWidth - 40, lineBreak: false });
-            }
-            
-            yPos += 75;
+               .font(fonts.italic)
+               .text(`"${mantra}"`, margin + 20, yPos, { width: contentWidth - 20, height: height + 1, ellipsis: true });
+            yPos += height + 12;
           });
+        }
 
-          yPos += 20;
+        // Round focus at the foot of the back cover
+        const roundFocus = analysis.courseStrategy?.overallApproach ||
+                           analysis.mentalGame?.preShot ||
+                           'Play smart, trust your process, commit to every shot.';
+        const footerY = pageHeight - 150;
+        doc.rect(0, footerY, pageWidth, 150).fill(colors.header);
+
+        doc.fillColor(colors.headerText)
+           .fontSize(8)
+           .font(fonts.bold)
+           .text('ROUND FOCUS', margin, footerY + 24, { lineBreak: false });
+
+        doc.fontSize(11)
+           .font(fonts.regular)
+           .text(roundFocus, margin, footerY + 40, { width: contentWidth, height: 56, ellipsis: true });
+
+        doc.fillColor(colors.headerMuted)
+           .fontSize(7)
+           .text(theme.footerText, margin, pageHeight - 30, { lineBreak: false });
+      };
+
+      const pages = [drawCover, ...holes.map(hole => (pageNumber) => drawHole(hole, pageNumber))];
+      if (booklet) {
+        // Whole sheets only: 4 pages per folded sheet, the back cover last
+        while ((pages.length + 1) % 4 !== 0) pages.push(drawNotes);
+      }
+      pages.push(drawBackCover);
+
+      // Draws logical page `index` with its top-left corner at x on the current sheet
+      const drawPage = (index, x) => {
+        doc.save();
+        doc.translate(x, 0);
+        pages[index](index + 1);
+        doc.restore();
+      };
+
+      // Short ticks at the top and bottom of the fold
+      const drawFoldMarks = () => {
+        doc.moveTo(pageWidth, 0).lineTo(pageWidth, 10)
+           .moveTo(pageWidth, pageHeight - 10).lineTo(pageWidth, pageHeight)
+           .lineWidth(0.5)
+           .stroke(colors.text);
+      };
+
+      if (booklet) {
+        // Saddle-stitch order: the outermost sheet carries the last page and page 1
+        // on its front and pages 2 and N-1 on its back, working inwards
+        const count = pages.length;
+        for (let sheet = 0; sheet < count / 4; sheet++) {
+          doc.addPage();
+          drawPage(count - 1 - sheet * 2, 0);
+          drawPage(sheet * 2, pageWidth);
+          drawFoldMarks();
+
+          doc.addPage();
+          drawPage(sheet * 2 + 1, 0);
+          drawPage(count - 2 - sheet * 2, pageWidth);
+          drawFoldMarks();
+        }
+      } else {
+        pages.forEach((_, index) => {
+          doc.addPage();
+          drawPage(index, 0);
         });
       }
 
-      // ========== PAGE 2 ==========
-      doc.addPage();
-      yPos = 50;
-
-      // Remaining sessions (if any)
-      if (analysis.practicePlan?.weeklySchedule?.length > 2) {
-        const remainingSessions = analysis.practicePlan.weeklySchedule.slice(2, 4);
-        
-        remainingSessions.forEach((session, sessionIndex) => {
-          // Session header card
-          doc.rect(leftMargin, yPos, pageWidth, 40)
-             .fill(colors.lightGray);
-          doc.rect(leftMargin, yPos, 4, 40).fill(colors.lightGreen);
-          
-          doc.fillColor(colors.darkGreen)
+      doc.end();
+
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generates a detailed practice plan PDF - every session, drill and routine step,
+ * flowing onto as many pages as it needs
+ * @param {Object} [options] - { theme, paper } as for generateStrategyPDF
+ */
+export function generatePracticePlanPDF(analysis, userData, { theme = resolveTheme(), paper = 'letter' } = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      assertSheetPaper(paper);
+      const { doc, page } = createPaperDocument(paper);
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { colors, fonts } = theme;
+
+      const leftMargin = page.margin;
+      const pageWidth = page.width - leftMargin * 2;
+
+      const layout = createLayout(doc, {
+        margins: { top: 50, bottom: 50, left: leftMargin, right: leftMargin },
+        page,
+        font: fonts.regular,
+        sectionTitleHeight: 30,
+        drawSectionTitle: (title, y) => {
+          doc.fillColor(colors.primary)
              .fontSize(14)
-             .font('Helvetica-Bold')
-             .text(session.session, leftMargin + 15, yPos + 8);
-          
-          doc.fillColor(colors.lightGreen)
-             .fontSize(11)
-             .font('Helvetica')
-             .text(session.duration, leftMargin + pageWidth - 80, yPos + 10, { width: 70, align: 'right' });
-          
+             .font(fonts.bold)
+             .text(title, leftMargin, y, { width: pageWidth, lineBreak: false });
+        }
+      });
+
+      layout.chapter({
+        header: ({ continued }) => {
+          if (continued) {
+            doc.rect(0, 0, page.width, 36).fill(colors.header);
+            doc.fillColor(colors.headerText)
+               .fontSize(10)
+               .font(fonts.bold)
+               .text(`PRACTICE PLAN • ${userData.name}`, leftMargin, 13, { width: pageWidth, height: 12, ellipsis: true });
+            return 56;
+          }
+
+          // Header
+          doc.rect(0, 0, page.width, 100).fill(colors.header);
+
+          const titleWidth = drawLogo(doc, theme, leftMargin + pageWidth - 90, 20, 90, 60) ? pageWidth - 100 : pageWidth;
+
+          doc.fillColor(colors.headerText)
+             .fontSize(28)
+             .font(fonts.bold)
+             .text('PRACTICE PLAN', leftMargin, 30, { width: titleWidth, height: 30, ellipsis: true });
+
+          doc.fontSize(12)
+             .font(fonts.regular)
+             .fillColor(colors.headerMuted)
+             .text(`${userData.name} • Tailored for ${userData.missPattern || 'your'} miss pattern`, leftMargin, 65, { width: titleWidth });
+
+          return 130;
+        },
+        footerHeight: 75,
+        footer: () => {
+          // Footer - fixed at bottom of every page
+          const footerY = page.height - 60;
+          doc.rect(0, footerY, page.width, 60).fill(colors.header);
+
+          doc.fillColor(colors.headerText)
+             .fontSize(8)
+             .font(fonts.regular)
+             .text(theme.footerText, leftMargin, footerY + 25, { lineBreak: false });
+        }
+      });
+
+      // Weekly Schedule - every session and drill, each card sized to its text
+      const sessions = (analysis.practicePlan?.weeklySchedule || []).map(session => {
+        const nameHeight = Math.max(layout.measure(session.session, { font: fonts.bold, size: 14, width: pageWidth - 100 }), 17);
+        const focusHeight = layout.measure(session.focus, { font: fonts.italic, size: 9, width: pageWidth - 100 });
+
+        const drills = (session.drills || []).map(drill => {
+          const drillNameHeight = Math.max(layout.measure(drill.name, { font: fonts.bold, size: 11, width: pageWidth - 100 }), 13);
+          const descHeight = layout.measure(drill.description, { size: 9, width: pageWidth - 40 });
+          const whyHeight = drill.why ? layout.measure(`Why: ${drill.why}`, { font: fonts.italic, size: 8, width: pageWidth - 40 }) : 0;
+          return {
+            drill,
+            nameHeight: drillNameHeight,
+            descHeight,
+            height: Math.max(65, 10 + drillNameHeight + 5 + descHeight + (whyHeight ? 6 + whyHeight : 0) + 10)
+          };
+        });
+
+        return {
+          session,
+          nameHeight,
+          height: Math.max(40, 8 + nameHeight + (focusHeight ? 2 + focusHeight : 0) + 8),
+          drills
+        };
+      });
+
+      sessions.forEach(({ session, nameHeight, height, drills }) => {
+        // Session header card stays with its first drill
+        layout.ensureSpace(height + 15 + (drills[0]?.height || 0));
+        layout.block(height + 15, (y) => {
+          doc.rect(leftMargin, y, pageWidth, height)
+             .fill(colors.panel);
+          doc.rect(leftMargin, y, 4, height).fill(colors.accent);
+
+          // Session name
+          doc.fillColor(colors.primary)
+             .fontSize(14)
+             .font(fonts.bold)
+             .text(session.session || '', leftMargin + 15, y + 8, { width: pageWidth - 100 });
+
+          // Duration - positioned on the right
+          if (session.duration) {
+            doc.fillColor(colors.accent)
+               .fontSize(11)
+               .font(fonts.regular)
+               .text(session.duration, leftMargin + pageWidth - 80, y + 10, { width: 70, align: 'right' });
+          }
+
+          // Focus text
           if (session.focus) {
-            doc.fillColor(colors.gray)
+            doc.fillColor(colors.text)
                .fontSize(9)
-               .font('Helvetica-Oblique')
-               .text(session.focus, leftMargin + 15, yPos + 26, { width: pageWidth - 100 });
+               .font(fonts.italic)
+               .text(session.focus, leftMargin + 15, y + 10 + nameHeight, { width: pageWidth - 100 });
           }
-          
-          yPos += 55;
-
-          const drills = session.drills?.slice(0, 2) || [];
-          drills.forEach((drill) => {
-            doc.rect(leftMargin, yPos, pageWidth, 65)
-               .fill(colors.lightGray);
-            
-            doc.fillColor(colors.darkGreen)
+        });
+
+        drills.forEach(({ drill, nameHeight: drillNameHeight, descHeight, height: drillHeight }) => {
+          layout.block(drillHeight + 10, (y) => {
+            doc.rect(leftMargin, y, pageWidth, drillHeight)
+               .fill(colors.panel);
+
+            // Drill name
+            doc.fillColor(colors.primary)
                .fontSize(11)
-               .font('Helvetica-Bold')
-               .text(drill.name || '', leftMargin + 15, yPos + 10, { width: pageWidth - 100, lineBreak: false });
-            
+               .font(fonts.bold)
+               .text(drill.name || '', leftMargin + 15, y + 10, { width: pageWidth - 100 });
+
+            // Reps badge
             if (drill.reps) {
-              doc.fillColor(colors.lightGreen)
+              doc.fillColor(colors.accent)
                  .fontSize(9)
-                 .font('Helvetica-Bold')
-                 .text(drill.reps, leftMargin + pageWidth - 80, yPos + 10, { width: 70, align: 'right', lineBreak: false });
+                 .font(fonts.bold)
+                 .text(drill.reps, leftMargin + pageWidth - 80, y + 10, { width: 70, align: 'right' });
             }
-            
-            const descText = drill.description?.substring(0, 100) || '';
-            doc.fillColor(colors.gray)
+
+            // Description
+            doc.fillColor(colors.text)
                .fontSize(9)
-               .font('Helvetica')
-               .text(descText, leftMargin + 15, yPos + 28, { width: pageWidth - 40, height: 16 });
-            
+               .font(fonts.regular)
+               .text(drill.description || '', leftMargin + 15, y + 15 + drillNameHeight, { width: pageWidth - 40 });
+
+            // Why (if exists)
             if (drill.why) {
-              const whyText = drill.why?.substring(0, 80) || '';
-              doc.fillColor(colors.mediumGreen)
+              doc.fillColor(colors.secondary)
                  .fontSize(8)
-                 .font('Helvetica-Oblique')
-                 .text(`Why: ${whyText}`, leftMargin + 15, yPos + 48, { width: pageWidth - 40, lineBreak: false });
+                 .font(fonts.italic)
+                 .text(`Why: ${drill.why}`, leftMargin + 15, y + 21 + drillNameHeight + descHeight, { width: pageWidth - 40 });
             }
-            
-            yPos += 75;
           });
-
-          yPos += 20;
         });
-      }
+
+        layout.space(20);
+      });
 
       // Pre-Round Routine
       if (analysis.practicePlan?.preRoundRoutine?.length > 0) {
-        yPos += 10;
-        
-        doc.fillColor(colors.darkGreen)
-           .fontSize(14)
-           .font('Helvetica-Bold')
-           .text('PRE-ROUND ROUTINE', leftMargin, yPos, { lineBreak: false });
-        
-        yPos += 30;
-
-        analysis.practicePlan.preRoundRoutine.slice(0, 5).forEach((step, i) => {
-          // Number circle
-          doc.circle(leftMargin + 12, yPos + 8, 12)
-             .fill(colors.lightGreen);
-          
-          doc.fillColor('white')
-             .fontSize(11)
-             .font('Helvetica-Bold')
-             .text((i + 1).toString(), leftMargin + 8, yPos + 3, { lineBreak: false });
-          
-          // Step text - truncate
-          const stepText = step?.substring(0, 80) || '';
-          doc.fillColor(colors.gray)
-             .fontSize(10)
-             .font('Helvetica')
-             .text(stepText, leftMargin + 35, yPos + 2, { width: pageWidth - 50, lineBreak: false });
-          
-          yPos += 35;
+        const steps = analysis.practicePlan.preRoundRoutine.map(step => ({
+          step: step || '',
+          height: Math.max(24, layout.measure(step, { size: 10, width: pageWidth - 50 })) + 11
+        }));
+
+        layout.space(10);
+        layout.section('PRE-ROUND ROUTINE', { keepWith: steps[0].height }, () => {
+          steps.forEach(({ step, height }, i) => {
+            layout.block(height, (y) => {
+              // Number circle
+              doc.circle(leftMargin + 12, y + 8, 12)
+                 .fill(colors.accent);
+
+              doc.fillColor(colors.onAccent)
+                 .fontSize(11)
+                 .font(fonts.bold)
+                 .text((i + 1).toString(), leftMargin, y + 3, { width: 24, align: 'center', lineBreak: false });
+
+              // Step text
+              doc.fillColor(colors.text)
+                 .fontSize(10)
+                 .font(fonts.regular)
+                 .text(step, leftMargin + 35, y + 2, { width: pageWidth - 50 });
+            });
+          });
         });
       }
 
-      // Footer - fixed at bottom
-      const footerY = doc.page.height - 60;
-      doc.rect(0, footerY, doc.page.width, 60).fill(colors.darkGreen);
-      
-      doc.fillColor('white')
-         .fontSize(8)
-         .font('Helvetica')
-         .text('Generated by Golf Strategy • golfstrategy.app', leftMargin, footerY + 25, { lineBreak: false });
-
+      layout.finish();
       doc.end();
 
     } catch (error) {
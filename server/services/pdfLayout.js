@@ -0,0 +1,181 @@
+// PDF Layout
+// A small flow layer over pdfkit so PDFs can include every item instead of cutting
+// lists and text to fit a fixed page. Content is placed as measured blocks: a block
+// that doesn't fit in what's left of the page moves whole to the next one (cards
+// never split), continuation pages get the chapter's running header and the current
+// section's title again, and footers are drawn as each page is finished.
+//
+// Usage:
+//   const layout = createLayout(doc, { margins, drawSectionTitle });
+//   layout.chapter({ header: ({ continued }) => startY, footer, footerHeight });
+//   layout.section('TROUBLE HOLES', { keepWith: firstCardHeight }, () => {
+//     cards.forEach(card => layout.block(card.height, (y) => drawCard(card, y)));
+//   });
+//   layout.finish();
+//
+// The document should be created with autoFirstPage: false - pages are added here.
+
+/**
+ * @param {PDFDocument} doc
+ * @param {Object} options
+ * @param {Object} options.margins - { top, bottom, left, right } of the flowing area
+ * @param {Function} options.drawSectionTitle - (title, y) => void, draws a section title
+ * @param {number} [options.sectionTitleHeight] - Space a section title takes
+ * @param {Object} [options.page] - { width, height } (default: doc.page)
+ * @param {string} [options.font] - Font for measure() and text() when none is given
+ * @returns {Object} - The layout (see the methods below)
+ */
+export function createLayout(doc, { margins, drawSectionTitle, sectionTitleHeight = 24, page = null, font: defaultFont = 'Helvetica' }) {
+  let chapter = null;
+  let section = null;
+  let y = margins.top;
+
+  const pageWidth = () => page?.width ?? doc.page.width;
+  const pageHeight = () => page?.height ?? doc.page.height;
+  const bottom = () => pageHeight() - (chapter?.footerHeight ?? margins.bottom);
+
+  // Footers sit below the flowing area, so pdfkit's bottom margin is lifted to the
+  // page edge while drawing them
+  const endPage = (last) => {
+    if (!chapter?.footer) return;
+    const { bottom: savedBottom } = doc.page.margins;
+    doc.page.margins.bottom = doc.page.height - pageHeight();
+    chapter.footer({ y: pageHeight() - chapter.footerHeight, last });
+    doc.page.margins.bottom = savedBottom;
+  };
+
+  const drawTitle = (title) => {
+    drawSectionTitle(title, y);
+    y += sectionTitleHeight;
+  };
+
+  const startPage = (continued) => {
+    doc.addPage();
+    y = chapter?.header ? chapter.header({ continued }) : margins.top;
+
+    if (continued && section) {
+      if (section.title) drawTitle(`${section.title} (CONTINUED)`);
+      if (section.repeat) {
+        section.repeat.draw(y);
+        y += section.repeat.height;
+      }
+    }
+  };
+
+  const layout = {
+    left: margins.left,
+    width: page || doc.page ? pageWidth() - margins.left - margins.right : null,
+
+    get y() {
+      return y;
+    },
+
+    /**
+     * Height of text at a font and size (0 for empty text)
+     */
+    measure(text, { font = defaultFont, size = 10, width = layout.width, lineGap = 0 } = {}) {
+      if (!text) return 0;
+      doc.font(font).fontSize(size);
+      return doc.heightOfString(String(text), { width, lineGap });
+    },
+
+    /**
+     * Room left above the footer on the current page
+     */
+    remaining() {
+      return bottom() - y;
+    },
+
+    /**
+     * Moves to a new page (with the running header) unless `height` fits here
+     */
+    ensureSpace(height) {
+      if (y + height > bottom()) {
+        endPage(false);
+        startPage(true);
+      }
+    },
+
+    /**
+     * Starts a chapter on a new page. The header draws the chapter's first page and,
+     * with { continued: true }, its overflow pages; it returns the y to start at.
+     * The footer ({ y, last }) is drawn on every page of the chapter.
+     */
+    chapter({ header = null, footer = null, footerHeight = margins.bottom } = {}) {
+      if (chapter) endPage(true);
+      chapter = { header, footer, footerHeight };
+      section = null;
+      startPage(false);
+      if (layout.width == null) {
+        layout.width = pageWidth() - margins.left - margins.right;
+      }
+    },
+
+    /**
+     * Draws a section title kept on the same page as the first `keepWith` points of
+     * content, then runs body. Pages started inside body repeat the title (marked
+     * continued) and the optional repeat header, e.g. a table's column headings.
+     * A null title draws no title, only the repeat header.
+     * @param {Object} [options]
+     * @param {number} [options.keepWith] - Height of the section's first block
+     * @param {Object} [options.repeat] - { height, draw(y) }
+     */
+    section(title, { keepWith = 0, repeat = null } = {}, body) {
+      layout.ensureSpace((title ? sectionTitleHeight : 0) + (repeat?.height || 0) + keepWith);
+      if (title) drawTitle(title);
+      if (repeat) {
+        repeat.draw(y);
+        y += repeat.height;
+      }
+
+      section = { title, repeat };
+      try {
+        body();
+      } finally {
+        section = null;
+      }
+    },
+
+    /**
+     * Places a block of a known height, on the next page if it doesn't fit here.
+     * draw(y) draws it with its top at y.
+     */
+    block(height, draw) {
+      layout.ensureSpace(height);
+      draw(y);
+      y += height;
+    },
+
+    /**
+     * Flowing text as a block. Text taller than a whole page is cut with an
+     * ellipsis at the page end as a last resort.
+     */
+    text(content, { font = defaultFont, size = 10, color, x = layout.left, width = layout.width, lineGap = 0, gap = 0 } = {}) {
+      const height = layout.measure(content, { font, size, width, lineGap });
+      if (!height) return;
+
+      layout.ensureSpace(height);
+      const fitted = Math.min(height, bottom() - y);
+      doc.font(font).fontSize(size);
+      if (color) doc.fillColor(color);
+      doc.text(String(content), x, y, { width, lineGap, height: fitted + 1, ellipsis: true });
+      y += fitted + gap;
+    },
+
+    /**
+     * Adds vertical space (never starts a new page by itself)
+     */
+    space(height) {
+      y += height;
+    },
+
+    /**
+     * Draws the last page's footer. Call before doc.end().
+     */
+    finish() {
+      endPage(true);
+    }
+  };
+
+  return layout;
+}
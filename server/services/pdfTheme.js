@@ -0,0 +1,162 @@
+// PDF Themes and Paper
+// Colors, fonts and footer text for the PDFs in services/pdf.js, and the paper sizes
+// they print on. Both are picked per request (?theme= and ?paper=); a club or coach
+// logo the user uploaded is added to the theme when the PDF is rendered.
+//
+// Color roles:
+//   primary      headings and body emphasis       secondary   sub-labels, notes
+//   accent       highlights, stat values, bullets  text        body text
+//   success / caution / danger                     traffic lights and goal status
+//   panel        card backgrounds                  stripe      alternate table rows
+//   border       rules and note lines
+//   header / headerText / headerMuted               title bands and footers
+//   notice / noticeText / noticeAccent             the "current level" box
+//   onAccent / onSuccess / onCaution / onDanger    text and marks drawn on those fills
+//
+// Fonts are pdfkit's built-in standard fonts, so nothing has to be embedded.
+
+import PDFDocument from 'pdfkit';
+
+export const PDF_THEMES = {
+  classic: {
+    label: 'Classic green',
+    colors: {
+      primary: '#1a472a',
+      secondary: '#2d5a3d',
+      accent: '#7cb97c',
+      text: '#555555',
+      success: '#3d8b40',
+      caution: '#d4a017',
+      danger: '#c44536',
+      panel: '#f7f7f5',
+      stripe: '#fafaf8',
+      border: '#e0e0e0',
+      header: '#1a472a',
+      headerText: '#ffffff',
+      headerMuted: '#c6d1c9',
+      notice: '#fff8e1',
+      noticeText: '#795548',
+      noticeAccent: '#ffc107',
+      onAccent: '#ffffff',
+      onSuccess: '#ffffff',
+      onCaution: '#1a472a',
+      onDanger: '#ffffff'
+    },
+    fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+    footerText: 'Generated by Golf Strategy • golfstrategy.app'
+  },
+
+  // Black and white printers: no solid bands, no tints that print as mud, and
+  // traffic lights told apart by shade (their labels are always printed too)
+  print: {
+    label: 'High contrast (print)',
+    colors: {
+      primary: '#000000',
+      secondary: '#222222',
+      accent: '#000000',
+      text: '#111111',
+      success: '#8c8c8c',
+      caution: '#4d4d4d',
+      danger: '#000000',
+      panel: '#ffffff',
+      stripe: '#f0f0f0',
+      border: '#000000',
+      header: '#ffffff',
+      headerText: '#000000',
+      headerMuted: '#333333',
+      notice: '#ffffff',
+      noticeText: '#000000',
+      noticeAccent: '#000000',
+      onAccent: '#ffffff',
+      onSuccess: '#000000',
+      onCaution: '#ffffff',
+      onDanger: '#ffffff'
+    },
+    fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+    footerText: 'Golf Strategy • golfstrategy.app'
+  },
+
+  clubhouse: {
+    label: 'Clubhouse navy',
+    colors: {
+      primary: '#1f2a44',
+      secondary: '#3b4a6b',
+      accent: '#a8864f',
+      text: '#3a3a3a',
+      success: '#2e6b4f',
+      caution: '#c9a227',
+      danger: '#8b1e2d',
+      panel: '#f6f3ec',
+      stripe: '#fbf9f4',
+      border: '#ddd5c4',
+      header: '#1f2a44',
+      headerText: '#ffffff',
+      headerMuted: '#c7ccd8',
+      notice: '#f6efe0',
+      noticeText: '#5b4a2e',
+      noticeAccent: '#a8864f',
+      onAccent: '#ffffff',
+      onSuccess: '#ffffff',
+      onCaution: '#1f2a44',
+      onDanger: '#ffffff'
+    },
+    fonts: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' },
+    footerText: 'Generated by Golf Strategy • golfstrategy.app'
+  }
+};
+
+export const DEFAULT_THEME = 'classic';
+
+// Sizes in points. Margins are the outer margin of letter-style documents.
+export const PAPER_SIZES = {
+  letter: { label: 'Letter', size: [612, 792], margin: 50 },
+  a4: { label: 'A4', size: [595.28, 841.89], margin: 50 },
+  pocket: { label: 'Scorecard pocket (4.25" x 5.5")', size: [306, 396], margin: 20 }
+};
+
+// The sheets the analysis PDFs (strategy card, practice plan, yardage book) print on.
+// Only the course game plan has a pocket layout.
+export const SHEET_PAPERS = ['letter', 'a4'];
+
+export const isThemeName = (name) => Object.hasOwn(PDF_THEMES, name);
+
+/**
+ * Image type of an uploaded logo from its first bytes - pdfkit embeds PNG and JPEG only
+ * @returns {string|null} - 'image/png', 'image/jpeg' or null
+ */
+export function detectLogoType(buffer) {
+  if (buffer?.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (buffer?.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  return null;
+}
+
+/**
+ * The theme to render with, plus the user's logo
+ * @param {string} [name] - A PDF_THEMES key (unknown names get the default)
+ * @param {Buffer} [logo] - PNG or JPEG bytes
+ */
+export function resolveTheme(name, logo = null) {
+  const theme = PDF_THEMES[isThemeName(name) ? name : DEFAULT_THEME];
+  return { ...theme, name: isThemeName(name) ? name : DEFAULT_THEME, logo };
+}
+
+/**
+ * Creates a pdfkit document for a paper size. Pages must be added with addPage.
+ * @param {string} paperName - A PAPER_SIZES key
+ * @param {Object} [options]
+ * @param {boolean} [options.bufferPages]
+ * @returns {{ doc: PDFDocument, page: { width, height, margin } }}
+ */
+export function createPaperDocument(paperName, { bufferPages = false } = {}) {
+  const paper = PAPER_SIZES[paperName] || PAPER_SIZES.letter;
+  const [width, height] = paper.size;
+
+  const doc = new PDFDocument({
+    size: paper.size,
+    margin: paper.margin,
+    autoFirstPage: false,
+    bufferPages
+  });
+
+  return { doc, page: { width, height, margin: paper.margin } };
+}
@@ -0,0 +1,179 @@
+// Scorecard Review
+// Flags the values a scorecard extraction probably got wrong, and checks the rounds
+// the golfer sends back after reviewing them. Pure functions, no AI or database.
+
+// Sanity ranges - values outside them are flagged for review
+const PAR_RANGE = [3, 6];
+const YARDS_RANGE = [50, 700];
+const MAX_HOLE_SCORE = 15;
+
+const MAX_CONFIRMED_ROUNDS = 20;
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+const inRange = (value, [min, max]) => value >= min && value <= max;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toInt = (value) => (value === '' || value == null ? null : Number(value));
+
+const sumScores = (holes) => {
+  const scores = holes.map(h => h.score).filter(score => Number.isFinite(score));
+  return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) : null;
+};
+
+/**
+ * Compares the totals printed on the card (out, in, total) with the sum of the
+ * hole scores. Only totals that were printed are checked.
+ * @returns {Array<string>} - The totals that don't add up ('out' | 'in' | 'total')
+ */
+export function findTotalMismatches(round) {
+  const holes = round.holes || [];
+  const computed = {
+    out: sumScores(holes.filter(h => h.hole <= 9)),
+    in: sumScores(holes.filter(h => h.hole >= 10)),
+    total: sumScores(holes)
+  };
+  const printed = { out: round.outScore, in: round.inScore, total: round.totalScore };
+
+  return Object.keys(printed).filter(key =>
+    Number.isFinite(printed[key]) && computed[key] != null && printed[key] !== computed[key]
+  );
+}
+
+// True for a "YYYY-MM-DD" string that is a real calendar date (no month 13 or April 31)
+function isCalendarDate(date) {
+  if (typeof date !== 'string' || !DATE_FORMAT.test(date)) return false;
+  const [year, month, day] = date.split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  return parsed.getUTCFullYear() === year && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day;
+}
+
+// "MM/DD/YYYY" (the extraction format) -> "YYYY-MM-DD", or null if it isn't a date
+function toIsoDate(date) {
+  const match = String(date || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+  if (!match) return isCalendarDate(date) ? date : null;
+  const [, month, day, year] = match;
+  if (year.length === 3) return null;
+  const fullYear = year.length === 2 ? `20${year}` : year;
+  const iso = `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  return isCalendarDate(iso) ? iso : null;
+}
+
+/**
+ * Adds review flags to extracted rounds: each hole gets `flags` (the fields the
+ * model marked unclear, plus any that are out of range) and each round gets the
+ * totals that don't add up and whether it needs a look before it's used.
+ */
+export function reviewExtractedRounds(rounds) {
+  return (Array.isArray(rounds) ? rounds : []).filter(isObject).map(round => {
+    const holes = (Array.isArray(round.holes) ? round.holes : [])
+      .filter(h => Number.isInteger(h?.hole) && h.hole >= 1 && h.hole <= 18)
+      .map(h => {
+        const flags = new Set((Array.isArray(h.unclear) ? h.unclear : [])
+          .filter(field => ['par', 'yards', 'score'].includes(field)));
+
+        if (!Number.isInteger(h.score) || h.score < 1 || h.score > MAX_HOLE_SCORE ||
+            (Number.isInteger(h.par) && h.score > h.par + 5)) {
+          flags.add('score');
+        }
+        if (h.par != null && !(Number.isInteger(h.par) && inRange(h.par, PAR_RANGE))) {
+          flags.add('par');
+        }
+        if (h.yards != null && !(Number.isInteger(h.yards) && inRange(h.yards, YARDS_RANGE))) {
+          flags.add('yards');
+        }
+
+        return {
+          hole: h.hole,
+          par: h.par ?? null,
+          yards: h.yards ?? null,
+          score: h.score ?? null,
+          flags: [...flags]
+        };
+      })
+      .sort((a, b) => a.hole - b.hole);
+
+    const reviewed = {
+      date: toIsoDate(round.date),
+      course: round.course || null,
+      outScore: Number.isFinite(round.outScore) ? round.outScore : null,
+      inScore: Number.isFinite(round.inScore) ? round.inScore : null,
+      totalScore: Number.isFinite(round.totalScore) ? round.totalScore : null,
+      holes
+    };
+    reviewed.totalMismatches = findTotalMismatches(reviewed);
+    reviewed.needsReview = reviewed.totalMismatches.length > 0 || holes.some(h => h.flags.length > 0);
+    return reviewed;
+  });
+}
+
+/**
+ * Validates the rounds a golfer confirmed in the review step and returns them in
+ * the scorecard shape analyzeGolfGame uses. The total is always the sum of the holes.
+ * @returns {{ rounds: Array } | { error: string }}
+ */
+export function normalizeConfirmedRounds(rounds) {
+  if (!Array.isArray(rounds) || rounds.length === 0 || rounds.length > MAX_CONFIRMED_ROUNDS) {
+    return { error: `Confirmed rounds must be a list of 1-${MAX_CONFIRMED_ROUNDS} rounds` };
+  }
+
+  const normalized = [];
+  for (const [index, round] of rounds.entries()) {
+    const label = `Round ${index + 1}`;
+    if (!isObject(round)) {
+      return { error: `${label}: must be an object with a date and holes` };
+    }
+    if (round.date && !isCalendarDate(round.date)) {
+      return { error: `${label}: date must be a real date as YYYY-MM-DD` };
+    }
+    if (!Array.isArray(round.holes) || round.holes.length === 0 || round.holes.length > 18) {
+      return { error: `${label}: needs 1-18 holes` };
+    }
+    if (!round.holes.every(isObject)) {
+      return { error: `${label}: each hole must be an object` };
+    }
+
+    const holes = round.holes.map(h => ({
+      hole: toInt(h.hole),
+      par: toInt(h.par),
+      yards: toInt(h.yards),
+      score: toInt(h.score)
+    }));
+    const invalid = holes.find(h =>
+      !Number.isInteger(h.hole) || h.hole < 1 || h.hole > 18 ||
+      !Number.isInteger(h.score) || h.score < 1 || h.score > 20 ||
+      (h.par != null && !(Number.isInteger(h.par) && inRange(h.par, PAR_RANGE))) ||
+      (h.yards != null && !(Number.isInteger(h.yards) && h.yards > 0))
+    );
+    if (invalid) {
+      return { error: `${label}: check hole ${Number.isInteger(invalid.hole) ? invalid.hole : '?'}` };
+    }
+    if (new Set(holes.map(h => h.hole)).size !== holes.length) {
+      return { error: `${label}: a hole is listed twice` };
+    }
+
+    normalized.push({
+      date: round.date || null,
+      course: typeof round.course === 'string' ? round.course.trim().slice(0, 200) || null : null,
+      totalScore: sumScores(holes),
+      holes: holes.sort((a, b) => a.hole - b.hole)
+    });
+  }
+
+  return { rounds: normalized };
+}
+
+/**
+ * A confirmed round as a POST /api/rounds body (for saving it as a logged round)
+ */
+export function toRoundBody(round) {
+  return {
+    date: round.date,
+    course: round.course,
+    holesPlayed: round.holes.length === 9 ? 9 : round.holes.length === 18 ? 18 : null,
+    holes: round.holes.map(h => ({
+      holeNumber: h.hole,
+      par: h.par,
+      yardage: h.yards,
+      score: h.score
+    }))
+  };
+}
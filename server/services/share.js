@@ -0,0 +1,384 @@
+// Share Links
+// Public, read-only pages (/s/:slug) for an analysis or course strategy, so a
+// golfer can send their game plan to a playing partner or coach. Only the fields
+// listed in the view builders below are ever shown - never scorecards or stats -
+// and with hideIdentity the golfer's name and handicap are left out too.
+
+import crypto from 'crypto';
+
+export const SHARE_RESOURCE_TYPES = ['analysis', 'course_strategy'];
+export const MAX_SHARE_DAYS = 365;
+
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+
+// 72 random bits - unguessable, and short enough to read out or type
+export const generateShareSlug = () => crypto.randomBytes(9).toString('base64url');
+
+export const isShareSlug = (slug) => SLUG_PATTERN.test(slug || '');
+
+// Link-preview fetchers (chat apps, social sites) - their requests aren't views
+const PREVIEW_BOTS = /bot|crawler|spider|facebookexternalhit|slackbot|twitterbot|discordbot|whatsapp|telegram|skypeuripreview|embedly|preview/i;
+
+export const isPreviewBot = (userAgent) => PREVIEW_BOTS.test(userAgent || '');
+
+// SQLite datetimes are UTC without a zone
+const parseDbDate = (value) => (value ? new Date(`${String(value).replace(' ', 'T')}Z`) : null);
+
+/**
+ * 'active', 'revoked' or 'expired'
+ */
+export function getShareStatus(link, now = new Date()) {
+  if (link.revoked_at) return 'revoked';
+  if (link.expires_at && parseDbDate(link.expires_at) <= now) return 'expired';
+  return 'active';
+}
+
+/**
+ * A share link as the owner sees it in the API
+ */
+export function toShareResponse(link, baseUrl) {
+  return {
+    id: link.id,
+    url: `${baseUrl}/s/${link.slug}`,
+    resourceType: link.resource_type,
+    resourceId: link.resource_id,
+    hideIdentity: Boolean(link.hide_identity),
+    status: getShareStatus(link),
+    expiresAt: link.expires_at,
+    revokedAt: link.revoked_at,
+    viewCount: link.view_count,
+    lastViewedAt: link.last_viewed_at,
+    createdAt: link.created_at
+  };
+}
+
+/**
+ * Reads { hideIdentity, expiresInDays } from a create or update request. Fields
+ * left out come back undefined; expiresInDays null means the link never expires.
+ * @returns {{ hideIdentity?: boolean, expiresInDays?: number|null } | { error: string }}
+ */
+export function parseShareOptions(body = {}) {
+  const { hideIdentity, expiresInDays } = body;
+  if (hideIdentity !== undefined && typeof hideIdentity !== 'boolean') {
+    return { error: 'hideIdentity must be true or false' };
+  }
+  if (expiresInDays !== undefined && expiresInDays !== null &&
+      !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= MAX_SHARE_DAYS)) {
+    return { error: `expiresInDays must be a whole number from 1 to ${MAX_SHARE_DAYS}, or null for no expiry` };
+  }
+  return { hideIdentity, expiresInDays };
+}
+
+// Public views
+
+const LIGHTS = [
+  { key: 'redLightHoles', light: 'red', label: 'Red light - play safe' },
+  { key: 'yellowLightHoles', light: 'yellow', label: 'Yellow light - pick your spots' },
+  { key: 'greenLightHoles', light: 'green', label: 'Green light - attack' }
+];
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * The shareable parts of a saved analysis (a row from getAnalysisById)
+ */
+export function buildAnalysisView(analysis, { hideIdentity = false } = {}) {
+  const data = analysis.analysis_json || {};
+  const summary = data.summary || {};
+  const currentHandicap = summary.currentHandicap ?? analysis.handicap;
+
+  return {
+    type: 'analysis',
+    label: 'Scoring strategy',
+    title: analysis.home_course || 'Scoring strategy',
+    golfer: hideIdentity ? null : analysis.name || null,
+    handicap: hideIdentity || currentHandicap == null ? null : {
+      current: currentHandicap,
+      target: summary.targetHandicap ?? null
+    },
+    keyInsight: summary.keyInsight || null,
+    biggestStrokeSaver: summary.biggestStrokeSaver || null,
+    overallApproach: data.courseStrategy?.overallApproach || null,
+    lights: LIGHTS
+      .map(({ key, light, label }) => ({
+        light,
+        label,
+        holes: list(data.courseStrategy?.[key]?.holes),
+        strategy: data.courseStrategy?.[key]?.strategy || null
+      }))
+      .filter(group => group.holes.length > 0 || group.strategy),
+    holes: list(data.holeByHoleStrategy).map(hole => ({
+      hole: hole.hole,
+      par: hole.par,
+      yards: hole.yards,
+      light: hole.light,
+      teeShot: hole.teeShot,
+      strategy: hole.strategy,
+      missSide: hole.missSide
+    })),
+    troubleHoles: list(data.troubleHoles).map(group => ({
+      type: group.type,
+      holes: list(group.specificHoles),
+      strategy: group.strategy,
+      target: group.acceptableScore
+    })),
+    strengthHoles: list(data.strengthHoles).map(group => ({
+      type: group.type,
+      holes: list(group.specificHoles),
+      strategy: group.strategy,
+      target: group.targetScore
+    })),
+    practice: list(data.practicePlan?.priorityAreas).map(area => ({ area: area.area, reason: area.reason })),
+    mantras: list(data.mentalGame?.mantras)
+  };
+}
+
+/**
+ * The shareable parts of a saved course strategy (a row from getCourseStrategyById)
+ * @param {string} [ownerName] - Shown unless hideIdentity
+ */
+export function buildCourseStrategyView(strategy, { hideIdentity = false, ownerName = null } = {}) {
+  const data = strategy.strategy_json || {};
+
+  return {
+    type: 'course_strategy',
+    label: 'Course game plan',
+    title: strategy.course_name || data.courseName || 'Course game plan',
+    tees: strategy.tees || data.tees || null,
+    golfer: hideIdentity ? null : ownerName || null,
+    overview: data.overview || null,
+    scoringTargets: data.scoringTargets || null,
+    keyHoles: list(data.keyHoles).map(hole => ({
+      number: hole.number,
+      par: hole.par,
+      yardage: hole.yardage,
+      strategy: hole.strategy,
+      danger: hole.danger
+    })),
+    generalStrategy: list(data.generalStrategy).map(item => ({ title: item.title, description: item.description })),
+    checklist: list(data.preRoundChecklist)
+  };
+}
+
+/**
+ * What the preview image shows for a view (ogImage.renderPreviewImage)
+ */
+export function getPreviewCard(view) {
+  if (view.type === 'course_strategy') {
+    const targets = view.scoringTargets;
+    return {
+      label: view.label,
+      title: view.title,
+      details: [
+        view.tees ? `${view.tees} tees` : null,
+        targets?.great ? `Targets ${[targets.great, targets.solid, targets.max].filter(Boolean).join(' / ')}` : null
+      ]
+    };
+  }
+
+  const handicap = view.handicap;
+  return {
+    label: view.label,
+    title: view.title,
+    details: [
+      handicap ? `Handicap ${handicap.current}${handicap.target != null ? ` to ${handicap.target}` : ''}` : null,
+      view.biggestStrokeSaver
+    ]
+  };
+}
+
+// HTML
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const truncate = (text, length) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 1).trimEnd()}…` : value;
+};
+
+const holeList = (holes) => (holes.length ? `Holes ${holes.join(', ')}` : '');
+
+const section = (title, body) => (body ? `<section><h2>${escapeHtml(title)}</h2>${body}</section>` : '');
+
+const cards = (items, render) => (items.length ? items.map(render).join('') : '');
+
+function renderAnalysisBody(view) {
+  const summary = [
+    view.keyInsight ? `<p class="lead">${escapeHtml(view.keyInsight)}</p>` : '',
+    view.biggestStrokeSaver ? `<p><strong>Biggest stroke saver:</strong> ${escapeHtml(view.biggestStrokeSaver)}</p>` : ''
+  ].join('');
+
+  const lights = cards(view.lights, group => `
+    <div class="card light-${escapeHtml(group.light)}">
+      <h3>${escapeHtml(group.label)}</h3>
+      <p class="holes">${escapeHtml(holeList(group.holes))}</p>
+      <p>${escapeHtml(group.strategy)}</p>
+    </div>`);
+
+  const holes = view.holes.length ? `
+    <table>
+      <thead><tr><th>Hole</th><th>Par</th><th>Yds</th><th>Tee shot</th><th>Plan</th><th>Miss</th></tr></thead>
+      <tbody>${view.holes.map(hole => `
+        <tr class="light-${escapeHtml(hole.light)}">
+          <td>${escapeHtml(hole.hole)}</td><td>${escapeHtml(hole.par)}</td><td>${escapeHtml(hole.yards)}</td>
+          <td>${escapeHtml(hole.teeShot)}</td><td>${escapeHtml(hole.strategy)}</td><td>${escapeHtml(hole.missSide)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>` : '';
+
+  const holeGroup = (group) => `
+    <div class="card">
+      <h3>${escapeHtml(group.type)}</h3>
+      <p class="holes">${escapeHtml(holeList(group.holes))}${group.target ? ` · Target: ${escapeHtml(group.target)}` : ''}</p>
+      <p>${escapeHtml(group.strategy)}</p>
+    </div>`;
+
+  return [
+    section('Summary', summary),
+    section('Course management', (view.overallApproach ? `<p>${escapeHtml(view.overallApproach)}</p>` : '') + lights),
+    section('Hole by hole', holes),
+    section('Trouble holes', cards(view.troubleHoles, holeGroup)),
+    section('Scoring chances', cards(view.strengthHoles, holeGroup)),
+    section('Practice priorities', cards(view.practice, item => `
+      <div class="card"><h3>${escapeHtml(item.area)}</h3><p>${escapeHtml(item.reason)}</p></div>`)),
+    section('On-course mantras', view.mantras.length
+      ? `<ul>${view.mantras.map(mantra => `<li>${escapeHtml(mantra)}</li>`).join('')}</ul>` : '')
+  ].join('');
+}
+
+function renderCourseBody(view) {
+  const targets = view.scoringTargets;
+  const targetCards = targets ? `
+    <div class="targets">
+      <div><span>${escapeHtml(targets.great)}</span>Great round</div>
+      <div><span>${escapeHtml(targets.solid)}</span>Solid round</div>
+      <div><span>${escapeHtml(targets.max)}</span>Maximum</div>
+    </div>` : '';
+
+  return [
+    section('Overview', (view.overview ? `<p class="lead">${escapeHtml(view.overview)}</p>` : '') + targetCards),
+    section('Key holes', cards(view.keyHoles, hole => `
+      <div class="card">
+        <h3>Hole ${escapeHtml(hole.number)} · Par ${escapeHtml(hole.par)}${hole.yardage ? ` · ${escapeHtml(hole.yardage)} yds` : ''}</h3>
+        <p>${escapeHtml(hole.strategy)}</p>
+        ${hole.danger ? `<p class="danger">Danger: ${escapeHtml(hole.danger)}</p>` : ''}
+      </div>`)),
+    section('Strategy', cards(view.generalStrategy, item => `
+      <div class="card"><h3>${escapeHtml(item.title)}</h3><p>${escapeHtml(item.description)}</p></div>`)),
+    section('Pre-round checklist', view.checklist.length
+      ? `<ul>${view.checklist.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '')
+  ].join('');
+}
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f7f7f5; color: #333; line-height: 1.5; }
+  header { background: #1a472a; color: #fff; padding: 32px 20px; }
+  header .label { color: #7cb97c; text-transform: uppercase; letter-spacing: 0.08em; font-size: 0.8rem; font-weight: 600; }
+  header h1 { margin: 4px 0; font-size: 1.8rem; }
+  header p { margin: 0; color: #c6d1c9; }
+  main, header > div { max-width: 760px; margin: 0 auto; }
+  main { padding: 20px; }
+  section { margin-bottom: 28px; }
+  h2 { color: #1a472a; font-size: 1.1rem; border-bottom: 2px solid #7cb97c; padding-bottom: 4px; }
+  h3 { margin: 0 0 4px; font-size: 1rem; color: #1a472a; }
+  .lead { font-size: 1.05rem; color: #1a472a; }
+  .card { background: #fff; border: 1px solid #e0e0e0; border-left: 4px solid #7cb97c; border-radius: 6px; padding: 12px 14px; margin-bottom: 10px; }
+  .card p { margin: 4px 0; }
+  .holes { color: #2d5a3d; font-size: 0.9rem; font-weight: 600; }
+  .danger { color: #c44536; }
+  .light-red { border-left-color: #c44536; }
+  .light-yellow { border-left-color: #d4a017; }
+  .light-green { border-left-color: #3d8b40; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; background: #fff; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+  th { background: #1a472a; color: #fff; font-weight: 600; }
+  tr.light-red td:first-child { border-left: 4px solid #c44536; }
+  tr.light-yellow td:first-child { border-left: 4px solid #d4a017; }
+  tr.light-green td:first-child { border-left: 4px solid #3d8b40; }
+  .targets { display: flex; gap: 10px; }
+  .targets div { flex: 1; background: #fff; border: 1px solid #e0e0e0; border-radius: 6px; padding: 10px; text-align: center; font-size: 0.85rem; }
+  .targets span { display: block; font-size: 1.6rem; font-weight: 700; color: #1a472a; }
+  footer { text-align: center; padding: 24px 20px 40px; color: #777; font-size: 0.9rem; }
+  footer a { color: #1a472a; font-weight: 600; }
+`;
+
+const page = ({ title, description = '', head = '', body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)}</title>
+${description ? `<meta name="description" content="${escapeHtml(description)}">` : ''}
+${head}
+<style>${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+/**
+ * The public page for a share link
+ * @param {Object} view - From buildAnalysisView / buildCourseStrategyView
+ * @param {Object} urls - { page, image, app } absolute URLs
+ */
+export function renderSharePage(view, urls) {
+  const title = `${view.title} - ${view.label}`;
+  const description = truncate(view.type === 'analysis' ? view.keyInsight : view.overview, 200);
+  const byline = [
+    view.golfer ? `Prepared for ${view.golfer}` : null,
+    view.tees ? `${view.tees} tees` : null,
+    view.handicap ? `Handicap ${view.handicap.current}${view.handicap.target != null ? ` → ${view.handicap.target}` : ''}` : null
+  ].filter(Boolean).join(' · ');
+
+  const head = `
+<meta property="og:type" content="article">
+<meta property="og:site_name" content="Golf Strategy">
+<meta property="og:title" content="${escapeHtml(title)}">
+<meta property="og:description" content="${escapeHtml(description)}">
+<meta property="og:url" content="${escapeHtml(urls.page)}">
+<meta property="og:image" content="${escapeHtml(urls.image)}">
+<meta property="og:image:width" content="1200">
+<meta property="og:image:height" content="630">
+<meta name="twitter:card" content="summary_large_image">
+<meta name="twitter:title" content="${escapeHtml(title)}">
+<meta name="twitter:description" content="${escapeHtml(description)}">
+<meta name="twitter:image" content="${escapeHtml(urls.image)}">`;
+
+  const body = `
+<header><div>
+  <div class="label">${escapeHtml(view.label)}</div>
+  <h1>${escapeHtml(view.title)}</h1>
+  ${byline ? `<p>${escapeHtml(byline)}</p>` : ''}
+</div></header>
+<main>
+${view.type === 'analysis' ? renderAnalysisBody(view) : renderCourseBody(view)}
+</main>
+<footer>Shared from Golf Strategy · <a href="${escapeHtml(urls.app)}">Build your own game plan</a></footer>`;
+
+  return page({ title, description, head, body });
+}
+
+/**
+ * The page shown for unknown, revoked or expired links
+ */
+export function renderUnavailablePage(status, appUrl) {
+  const message = status === 'expired' || status === 'revoked'
+    ? 'This game plan is no longer shared.'
+    : 'This share link doesn’t exist.';
+
+  return page({
+    title: 'Link unavailable - Golf Strategy',
+    body: `
+<header><div><div class="label">Golf Strategy</div><h1>Link unavailable</h1></div></header>
+<main><p class="lead">${escapeHtml(message)} Ask whoever sent it for a new link.</p></main>
+<footer><a href="${escapeHtml(appUrl)}">Build your own game plan</a></footer>`
+  });
+}
@@ -0,0 +1,186 @@
+// Strokes Gained Engine
+// Deterministic, stat-based strokes gained for golfers without shot-level data.
+// Each category compares the golfer's per-round rates against the typical rates
+// of a handicap bracket and converts the difference to strokes per 18 holes.
+// Positive = strokes gained on the baseline, negative = strokes lost.
+
+// Typical per-18 stats by handicap bracket (same table the strategy prompt uses)
+export const HANDICAP_BASELINES = [
+  { handicap: 0,  fairwayPct: 65, girPct: 67, puttsPerRound: 29, upAndDownPct: 60, penaltiesPerRound: 0.5 },
+  { handicap: 5,  fairwayPct: 55, girPct: 50, puttsPerRound: 31, upAndDownPct: 50, penaltiesPerRound: 1 },
+  { handicap: 10, fairwayPct: 45, girPct: 35, puttsPerRound: 33, upAndDownPct: 40, penaltiesPerRound: 1.5 },
+  { handicap: 15, fairwayPct: 35, girPct: 22, puttsPerRound: 35, upAndDownPct: 30, penaltiesPerRound: 2 },
+  { handicap: 20, fairwayPct: 30, girPct: 12, puttsPerRound: 37, upAndDownPct: 20, penaltiesPerRound: 3 },
+  { handicap: 25, fairwayPct: 25, girPct: 5,  puttsPerRound: 38, upAndDownPct: 15, penaltiesPerRound: 3.5 }
+];
+
+// Stroke value of each unit of difference
+const FAIRWAYS_PER_ROUND = 14;      // typical par 4s + par 5s on 18 holes
+const STROKES_PER_MISSED_FAIRWAY = 0.3;
+const STROKES_PER_MISSED_GREEN = 0.5;
+const STROKES_PER_FAILED_UP_AND_DOWN = 1;
+
+/**
+ * Returns the baseline bracket closest to a handicap index
+ */
+export function getBaseline(handicap) {
+  const value = Number.isFinite(handicap) ? handicap : 15;
+  return HANDICAP_BASELINES.reduce((best, bracket) =>
+    Math.abs(bracket.handicap - value) < Math.abs(best.handicap - value) ? bracket : best
+  );
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const average = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+// Per-round measures from hole-by-hole data, scaled to 18 holes
+function measureFromHoles(holes) {
+  const played = holes.filter(h => h.score);
+  if (played.length === 0) return {};
+
+  const scale = 18 / played.length;
+  const measures = {};
+
+  const fairwayHoles = played.filter(h => h.par >= 4 && h.fairwayHit != null);
+  if (fairwayHoles.length > 0) {
+    measures.fairwayPct = fairwayHoles.filter(h => h.fairwayHit).length / fairwayHoles.length * 100;
+  }
+
+  const girHoles = played.filter(h => h.greenInRegulation != null);
+  if (girHoles.length > 0) {
+    measures.girPct = girHoles.filter(h => h.greenInRegulation).length / girHoles.length * 100;
+
+    const missed = girHoles.filter(h => h.greenInRegulation === false && h.par);
+    if (missed.length > 0) {
+      measures.upAndDownPct = missed.filter(h => h.score <= h.par).length / missed.length * 100;
+    }
+  }
+
+  if (played.every(h => h.putts != null)) {
+    measures.puttsPerRound = played.reduce((sum, h) => sum + h.putts, 0) * scale;
+  }
+
+  if (played.some(h => h.penalties != null)) {
+    measures.penaltiesPerRound = played.reduce((sum, h) => sum + (h.penalties || 0), 0) * scale;
+  }
+
+  return measures;
+}
+
+// Per-round measures from round totals only (rounds without hole details)
+function measureFromTotals({ holesPlayed, fairwaysHit, fairwaysPossible, gir, putts, penalties }) {
+  const holes = holesPlayed || 18;
+  const scale = 18 / holes;
+  const measures = {};
+
+  if (fairwaysHit != null) {
+    const possible = fairwaysPossible || Math.round(FAIRWAYS_PER_ROUND / scale);
+    if (possible > 0) measures.fairwayPct = Math.min(100, fairwaysHit / possible * 100);
+  }
+  if (gir != null) measures.girPct = Math.min(100, gir / holes * 100);
+  if (putts != null) measures.puttsPerRound = putts * scale;
+  if (penalties != null) measures.penaltiesPerRound = penalties * scale;
+
+  return measures;
+}
+
+/**
+ * Computes strokes gained by category from GHIN-style scores
+ * @param {Object} params
+ * @param {Array} params.scores - Detailed scores ({ holeDetails, fairwaysHit, greensInRegulation, putts, ... }),
+ *   from getDetailedScores or getDetailedRoundsByUser
+ * @param {number} params.baselineHandicap - Handicap bracket to compare against
+ * @returns {Object|null} - null when no round has any usable stat
+ */
+export function calculateStrokesGained({ scores = [], baselineHandicap }) {
+  const perRound = [];
+
+  scores.forEach(score => {
+    if (score.holeDetails?.length > 0) {
+      perRound.push(measureFromHoles(score.holeDetails));
+    } else {
+      perRound.push(measureFromTotals({
+        holesPlayed: score.numberOfHoles,
+        fairwaysHit: score.fairwaysHit,
+        fairwaysPossible: score.fairwaysPossible,
+        gir: score.greensInRegulation,
+        putts: score.putts,
+        penalties: score.penalties
+      }));
+    }
+  });
+
+  const player = {};
+  const sampleRounds = {};
+  ['fairwayPct', 'girPct', 'upAndDownPct', 'puttsPerRound', 'penaltiesPerRound'].forEach(key => {
+    const values = perRound.map(m => m[key]).filter(v => v != null && Number.isFinite(v));
+    player[key] = average(values);
+    sampleRounds[key] = values.length;
+  });
+
+  if (Object.values(sampleRounds).every(n => n === 0)) {
+    return null;
+  }
+
+  const baseline = getBaseline(baselineHandicap);
+  const categories = {};
+
+  if (player.fairwayPct != null) {
+    categories.offTheTee = {
+      strokesGained: round2((player.fairwayPct - baseline.fairwayPct) / 100 * FAIRWAYS_PER_ROUND * STROKES_PER_MISSED_FAIRWAY),
+      player: Math.round(player.fairwayPct),
+      baseline: baseline.fairwayPct,
+      measure: 'fairways hit %',
+      sampleRounds: sampleRounds.fairwayPct
+    };
+  }
+
+  if (player.girPct != null) {
+    categories.approach = {
+      strokesGained: round2((player.girPct - baseline.girPct) / 100 * 18 * STROKES_PER_MISSED_GREEN),
+      player: Math.round(player.girPct),
+      baseline: baseline.girPct,
+      measure: 'greens in regulation %',
+      sampleRounds: sampleRounds.girPct
+    };
+  }
+
+  if (player.upAndDownPct != null) {
+    // Weighted by how many greens the golfer actually misses per round
+    const missedGreens = 18 * (1 - (player.girPct ?? baseline.girPct) / 100);
+    categories.aroundTheGreen = {
+      strokesGained: round2((player.upAndDownPct - baseline.upAndDownPct) / 100 * missedGreens * STROKES_PER_FAILED_UP_AND_DOWN),
+      player: Math.round(player.upAndDownPct),
+      baseline: baseline.upAndDownPct,
+      measure: 'up-and-down %',
+      sampleRounds: sampleRounds.upAndDownPct
+    };
+  }
+
+  if (player.puttsPerRound != null) {
+    categories.putting = {
+      strokesGained: round2(baseline.puttsPerRound - player.puttsPerRound),
+      player: round2(player.puttsPerRound),
+      baseline: baseline.puttsPerRound,
+      measure: 'putts per round',
+      sampleRounds: sampleRounds.puttsPerRound
+    };
+  }
+
+  if (player.penaltiesPerRound != null) {
+    categories.penalties = {
+      strokesGained: round2(baseline.penaltiesPerRound - player.penaltiesPerRound),
+      player: round2(player.penaltiesPerRound),
+      baseline: baseline.penaltiesPerRound,
+      measure: 'penalty strokes per round',
+      sampleRounds: sampleRounds.penaltiesPerRound
+    };
+  }
+
+  return {
+    baselineHandicap: baseline.handicap,
+    roundsUsed: perRound.filter(m => Object.keys(m).length > 0).length,
+    categories,
+    total: round2(Object.values(categories).reduce((sum, c) => sum + c.strokesGained, 0))
+  };
+}
@@ -0,0 +1,211 @@
+// Subscription Lifecycle
+// Applies Stripe webhook events to users. Every event is processed at most once:
+// its id is recorded in stripe_events in the same transaction as the user update,
+// so a retried or replayed delivery is a no-op and a failed one can be retried.
+
+import {
+  findUserById,
+  findUserBySubscriptionId,
+  findUserByStripeCustomerId,
+  updateUser,
+  addCredits,
+  recordStripeEvent,
+  runInTransaction
+} from '../db/database.js';
+
+// Days a past_due subscriber keeps pro access while Stripe retries the payment
+export const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || '7', 10);
+
+// SQLite DATETIME format, so values compare correctly with datetime('now')
+const toSqlDate = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+const fromUnix = (seconds) => seconds ? toSqlDate(new Date(seconds * 1000)) : null;
+
+/**
+ * Finds the user a subscription/invoice belongs to: subscription id first, then
+ * Stripe customer id, then the userId we put in metadata at checkout
+ */
+function findSubscriber({ subscriptionId, customerId, metadataUserId }) {
+  return (subscriptionId && findUserBySubscriptionId(subscriptionId))
+    || (customerId && findUserByStripeCustomerId(customerId))
+    || (metadataUserId && findUserById(parseInt(metadataUserId)))
+    || null;
+}
+
+/**
+ * Maps a Stripe subscription status to user column updates
+ */
+function getStatusUpdates(user, stripeStatus) {
+  switch (stripeStatus) {
+    case 'active':
+    case 'trialing':
+      return { subscription_status: 'pro', grace_period_ends_at: null };
+
+    case 'past_due': {
+      // Keep access until the grace period runs out (expireSubscriptionGracePeriods)
+      const graceEnds = user.grace_period_ends_at
+        || toSqlDate(new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000));
+      const expired = new Date(graceEnds.replace(' ', 'T') + 'Z') <= new Date();
+      return { subscription_status: expired ? 'free' : 'pro', grace_period_ends_at: graceEnds };
+    }
+
+    case 'canceled':
+    case 'unpaid':
+    case 'incomplete_expired':
+      return { subscription_status: 'free', grace_period_ends_at: null };
+
+    default:
+      // 'incomplete' / 'paused' - leave access unchanged until Stripe settles
+      return {};
+  }
+}
+
+function applySubscription(subscription, event) {
+  const user = findSubscriber({
+    subscriptionId: subscription.id,
+    customerId: subscription.customer,
+    metadataUserId: subscription.metadata?.userId
+  });
+
+  if (!user) {
+    console.log('No user found for subscription', subscription.id);
+    return;
+  }
+
+  // Stripe doesn't guarantee delivery order - ignore events older than the last one applied
+  if (user.subscription_event_at && event.created < user.subscription_event_at) {
+    console.log('Ignoring out-of-order event', event.id, 'for user', user.id);
+    return;
+  }
+
+  const status = event.type === 'customer.subscription.deleted' ? 'canceled' : subscription.status;
+
+  updateUser(user.id, {
+    subscription_id: subscription.id,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_status: status,
+    current_period_end: fromUnix(subscription.current_period_end),
+    cancel_at_period_end: subscription.cancel_at_period_end ? 1 : 0,
+    subscription_event_at: event.created,
+    ...getStatusUpdates(user, status)
+  });
+
+  console.log(`Subscription ${subscription.id} for user ${user.id}: ${user.stripe_subscription_status || 'none'} -> ${status}`);
+}
+
+function handleCheckoutCompleted(session, event) {
+  const userId = parseInt(session.metadata.userId);
+  const priceType = session.metadata.priceType;
+  const user = findUserById(userId);
+
+  console.log('Checkout completed:', { userId, priceType });
+
+  if (!user) {
+    console.log('No user found for checkout session', session.id);
+    return;
+  }
+
+  if (priceType === 'single') {
+    // Add 1 credit for single strategy purchase ($5)
+    addCredits(userId, 'purchase', 1, 'Single strategy purchase', session.id);
+    if (session.customer) {
+      updateUser(userId, { stripe_customer_id: session.customer });
+    }
+    console.log('Added 1 credit to user', userId);
+  } else if (user.subscription_event_at && event.created < user.subscription_event_at) {
+    // A late delivery - the subscription events that followed it already set the status
+    console.log('Ignoring out-of-order event', event.id, 'for user', userId);
+  } else {
+    // Subscription (monthly or yearly) - give pro status
+    updateUser(userId, {
+      subscription_status: 'pro',
+      subscription_id: session.subscription,
+      stripe_customer_id: session.customer,
+      stripe_subscription_status: 'active',
+      subscription_event_at: event.created,
+      grace_period_ends_at: null
+    });
+    console.log('Activated pro subscription for user', userId);
+  }
+}
+
+function handleInvoice(invoice, event) {
+  // One-time payments (credit purchases) have no subscription to update
+  if (!invoice.subscription) return;
+
+  const user = findSubscriber({
+    subscriptionId: invoice.subscription,
+    customerId: invoice.customer
+  });
+
+  if (!user) {
+    console.log('No user found for invoice', invoice.id);
+    return;
+  }
+
+  // Same ordering guard as subscription events - a late invoice must not undo a newer change
+  if (user.subscription_event_at && event.created < user.subscription_event_at) {
+    console.log('Ignoring out-of-order event', event.id, 'for user', user.id);
+    return;
+  }
+
+  // Only a new subscription (customer.subscription.created) brings a cancelled user back to pro
+  if (user.stripe_subscription_status === 'canceled') {
+    console.log('Ignoring', event.type, 'for canceled subscription of user', user.id);
+    return;
+  }
+
+  if (event.type === 'invoice.payment_failed') {
+    console.log('Payment failed for invoice:', invoice.id, 'user', user.id);
+    updateUser(user.id, {
+      stripe_subscription_status: 'past_due',
+      subscription_event_at: event.created,
+      ...getStatusUpdates(user, 'past_due')
+    });
+  } else {
+    // invoice.paid - a retry succeeded or the subscription renewed
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+    updateUser(user.id, {
+      stripe_subscription_status: 'active',
+      subscription_event_at: event.created,
+      ...(periodEnd ? { current_period_end: fromUnix(periodEnd) } : {}),
+      ...getStatusUpdates(user, 'active')
+    });
+  }
+}
+
+/**
+ * Processes a verified Stripe event exactly once
+ * @returns {{ processed: boolean }} - processed is false for duplicate deliveries
+ */
+export function processStripeEvent(event) {
+  return runInTransaction(() => {
+    if (!recordStripeEvent(event.id, event.type)) {
+      console.log('Skipping already processed Stripe event', event.id);
+      return { processed: false };
+    }
+
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+        handleCheckoutCompleted(object, event);
+        break;
+
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted':
+        applySubscription(object, event);
+        break;
+
+      case 'invoice.payment_failed':
+      case 'invoice.paid':
+        handleInvoice(object, event);
+        break;
+
+      default:
+        console.log('Unhandled Stripe event type:', event.type);
+    }
+
+    return { processed: true };
+  });
+}
@@ -0,0 +1,62 @@
+// Chat quota: questions are reserved atomically with the limit check
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chatQuotaPeriodStart } from '../services/chat.js';
+import {
+  createUser,
+  saveAnalysis,
+  countChatMessagesSince,
+  getChatThreadsByAnalysis,
+  getChatMessages,
+  addChatMessage,
+  reserveChatMessage,
+  releaseChatMessage
+} from '../db/database.js';
+
+const setup = (email) => {
+  const userId = Number(createUser(email, 'hash', 'Chatter'));
+  const analysisId = Number(saveAnalysis(userId, { name: 'Chatter', handicap: 15, homeCourse: 'Fixture GC', analysis: {} }));
+  return { userId, analysisId };
+};
+
+const ask = ({ userId, analysisId }, content, { threadId = null, limit = 2 } = {}) =>
+  reserveChatMessage({ userId, analysisId, threadId, content, limit, since: chatQuotaPeriodStart() });
+
+test('questions past the monthly limit are refused before the model is called', () => {
+  const golfer = setup('limit@example.com');
+
+  const first = ask(golfer, 'How do I play 14?');
+  assert.ok(first.createdThread);
+  const second = ask(golfer, 'And into the wind?', { threadId: first.threadId });
+  assert.equal(second.createdThread, false);
+  assert.equal(second.threadId, first.threadId);
+
+  // Both are counted while their replies are still streaming
+  assert.equal(ask(golfer, 'One more?'), null);
+  assert.equal(countChatMessagesSince(golfer.userId, chatQuotaPeriodStart()), 2);
+});
+
+test('a question whose reply failed is released and stops counting', () => {
+  const golfer = setup('release@example.com');
+
+  const question = ask(golfer, 'Driver or hybrid on 7?', { limit: 1 });
+  releaseChatMessage(question);
+
+  assert.equal(countChatMessagesSince(golfer.userId, chatQuotaPeriodStart()), 0);
+  assert.deepEqual(getChatThreadsByAnalysis(golfer.analysisId, golfer.userId), []);
+  assert.ok(ask(golfer, 'Driver or hybrid on 7?', { limit: 1 }));
+});
+
+test('releasing a follow-up keeps the thread and its earlier messages', () => {
+  const golfer = setup('follow-up@example.com');
+
+  const first = ask(golfer, 'How do I play 14?');
+  addChatMessage(first.threadId, golfer.userId, 'assistant', 'Hybrid off the tee.');
+  const followUp = ask(golfer, 'And into the wind?', { threadId: first.threadId });
+  releaseChatMessage(followUp);
+
+  assert.deepEqual(getChatMessages(first.threadId).map(m => m.role), ['user', 'assistant']);
+});
@@ -0,0 +1,140 @@
+// Credit reservations and the stale reservation sweep
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import db from '../db/connection.js';
+import {
+  createUser,
+  findUserById,
+  addCredits,
+  reserveCredit,
+  commitCredit,
+  refundCredit,
+  refundStaleReservations,
+  insertJob,
+  claimNextJob,
+  markJobDead,
+  requeueDeadJob,
+  getJobRecord,
+  saveAnalysis,
+  getAnalysisByJobId
+} from '../db/database.js';
+
+// Reservations only count as stale once they are an hour old
+const backdate = (reservationId) => {
+  db.prepare("UPDATE credit_transactions SET created_at = datetime('now', '-2 hours') WHERE id = ?").run(reservationId);
+};
+
+const reservationStatus = (reservationId) =>
+  db.prepare('SELECT status FROM credit_transactions WHERE id = ?').get(reservationId).status;
+
+test('the sweep refunds only reservations no queued or running job holds', () => {
+  const userId = Number(createUser('credits@example.com', 'hash', 'Credits'));
+  addCredits(userId, 'grant', 4, 'Test credits');
+
+  const orphaned = reserveCredit(userId, 'Analysis - crashed mid-save');
+  const queued = reserveCredit(userId, 'Analysis - waiting to retry');
+  const running = reserveCredit(userId, 'Analysis - resumed after restart');
+  const recent = reserveCredit(userId, 'Analysis - just started');
+  [orphaned, queued, running].forEach(backdate);
+
+  insertJob({ id: 'job-running', userId, type: 'analysis', payload: { userId, reservationId: running }, maxAttempts: 4 });
+  assert.equal(claimNextJob().id, 'job-running');
+  insertJob({ id: 'job-queued', userId, type: 'analysis', payload: { userId, reservationId: queued }, maxAttempts: 4 });
+
+  assert.equal(refundStaleReservations(), 1);
+  assert.equal(reservationStatus(orphaned), 'refunded');
+  assert.equal(reservationStatus(recent), 'pending');
+
+  // The jobs can still pay for their analyses
+  assert.ok(commitCredit(queued, 1));
+  assert.ok(commitCredit(running, 2));
+  assert.equal(findUserById(userId).credits, 1);
+});
+
+test('the sweep refunds a reservation whose job died without refunding it', () => {
+  const userId = Number(createUser('dead-job@example.com', 'hash', 'Dead job'));
+  addCredits(userId, 'grant', 1, 'Test credits');
+
+  const reservationId = reserveCredit(userId, 'Analysis - dead');
+  backdate(reservationId);
+  insertJob({ id: 'job-dead', userId, type: 'analysis', payload: { userId, reservationId }, maxAttempts: 1 });
+  db.prepare("UPDATE jobs SET status = 'dead' WHERE id = 'job-dead'").run();
+
+  refundStaleReservations();
+  assert.equal(reservationStatus(reservationId), 'refunded');
+  assert.equal(findUserById(userId).credits, 1);
+});
+
+// A dead analysis job as the queue leaves it: dead, with its credit refunded by onDead
+function deadAnalysisJob(jobId, userId, reservationId) {
+  insertJob({ id: jobId, userId, type: 'analysis', payload: { userId, reservationId }, maxAttempts: 1 });
+  markJobDead(jobId, 'AI service unavailable');
+  refundCredit(reservationId, 'Refund - analysis failed');
+}
+
+const payloadOf = (jobId) => JSON.parse(getJobRecord(jobId).payload);
+
+test('retrying a dead analysis reserves a new credit for it', () => {
+  const userId = Number(createUser('retry@example.com', 'hash', 'Retry'));
+  addCredits(userId, 'grant', 1, 'Test credits');
+
+  const reservationId = reserveCredit(userId, 'Analysis - Oak Hollow');
+  deadAnalysisJob('job-retry', userId, reservationId);
+  assert.equal(findUserById(userId).credits, 1);
+
+  assert.equal(requeueDeadJob('job-retry'), true);
+  const { reservationId: newReservationId } = payloadOf('job-retry');
+  assert.notEqual(newReservationId, reservationId);
+  assert.equal(reservationStatus(newReservationId), 'pending');
+  assert.equal(findUserById(userId).credits, 0);
+  assert.equal(getJobRecord('job-retry').status, 'queued');
+
+  // The retried run can pay for its analysis
+  assert.ok(commitCredit(newReservationId, 1));
+});
+
+test('a dead analysis is not requeued when the user has no credits to pay for it', () => {
+  const userId = Number(createUser('retry-broke@example.com', 'hash', 'Broke'));
+  addCredits(userId, 'grant', 1, 'Test credits');
+
+  const reservationId = reserveCredit(userId, 'Analysis - Oak Hollow');
+  deadAnalysisJob('job-retry-broke', userId, reservationId);
+  reserveCredit(userId, 'Analysis - spent elsewhere');
+
+  assert.throws(() => requeueDeadJob('job-retry-broke'), /none left to pay for a retry/);
+  assert.equal(getJobRecord('job-retry-broke').status, 'dead');
+  assert.equal(payloadOf('job-retry-broke').reservationId, reservationId);
+});
+
+test('a dead job whose reservation is still held keeps it when requeued', () => {
+  const userId = Number(createUser('retry-held@example.com', 'hash', 'Held'));
+  addCredits(userId, 'grant', 2, 'Test credits');
+
+  const reservationId = reserveCredit(userId, 'Analysis - Oak Hollow');
+  insertJob({ id: 'job-retry-held', userId, type: 'analysis', payload: { userId, reservationId }, maxAttempts: 1 });
+  markJobDead('job-retry-held', 'Interrupted too many times');
+
+  assert.equal(requeueDeadJob('job-retry-held'), true);
+  assert.equal(payloadOf('job-retry-held').reservationId, reservationId);
+  assert.equal(findUserById(userId).credits, 1);
+  assert.equal(requeueDeadJob('job-retry-held'), false);
+});
+
+test('an analysis job finds the analysis it already saved', () => {
+  const userId = Number(createUser('saved-job@example.com', 'hash', 'Saved'));
+  const analysisId = saveAnalysis(userId, {
+    name: 'Saved', handicap: 12, homeCourse: 'Oak Hollow', missPattern: 'right',
+    analysis: { summary: { keyInsight: 'Club down' } }, jobId: 'job-saved'
+  });
+
+  const saved = getAnalysisByJobId('job-saved');
+  assert.equal(saved.id, analysisId);
+  assert.equal(saved.analysis_json.summary.keyInsight, 'Club down');
+  assert.equal(getAnalysisByJobId('job-unknown'), undefined);
+
+  // One analysis per job
+  assert.throws(() => saveAnalysis(userId, { name: 'Again', analysis: {}, jobId: 'job-saved' }), /UNIQUE/);
+});
@@ -0,0 +1,152 @@
+// Aggregate stats and course layouts, driven by the rounds in fixtures/rounds
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+import {
+  isNineHoleRound,
+  calculateAggregateStats,
+  extractCourseLayoutFromScores,
+  fromScorecardRound
+} from '../services/golfStats.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), '../fixtures/rounds');
+const fixture = (name) => JSON.parse(fs.readFileSync(join(fixturesDir, `${name}.json`), 'utf8'));
+
+// Two 18-hole rounds at Oak Hollow (74 and 76; double on the 3rd both times)
+const oakHollow = fixture('oak-hollow-18');
+// A 9-hole round at Oak Hollow (38; bogeys on the 3rd and 5th)
+const oakHollowNine = fixture('oak-hollow-9');
+// An even-par 18-hole round at Cedar Ridge, with only a facilityName
+const cedarRidge = fixture('cedar-ridge-18');
+// A scorecard image read with two pars missing and one hole unplayed
+const riverside = fromScorecardRound(fixture('riverside-scorecard'));
+
+test('9-hole rounds are detected from numberOfHoles or the hole count', () => {
+  assert.equal(isNineHoleRound(oakHollowNine), true);
+  assert.equal(isNineHoleRound(oakHollow[0]), false);
+  assert.equal(isNineHoleRound({ holeDetails: oakHollowNine.holeDetails }), true);
+  assert.equal(isNineHoleRound({ totalScore: 80 }), false);
+});
+
+test('9-hole rounds stay out of the per-round averages', () => {
+  const stats = calculateAggregateStats([...oakHollow, oakHollowNine]);
+
+  assert.equal(stats.totalRounds, 3);
+  assert.equal(stats.nineHoleRounds, 1);
+  assert.equal(stats.averageScore, 75);
+  assert.equal(stats.averageDifferential, 3);
+  assert.equal(stats.avgFairwaysHit, 8);
+  assert.equal(stats.avgGIR, 9);
+  assert.equal(stats.avgPutts, 32);
+
+  // Their holes still count towards the hole patterns
+  assert.deepEqual(stats.holePatterns[3], { avgOverUnder: 1.67, par: 3, sampleSize: 3 });
+  assert.deepEqual(stats.holePatterns[5], { avgOverUnder: 0.33, par: 4, sampleSize: 3 });
+  assert.deepEqual(stats.holePatterns[12], { avgOverUnder: 1, par: 4, sampleSize: 2 });
+  assert.deepEqual(stats.troubleHoles.map(h => h.hole), [3, 12]);
+});
+
+test('a player with only 9-hole rounds gets 9-hole averages', () => {
+  const stats = calculateAggregateStats([oakHollowNine]);
+
+  assert.equal(stats.nineHoleRounds, 1);
+  assert.equal(stats.averageScore, 38);
+  assert.equal(stats.avgPutts, 17);
+  assert.equal(stats.parTypePerformance.par3.count, 2);
+  assert.equal(stats.parTypePerformance.par3.avgOverUnder, 0.5);
+});
+
+test('shot detail feeds approach, short game and penalty stats', () => {
+  const stats = calculateAggregateStats(oakHollow);
+
+  assert.equal(stats.approachAnalysis.girPercentage, 17);
+  assert.equal(stats.approachAnalysis.girOnPar3, 0);
+  assert.equal(stats.approachAnalysis.girOnPar5, 100);
+  assert.deepEqual(stats.approachAnalysis.greenMissPatterns, { short: 2, long: 0, left: 1, right: 1, total: 4 });
+  assert.equal(stats.shortGameAnalysis.avgPuttsPerGIR, 1);
+  assert.equal(stats.shortGameAnalysis.avgPuttsPerMissedGIR, 1.8);
+  assert.equal(stats.shortGameAnalysis.upAndDownRate, 20);
+  assert.equal(stats.shortGameAnalysis.sandSaveRate, 0);
+  assert.equal(stats.penaltyAnalysis.avgPenaltiesPerRound, 1);
+  assert.deepEqual(stats.penaltyAnalysis.holesWithPenalties.map(h => h.hole).sort((a, b) => a - b), [3, 12]);
+  assert.equal(stats.fairwayMissRight, 20);
+  assert.equal(stats.greenMissShort, 40);
+});
+
+test('scorecard rounds drop unplayed holes and keep missing pars as missing', () => {
+  assert.equal(riverside.courseName, 'Riverside Links');
+  assert.equal(riverside.numberOfHoles, 8);
+  assert.equal(riverside.totalScore, 36);
+  assert.equal(riverside.holeDetails.some(h => h.holeNumber === 7), false);
+  assert.equal(riverside.holeDetails.find(h => h.holeNumber === 2).overUnder, null);
+  assert.equal(riverside.holeDetails.find(h => h.holeNumber === 1).overUnder, 1);
+});
+
+test('holes with missing pars are left out of par-relative stats only', () => {
+  const stats = calculateAggregateStats([riverside]);
+
+  assert.equal(stats.holePatternsCourse, 'Riverside Links');
+  assert.deepEqual(Object.keys(stats.holePatterns).map(Number), [1, 3, 4, 6, 8, 9]);
+  assert.deepEqual(stats.parTypePerformance.par4, {
+    avgScore: 4.33, avgOverUnder: 0.33, count: 3, birdies: 0, pars: 2, bogeys: 1, doubles: 0, triples: 0
+  });
+  assert.equal(stats.parTypePerformance.par5.count, 2);
+  assert.equal(stats.scoringDistribution.pars + stats.scoringDistribution.bogeys, 6);
+
+  // The course averages still show what was scored there
+  assert.deepEqual(stats.courseStats['Riverside Links'].holeAverages[2], { avgScore: 4, par: null, avgOverUnder: null });
+  assert.equal(stats.courseStats['Riverside Links'].holeAverages[5].avgScore, 5);
+});
+
+test('course layouts fill missing pars from other rounds at the course', () => {
+  const layout = extractCourseLayoutFromScores([riverside], 'Riverside Links');
+  assert.equal(layout.holes.length, 8);
+  assert.equal(layout.totalPar, 25);
+  assert.equal(layout.holesWithPar, 6);
+  assert.equal(layout.holesWithYardage, 7);
+  assert.deepEqual(layout.holes[1], { holeNumber: 2, par: null, yardage: 381, avgScore: '4.0', roundsPlayed: 1 });
+
+  const laterRound = { courseName: 'Riverside Links', holeDetails: [{ holeNumber: 2, par: 4, score: 5 }] };
+  const filled = extractCourseLayoutFromScores([riverside, laterRound], 'Riverside Links');
+  assert.deepEqual(filled.holes[1], { holeNumber: 2, par: 4, yardage: 381, avgScore: '4.5', roundsPlayed: 2 });
+  assert.equal(filled.holesWithPar, 7);
+});
+
+test('hole patterns come from the most-played course when courses are mixed', () => {
+  const stats = calculateAggregateStats([oakHollow[0], cedarRidge, oakHollow[1]]);
+
+  assert.equal(stats.holePatternsCourse, 'Oak Hollow Golf Club');
+  // Cedar Ridge's par-4 3rd doesn't dilute Oak Hollow's par-3 3rd
+  assert.deepEqual(stats.holePatterns[3], { avgOverUnder: 2, par: 3, sampleSize: 2 });
+  assert.deepEqual(stats.troubleHoles.map(h => h.hole), [3, 12]);
+
+  // Every course keeps its own hole averages, keyed by facility when there's no course name
+  assert.deepEqual(Object.keys(stats.courseStats).sort(), ['Cedar Ridge', 'Oak Hollow Golf Club']);
+  assert.equal(stats.courseStats['Cedar Ridge'].rounds, 1);
+  assert.deepEqual(stats.courseStats['Cedar Ridge'].holeAverages[12], { avgScore: 3, par: 3, avgOverUnder: 0 });
+  assert.deepEqual(stats.courseStats['Oak Hollow Golf Club'].holeAverages[12], { avgScore: 5, par: 4, avgOverUnder: 1 });
+
+  // Par-type and round averages span every course
+  assert.equal(stats.parTypePerformance.par3.count, 12);
+  assert.equal(stats.averageScore, (74 + 71 + 76) / 3);
+});
+
+test('course layouts match on facility name and ignore other courses', () => {
+  const rounds = [...oakHollow, cedarRidge, riverside];
+
+  const cedar = extractCourseLayoutFromScores(rounds, 'Cedar Ridge');
+  assert.equal(cedar.totalPar, 71);
+  assert.equal(cedar.holes[2].par, 4);
+  assert.equal(cedar.holes.every(h => h.roundsPlayed === 1), true);
+
+  const oak = extractCourseLayoutFromScores(rounds, 'Oak Hollow');
+  assert.equal(oak.totalPar, 72);
+  assert.equal(oak.holes[2].avgScore, '5.0');
+  assert.equal(oak.holes[2].roundsPlayed, 2);
+
+  assert.equal(extractCourseLayoutFromScores(rounds, 'Pebble Beach'), null);
+});
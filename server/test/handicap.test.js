@@ -0,0 +1,165 @@
+// WHS handicap index, caps and course / playing handicaps. Rounds are built here
+// at a 72.0 rating and 113 slope, so a total-only round's differential is just
+// its score minus 72.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getDifferentialsToUse,
+  calculateCourseHandicap,
+  calculatePlayingHandicap,
+  strokesReceived,
+  adjustedGrossScore,
+  calculateHandicapIndex
+} from '../services/handicap.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dateAfter = (days) => new Date(Date.UTC(2025, 0, 1) + days * DAY_MS).toISOString().slice(0, 10);
+
+// One total-only round a day, with the differentials given, oldest first
+const roundsWithDifferentials = (differentials, { from = 0 } = {}) => differentials.map((differential, i) => ({
+  id: from + i + 1,
+  date: dateAfter(from + i),
+  source: 'logged',
+  totalScore: 72 + differential,
+  courseRating: 72,
+  slopeRating: 113
+}));
+
+const repeat = (value, count) => Array(count).fill(value);
+
+test('fewer than 20 scores use the reduced table and its adjustments', () => {
+  assert.equal(getDifferentialsToUse(2), null);
+  assert.deepEqual(getDifferentialsToUse(3), { minScores: 3, count: 1, adjustment: -2.0 });
+  assert.deepEqual(getDifferentialsToUse(6), { minScores: 6, count: 2, adjustment: -1.0 });
+  assert.deepEqual(getDifferentialsToUse(25), { minScores: 20, count: 8, adjustment: 0 });
+
+  assert.equal(calculateHandicapIndex(roundsWithDifferentials([10, 12])).handicapIndex, null);
+  // Lowest of 3, less 2.0
+  assert.equal(calculateHandicapIndex(roundsWithDifferentials([14, 10, 12])).handicapIndex, 8.0);
+  // Lowest of 4, less 1.0
+  assert.equal(calculateHandicapIndex(roundsWithDifferentials([14, 10, 12, 13])).handicapIndex, 9.0);
+  // Lowest 2 of 6, less 1.0
+  assert.equal(calculateHandicapIndex(roundsWithDifferentials([14, 10, 12, 13, 11, 15])).handicapIndex, 9.5);
+});
+
+test('the index is the best 8 of the most recent 20 differentials', () => {
+  // Two old low scores that slide out of the window, twelve 16s, then 10.0-13.5
+  const lowest = [10, 10.5, 11, 11.5, 12, 12.5, 13, 13.5];
+  const result = calculateHandicapIndex(roundsWithDifferentials([9, 9, ...repeat(16, 12), ...lowest]));
+
+  assert.equal(result.scoresAvailable, 20);
+  assert.equal(result.differentialsUsed, 8);
+  assert.equal(result.handicapIndex, 11.8);
+  assert.deepEqual(result.differentials.filter(d => d.used).map(d => d.differential).sort((a, b) => a - b), lowest);
+  assert.equal(result.capApplied, null);
+});
+
+test('an exceptional score reduces every differential in the window', () => {
+  // 8.0 below a 20.0 index: -1
+  const one = calculateHandicapIndex(roundsWithDifferentials([...repeat(20, 5), 12]));
+  assert.equal(one.differentials[0].exceptional, 1);
+  assert.ok(one.differentials.every(d => d.esrAdjustment === -1));
+  // Lowest 2 of 6 (11 and 19 after the reduction), less 1.0
+  assert.equal(one.handicapIndex, 14.0);
+
+  // 11.0 below: -2
+  const two = calculateHandicapIndex(roundsWithDifferentials([...repeat(20, 5), 9]));
+  assert.equal(two.differentials[0].exceptional, 2);
+  assert.ok(two.differentials.every(d => d.esrAdjustment === -2));
+  assert.equal(two.handicapIndex, 11.5);
+
+  // 6.0 below is not exceptional
+  const none = calculateHandicapIndex(roundsWithDifferentials([...repeat(20, 5), 14]));
+  assert.equal(none.differentials[0].exceptional, 0);
+  assert.equal(none.handicapIndex, 16.0);
+});
+
+test('a rise of more than 3.0 above the low index is soft capped, and hard capped at 5.0', () => {
+  const soft = calculateHandicapIndex(roundsWithDifferentials([...repeat(10, 20), ...repeat(16, 20)]));
+  assert.equal(soft.lowHandicapIndex, 10.0);
+  // 10.0 + 3.0, plus half of the other 3.0
+  assert.equal(soft.handicapIndex, 14.5);
+  assert.equal(soft.capApplied, 'soft');
+
+  const hard = calculateHandicapIndex(roundsWithDifferentials([...repeat(10, 20), ...repeat(30, 20)]));
+  assert.equal(hard.handicapIndex, 15.0);
+  assert.equal(hard.capApplied, 'hard');
+
+  // No caps before there are 20 scores
+  const early = calculateHandicapIndex(roundsWithDifferentials([...repeat(10, 3), ...repeat(30, 16)]));
+  assert.equal(early.lowHandicapIndex, null);
+  assert.equal(early.capApplied, null);
+});
+
+test('9-hole scores pair up in the order played into one 18-hole differential', () => {
+  const nine = (id, totalScore, courseRating = 36) => ({
+    id, date: dateAfter(id), source: 'logged', numberOfHoles: 9, totalScore, courseRating, slopeRating: 113
+  });
+  // An 18-hole rating on a 9-hole round is halved
+  const rounds = [nine(1, 40), nine(2, 42, 72), nine(3, 41), nine(4, 41), nine(5, 45), nine(6, 43), nine(7, 39)];
+  const result = calculateHandicapIndex(rounds);
+
+  assert.equal(result.scoresAvailable, 3);
+  assert.deepEqual(result.differentials.map(d => d.differential), [16, 10, 10]);
+  assert.ok(result.differentials.every(d => d.nineHolePair));
+  assert.equal(result.differentials[2].adjustedGrossScore, 82);
+  // Lowest of 3, less 2.0
+  assert.equal(result.handicapIndex, 8.0);
+  assert.deepEqual(result.pendingNineHole, { date: dateAfter(7), course: undefined, differential: 3 });
+
+  const odd = calculateHandicapIndex([{ ...nine(1, 50), holeDetails: Array.from({ length: 12 }, (_, i) => ({ holeNumber: i + 1, par: 4, score: 4 })) }]);
+  assert.match(odd.excluded[0].reason, /12-hole round/);
+});
+
+test('hole scores are capped at net double bogey', () => {
+  assert.equal(strokesReceived(20, 1), 2);
+  assert.equal(strokesReceived(20, 2), 2);
+  assert.equal(strokesReceived(20, 3), 1);
+  assert.equal(strokesReceived(20, null), 2);
+  // Plus handicaps give strokes back on the easiest holes
+  assert.equal(strokesReceived(-2, 18), -1);
+  assert.equal(strokesReceived(-2, 17), -1);
+  assert.equal(strokesReceived(-2, 16), 0);
+  // 9-hole rounds rank the 18-hole stroke indexes within the nine
+  assert.equal(strokesReceived(5, 10, 9), 1);
+  assert.equal(strokesReceived(5, 11, 9), 0);
+
+  const holes = [
+    { holeNumber: 1, par: 4, strokeIndex: 1, score: 10 },
+    { holeNumber: 2, par: 3, strokeIndex: 18, score: 7 },
+    { holeNumber: 3, par: 5, strokeIndex: 9, score: 5 }
+  ];
+  // Without an index: par + 5
+  assert.equal(adjustedGrossScore(holes), 9 + 7 + 5);
+  // Course handicap 9 gets a stroke on stroke indexes 1-9: par + 2 + 1 on the 1st, par + 2 on the 2nd
+  assert.equal(adjustedGrossScore(holes, { courseHandicap: 9 }), 7 + 5 + 5);
+  assert.equal(adjustedGrossScore([{ holeNumber: 1, score: 6 }]), null);
+
+  // Rounds are capped at the index in effect before they were played (16.0 here,
+  // so course handicap 16 and no stroke on stroke index 18)
+  const details = Array.from({ length: 18 }, (_, i) => ({ holeNumber: i + 1, par: 4, strokeIndex: i + 1, score: i === 17 ? 12 : 5 }));
+  const result = calculateHandicapIndex([
+    ...roundsWithDifferentials([18, 18, 18]),
+    { id: 4, date: dateAfter(3), source: 'logged', totalScore: 97, courseRating: 72, slopeRating: 113, holeDetails: details }
+  ]);
+  assert.equal(result.differentials[0].adjustedGrossScore, 17 * 5 + 6);
+  assert.equal(result.differentials[0].adjusted, true);
+  assert.equal(result.differentials[0].differential, 19.0);
+});
+
+test('course and playing handicaps for a tee', () => {
+  const tee = { courseRating: 71.2, slopeRating: 128, par: 72 };
+
+  // 12.4 x 128 / 113 - 0.8 = 13.25
+  assert.equal(calculateCourseHandicap(12.4, tee).courseHandicap, 13);
+  assert.deepEqual(calculatePlayingHandicap(12.4, tee), { courseHandicap: 13, playingHandicap: 13, allowance: 95 });
+  assert.deepEqual(calculatePlayingHandicap(12.4, tee, 85), { courseHandicap: 13, playingHandicap: 11, allowance: 85 });
+
+  // 9 holes use half the index: 6.2 x 128 / 113 - 0.4 = 6.62
+  assert.equal(calculateCourseHandicap(12.4, { courseRating: 35.6, slopeRating: 128, par: 36, holes: 9 }).courseHandicap, 7);
+
+  // Plus handicaps stay negative
+  assert.equal(calculateCourseHandicap(-2.0, { courseRating: 72, slopeRating: 113, par: 72 }).courseHandicap, -2);
+});
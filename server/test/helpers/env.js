@@ -0,0 +1,8 @@
+// Imported first by every test file, so db/connection.js and the providers see
+// these before they read them: a fresh in-memory database per test file and no
+// network calls.
+process.env.DATABASE_PATH = ':memory:';
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = 'local';
+process.env.LLM_STREAM_DELAY_MS = '0';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
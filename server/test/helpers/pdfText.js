@@ -0,0 +1,83 @@
+// Reads back the text a pdfkit document drew, page by page, so PDF tests can
+// compare layouts without rendering them. Only handles what pdfkit writes: one
+// Pages tree, Flate-compressed content streams and the standard fonts' WinAnsi
+// encoding.
+
+import zlib from 'zlib';
+
+// WinAnsi bytes that differ from Latin-1
+const WIN_ANSI = {
+  0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”',
+  0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+const decodeHex = (hex) =>
+  Array.from(Buffer.from(hex, 'hex'), byte => WIN_ANSI[byte] ?? String.fromCharCode(byte)).join('');
+
+/**
+ * The objects in a PDF, by object number: { dict, stream }
+ */
+function readObjects(buffer) {
+  const source = buffer.toString('latin1');
+  const objects = new Map();
+  const header = /(\d+) 0 obj\n/g;
+  let match;
+
+  while ((match = header.exec(source))) {
+    const start = header.lastIndex;
+    const streamAt = source.indexOf('\nstream\n', start);
+    const endAt = source.indexOf('\nendobj', start);
+
+    if (streamAt !== -1 && streamAt < endAt) {
+      const dict = source.slice(start, streamAt);
+      const length = Number(dict.match(/\/Length (\d+)/)[1]);
+      const dataStart = streamAt + '\nstream\n'.length;
+      let stream = buffer.subarray(dataStart, dataStart + length);
+      if (dict.includes('/FlateDecode')) stream = zlib.inflateSync(stream);
+      objects.set(Number(match[1]), { dict, stream: stream.toString('latin1') });
+      header.lastIndex = dataStart + length;
+    } else {
+      objects.set(Number(match[1]), { dict: source.slice(start, endAt), stream: null });
+    }
+  }
+  return objects;
+}
+
+const ref = (dict, key) => Number(dict.match(new RegExp(`/${key} (\\d+) 0 R`))[1]);
+
+/**
+ * Each page's text drawing operations, in drawing order
+ * @param {Buffer} buffer - A PDF from services/pdf.js
+ * @returns {{ width: number, height: number, lines: Object[] }[]} - lines are
+ *   { font, size, x, y, text } with y measured down from the top of the page
+ */
+export function readPdfText(buffer) {
+  const objects = readObjects(buffer);
+  const pages = [...objects.values()].find(o => /\/Type \/Pages\n/.test(o.dict));
+  const kids = [...pages.dict.match(/\/Kids \[([^\]]*)\]/)[1].matchAll(/(\d+) 0 R/g)].map(m => Number(m[1]));
+
+  return kids.map(id => {
+    const page = objects.get(id).dict;
+    const [, , width, height] = page.match(/\/MediaBox \[([^\]]*)\]/)[1].split(' ').map(Number);
+
+    // Font resource names (F1, F2, ...) to their base fonts
+    const resources = objects.get(ref(page, 'Resources')).dict;
+    const fonts = Object.fromEntries(
+      [...resources.matchAll(/\/(F\d+) (\d+) 0 R/g)].map(([, name, fontId]) =>
+        [name, objects.get(Number(fontId)).dict.match(/\/BaseFont \/([\w-]+)/)[1]]
+      )
+    );
+
+    const content = objects.get(ref(page, 'Contents')).stream;
+    const lines = [...content.matchAll(/BT\n1 0 0 1 ([\d.-]+) ([\d.-]+) Tm\n\/(F\d+) ([\d.]+) Tf\n\[(.*)\] TJ\nET/g)]
+      .map(([, x, y, font, size, parts]) => ({
+        font: fonts[font],
+        size: Number(size),
+        x: Math.round(Number(x)),
+        y: Math.round(height - Number(y)),
+        text: [...parts.matchAll(/<([0-9a-f]*)>/g)].map(m => decodeHex(m[1])).join('')
+      }));
+
+    return { width, height, lines };
+  });
+}
@@ -0,0 +1,132 @@
+// Strategy and practice plan PDFs over the short, standard and long analyses in
+// fixtures/analyses. Each PDF's page count and text drawing operations are compared
+// with its snapshot in test/snapshots; run `UPDATE_SNAPSHOTS=1 npm test` to rewrite
+// them after an intended layout change, and review the diff.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+import { generateStrategyPDF, generatePracticePlanPDF } from '../services/pdf.js';
+import { PDF_THEMES } from '../services/pdfTheme.js';
+import { readPdfText } from './helpers/pdfText.js';
+
+const testDir = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(testDir, '../fixtures/analyses');
+const snapshotsDir = join(testDir, 'snapshots');
+
+const FIXTURES = ['short', 'standard', 'long'];
+
+const userData = { name: 'Jordan Lee', handicap: 15.2, homeCourse: 'Oak Hollow Golf Club', missPattern: 'right' };
+
+const loadAnalysis = (name) => JSON.parse(fs.readFileSync(join(fixturesDir, `${name}.json`), 'utf8'));
+
+// The PDFs print today's date and year
+const undated = (text) => text
+  .replace(new Date().toLocaleDateString(), '<date>')
+  .replace(`${new Date().getFullYear()} Season`, '<year> Season');
+
+/**
+ * A PDF's pages as snapshot text: one line per text drawing operation
+ */
+function toSnapshot(pages) {
+  const body = pages.map((page, i) => [
+    `--- page ${i + 1} ---`,
+    ...page.lines.map(line => `${line.font} ${line.size} @${line.x},${line.y} ${undated(line.text)}`)
+  ].join('\n'));
+  return `${pages.length} pages\n\n${body.join('\n\n')}\n`;
+}
+
+function matchSnapshot(name, actual) {
+  const file = join(snapshotsDir, `${name}.txt`);
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(snapshotsDir, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `test/snapshots/${name}.txt is missing - run UPDATE_SNAPSHOTS=1 npm test`);
+  assert.equal(actual, fs.readFileSync(file, 'utf8'), `${name} differs from test/snapshots/${name}.txt`);
+}
+
+// All of a PDF's text as one string, so items that wrap onto several lines still match
+const allText = (pages) => pages.flatMap(page => page.lines.map(line => line.text)).join(' ').replace(/\s+/g, ' ');
+
+function assertOnPage(pages) {
+  pages.forEach((page, i) => {
+    page.lines.forEach(line => {
+      assert.ok(line.y > 0 && line.y < page.height, `page ${i + 1}: "${line.text}" is drawn off the page at y=${line.y}`);
+      assert.ok(line.x >= 0 && line.x < page.width, `page ${i + 1}: "${line.text}" is drawn off the page at x=${line.x}`);
+    });
+  });
+}
+
+const assertIncludesAll = (text, items, what) => {
+  items.forEach(item => assert.ok(text.includes(item), `${what} "${item}" is missing`));
+};
+
+for (const name of FIXTURES) {
+  test(`strategy PDF for the ${name} analysis`, async () => {
+    const analysis = loadAnalysis(name);
+    const pages = readPdfText(await generateStrategyPDF(analysis, userData));
+
+    assertOnPage(pages);
+
+    const text = allText(pages);
+    assertIncludesAll(text, analysis.troubleHoles.map(hole => hole.type), 'Trouble hole');
+    assertIncludesAll(text, analysis.troubleHoles.map(hole => hole.strategy), 'Trouble hole strategy');
+    assertIncludesAll(text, analysis.mentalGame.mantras, 'Mantra');
+    if (analysis.handicapPath) {
+      assertIncludesAll(text, analysis.handicapPath.gapAnalysis.map(gap => gap.area), 'Gap');
+      assertIncludesAll(text, analysis.handicapPath.improvementPriorities.map(priority => priority.skill), 'Priority');
+      assertIncludesAll(text, analysis.handicapPath.quickWins.map(win => win.tip), 'Quick win');
+    }
+
+    matchSnapshot(`strategy-${name}`, toSnapshot(pages));
+  });
+
+  test(`practice plan PDF for the ${name} analysis`, async () => {
+    const analysis = loadAnalysis(name);
+    const pages = readPdfText(await generatePracticePlanPDF(analysis, userData));
+
+    assertOnPage(pages);
+
+    const { weeklySchedule, preRoundRoutine } = analysis.practicePlan;
+    const text = allText(pages);
+    assertIncludesAll(text, weeklySchedule.map(session => session.session), 'Session');
+    assertIncludesAll(text, weeklySchedule.flatMap(session => session.drills.map(drill => drill.name)), 'Drill');
+    assertIncludesAll(text, weeklySchedule.flatMap(session => session.drills.map(drill => drill.description)), 'Drill description');
+    assertIncludesAll(text, preRoundRoutine, 'Routine step');
+
+    matchSnapshot(`practice-${name}`, toSnapshot(pages));
+  });
+}
+
+test('longer analyses flow onto more pages instead of being cut', async () => {
+  const pageCounts = async (generate) => Promise.all(
+    FIXTURES.map(async name => readPdfText(await generate(loadAnalysis(name), userData)).length)
+  );
+
+  const [shortStrategy, standardStrategy, longStrategy] = await pageCounts(generateStrategyPDF);
+  assert.ok(shortStrategy < standardStrategy && standardStrategy < longStrategy);
+
+  const [shortPractice, standardPractice, longPractice] = await pageCounts(generatePracticePlanPDF);
+  assert.ok(shortPractice < standardPractice && standardPractice < longPractice);
+});
+
+test('letter-style PDFs refuse pocket paper instead of shrinking onto it', async () => {
+  const analysis = loadAnalysis('short');
+  await assert.rejects(generateStrategyPDF(analysis, userData, null, { paper: 'pocket' }), /letter or a4 paper/);
+  await assert.rejects(generatePracticePlanPDF(analysis, userData, { paper: 'pocket' }), /letter or a4 paper/);
+
+  const [page] = readPdfText(await generateStrategyPDF(analysis, userData, null, { paper: 'a4' }));
+  assert.equal(page.width, 595.28);
+});
+
+test('every theme defines every color role', () => {
+  const roles = Object.keys(PDF_THEMES.classic.colors).sort();
+  for (const [name, theme] of Object.entries(PDF_THEMES)) {
+    assert.deepEqual(Object.keys(theme.colors).sort(), roles, `${name} theme`);
+  }
+});
@@ -0,0 +1,144 @@
+// Review flags for extracted scorecards and validation of the rounds sent back
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  findTotalMismatches,
+  reviewExtractedRounds,
+  normalizeConfirmedRounds,
+  toRoundBody
+} from '../services/scorecardReview.js';
+
+// Nine holes of par 4 at 380 yards with a score of 5 on each (out 45)
+const nineHoles = () => Array.from({ length: 9 }, (_, i) => ({ hole: i + 1, par: 4, yards: 380, score: 5 }));
+
+test('holes get flags for unclear and out-of-range values', () => {
+  const [round] = reviewExtractedRounds([{
+    date: '06/01/2024',
+    course: 'Oak Hollow',
+    holes: [
+      { hole: 3, par: 4, yards: 380, score: 10 },            // more than par + 5
+      { hole: 1, par: 4, yards: 380, score: 5, unclear: ['score', 'putts'] },
+      { hole: 2, par: 7, yards: 20, score: 4 },
+      { hole: 4, par: 3, yards: 160, score: 0 },
+      { hole: 5, par: 5, yards: 510, score: 16 },
+      { hole: 6, par: 4, yards: 400, score: 4 },
+      { hole: 19, par: 4, yards: 400, score: 4 },            // not a hole
+      null
+    ]
+  }]);
+
+  assert.deepEqual(round.holes.map(h => h.hole), [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(round.holes.map(h => h.flags.sort()), [
+    ['score'],
+    ['par', 'yards'],
+    ['score'],
+    ['score'],
+    ['score'],
+    []
+  ]);
+  assert.equal(round.needsReview, true);
+});
+
+test('printed totals that do not add up are listed', () => {
+  const holes = [...nineHoles(), ...nineHoles().map(h => ({ ...h, hole: h.hole + 9, score: 4 }))];
+
+  assert.deepEqual(findTotalMismatches({ holes, outScore: 45, inScore: 36, totalScore: 81 }), []);
+  assert.deepEqual(findTotalMismatches({ holes, outScore: 44, inScore: 36, totalScore: 80 }), ['out', 'total']);
+  // Totals that weren't printed aren't checked
+  assert.deepEqual(findTotalMismatches({ holes, outScore: null, inScore: 37 }), ['in']);
+
+  const [clean, mismatched] = reviewExtractedRounds([
+    { holes, outScore: 45, inScore: 36, totalScore: 81 },
+    { holes, outScore: 45, inScore: 36, totalScore: 82 }
+  ]);
+  assert.equal(clean.needsReview, false);
+  assert.deepEqual(mismatched.totalMismatches, ['total']);
+  assert.equal(mismatched.needsReview, true);
+});
+
+test('extracted dates are normalized to real YYYY-MM-DD dates', () => {
+  const dateOf = (date) => reviewExtractedRounds([{ date, holes: nineHoles() }])[0].date;
+
+  assert.equal(dateOf('6/1/24'), '2024-06-01');
+  assert.equal(dateOf('06/01/2024'), '2024-06-01');
+  assert.equal(dateOf('2/29/2024'), '2024-02-29');
+  assert.equal(dateOf('2024-06-01'), '2024-06-01');
+
+  assert.equal(dateOf('13/45/2026'), null);
+  assert.equal(dateOf('2/30/2025'), null);
+  assert.equal(dateOf('2/29/2023'), null);
+  assert.equal(dateOf('2026-13-45'), null);
+  assert.equal(dateOf('6/1/202'), null);
+  assert.equal(dateOf('June 1st'), null);
+  assert.equal(dateOf(undefined), null);
+});
+
+test('extracted rounds that are not objects are dropped', () => {
+  assert.equal(reviewExtractedRounds([null, 'round', [], { holes: nineHoles() }]).length, 1);
+  assert.deepEqual(reviewExtractedRounds(null), []);
+  assert.deepEqual(reviewExtractedRounds([{ holes: 'none' }])[0].holes, []);
+});
+
+test('confirmed rounds are normalized, with the total summed from the holes', () => {
+  const { rounds, error } = normalizeConfirmedRounds([{
+    date: '2024-06-01',
+    course: '  Oak Hollow  ',
+    totalScore: 99,
+    holes: [
+      { hole: '2', par: '4', yards: '', score: '6' },
+      { hole: 1, par: null, yards: 380, score: 5 }
+    ]
+  }]);
+
+  assert.equal(error, undefined);
+  assert.deepEqual(rounds, [{
+    date: '2024-06-01',
+    course: 'Oak Hollow',
+    totalScore: 11,
+    holes: [
+      { hole: 1, par: null, yards: 380, score: 5 },
+      { hole: 2, par: 4, yards: null, score: 6 }
+    ]
+  }]);
+});
+
+test('confirmed rounds with bad input are rejected with a message', () => {
+  const round = (overrides = {}) => ({ date: '2024-06-01', holes: nineHoles(), ...overrides });
+  const errorFor = (rounds) => normalizeConfirmedRounds(rounds).error;
+
+  assert.match(errorFor(null), /list of 1-20 rounds/);
+  assert.match(errorFor([]), /list of 1-20 rounds/);
+  assert.match(errorFor(Array.from({ length: 21 }, () => round())), /list of 1-20 rounds/);
+
+  assert.match(errorFor([null]), /Round 1: must be an object/);
+  assert.match(errorFor([round(), 'round']), /Round 2: must be an object/);
+  assert.match(errorFor([[round()]]), /Round 1: must be an object/);
+
+  assert.match(errorFor([round({ date: '2026-13-45' })]), /real date/);
+  assert.match(errorFor([round({ date: '2025-02-29' })]), /real date/);
+  assert.match(errorFor([round({ date: '06/01/2024' })]), /real date/);
+
+  assert.match(errorFor([round({ holes: [] })]), /needs 1-18 holes/);
+  assert.match(errorFor([round({ holes: [null] })]), /each hole must be an object/);
+  assert.match(errorFor([round({ holes: [{ hole: 1, score: 0 }] })]), /check hole 1/);
+  assert.match(errorFor([round({ holes: [{ hole: 1, score: 4, par: 7 }] })]), /check hole 1/);
+  assert.match(errorFor([round({ holes: [{ hole: 'x', score: 4 }] })]), /check hole \?/);
+  assert.match(errorFor([round({ holes: [{ hole: 1, score: 4 }, { hole: 1, score: 5 }] })]), /listed twice/);
+
+  // Rounds without a date are fine - they just aren't saved to the history
+  assert.equal(errorFor([round({ date: null })]), undefined);
+});
+
+test('confirmed rounds become round bodies with holes played', () => {
+  const { rounds } = normalizeConfirmedRounds([
+    { date: '2024-06-01', holes: nineHoles() },
+    { date: '2024-06-08', holes: nineHoles().slice(0, 7) }
+  ]);
+
+  const body = toRoundBody(rounds[0]);
+  assert.equal(body.holesPlayed, 9);
+  assert.deepEqual(body.holes[0], { holeNumber: 1, par: 4, yardage: 380, score: 5 });
+  assert.equal(toRoundBody(rounds[1]).holesPlayed, null);
+});
@@ -0,0 +1,201 @@
+// Stripe webhook handling, driven by the recorded events in fixtures/stripe
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+import { processStripeEvent, GRACE_PERIOD_DAYS } from '../services/subscriptions.js';
+import { createUser, findUserById, updateUser, expireSubscriptionGracePeriods } from '../db/database.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), '../fixtures/stripe');
+
+let userCount = 0;
+
+/**
+ * A new user with their own Stripe customer and subscription ids
+ */
+function createSubscriber() {
+  userCount += 1;
+  const userId = Number(createUser(`subscriber${userCount}@example.com`, 'hash', `Subscriber ${userCount}`));
+  return { userId, customer: `cus_test${userCount}`, subscription: `sub_test${userCount}` };
+}
+
+/**
+ * A recorded fixture event re-addressed to a subscriber, with its own id and
+ * optionally a different `created` time
+ */
+function stripeEvent(type, subscriber, { created, suffix = '', object = {} } = {}) {
+  const event = JSON.parse(fs.readFileSync(join(fixturesDir, `${type}.json`), 'utf8'));
+  const data = event.data.object;
+
+  event.id = `${event.id}_${subscriber.userId}${suffix}`;
+  if (created !== undefined) event.created = created;
+
+  if (data.object === 'subscription') {
+    data.id = subscriber.subscription;
+    data.metadata.userId = String(subscriber.userId);
+  } else {
+    data.subscription = subscriber.subscription;
+  }
+  if (data.metadata?.userId) data.metadata.userId = String(subscriber.userId);
+  data.customer = subscriber.customer;
+  Object.assign(data, object);
+  return event;
+}
+
+const subscribe = (subscriber) => {
+  processStripeEvent(stripeEvent('checkout.session.completed', subscriber));
+  processStripeEvent(stripeEvent('customer.subscription.created', subscriber));
+};
+
+const parseDbDate = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+test('a subscription goes pro, survives a failed payment, recovers and cancels', () => {
+  const subscriber = createSubscriber();
+  subscribe(subscriber);
+
+  let user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'pro');
+  assert.equal(user.stripe_subscription_status, 'active');
+  assert.equal(user.subscription_id, subscriber.subscription);
+
+  processStripeEvent(stripeEvent('invoice.payment_failed', subscriber));
+  user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'pro');
+  assert.equal(user.stripe_subscription_status, 'past_due');
+  const graceDays = (parseDbDate(user.grace_period_ends_at) - Date.now()) / (24 * 60 * 60 * 1000);
+  assert.ok(Math.abs(graceDays - GRACE_PERIOD_DAYS) < 0.01);
+
+  processStripeEvent(stripeEvent('invoice.paid', subscriber));
+  user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'pro');
+  assert.equal(user.stripe_subscription_status, 'active');
+  assert.equal(user.grace_period_ends_at, null);
+  assert.equal(user.current_period_end, '2024-08-10 06:13:20');
+
+  processStripeEvent(stripeEvent('customer.subscription.deleted', subscriber));
+  user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'free');
+  assert.equal(user.stripe_subscription_status, 'canceled');
+});
+
+test('a duplicate delivery is processed once', () => {
+  const subscriber = createSubscriber();
+  const purchase = stripeEvent('checkout.session.completed', subscriber, {
+    object: { mode: 'payment', subscription: null, metadata: { userId: String(subscriber.userId), priceType: 'single' } }
+  });
+
+  assert.deepEqual(processStripeEvent(purchase), { processed: true });
+  assert.deepEqual(processStripeEvent(purchase), { processed: false });
+  assert.equal(findUserById(subscriber.userId).credits, 1);
+
+  subscribe(subscriber);
+  const failed = stripeEvent('invoice.payment_failed', subscriber);
+  processStripeEvent(failed);
+  const graceEnds = findUserById(subscriber.userId).grace_period_ends_at;
+
+  updateUser(subscriber.userId, { grace_period_ends_at: '2000-01-01 00:00:00' });
+  assert.deepEqual(processStripeEvent(failed), { processed: false });
+  assert.notEqual(graceEnds, '2000-01-01 00:00:00');
+  assert.equal(findUserById(subscriber.userId).grace_period_ends_at, '2000-01-01 00:00:00');
+});
+
+test('a late invoice.payment_failed does not revive a deleted subscription', () => {
+  const subscriber = createSubscriber();
+  processStripeEvent(stripeEvent('customer.subscription.created', subscriber, { created: 100 }));
+  processStripeEvent(stripeEvent('customer.subscription.deleted', subscriber, { created: 300 }));
+  processStripeEvent(stripeEvent('invoice.payment_failed', subscriber, { created: 200 }));
+
+  const user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'free');
+  assert.equal(user.stripe_subscription_status, 'canceled');
+  assert.equal(user.grace_period_ends_at, null);
+  assert.equal(user.subscription_event_at, 300);
+});
+
+test('late invoice.paid, subscription.updated and checkout events do not revive a deleted subscription', () => {
+  const subscriber = createSubscriber();
+  processStripeEvent(stripeEvent('checkout.session.completed', subscriber, { created: 50 }));
+  processStripeEvent(stripeEvent('customer.subscription.created', subscriber, { created: 100 }));
+  processStripeEvent(stripeEvent('customer.subscription.deleted', subscriber, { created: 300 }));
+
+  processStripeEvent(stripeEvent('invoice.paid', subscriber, { created: 200 }));
+  processStripeEvent(stripeEvent('customer.subscription.updated', subscriber, { created: 250 }));
+  processStripeEvent(stripeEvent('checkout.session.completed', subscriber, { created: 50, suffix: '_retry' }));
+
+  const user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'free');
+  assert.equal(user.stripe_subscription_status, 'canceled');
+});
+
+test('invoice events after cancellation leave the user free', () => {
+  const subscriber = createSubscriber();
+  processStripeEvent(stripeEvent('customer.subscription.created', subscriber, { created: 100 }));
+  processStripeEvent(stripeEvent('customer.subscription.deleted', subscriber, { created: 300 }));
+  processStripeEvent(stripeEvent('invoice.paid', subscriber, { created: 400 }));
+  processStripeEvent(stripeEvent('invoice.payment_failed', subscriber, { created: 500 }));
+
+  const user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'free');
+  assert.equal(user.stripe_subscription_status, 'canceled');
+  assert.equal(user.grace_period_ends_at, null);
+});
+
+test('an older subscription.updated arriving after a newer one is ignored', () => {
+  const subscriber = createSubscriber();
+  processStripeEvent(stripeEvent('customer.subscription.created', subscriber, { created: 100 }));
+  processStripeEvent(stripeEvent('customer.subscription.updated', subscriber, {
+    created: 300, object: { status: 'past_due', cancel_at_period_end: false }
+  }));
+  processStripeEvent(stripeEvent('customer.subscription.updated', subscriber, { created: 200, suffix: '_old' }));
+
+  const user = findUserById(subscriber.userId);
+  assert.equal(user.stripe_subscription_status, 'past_due');
+  assert.equal(user.cancel_at_period_end, 0);
+});
+
+test('a past-due subscriber is downgraded when the grace period runs out, and a new failure does not restart it', () => {
+  const subscriber = createSubscriber();
+  subscribe(subscriber);
+  processStripeEvent(stripeEvent('invoice.payment_failed', subscriber));
+
+  // Still inside the grace period
+  expireSubscriptionGracePeriods();
+  assert.equal(findUserById(subscriber.userId).subscription_status, 'pro');
+
+  updateUser(subscriber.userId, { grace_period_ends_at: '2000-01-01 00:00:00' });
+  assert.ok(expireSubscriptionGracePeriods() >= 1);
+  let user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'free');
+  assert.equal(user.grace_period_ends_at, '2000-01-01 00:00:00');
+
+  // Stripe retries the payment and it fails again
+  processStripeEvent(stripeEvent('invoice.payment_failed', subscriber, { created: 1720678500, suffix: '_retry' }));
+  user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'free');
+  assert.equal(user.grace_period_ends_at, '2000-01-01 00:00:00');
+
+  // Until a retry succeeds
+  processStripeEvent(stripeEvent('invoice.paid', subscriber, { created: 1720765000 }));
+  user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'pro');
+  assert.equal(user.grace_period_ends_at, null);
+});
+
+test('cancel at period end keeps pro until the subscription is deleted', () => {
+  const subscriber = createSubscriber();
+  subscribe(subscriber);
+
+  processStripeEvent(stripeEvent('customer.subscription.updated', subscriber));
+  let user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'pro');
+  assert.equal(user.cancel_at_period_end, 1);
+
+  processStripeEvent(stripeEvent('customer.subscription.deleted', subscriber));
+  user = findUserById(subscriber.userId);
+  assert.equal(user.subscription_status, 'free');
+  assert.equal(user.stripe_subscription_status, 'canceled');
+});